@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const userStore = require('../services/user-store');
+const { ROLES } = require('../utils/constants');
+
+const TOKEN_TTL_HOURS = parseInt(process.env.AUTH_TOKEN_TTL_HOURS || '8', 10) || 8;
+
+// Tokens are signed HS256 JWTs. Without AUTH_SECRET a random per-process secret is
+// used, which means every restart logs everybody out.
+let tokenSecret = process.env.AUTH_SECRET;
+if (!tokenSecret) {
+  console.warn('AUTH_SECRET not set. Using a temporary secret; sessions will not survive a restart.');
+  tokenSecret = crypto.randomBytes(32).toString('hex');
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', tokenSecret).update(data).digest('base64')
+    .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function issueToken(user) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({
+    sub: user.id,
+    username: user.username,
+    role: user.role,
+    iat: now,
+    exp: now + TOKEN_TTL_HOURS * 3600
+  }));
+
+  return {
+    token: `${header}.${payload}.${sign(`${header}.${payload}`)}`,
+    expiresAt: new Date((now + TOKEN_TTL_HOURS * 3600) * 1000).toISOString()
+  };
+}
+
+// Returns the token payload, or null when the token is malformed, forged or expired
+function verifyToken(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+
+  const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`));
+  const actual = Buffer.from(parts[2]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64').toString('utf8'));
+    if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) return null;
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Require a valid "Authorization: Bearer <token>" header and attach req.user
+function authenticate(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+
+  if (!match) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'Please log in to continue'
+    });
+  }
+
+  const payload = verifyToken(match[1]);
+  const user = payload ? userStore.findById(payload.sub) : null;
+
+  if (!user || !user.active) {
+    return res.status(401).json({
+      error: 'Invalid session',
+      message: 'Your session has expired. Please log in again.'
+    });
+  }
+
+  // Use the stored role so role changes apply without waiting for a new token
+  req.user = userStore.sanitize(user);
+  next();
+}
+
+// Whether the user has the given role or a higher one (see ROLES ordering)
+function hasRole(user, minimumRole) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(minimumRole);
+}
+
+// Allow the given role or any higher one
+function requireRole(minimumRole) {
+  if (!ROLES.includes(minimumRole)) {
+    throw new Error(`Unknown role '${minimumRole}'`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'Please log in to continue'
+      });
+    }
+
+    if (!hasRole(req.user, minimumRole)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: `This action requires the ${minimumRole.replace('_', ' ')} role`
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  authenticate,
+  requireRole,
+  hasRole,
+  issueToken,
+  verifyToken
+};
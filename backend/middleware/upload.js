@@ -1,6 +1,7 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const customerImport = require('../services/customer-import');
 
 // Ensure uploads directory exists
 const uploadDir = path.join(__dirname, '../uploads');
@@ -20,21 +21,12 @@ const storage = multer.diskStorage({
   }
 });
 
-// File filter
+// File filter: spreadsheets and delimited or fixed-width text exports
 const fileFilter = (req, file, cb) => {
-  const allowedMimeTypes = [
-    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-    'application/vnd.ms-excel',
-    'application/octet-stream' // Sometimes Excel files are detected as this
-  ];
-
-  const allowedExtensions = ['.xlsx', '.xls'];
-  const fileExtension = path.extname(file.originalname).toLowerCase();
-
-  if (allowedMimeTypes.includes(file.mimetype) || allowedExtensions.includes(fileExtension)) {
+  if (customerImport.isSupportedFile(file)) {
     cb(null, true);
   } else {
-    cb(new Error('Only Excel files (.xlsx, .xls) are allowed'), false);
+    cb(customerImport.unsupportedFileError(), false);
   }
 };
 
@@ -60,12 +52,12 @@ const handleUploadError = (error, req, res, next) => {
     if (error.code === 'LIMIT_UNEXPECTED_FILE') {
       return res.status(400).json({
         error: 'Unexpected file',
-        message: 'Only one Excel file is allowed'
+        message: 'Only one customer file is allowed'
       });
     }
   }
 
-  if (error.message === 'Only Excel files (.xlsx, .xls) are allowed') {
+  if (error.code === 'UNSUPPORTED_FILE_TYPE') {
     return res.status(400).json({
       error: 'Invalid file type',
       message: error.message
@@ -1,4 +1,42 @@
 const Joi = require('joi');
+const customerStore = require('../services/customer-store');
+const templateStore = require('../services/template-store');
+const ruleStore = require('../services/rule-store');
+const issueTypeCatalog = require('../services/issue-types');
+const customerImport = require('../services/customer-import');
+const { requireApprovedTemplate } = require('../templates/letter-templates');
+const {
+  ROLES,
+  AUDIT_CHANNELS,
+  AUDIT_OUTCOMES,
+  TEMPLATE_URGENCIES,
+  SCHEDULE_FREQUENCIES,
+  DEFAULT_LETTER_LANGUAGE,
+  LETTER_LANGUAGES
+} = require('../utils/constants');
+
+const languageCodes = Object.keys(LETTER_LANGUAGES);
+const translationCodes = languageCodes.filter(code => code !== DEFAULT_LETTER_LANGUAGE);
+
+// Fields the issue types add (FD_AMOUNT, CHEQUE_LEAVES_LEFT...), checked as the catalog types them
+function issueTypeFieldSchemas() {
+  const byType = {
+    text: () => Joi.string().allow('', null).trim(),
+    number: () => Joi.number().allow('', null).min(0),
+    integer: () => Joi.number().integer().allow('', null).min(0)
+  };
+  const fields = issueTypeCatalog.getFields();
+  const schemas = {};
+  Object.keys(fields).forEach(field => {
+    schemas[field] = byType[fields[field].type]();
+  });
+  return schemas;
+}
+
+// Requests that analyse, write to or email customers name an issue type registered in the catalog
+const issueTypeSchema = Joi.string().trim().required()
+  .custom((value, helpers) => (issueTypeCatalog.has(value) ? value : helpers.error('any.invalid')))
+  .messages({ 'any.invalid': '"issueType" must be a registered issue type (see GET /api/issue-types)' });
 
 // Customer data validation schema
 const customerSchema = Joi.object({
@@ -6,7 +44,8 @@ const customerSchema = Joi.object({
   ACCOUNT_NO: Joi.string().required().trim().min(8).max(20),
   BALANCE: Joi.number().allow('', null).min(0),
   EMAIL: Joi.string().email().allow('', null).trim(),
-  MOBILE: Joi.string().allow('', null).trim().pattern(/^\+?[\d\s\-\(\)]{10,15}$/),
+  MOBILE: Joi.string().allow('', null).trim().pattern(/^\+?[\d\s\-\(\)]{10,15}$/)
+    .messages({ 'string.pattern.base': '"MOBILE" must be a 10-15 digit phone number' }),
   LAST_TRANSACTION: Joi.string().allow('', null).trim(),
   ACCOUNT_TYPE: Joi.string().allow('', null).trim(),
   KYC_STATUS: Joi.string().allow('', null).trim().valid('Complete', 'Pending', 'Expired', ''),
@@ -19,9 +58,22 @@ const customerSchema = Joi.object({
   DOC_TYPE: Joi.string().allow('', null).trim(),
   DOC_STATUS: Joi.string().allow('', null).trim(),
   DOC_EXPIRY: Joi.string().allow('', null).trim(),
-  DAYS_TO_EXPIRY: Joi.number().allow('', null).min(0)
+  DAYS_TO_EXPIRY: Joi.number().allow('', null).min(0),
+  PREFERRED_LANGUAGE: Joi.string().allow('', null).trim().max(30),
+  DOB: Joi.string().allow('', null).trim().max(20),
+  ...issueTypeFieldSchemas()
 }).unknown(true); // Allow additional fields
 
+// Row problems quoted in `errors`; the full list is in rowErrors
+const MAX_LISTED_ROW_ERRORS = 20;
+
+/**
+ * Validate every row of an upload against customerSchema and the email/mobile checks.
+ * Returns { isValid, errors, totalRows, validRows, invalidRows, rowErrors, rules, validCustomers,
+ * validRowNumbers }: rowErrors has one entry per problem ({ row, accountNo, column, value, problem,
+ * rule }, where row is the file row with the header as row 1), rules counts the rows failing each
+ * rule, validCustomers holds the rows without problems and validRowNumbers their file rows.
+ */
 function validateCustomerData(customers) {
   const errors = [];
   
@@ -46,57 +98,144 @@ function validateCustomerData(customers) {
     return { isValid: false, errors };
   }
 
-  // Validate each customer record (check first 10 for performance)
-  const samplesToValidate = Math.min(customers.length, 10);
-  
-  for (let i = 0; i < samplesToValidate; i++) {
-    const customer = customers[i];
-    const { error } = customerSchema.validate(customer, { allowUnknown: true });
-    
+  const rowErrors = [];
+  const validCustomers = [];
+  const validRowNumbers = [];
+  const rules = {};
+
+  customers.forEach((customer, index) => {
+    const row = index + 2;
+    const problems = [];
+    const { error } = customerSchema.validate(customer, { allowUnknown: true, abortEarly: false });
+
     if (error) {
-      errors.push(`Row ${i + 1}: ${error.details[0].message}`);
+      error.details.forEach(detail => {
+        problems.push({
+          column: detail.path.join('.'),
+          value: detail.context ? detail.context.value : undefined,
+          // The column has its own report field, so drop Joi's quoted label
+          problem: detail.message.replace(/^"[^"]*"\s*/, ''),
+          rule: detail.type
+        });
+      });
     }
 
-    // Custom validation rules
-    if (customer.EMAIL && !isValidEmail(customer.EMAIL)) {
-      errors.push(`Row ${i + 1}: Invalid email format`);
+    // Custom validation rules, for columns Joi has not already flagged
+    const flagged = new Set(problems.map(p => p.column));
+    if (customer.EMAIL && !flagged.has('EMAIL') && !isValidEmail(String(customer.EMAIL))) {
+      problems.push({ column: 'EMAIL', value: customer.EMAIL, problem: 'Invalid email format', rule: 'email.format' });
     }
 
-    if (customer.MOBILE && !isValidMobile(customer.MOBILE)) {
-      errors.push(`Row ${i + 1}: Invalid mobile number format`);
+    if (customer.MOBILE && !flagged.has('MOBILE') && !isValidMobile(String(customer.MOBILE))) {
+      problems.push({ column: 'MOBILE', value: customer.MOBILE, problem: 'Invalid mobile number format', rule: 'mobile.format' });
     }
 
-    // Stop if too many errors
-    if (errors.length >= 5) {
-      errors.push('... and possibly more errors. Please fix the above issues first.');
-      break;
+    if (problems.length === 0) {
+      validCustomers.push(customer);
+      validRowNumbers.push(row);
+      return;
     }
+
+    problems.forEach(problem => {
+      rowErrors.push({ row, accountNo: customer.ACCOUNT_NO, ...problem });
+
+      const key = `${problem.column}:${problem.rule}`;
+      if (!rules[key]) {
+        rules[key] = { column: problem.column, rule: problem.rule, problem: problem.problem, rows: 0 };
+      }
+      rules[key].rows++;
+    });
+  });
+
+  rowErrors.slice(0, MAX_LISTED_ROW_ERRORS).forEach(e => {
+    errors.push(`Row ${e.row}: ${e.column} ${e.problem}`);
+  });
+  if (rowErrors.length > MAX_LISTED_ROW_ERRORS) {
+    errors.push(`... and ${rowErrors.length - MAX_LISTED_ROW_ERRORS} more problems. Download the error report for the full list.`);
   }
 
   return {
-    isValid: errors.length === 0,
+    isValid: rowErrors.length === 0,
     errors,
-    validatedRows: samplesToValidate,
-    totalRows: customers.length
+    totalRows: customers.length,
+    validRows: validCustomers.length,
+    invalidRows: customers.length - validCustomers.length,
+    rowErrors,
+    rules: Object.values(rules).sort((a, b) => b.rows - a.rows),
+    validCustomers,
+    validRowNumbers
   };
 }
 
+// Single customer record (create / replace)
+function validateCustomerRecord(req, res, next) {
+  const { error, value } = customerSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: error.details[0].message,
+      field: error.details[0].path[0]
+    });
+  }
+
+  req.body = value;
+  next();
+}
+
+// Partial customer update: same field rules, nothing required
+function validateCustomerPatch(req, res, next) {
+  const patchSchema = customerSchema.fork(['NAME', 'ACCOUNT_NO'], field => field.optional());
+  const { error, value } = patchSchema.min(1).validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: error.details[0].message,
+      field: error.details[0].path[0]
+    });
+  }
+
+  req.body = value;
+  next();
+}
+
+// Let letter/email requests reference stored customers by account number
+// instead of sending full records: { accountNos: ['...'] } -> { customers: [...] }
+function resolveCustomerRefs(req, res, next) {
+  const { accountNos, customers } = req.body || {};
+  if (customers || !Array.isArray(accountNos)) return next();
+
+  try {
+    const resolved = customerStore.findMany(accountNos);
+    if (resolved.missing.length > 0) {
+      return res.status(404).json({
+        error: 'Customers not found',
+        message: `${resolved.missing.length} account(s) are not in the customer store`,
+        missing: resolved.missing
+      });
+    }
+
+    const body = { ...req.body, customers: resolved.customers };
+    delete body.accountNos;
+    req.body = body;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
 // API request validations
 function validateAnalysisRequest(req, res, next) {
   const schema = Joi.object({
-    customers: Joi.array().items(Joi.object()).min(1).max(10000).required(),
-    issueType: Joi.string().valid(
-      'account_closure', 
-      'kyc_update', 
-      'loan_default', 
-      'fee_waiver', 
-      'document_expiry'
-    ).required(),
+    // Optional: when omitted, the stored customer base is analysed
+    customers: Joi.array().items(Joi.object()).min(1).max(10000),
+    issueType: issueTypeSchema,
     options: Joi.object({
       useAI: Joi.boolean().default(false),
       aiProvider: Joi.string().valid('gemini', 'openai').default('gemini'),
       confidenceThreshold: Joi.number().min(0).max(1).default(0.7),
-      maxResults: Joi.number().min(1).max(1000).default(100)
+      maxResults: Joi.number().min(1).max(1000).default(100),
+      // Only customers the latest customer upload moved into the issue
+      onlyTransitions: Joi.boolean().default(false)
     }).default({})
   });
 
@@ -109,29 +248,37 @@ function validateAnalysisRequest(req, res, next) {
     });
   }
 
+  if (!ruleStore.get(value.issueType)) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: `No customer rule exists for issue type '${value.issueType}'`,
+      field: 'issueType'
+    });
+  }
+
   req.body = value;
   next();
 }
 
 function validateLetterRequest(req, res, next) {
+  // Bulk generation streams its progress, so it can take far larger batches
+  const maxCustomers = req.path === '/bulk-generate' ? 10000 : 1000;
   const schema = Joi.object({
     customers: Joi.array().items(Joi.object().keys({
       NAME: Joi.string().required(),
       ACCOUNT_NO: Joi.string().required()
-    }).unknown(true)).min(1).max(1000).required(),
-    issueType: Joi.string().valid(
-      'account_closure', 
-      'kyc_update', 
-      'loan_default', 
-      'fee_waiver', 
-      'document_expiry'
-    ).required(),
+    }).unknown(true)).min(1).max(maxCustomers).required(),
+    issueType: issueTypeSchema,
     customMessage: Joi.string().allow('').max(500).default(''),
     options: Joi.object({
       generatePDF: Joi.boolean().default(false),
+      // Overrides each customer's PREFERRED_LANGUAGE for the whole batch
+      language: Joi.string().valid(...languageCodes),
       includeHeader: Joi.boolean().default(true),
       includeFooter: Joi.boolean().default(true),
-      batchSize: Joi.number().min(1).max(100).default(10)
+      batchSize: Joi.number().min(1).max(100).default(10),
+      // Print batches: keep only customers with neither email nor mobile
+      postalOnly: Joi.boolean().default(false)
     }).default({})
   });
 
@@ -144,6 +291,17 @@ function validateLetterRequest(req, res, next) {
     });
   }
 
+  // Answered as generateLetterContent would: 409 for an unapproved draft, 422 for no template
+  try {
+    requireApprovedTemplate(value.issueType);
+  } catch (templateError) {
+    return res.status(templateError.status).json({
+      error: 'Validation failed',
+      message: templateError.message,
+      field: 'issueType'
+    });
+  }
+
   req.body = value;
   next();
 }
@@ -155,17 +313,16 @@ function validateEmailRequest(req, res, next) {
       ACCOUNT_NO: Joi.string().required(),
       EMAIL: Joi.string().email().allow('', null)
     }).unknown(true)).min(1).max(500).required(),
-    subject: Joi.string().max(200).default(''),
-    content: Joi.string().required().max(10000),
-    issueType: Joi.string().valid(
-      'account_closure', 
-      'kyc_update', 
-      'loan_default', 
-      'fee_waiver', 
-      'document_expiry'
-    ).required(),
+    issueType: issueTypeSchema,
     options: Joi.object({
       includeAttachment: Joi.boolean().default(false),
+      // Lock the attached PDF with the customer's DOB + last 4 digits of the account
+      protectAttachment: Joi.boolean().default(false),
+      // Added to each customer's letter, which is rendered from the approved template
+      customMessage: Joi.string().allow('').max(500).default(''),
+      language: Joi.string().valid(...languageCodes),
+      // Send an SMS to MOBILE for customers who cannot be emailed
+      smsFallback: Joi.boolean().default(false),
       sendCopy: Joi.boolean().default(false),
       priority: Joi.string().valid('high', 'normal', 'low').default('normal'),
       delayMs: Joi.number().min(500).max(10000).default(1000),
@@ -183,6 +340,299 @@ function validateEmailRequest(req, res, next) {
     });
   }
 
+  if (!templateStore.getApproved(value.issueType)) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: `Template '${value.issueType}' has no approved version yet`,
+      field: 'issueType'
+    });
+  }
+
+  req.body = value;
+  next();
+}
+
+function validateTemplateRequest(req, res, next) {
+  const isUpdate = req.method === 'PUT';
+  const schema = Joi.object({
+    id: isUpdate ? Joi.forbidden() : Joi.string().trim().lowercase().pattern(/^[a-z][a-z0-9_]{2,49}$/).required()
+      .messages({ 'string.pattern.base': 'Template id must be 3-50 lowercase letters, digits or underscores' }),
+    name: isUpdate ? Joi.string().trim().max(100) : Joi.string().trim().max(100).required(),
+    description: Joi.string().trim().allow('').max(500),
+    category: Joi.string().trim().allow('').max(100),
+    urgency: isUpdate ? Joi.string().valid(...TEMPLATE_URGENCIES) : Joi.string().valid(...TEMPLATE_URGENCIES).default('medium'),
+    followUpDays: isUpdate ? Joi.number().integer().min(1).max(3650) : Joi.number().integer().min(1).max(3650).default(30),
+    subject: isUpdate ? Joi.string().trim().max(300) : Joi.string().trim().max(300).required(),
+    body: isUpdate ? Joi.string().max(20000) : Joi.string().max(20000).required(),
+    translations: Joi.object().pattern(
+      Joi.string().valid(...translationCodes),
+      Joi.object({
+        subject: Joi.string().trim().max(300).required(),
+        body: Joi.string().max(20000).required()
+      }).allow(null)
+    )
+  });
+
+  const { error, value } = (isUpdate ? schema.min(1) : schema).validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: error.details[0].message,
+      field: error.details[0].path[0]
+    });
+  }
+
+  req.body = value;
+  next();
+}
+
+function validateTemplateReview(req, res, next) {
+  const schema = Joi.object({
+    reason: Joi.string().trim().allow('').max(500)
+  });
+
+  const { error, value } = schema.validate(req.body || {});
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: error.details[0].message,
+      field: error.details[0].path[0]
+    });
+  }
+
+  req.body = value;
+  next();
+}
+
+// Condition trees are checked by the rule engine when the rule is saved
+function validateRuleRequest(req, res, next) {
+  const paramCheck = Joi.string().pattern(/^[a-z][a-z0-9_]{2,49}$/)
+    .messages({ 'string.pattern.base': 'Issue type must be 3-50 lowercase letters, digits or underscores' })
+    .validate(req.params.issueType);
+  if (paramCheck.error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: paramCheck.error.details[0].message,
+      field: 'issueType'
+    });
+  }
+
+  const schema = Joi.object({
+    name: Joi.string().trim().max(100),
+    description: Joi.string().trim().allow('').max(500),
+    conditions: Joi.object().unknown(true).required()
+  });
+
+  const { error, value } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: error.details[0].message,
+      field: error.details[0].path[0]
+    });
+  }
+
+  req.body = value;
+  next();
+}
+
+// Column mappings themselves are checked by the profile store against the field catalog
+function validateMappingProfile(req, res, next) {
+  const paramCheck = Joi.string().trim().pattern(/^[\w .()-]{1,60}$/)
+    .messages({ 'string.pattern.base': 'Profile name must be 1-60 letters, digits, spaces or . _ - ( )' })
+    .validate(req.params.name);
+  if (paramCheck.error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: paramCheck.error.details[0].message,
+      field: 'name'
+    });
+  }
+
+  const schema = Joi.object({
+    mapping: Joi.object().pattern(Joi.string(), Joi.string().allow(null, '')).min(1).required()
+  });
+
+  const { error, value } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: error.details[0].message,
+      field: error.details[0].path[0]
+    });
+  }
+
+  req.body = value;
+  next();
+}
+
+// Bounce webhook: parsed events from a provider, or raw DSN messages to parse here
+function validateBounceRequest(req, res, next) {
+  const schema = Joi.object({
+    events: Joi.array().items(Joi.object({
+      email: Joi.string().trim().email().required(),
+      type: Joi.string().valid('hard', 'soft').default('hard'),
+      messageId: Joi.string().trim(),
+      status: Joi.string().trim().max(20),
+      diagnostic: Joi.string().max(1000)
+    })).min(1).max(1000),
+    messages: Joi.array().items(Joi.string().max(1024 * 1024)).min(1).max(500)
+  }).xor('events', 'messages');
+
+  const { error, value } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: error.details[0].message,
+      field: error.details[0].path[0]
+    });
+  }
+
+  req.body = value;
+  next();
+}
+
+function validateScheduleRequest(req, res, next) {
+  const schema = Joi.object({
+    name: Joi.string().trim().max(100),
+    issueType: issueTypeSchema,
+    customMessage: Joi.string().allow('').max(500).default(''),
+    // Omit to pick customers with the issue type's rule at every run
+    accountNos: Joi.array().items(Joi.string().trim()).min(1).max(10000),
+    runAt: Joi.date().iso().required(),
+    recurrence: Joi.object({
+      frequency: Joi.string().valid(...SCHEDULE_FREQUENCIES).required(),
+      interval: Joi.number().integer().min(1).max(12).default(1),
+      until: Joi.date().iso()
+    }),
+    options: Joi.object({
+      language: Joi.string().valid(...languageCodes),
+      includeAttachment: Joi.boolean().default(false),
+      protectAttachment: Joi.boolean().default(false),
+      smsFallback: Joi.boolean().default(false),
+      delayMs: Joi.number().min(500).max(10000).default(1000),
+      batchSize: Joi.number().min(1).max(10).default(5),
+      batchDelayMs: Joi.number().min(1000).max(30000).default(5000)
+    }).default({})
+  });
+
+  const { error, value } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: error.details[0].message,
+      field: error.details[0].path[0]
+    });
+  }
+
+  if (!templateStore.getApproved(value.issueType)) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: `No approved letter template exists for issue type '${value.issueType}'`,
+      field: 'issueType'
+    });
+  }
+
+  if (!value.accountNos && !ruleStore.get(value.issueType)) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: `No customer rule exists for issue type '${value.issueType}'; list accountNos instead`,
+      field: 'accountNos'
+    });
+  }
+
+  req.body = value;
+  next();
+}
+
+function validateLogQuery(req, res, next) {
+  const schema = Joi.object({
+    accountNo: Joi.string().trim().max(30),
+    issueType: Joi.string().trim().max(50),
+    status: Joi.string().valid(...AUDIT_OUTCOMES),
+    channel: Joi.string().valid(...AUDIT_CHANNELS),
+    from: Joi.date().iso(),
+    to: Joi.date().iso(),
+    limit: Joi.number().integer().min(1).max(1000).default(100),
+    offset: Joi.number().integer().min(0).default(0)
+  });
+
+  const { error, value } = schema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: error.details[0].message,
+      field: error.details[0].path[0]
+    });
+  }
+
+  // Keep the raw date strings so a bare "to" date can cover the whole day
+  req.auditQuery = { ...value, from: req.query.from, to: req.query.to };
+  next();
+}
+
+function validateLoginRequest(req, res, next) {
+  const schema = Joi.object({
+    username: Joi.string().trim().min(3).max(50).required(),
+    password: Joi.string().min(1).max(200).required()
+  });
+
+  const { error, value } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: error.details[0].message,
+      field: error.details[0].path[0]
+    });
+  }
+
+  req.body = value;
+  next();
+}
+
+function validateUserRequest(req, res, next) {
+  const isUpdate = req.method === 'PATCH';
+  const schema = Joi.object({
+    username: isUpdate ? Joi.forbidden() : Joi.string().trim().alphanum().min(3).max(50).required(),
+    password: isUpdate ? Joi.string().min(8).max(200) : Joi.string().min(8).max(200).required(),
+    name: Joi.string().trim().max(100),
+    role: isUpdate ? Joi.string().valid(...ROLES) : Joi.string().valid(...ROLES).required(),
+    active: isUpdate ? Joi.boolean() : Joi.forbidden()
+  });
+
+  const { error, value } = (isUpdate ? schema.min(1) : schema).validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: error.details[0].message,
+      field: error.details[0].path[0]
+    });
+  }
+
+  req.body = value;
+  next();
+}
+
+function validateChatRequest(req, res, next) {
+  const schema = Joi.object({
+    message: Joi.string().trim().min(1).max(1000).required(),
+    context: Joi.object().unknown(true).default({}),
+    conversationHistory: Joi.array().items(Joi.object({
+      user: Joi.string().allow('').max(2000),
+      bot: Joi.string().allow('').max(4000),
+      timestamp: Joi.string().allow('')
+    }).unknown(true)).max(50).default([])
+  });
+
+  const { error, value } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: error.details[0].message,
+      field: error.details[0].path[0]
+    });
+  }
+
   req.body = value;
   next();
 }
@@ -206,22 +656,14 @@ function validateFileUpload(req, res, next) {
   if (!req.file) {
     return res.status(400).json({
       error: 'No file uploaded',
-      message: 'Please select an Excel file to upload'
+      message: 'Please select an Excel or text file to upload'
     });
   }
 
-  const allowedMimeTypes = [
-    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-    'application/vnd.ms-excel'
-  ];
-
-  const allowedExtensions = ['.xlsx', '.xls'];
-  const fileExtension = require('path').extname(req.file.originalname).toLowerCase();
-
-  if (!allowedMimeTypes.includes(req.file.mimetype) && !allowedExtensions.includes(fileExtension)) {
+  if (!customerImport.isSupportedFile(req.file)) {
     return res.status(400).json({
       error: 'Invalid file type',
-      message: 'Only Excel files (.xlsx, .xls) are allowed'
+      message: customerImport.unsupportedFileError().message
     });
   }
 
@@ -237,9 +679,22 @@ function validateFileUpload(req, res, next) {
 
 module.exports = {
   validateCustomerData,
+  validateCustomerRecord,
+  validateCustomerPatch,
+  resolveCustomerRefs,
   validateAnalysisRequest,
   validateLetterRequest,
   validateEmailRequest,
+  validateTemplateRequest,
+  validateTemplateReview,
+  validateRuleRequest,
+  validateMappingProfile,
+  validateScheduleRequest,
+  validateBounceRequest,
+  validateLogQuery,
+  validateLoginRequest,
+  validateUserRequest,
+  validateChatRequest,
   validateFileUpload,
   customerSchema
 };
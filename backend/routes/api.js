@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const issueTypeCatalog = require('../services/issue-types');
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -28,54 +29,85 @@ router.get('/info', (req, res) => {
       'Interactive chatbot assistance'
     ],
     endpoints: {
+      issueTypes: 'GET /api/issue-types',
+      auth: {
+        login: 'POST /api/auth/login',
+        me: 'GET /api/auth/me',
+        users: 'GET|POST /api/auth/users (admin)',
+        updateUser: 'PATCH /api/auth/users/:id (admin)'
+      },
       customers: {
-        upload: 'POST /api/customers/upload',
-        analyze: 'POST /api/customers/analyze'
+        list: 'GET /api/customers',
+        get: 'GET /api/customers/:accountNo',
+        create: 'POST /api/customers',
+        replace: 'PUT /api/customers/:accountNo',
+        update: 'PATCH /api/customers/:accountNo',
+        delete: 'DELETE /api/customers/:accountNo (branch manager)',
+        stats: 'GET /api/customers/stats',
+        upload: 'POST /api/customers/upload (Excel, CSV, TSV, pipe-delimited or fixed-width text)',
+        importFormats: 'GET /api/customers/import-formats',
+        imports: 'GET /api/customers/imports (recent uploads and what they changed)',
+        mappingProfiles: 'GET /api/customers/mapping-profiles',
+        saveMappingProfile: 'PUT /api/customers/mapping-profiles/:name',
+        deleteMappingProfile: 'DELETE /api/customers/mapping-profiles/:name (branch manager)',
+        analyze: 'POST /api/customers/analyze',
+        rules: 'GET /api/customers/rules',
+        rule: 'GET /api/customers/rules/:issueType',
+        saveRule: 'PUT /api/customers/rules/:issueType (branch manager)',
+        deleteRule: 'DELETE /api/customers/rules/:issueType (branch manager)'
       },
       letters: {
         generate: 'POST /api/letters/generate',
+        bulkGenerate: 'POST /api/letters/bulk-generate (streams NDJSON progress events)',
+        printBatch: 'POST /api/letters/print-batch (merged letters PDF, mailing labels, dispatch register CSV)',
         preview: 'POST /api/letters/preview',
-        templates: 'GET /api/letters/templates'
+        templates: 'GET /api/letters/templates',
+        template: 'GET /api/letters/templates/:templateId',
+        createTemplate: 'POST /api/letters/templates (branch manager)',
+        updateTemplate: 'PUT /api/letters/templates/:templateId (branch manager, creates a draft)',
+        approveTemplate: 'POST /api/letters/templates/:templateId/versions/:version/approve (branch manager, not the author)',
+        rejectTemplate: 'POST /api/letters/templates/:templateId/versions/:version/reject (branch manager)',
+        templateVersion: 'GET /api/letters/templates/:templateId/versions/:version',
+        effectiveTemplate: 'GET /api/letters/templates/:templateId/effective?at=',
+        deleteTemplate: 'DELETE /api/letters/templates/:templateId (branch manager, retires it)'
       },
       email: {
-        send: 'POST /api/email/send',
-        test: 'POST /api/email/test'
+        send: 'POST /api/email/send (branch manager, queues a job)',
+        bulkSend: 'POST /api/email/bulk-send (branch manager, queues a job)',
+        job: 'GET /api/email/jobs/:id (branch manager)',
+        delivery: 'GET /api/email/deliveries/:messageId (branch manager)',
+        bounces: 'POST /api/email/bounces (branch manager, events or raw DSN messages)',
+        importBounces: 'POST /api/email/bounces/import (branch manager, reads EMAIL_BOUNCE_MAILBOX)',
+        suppressions: 'GET /api/email/suppressions (branch manager)',
+        removeSuppression: 'DELETE /api/email/suppressions/:email (branch manager)',
+        schedules: 'GET|POST /api/email/schedules (branch manager)',
+        schedule: 'GET /api/email/schedules/:id (branch manager)',
+        cancelSchedule: 'DELETE /api/email/schedules/:id (branch manager)',
+        test: 'POST /api/email/test (branch manager)'
+      },
+      chat: {
+        message: 'POST /api/chat'
+      },
+      logs: {
+        query: 'GET /api/logs?accountNo=&issueType=&status=&channel=&from=&to= (branch manager)',
+        verify: 'GET /api/logs/verify (branch manager)'
       }
     }
   });
 });
 
-// Get available issue types
+// Get available issue types, each with the rule and approved template it is sent with
 router.get('/issue-types', (req, res) => {
-  res.json({
-    issueTypes: {
-      account_closure: {
-        name: 'Account Closure Notice',
-        description: 'For accounts with zero or low balance that may be closed',
-        criteria: 'Balance ≤ ₹100 or no transactions in 90+ days'
-      },
-      kyc_update: {
-        name: 'KYC Update Required',
-        description: 'For customers with expired or missing KYC documents',
-        criteria: 'Missing email, expired KYC status, or incomplete documents'
-      },
-      loan_default: {
-        name: 'Loan Payment Reminder',
-        description: 'For customers with overdue loan payments',
-        criteria: 'Outstanding loan amount > ₹0 or overdue EMI'
-      },
-      fee_waiver: {
-        name: 'Fee Waiver Information',
-        description: 'For eligible customers (senior citizens, students)',
-        criteria: 'Age > 60 years or student account type'
-      },
-      document_expiry: {
-        name: 'Document Expiry Notice',
-        description: 'For customers with expiring identity/address documents',
-        criteria: 'Documents expiring within 60 days'
-      }
-    }
-  });
+  try {
+    const issueTypes = {};
+    issueTypeCatalog.getIds().forEach(id => {
+      issueTypes[id] = issueTypeCatalog.describe(id);
+    });
+    res.json({ issueTypes });
+  } catch (error) {
+    console.error('Issue type listing error:', error);
+    res.status(500).json({ error: 'Failed to list issue types', message: error.message });
+  }
 });
 
 module.exports = router;
@@ -0,0 +1,90 @@
+const express = require('express');
+const userStore = require('../services/user-store');
+const { authenticate, requireRole, issueToken } = require('../middleware/auth');
+const { validateLoginRequest, validateUserRequest } = require('../middleware/validation');
+const router = express.Router();
+
+// Exchange username/password for a bearer token
+router.post('/login', validateLoginRequest, (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const user = userStore.authenticate(username, password);
+
+    if (!user) {
+      console.warn(`Failed login attempt for "${username}"`);
+      return res.status(401).json({
+        error: 'Login failed',
+        message: 'Invalid username or password'
+      });
+    }
+
+    const { token, expiresAt } = issueToken(user);
+    console.log(`User "${user.username}" logged in (${user.role})`);
+
+    res.json({
+      success: true,
+      token,
+      expiresAt,
+      user
+    });
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      error: 'Login failed',
+      message: 'Unable to process login. Please try again.'
+    });
+  }
+});
+
+// Current user for the supplied token
+router.get('/me', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    user: req.user
+  });
+});
+
+// ---------------- User administration (admin only) ----------------
+router.get('/users', authenticate, requireRole('admin'), (req, res) => {
+  try {
+    const users = userStore.list();
+    res.json({ success: true, users, count: users.length });
+  } catch (error) {
+    console.error('User list error:', error);
+    res.status(500).json({ error: 'User list failed', message: 'Unable to load users' });
+  }
+});
+
+router.post('/users', authenticate, requireRole('admin'), validateUserRequest, (req, res) => {
+  try {
+    const user = userStore.create(req.body);
+    res.status(201).json({ success: true, user });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: 'User creation failed',
+      message: error.message
+    });
+  }
+});
+
+router.patch('/users/:id', authenticate, requireRole('admin'), validateUserRequest, (req, res) => {
+  try {
+    if (req.params.id === req.user.id && (req.body.role || req.body.active === false)) {
+      return res.status(400).json({
+        error: 'User update failed',
+        message: 'You cannot change your own role or deactivate your own account'
+      });
+    }
+
+    const user = userStore.update(req.params.id, req.body);
+    res.json({ success: true, user });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: 'User update failed',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
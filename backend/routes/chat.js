@@ -0,0 +1,35 @@
+const express = require('express');
+const aiService = require('../services/ai-service');
+const { validateChatRequest } = require('../middleware/validation');
+const router = express.Router();
+
+// Number of earlier exchanges passed to the model
+const HISTORY_LIMIT = parseInt(process.env.CHAT_HISTORY_LIMIT || '5', 10) || 5;
+
+// Answer a chatbot message, using Gemini when configured
+router.post('/', validateChatRequest, async (req, res) => {
+  try {
+    const { message, context, conversationHistory } = req.body;
+    const history = conversationHistory.slice(-HISTORY_LIMIT);
+
+    const reply = await aiService.generateChatReply(message, context, history);
+
+    res.json({
+      success: true,
+      response: reply.response,
+      source: reply.source,
+      historyUsed: history.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Chat error:', error);
+    res.status(500).json({
+      error: 'Chat failed',
+      message: 'Unable to answer right now. Please try again.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -1,22 +1,33 @@
 // backend/routes/customers.js
 const express = require('express');
 const multer = require('multer');
-const XLSX = require('xlsx');
 const path = require('path');
 const fs = require('fs');
-const { validateCustomerData, validateAnalysisRequest } = require('../middleware/validation');
+const {
+  validateCustomerData,
+  validateCustomerRecord,
+  validateCustomerPatch,
+  validateAnalysisRequest,
+  validateRuleRequest,
+  validateMappingProfile
+} = require('../middleware/validation');
 const aiService = require('../services/ai-service');
+const customerStore = require('../services/customer-store');
+const ruleStore = require('../services/rule-store');
+const issueTypeCatalog = require('../services/issue-types');
+const customerImport = require('../services/customer-import');
+const mappingProfileStore = require('../services/mapping-profile-store');
+const importDiff = require('../services/import-diff');
+const importHistory = require('../services/import-history');
+const pendingImports = require('../services/pending-imports');
+const duplicateDetector = require('../../shared/duplicate-detector');
+const sheetRoles = require('../../shared/sheet-roles');
+const { normalizeAccountKey, getAccountValue, getActor } = require('../utils/helpers');
+const { requireRole, hasRole } = require('../middleware/auth');
 const router = express.Router();
 
-/**
- * Simple in-memory fallback sample customers.
- * If you have database/customers.json it will be used by the GET / route.
- */
-const sampleCustomers = [
-  { NAME: 'Amit Sharma', ACCOUNT_NO: 'SBIN0001001', BALANCE: 12500.50, EMAIL: 'amit@example.com', MOBILE: '9876543210', AGE: 35, KYC_STATUS: 'Verified' },
-  { NAME: 'Sita Rao', ACCOUNT_NO: 'SBIN0001002', BALANCE: 2500.75, EMAIL: 'sita@example.com', MOBILE: '9876501234', AGE: 62, KYC_STATUS: 'Expired' },
-  { NAME: 'Ramesh Gupta', ACCOUNT_NO: 'SBIN0001003', BALANCE: -500.00, EMAIL: 'ramesh@example.com', MOBILE: '9876512345', AGE: 45, KYC_STATUS: 'Pending' }
-];
+// Entries of long upload lists (import diff, unmatched sheet accounts) returned inline
+const REPORT_SAMPLE_SIZE = 100;
 
 // ---------------- Multer upload setup ----------------
 const storage = multer.diskStorage({
@@ -44,19 +55,11 @@ const upload = multer({
     files: 1
   },
   fileFilter: (req, file, cb) => {
-    // Accept either the spreadsheet mimetypes or extension
-    const allowedMimes = [
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-      'application/vnd.ms-excel',
-      'application/octet-stream' // sometimes browsers send this
-    ];
-    const ext = path.extname(file.originalname).toLowerCase();
-    const allowedExt = ['.xlsx', '.xls'];
-
-    if (allowedMimes.includes(file.mimetype) || allowedExt.includes(ext)) {
+    // Accept spreadsheets and delimited or fixed-width text exports, by mimetype or extension
+    if (customerImport.isSupportedFile(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Only Excel files (.xlsx, .xls) are allowed'));
+      cb(customerImport.unsupportedFileError());
     }
   }
 });
@@ -70,81 +73,177 @@ function safeUnlink(filepath) {
   }
 }
 
-function normalizeAccountKey(obj) {
-  // Accept different casing: ACCOUNT_NO, accountNo, account_no, AccountNumber etc.
-  if (!obj) return obj;
-  const ret = { ...obj };
-  const keys = Object.keys(obj);
-  const accountKey = keys.find(k => /account[_\s-]*no$|^accountno$|^account$/i.test(k));
-  if (accountKey && accountKey !== 'ACCOUNT_NO') {
-    ret.ACCOUNT_NO = obj[accountKey];
-  } else if (!ret.ACCOUNT_NO) {
-    // also check common alternative names
-    const alt = keys.find(k => /acc(?:ount)?[_\s-]*no|accno|accountnumber/i.test(k));
-    if (alt) ret.ACCOUNT_NO = obj[alt];
-  }
-  return ret;
-}
-
-function getAccountValue(obj) {
-  const normalized = normalizeAccountKey(obj);
-  return normalized.ACCOUNT_NO || normalized.account_no || normalized.accountNo || normalized.Account || '';
+// Map customer store errors (which carry an HTTP status) onto a JSON response
+function sendStoreError(res, err, action) {
+  const status = err && err.status ? err.status : 500;
+  if (status >= 500) console.error(`Customer ${action} error:`, err);
+  return res.status(status).json({
+    error: status === 404 ? 'Customer not found' : `Unable to ${action} customer`,
+    message: err && err.message ? err.message : String(err)
+  });
 }
 
 // ---------------- GET / -> return customers list ----------------
 router.get('/', (req, res) => {
   try {
-    const dataFile = path.join(__dirname, '../database/customers.json');
-    if (fs.existsSync(dataFile)) {
-      const content = fs.readFileSync(dataFile, 'utf8');
-      try {
-        const parsed = JSON.parse(content);
-        // if stored as { customers: [...] } support that shape
-        if (Array.isArray(parsed)) {
-          return res.json(parsed);
-        } else if (parsed && Array.isArray(parsed.customers)) {
-          return res.json(parsed.customers);
-        } else {
-          // unknown shape — fall back to sample
-          console.warn('customers.json has unexpected shape, falling back to sample data');
-          return res.json(sampleCustomers);
-        }
-      } catch (err) {
-        console.warn('Error parsing database/customers.json, fallback to sampleCustomers:', err.message);
-        return res.json(sampleCustomers);
-      }
-    } else {
-      // No file — return sample
-      return res.json(sampleCustomers);
-    }
+    return res.json(customerStore.getAll());
   } catch (err) {
     console.error('GET /api/customers error:', err);
     return res.status(500).json({ error: 'Unable to load customers', message: err.message });
   }
 });
 
+// ---------------- Stats endpoint ----------------
+// Registered before /:accountNo so "stats" is not treated as an account number
+router.get('/stats', (req, res) => {
+  try {
+    const customers = customerStore.getAll();
+    const inactive = filterCustomersByRule(customers, 'account_closure').length;
+    res.json({
+      totalCustomers: customers.length,
+      activeAccounts: customers.length - inactive,
+      pendingKyc: filterCustomersByRule(customers, 'kyc_update').length,
+      lowBalanceAccounts: customers.filter(c => (parseFloat(c.BALANCE || 0) || 0) <= 100).length,
+      loanDefaults: filterCustomersByRule(customers, 'loan_default').length,
+      lastUpdated: new Date().toISOString()
+    });
+  } catch (err) {
+    console.error('GET /api/customers/stats error:', err);
+    res.status(500).json({ error: 'Unable to compute statistics', message: err.message });
+  }
+});
+
+// ---------------- Customer selection rules ----------------
+// Registered before /:accountNo for the same reason as /stats
+router.get('/rules', (req, res) => {
+  try {
+    const rules = ruleStore.getAll();
+    res.json({ success: true, rules, count: rules.length });
+  } catch (err) {
+    sendRuleError(res, err, 'load');
+  }
+});
+
+router.get('/rules/:issueType', (req, res) => {
+  try {
+    res.json({ success: true, rule: ruleStore.require(req.params.issueType) });
+  } catch (err) {
+    sendRuleError(res, err, 'load');
+  }
+});
+
+// Create or replace an issue type's rule; takes effect for the next analysis
+router.put('/rules/:issueType', requireRole('branch_manager'), validateRuleRequest, (req, res) => {
+  try {
+    const { rule, created } = ruleStore.put(req.params.issueType, req.body, getActor(req));
+    console.log(`Rule '${rule.issueType}' v${rule.version} saved by ${getActor(req)}`);
+    res.status(created ? 201 : 200).json({ success: true, rule });
+  } catch (err) {
+    sendRuleError(res, err, 'save');
+  }
+});
+
+router.delete('/rules/:issueType', requireRole('branch_manager'), (req, res) => {
+  try {
+    const rule = ruleStore.remove(req.params.issueType);
+    console.log(`Rule '${rule.issueType}' deleted by ${getActor(req)}`);
+    res.json({ success: true, deleted: rule.issueType });
+  } catch (err) {
+    sendRuleError(res, err, 'delete');
+  }
+});
+
+// ---------------- GET /import-formats -> file types accepted by /upload ----------------
+// Registered before /:accountNo; the browser uses the fixed-width layout to parse files itself
+router.get('/import-formats', (req, res) => {
+  try {
+    res.json({ success: true, ...customerImport.getFormats() });
+  } catch (err) {
+    console.error('GET /api/customers/import-formats error:', err);
+    res.status(500).json({ error: 'Unable to load import formats', message: err.message });
+  }
+});
+
+// ---------------- GET /imports -> recent committed uploads and what they changed ----------------
+// Registered before /:accountNo
+router.get('/imports', (req, res) => {
+  try {
+    const imports = importHistory.list();
+    res.json({ success: true, imports, count: imports.length });
+  } catch (err) {
+    console.error('GET /api/customers/imports error:', err);
+    res.status(500).json({ error: 'Unable to load import history', message: err.message });
+  }
+});
+
+// ---------------- POST /imports/:id/confirm -> store a previewed upload (branch manager) ----------------
+router.post('/imports/:id/confirm', requireRole('branch_manager'), (req, res) => {
+  try {
+    const pending = pendingImports.require(req.params.id);
+    // Diffed again: the store may have changed since the preview
+    const diff = importDiff.diff(pending.customers);
+    const stored = customerStore.upsertMany(pending.customers);
+    const entry = importHistory.record(diff, pending.fileName, getActor(req), pending.id);
+    pendingImports.remove(pending.id);
+
+    console.log(`Import ${entry.id} confirmed by ${getActor(req)}: ${stored.created} created, ${stored.updated} updated`);
+    res.json({
+      success: true,
+      importId: entry.id,
+      count: pending.customers.length,
+      stored,
+      diff: buildDiffReport(diff, pending.fileName)
+    });
+  } catch (err) {
+    sendImportError(res, err, 'confirm');
+  }
+});
+
+// ---------------- DELETE /imports/:id -> discard a previewed upload ----------------
+router.delete('/imports/:id', (req, res) => {
+  try {
+    const discarded = pendingImports.remove(req.params.id);
+    res.json({ success: true, discarded: discarded.id });
+  } catch (err) {
+    sendImportError(res, err, 'discard');
+  }
+});
+
+// ---------------- Column mapping profiles ----------------
+// Saved per source system and applied to later uploads whose headers they fit
+router.get('/mapping-profiles', (req, res) => {
+  try {
+    const profiles = mappingProfileStore.getAll();
+    res.json({ success: true, profiles, count: profiles.length });
+  } catch (err) {
+    sendProfileError(res, err, 'load');
+  }
+});
+
+router.put('/mapping-profiles/:name', requireRole('branch_manager'), validateMappingProfile, (req, res) => {
+  try {
+    const { profile, created } = mappingProfileStore.put(req.params.name, req.body.mapping, getActor(req));
+    console.log(`Mapping profile '${profile.name}' saved by ${getActor(req)}`);
+    res.status(created ? 201 : 200).json({ success: true, profile });
+  } catch (err) {
+    sendProfileError(res, err, 'save');
+  }
+});
+
+router.delete('/mapping-profiles/:name', requireRole('branch_manager'), (req, res) => {
+  try {
+    const profile = mappingProfileStore.remove(req.params.name);
+    console.log(`Mapping profile '${profile.name}' deleted by ${getActor(req)}`);
+    res.json({ success: true, deleted: profile.name });
+  } catch (err) {
+    sendProfileError(res, err, 'delete');
+  }
+});
+
 // ---------------- GET /:accountNo -> single customer ----------------
 router.get('/:accountNo', (req, res) => {
   try {
-    const accountNo = req.params.accountNo;
-    // Prefer database file if exists
-    const dataFile = path.join(__dirname, '../database/customers.json');
-    let customers = sampleCustomers;
-    if (fs.existsSync(dataFile)) {
-      try {
-        const content = fs.readFileSync(dataFile, 'utf8');
-        const parsed = JSON.parse(content);
-        if (Array.isArray(parsed)) customers = parsed;
-        else if (parsed && Array.isArray(parsed.customers)) customers = parsed.customers;
-      } catch (err) {
-        // ignore parse error, use sample
-      }
-    }
-    const lower = String(accountNo).toLowerCase();
-    const found = customers.find(c => {
-      const acct = String(getAccountValue(c) || '').toLowerCase();
-      return acct === lower;
-    });
+    const found = customerStore.findByAccount(req.params.accountNo);
     if (!found) return res.status(404).json({ error: 'Customer not found' });
     return res.json(found);
   } catch (err) {
@@ -153,27 +252,81 @@ router.get('/:accountNo', (req, res) => {
   }
 });
 
-// ---------------- POST /upload -> accept Excel upload, parse and return JSON ----------------
+// ---------------- POST / -> create customer ----------------
+router.post('/', validateCustomerRecord, (req, res) => {
+  try {
+    const customer = customerStore.create(req.body);
+    return res.status(201).json({ success: true, customer });
+  } catch (err) {
+    return sendStoreError(res, err, 'create');
+  }
+});
+
+// ---------------- PUT /:accountNo -> replace customer ----------------
+router.put('/:accountNo', validateCustomerRecord, (req, res) => {
+  try {
+    const customer = customerStore.update(req.params.accountNo, req.body);
+    return res.json({ success: true, customer });
+  } catch (err) {
+    return sendStoreError(res, err, 'update');
+  }
+});
+
+// ---------------- PATCH /:accountNo -> update selected fields ----------------
+router.patch('/:accountNo', validateCustomerPatch, (req, res) => {
+  try {
+    const customer = customerStore.patch(req.params.accountNo, req.body);
+    return res.json({ success: true, customer });
+  } catch (err) {
+    return sendStoreError(res, err, 'update');
+  }
+});
+
+// ---------------- DELETE /:accountNo -> remove customer ----------------
+router.delete('/:accountNo', requireRole('branch_manager'), (req, res) => {
+  try {
+    const customer = customerStore.remove(req.params.accountNo);
+    return res.json({ success: true, deleted: getAccountValue(customer) });
+  } catch (err) {
+    return sendStoreError(res, err, 'delete');
+  }
+});
+
+// ---------------- POST /upload -> parse a customer file and preview its import ----------------
+// Excel, CSV, TSV, pipe-delimited or fixed-width text. Optional form fields: format
+// (auto, excel, csv, tsv, pipe, semicolon, fixed), encoding, layout (fixed-width JSON),
+// mapping (confirmed { header: field } JSON), profile (saved mapping to use),
+// saveProfile (name to save the confirmed mapping under), validOnly, duplicateStrategy
+// (merge, keep-first or reject for accounts repeated with different data), sheetRoles
+// ({ sheet: customers | loans | kyc | ignore }) and sheetMappings ({ sheet: mapping })
 router.post('/upload', upload.single('excelFile'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
         error: 'No file uploaded',
-        message: 'Please select an Excel file to upload'
+        message: 'Please select an Excel or text file to upload'
+      });
+    }
+
+    // Saved profiles map every later upload, so only managers may create them
+    if (req.body.saveProfile && !hasRole(req.user, 'branch_manager')) {
+      safeUnlink(req.file.path);
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Saving a mapping profile requires the branch manager role'
       });
     }
 
-    console.log('Processing Excel file:', req.file.originalname);
+    console.log('Processing customer file:', req.file.originalname);
 
-    // Read workbook safely
-    const workbook = XLSX.readFile(req.file.path, { cellDates: true });
+    const { workbook, format, delimiter, encoding } = customerImport.read(req.file.path, req.file.originalname, {
+      format: req.body.format,
+      encoding: req.body.encoding,
+      layout: req.body.layout
+    });
     const sheetNames = workbook.SheetNames || [];
 
-    // Try to find a sheet with "customer" in the name (case-insensitive), otherwise pick first sheet
-    let targetSheet = sheetNames.find(n => /customer/i.test(n)) || sheetNames[0];
-    if (!targetSheet) targetSheet = sheetNames[0] || null;
-
-    if (!targetSheet) {
+    if (sheetNames.length === 0) {
       safeUnlink(req.file.path);
       return res.status(400).json({
         error: 'No sheets found',
@@ -181,8 +334,11 @@ router.post('/upload', upload.single('excelFile'), async (req, res) => {
       });
     }
 
-    const worksheet = workbook.Sheets[targetSheet];
-    const customers = XLSX.utils.sheet_to_json(worksheet, { defval: null });
+    // One sheet holds the customers; loan and KYC document sheets are joined onto it by ACCOUNT_NO
+    const sheets = customerImport.readSheets(workbook, req.body.sheetRoles);
+    const customerSheet = sheets.find(sheet => sheet.role === 'customers');
+    const targetSheet = customerSheet ? customerSheet.name : sheetNames[0];
+    const customers = customerSheet ? customerSheet.rows : [];
 
     // Clean up uploaded file
     safeUnlink(req.file.path);
@@ -190,50 +346,174 @@ router.post('/upload', upload.single('excelFile'), async (req, res) => {
     if (!Array.isArray(customers) || customers.length === 0) {
       return res.status(400).json({
         error: 'Empty file or no rows',
-        message: 'The uploaded Excel file contains no data'
+        message: 'The uploaded file contains no data'
       });
     }
 
-    // Normalize keys for each row (optional)
-    const normalizedCustomers = customers.map(row => {
-      // prefer original keys but ensure ACCOUNT_NO exists
-      const norm = normalizeAccountKey(row);
-      return norm;
+    // Map the file's headers onto customer fields, then make sure ACCOUNT_NO exists
+    const mapping = customerImport.resolveMapping(Object.keys(customers[0]), {
+      mapping: req.body.mapping,
+      profile: req.body.profile
     });
+    const mappedCustomers = customerImport.applyMapping(customers, mapping.mapping)
+      .map(row => normalizeAccountKey(row));
+    const relatedSheets = customerImport.mapRelatedSheets(sheets, req.body.sheetMappings);
+    const sheetSummary = sheets.map(sheet => {
+      const related = relatedSheets.find(r => r.name === sheet.name);
+      return {
+        name: sheet.name,
+        role: sheet.role,
+        rows: sheet.rows.length,
+        mapping: sheet === customerSheet ? undefined : (related ? related.mapping : undefined)
+      };
+    });
+
+    // Guessed mappings are only previewed; the client confirms them by sending `mapping`
+    // (and `sheetMappings` for loan and KYC sheets)
+    if (!mapping.confirmed || relatedSheets.some(sheet => !sheet.mapping.confirmed)) {
+      return res.json({
+        success: true,
+        needsConfirmation: true,
+        count: mappedCustomers.length,
+        customers: mappedCustomers,
+        sheetName: targetSheet,
+        availableSheets: sheetNames,
+        sheets: sheetSummary,
+        format,
+        delimiter,
+        encoding,
+        mapping,
+        message: 'Check the proposed column mapping, then upload again with it confirmed',
+        columns: Object.keys(mappedCustomers[0]),
+        sampleData: mappedCustomers.slice(0, 3)
+      });
+    }
 
-    // Validate data structure if validator exists
+    const joined = sheetRoles.join(mappedCustomers, relatedSheets);
+    const normalizedCustomers = joined.customers;
+    joined.joined.forEach(j => {
+      const summary = sheetSummary.find(sheet => sheet.name === j.sheet);
+      summary.matchedAccounts = j.matched;
+    });
+    joined.unmatched.forEach(u => {
+      const summary = sheetSummary.find(sheet => sheet.name === u.sheet);
+      summary.unmatchedAccounts = u.accounts.slice(0, REPORT_SAMPLE_SIZE);
+      summary.unmatchedCount = u.accounts.length;
+      console.log(`Sheet "${u.sheet}": ${u.accounts.length} accounts have no customer row`);
+    });
+
+    // Validate every row; with validOnly=true the rows that pass are imported and the rest reported
+    let customersToImport = normalizedCustomers;
+    let rowNumbers; // file rows of customersToImport, when not simply index + 2
+    let validationReport;
     if (typeof validateCustomerData === 'function') {
       const validation = validateCustomerData(normalizedCustomers);
       if (!validation || !validation.isValid) {
-        return res.status(400).json({
-          error: 'Invalid data format',
-          message: 'Please check your Excel file format',
-          details: validation ? validation.errors : 'Validation function returned invalid result'
-        });
+        validationReport = validation && validation.rowErrors
+          ? buildValidationReport(validation, req.file.originalname)
+          : undefined;
+
+        const importValidOnly = String(req.body.validOnly) === 'true' && validationReport && validation.validRows > 0;
+        if (!importValidOnly) {
+          return res.status(400).json({
+            error: 'Invalid data format',
+            message: validationReport
+              ? `${validation.invalidRows} of ${validation.totalRows} rows have problems. Fix them or import only the valid rows.`
+              : 'Please check your file format',
+            details: validation ? validation.errors : 'Validation function returned invalid result',
+            validation: validationReport
+          });
+        }
+
+        customersToImport = validation.validCustomers;
+        rowNumbers = validation.validRowNumbers;
+        console.log(`Importing ${validation.validRows} valid rows, skipping ${validation.invalidRows} with problems`);
       }
     }
 
-    console.log(`Successfully parsed ${normalizedCustomers.length} customer records from sheet "${targetSheet}"`);
+    // Repeated accounts: rows that agree are folded into one record; rows that disagree
+    // are not imported until the caller picks a duplicateStrategy
+    const strategy = req.body.duplicateStrategy || null;
+    if (strategy && !duplicateDetector.getStrategies().includes(strategy)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `duplicateStrategy must be one of: ${duplicateDetector.getStrategies().join(', ')}`,
+        field: 'duplicateStrategy'
+      });
+    }
+
+    const duplicateReport = duplicateDetector.detect(customersToImport, rowNumbers);
+    if (duplicateReport.conflictingAccounts.length > 0 && !strategy) {
+      return res.status(409).json({
+        error: 'Conflicting duplicate accounts',
+        message: `${duplicateReport.conflictingAccounts.length} accounts appear more than once with different data. Upload again with duplicateStrategy set to merge, keep-first or reject.`,
+        duplicates: duplicateReport,
+        validation: validationReport
+      });
+    }
+
+    const resolved = duplicateDetector.resolve(customersToImport, duplicateReport, strategy || 'merge', rowNumbers);
+    customersToImport = resolved.customers;
+    const duplicates = {
+      strategy,
+      ...duplicateReport,
+      removedRows: resolved.removedRows,
+      rejectedAccounts: resolved.rejectedAccounts
+    };
+    if (resolved.removedRows.length > 0) {
+      console.log(`Folded ${resolved.removedRows.length} repeated account rows (${strategy || 'no conflicts'})`);
+    }
+
+    // What the extract would change in the stored customer base
+    const diff = importDiff.diff(customersToImport);
+
+    let profile;
+    if (req.body.saveProfile) {
+      profile = mappingProfileStore.put(req.body.saveProfile, mapping.mapping, getActor(req)).profile;
+    }
+
+    console.log(`Successfully parsed ${customersToImport.length} customer records from ${format === 'excel' ? `sheet "${targetSheet}"` : `${format} file (${encoding})`}`);
+
+    // Nothing is stored until the diff has been reviewed and POST /imports/:id/confirm is called
+    const pending = pendingImports.create(customersToImport, req.file.originalname, getActor(req));
 
     return res.json({
       success: true,
-      count: normalizedCustomers.length,
-      customers: normalizedCustomers,
+      count: customersToImport.length,
+      importId: pending.id,
+      expiresAt: pending.expiresAt,
+      customers: customersToImport,
       sheetName: targetSheet,
       availableSheets: sheetNames,
-      message: `Successfully loaded ${normalizedCustomers.length} customer records`,
-      columns: normalizedCustomers.length > 0 ? Object.keys(normalizedCustomers[0]) : [],
-      sampleData: normalizedCustomers.slice(0, 3)
+      sheets: sheetSummary,
+      format,
+      delimiter,
+      encoding,
+      mapping,
+      savedProfile: profile ? profile.name : undefined,
+      validation: validationReport,
+      duplicates,
+      diff: buildDiffReport(diff, req.file.originalname),
+      message: validationReport
+        ? `Loaded ${customersToImport.length} valid customer records; ${validationReport.invalidRows} rows with problems were skipped`
+        : `Successfully loaded ${customersToImport.length} customer records`,
+      columns: customersToImport.length > 0 ? Object.keys(customersToImport[0]) : [],
+      sampleData: customersToImport.slice(0, 3)
     });
   } catch (error) {
-    console.error('Excel parsing error:', error && error.message ? error.message : error);
+    console.error('Customer file parsing error:', error && error.message ? error.message : error);
 
     // Clean up file if it exists
     if (req.file && req.file.path) safeUnlink(req.file.path);
 
+    // Unreadable text files, bad encodings, layouts and mappings, and unknown profiles
+    if (error && error.status && error.status < 500) {
+      return res.status(error.status).json({ error: 'File processing failed', message: error.message, details: error.details });
+    }
+
     return res.status(500).json({
       error: 'File processing failed',
-      message: 'Unable to process the Excel file. Please check the file format and try again.',
+      message: 'Unable to process the file. Please check the file format and try again.',
       details: process.env.NODE_ENV === 'development' ? (error && error.message ? error.message : String(error)) : undefined
     });
   }
@@ -242,9 +522,12 @@ router.post('/upload', upload.single('excelFile'), async (req, res) => {
 // ---------------- POST /analyze -> analyze customers for selected issue ----------------
 router.post('/analyze', validateAnalysisRequest, async (req, res) => {
   try {
-    const { customers, issueType, options = {} } = req.body;
+    const { issueType, options = {} } = req.body;
     const startTime = Date.now();
 
+    // Fall back to the stored customer base when the request carries no rows
+    const customers = req.body.customers || customerStore.getAll();
+
     if (!Array.isArray(customers)) {
       return res.status(400).json({ error: 'Invalid request', message: 'customers must be an array' });
     }
@@ -254,15 +537,35 @@ router.post('/analyze', validateAnalysisRequest, async (req, res) => {
     // Normalize and ensure ACCOUNT_NO for each customer
     const normalized = customers.map(c => normalizeAccountKey(c));
 
-    // Rule-based filtering first
-    const ruleFiltered = filterCustomersByRule(normalized, issueType);
+    // Rule-based filtering first; each match lists the conditions that selected it
+    const rule = ruleStore.get(issueType);
+    let ruleFiltered = filterCustomersByRule(normalized, issueType);
+
+    // Only customers the latest import moved into this issue, e.g. KYC that has just expired
+    let lastImport;
+    if (options.onlyTransitions) {
+      lastImport = importHistory.latest();
+      if (!lastImport) {
+        return res.status(409).json({
+          error: 'No import recorded',
+          message: 'onlyTransitions compares against the latest customer upload, and none has been stored yet'
+        });
+      }
+      ruleFiltered = ruleFiltered.filter(importHistory.transitionFilter(rule, lastImport));
+    }
+    ruleFiltered = ruleFiltered.map(customer => ({
+      ...customer,
+      priority: issueTypeCatalog.getCustomerPriority(issueType, customer)
+    }));
 
     let analysisResult = {
+      rule: { issueType, name: rule.name, version: rule.version },
       totalCustomers: normalized.length,
       ruleBasedMatches: ruleFiltered.length,
       finalMatches: ruleFiltered.length,
       customers: ruleFiltered,
       confidence: 'rule-based',
+      transitionsSince: lastImport ? lastImport.importedAt : undefined,
       processingTime: Date.now() - startTime
     };
 
@@ -308,7 +611,7 @@ router.post('/analyze', validateAnalysisRequest, async (req, res) => {
     }
 
     // Add issue-specific insights
-    analysisResult.insights = generateInsights(issueType, analysisResult.customers);
+    analysisResult.insights = issueTypeCatalog.getInsights(issueType, analysisResult.customers);
     analysisResult.processingTime = Date.now() - startTime;
 
     console.log(`Analysis completed: ${analysisResult.finalMatches} customers affected`);
@@ -317,7 +620,7 @@ router.post('/analyze', validateAnalysisRequest, async (req, res) => {
       success: true,
       issueType,
       analysis: analysisResult,
-      recommendations: getRecommendations(issueType, analysisResult.finalMatches),
+      recommendations: issueTypeCatalog.getRecommendations(issueType, analysisResult.finalMatches),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -331,139 +634,79 @@ router.post('/analyze', validateAnalysisRequest, async (req, res) => {
 });
 
 // ---------------- Rule-based filtering ----------------
+// Thresholds live in database/rules.json and are evaluated by the shared rule engine
 function filterCustomersByRule(customers, issueType) {
-  const currentDate = new Date();
-
-  return customers.filter(customer => {
-    try {
-      switch (issueType) {
-        case 'account_closure': {
-          const bal = parseFloat(customer.BALANCE || customer.balance || 0) || 0;
-          const lastTxRaw = customer.LAST_TRANSACTION || customer.last_transaction || customer.lastTransaction || null;
-          const lastTransaction = lastTxRaw ? new Date(lastTxRaw) : null;
-          const daysSinceLastTransaction = lastTransaction && !isNaN(lastTransaction.getTime())
-            ? Math.floor((currentDate - lastTransaction) / (1000 * 60 * 60 * 24))
-            : 9999;
-          return bal <= 100 || daysSinceLastTransaction > 90;
-        }
-
-        case 'kyc_update': {
-          const email = customer.EMAIL || customer.email || '';
-          const mobile = customer.MOBILE || customer.mobile || '';
-          const kyc = customer.KYC_STATUS || customer.kyc_status || customer.kycStatus || '';
-          return !email || !mobile || /expired|pending/i.test(String(kyc || ''));
-        }
-
-        case 'loan_default': {
-          const outstanding = parseFloat(customer.OUTSTANDING_AMOUNT || customer.outstanding_amount || customer.outstanding || 0) || 0;
-          return outstanding > 0;
-        }
-
-        case 'fee_waiver': {
-          const age = parseInt(customer.AGE || customer.age || 0, 10) || 0;
-          const accType = String(customer.ACCOUNT_TYPE || customer.account_type || '').toLowerCase();
-          const custCat = String(customer.CUSTOMER_CATEGORY || customer.customer_category || '').toLowerCase();
-          return age > 60 || accType === 'student' || custCat.includes('senior');
-        }
-
-        case 'document_expiry': {
-          const status = String(customer.DOC_STATUS || customer.doc_status || customer.docStatus || '').toLowerCase();
-          const days = parseInt(customer.DOC_EXPIRY_DAYS || customer.doc_expiry_days || customer.docExpiryDays || 9999, 10) || 9999;
-          return status === 'expiring' || status === 'expired' || days <= 60;
-        }
+  return ruleStore.match(issueType, customers);
+}
 
-        default:
-          return false;
-      }
-    } catch (err) {
-      console.warn('filterCustomersByRule per-customer error:', err);
-      return false;
-    }
+// Map rule store errors (which carry an HTTP status) onto a JSON response
+function sendRuleError(res, err, action) {
+  const status = err && err.status ? err.status : 500;
+  if (status >= 500) console.error(`Rule ${action} error:`, err);
+  return res.status(status).json({
+    error: status === 404 ? 'Rule not found' : `Unable to ${action} rule`,
+    message: err && err.message ? err.message : String(err),
+    details: status === 400 ? err.details : undefined
   });
 }
 
-// ---------------- Insights & Recommendations ----------------
-function generateInsights(issueType, customers) {
-  const insights = {};
-
-  try {
-    switch (issueType) {
-      case 'account_closure':
-        insights.zeroBalance = customers.filter(c => parseFloat(c.BALANCE || c.balance || 0) === 0).length;
-        insights.lowBalance = customers.filter(c => {
-          const bal = parseFloat(c.BALANCE || c.balance || 0) || 0;
-          return bal > 0 && bal <= 100;
-        }).length;
-        break;
-
-      case 'kyc_update':
-        insights.missingEmail = customers.filter(c => !(c.EMAIL || c.email)).length;
-        insights.missingMobile = customers.filter(c => !(c.MOBILE || c.mobile)).length;
-        insights.expiredKyc = customers.filter(c => /expired/i.test(String(c.KYC_STATUS || c.kyc_status || ''))).length;
-        break;
-
-      case 'loan_default':
-        const totalOutstanding = customers.reduce((sum, c) => sum + (parseFloat(c.OUTSTANDING_AMOUNT || c.outstanding_amount || c.outstanding || 0) || 0), 0);
-        insights.totalOutstanding = totalOutstanding;
-        insights.averageOutstanding = customers.length > 0 ? (totalOutstanding / customers.length) : 0;
-        break;
-
-      default:
-        break;
+// Row validation summary for an upload response, with the full problem list as a CSV download
+function buildValidationReport(validation, fileName) {
+  const report = customerImport.buildErrorReport(validation.rowErrors);
+  return {
+    totalRows: validation.totalRows,
+    validRows: validation.validRows,
+    invalidRows: validation.invalidRows,
+    problems: validation.rowErrors.length,
+    rules: validation.rules,
+    sampleErrors: validation.rowErrors.slice(0, 50),
+    report: {
+      filename: `${path.basename(fileName, path.extname(fileName))}-errors.csv`,
+      contentType: 'text/csv',
+      size: report.length,
+      base64: report.toString('base64')
     }
-  } catch (err) {
-    console.warn('generateInsights error:', err);
-  }
-
-  return insights;
+  };
 }
 
-function getRecommendations(issueType, affectedCount) {
-  const recommendations = [];
-
-  if (!affectedCount || affectedCount === 0) {
-    recommendations.push('No immediate action required for this issue type.');
-    return recommendations;
-  }
-
-  switch (issueType) {
-    case 'account_closure':
-      recommendations.push(`Send account closure warnings to ${affectedCount} customers`);
-      recommendations.push('Follow up with phone calls for high-value accounts');
-      recommendations.push('Offer account reactivation incentives');
-      break;
-
-    case 'kyc_update':
-      recommendations.push(`Initiate KYC update process for ${affectedCount} customers`);
-      recommendations.push('Set up digital KYC collection drive');
-      recommendations.push('Send reminders with document requirements');
-      break;
-
-    case 'loan_default':
-      recommendations.push(`Contact ${affectedCount} customers for payment collection`);
-      recommendations.push('Offer payment restructuring options');
-      recommendations.push('Schedule follow-up calls within 7 days');
-      break;
-
-    default:
-      recommendations.push('Perform manual review for affected customers');
-      break;
-  }
+// Import diff for an upload response: counts, the first entries of each list and every change as CSV
+function buildDiffReport(diff, fileName) {
+  const report = importDiff.buildReport(diff);
+  const sample = list => list.slice(0, REPORT_SAMPLE_SIZE);
+  return {
+    summary: diff.summary,
+    newAccounts: sample(diff.newAccounts),
+    closedAccounts: sample(diff.closedAccounts),
+    balanceChanges: sample(diff.balanceChanges),
+    kycTransitions: sample(diff.kycTransitions),
+    contactChanges: sample(diff.contactChanges),
+    otherChanges: sample(diff.otherChanges),
+    report: {
+      filename: `${path.basename(fileName, path.extname(fileName))}-changes.csv`,
+      contentType: 'text/csv',
+      size: report.length,
+      base64: report.toString('base64')
+    }
+  };
+}
 
-  return recommendations;
+function sendProfileError(res, err, action) {
+  const status = err && err.status ? err.status : 500;
+  if (status >= 500) console.error(`Mapping profile ${action} error:`, err);
+  return res.status(status).json({
+    error: status === 404 ? 'Mapping profile not found' : `Unable to ${action} mapping profile`,
+    message: err && err.message ? err.message : String(err),
+    details: status === 400 ? err.details : undefined
+  });
 }
 
-// ---------------- Stats endpoint ----------------
-router.get('/stats', (req, res) => {
-  // This should normally be backed by DB queries; using sample numbers for now
-  res.json({
-    totalCustomers: 15420,
-    activeAccounts: 14890,
-    pendingKyc: 530,
-    lowBalanceAccounts: 1240,
-    loanDefaults: 85,
-    lastUpdated: new Date().toISOString()
+function sendImportError(res, err, action) {
+  const status = err && err.status ? err.status : 500;
+  if (status >= 500) console.error(`Import ${action} error:`, err);
+  return res.status(status).json({
+    error: status === 404 ? 'Import not found' : `Unable to ${action} import`,
+    message: err && err.message ? err.message : String(err)
   });
-});
+}
 
 module.exports = router;
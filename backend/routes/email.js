@@ -1,106 +1,82 @@
 const express = require('express');
 const emailService = require('../services/email-service');
-const { validateEmailRequest } = require('../middleware/validation');
+const smsService = require('../services/sms-service');
+const emailQueue = require('../services/email-queue');
+const emailScheduler = require('../services/email-scheduler');
+const deliveryStore = require('../services/delivery-store');
+const bounceParser = require('../services/bounce-parser');
+const { getActor } = require('../utils/helpers');
+const { requireRole } = require('../middleware/auth');
+const {
+  validateEmailRequest,
+  validateScheduleRequest,
+  validateBounceRequest,
+  resolveCustomerRefs
+} = require('../middleware/validation');
 const router = express.Router();
 
-// Send emails to selected customers
-router.post('/send', validateEmailRequest, async (req, res) => {
-  try {
-    const { 
-      customers, 
-      subject, 
-      content, 
-      issueType, 
-      options = {} 
-    } = req.body;
-
-    console.log(`Sending emails to ${customers.length} customers for ${issueType}`);
-
-    const results = [];
-    const startTime = Date.now();
-
-    // Process emails with rate limiting to avoid spam detection
-    const delayBetweenEmails = options.delayMs || 1000; // 1 second delay by default
-
-    for (let i = 0; i < customers.length; i++) {
-      const customer = customers[i];
-
-      if (!customer.EMAIL) {
-        results.push({
-          customer: customer.ACCOUNT_NO || customer.NAME,
-          email: 'N/A',
-          status: 'skipped',
-          reason: 'No email address provided'
-        });
-        continue;
-      }
+// Map scheduler errors (which carry an HTTP status) onto a JSON response
+function sendScheduleError(res, err, action) {
+  const status = err && err.status ? err.status : 500;
+  if (status >= 500) console.error(`Schedule ${action} error:`, err);
+  return res.status(status).json({
+    error: status === 404 ? 'Schedule not found' : `Unable to ${action} schedule`,
+    message: err && err.message ? err.message : String(err)
+  });
+}
 
-      try {
-        // Add delay between emails (except for first email)
-        if (i > 0) {
-          await new Promise(resolve => setTimeout(resolve, delayBetweenEmails));
-        }
+// Apply bounce events and summarise what changed
+function applyBounces(events, actor) {
+  const summary = { received: events.length, hard: 0, soft: 0, duplicates: 0, unmatched: 0, suppressed: [] };
 
-        await emailService.sendLetter(customer, subject, content, issueType, options);
-        
-        results.push({
-          customer: customer.ACCOUNT_NO || customer.NAME,
-          email: customer.EMAIL,
-          status: 'sent',
-          sentAt: new Date().toISOString()
-        });
-
-        console.log(`Email sent successfully to ${customer.EMAIL}`);
-
-      } catch (emailError) {
-        console.error(`Email failed for ${customer.EMAIL}:`, emailError.message);
-        
-        results.push({
-          customer: customer.ACCOUNT_NO || customer.NAME,
-          email: customer.EMAIL,
-          status: 'failed',
-          error: emailError.message,
-          errorCode: emailError.code || 'UNKNOWN'
-        });
-      }
+  events.forEach(event => {
+    const result = deliveryStore.applyBounce(event, actor);
+    if (result.duplicate) {
+      summary.duplicates += 1;
+      return;
     }
+    summary[event.type] += 1;
+    if (!result.delivery) summary.unmatched += 1;
+    if (result.suppression && !summary.suppressed.includes(result.suppression.email)) {
+      summary.suppressed.push(result.suppression.email);
+    }
+  });
 
-    // Calculate statistics
-    const stats = {
-      total: customers.length,
-      sent: results.filter(r => r.status === 'sent').length,
-      failed: results.filter(r => r.status === 'failed').length,
-      skipped: results.filter(r => r.status === 'skipped').length,
-      processingTimeMs: Date.now() - startTime
-    };
+  return summary;
+}
 
-    console.log(`Email sending completed: ${stats.sent} sent, ${stats.failed} failed, ${stats.skipped} skipped`);
+// Queue an email job and answer straight away; the email queue sends it in the background
+function enqueueEmailJob(type, req, res) {
+  try {
+    const { customers, issueType, options = {} } = req.body;
+    const job = emailQueue.enqueue({ type, customers, issueType, options }, getActor(req));
 
-    res.json({
+    console.log(`Email job ${job.id} queued: ${customers.length} customers for ${issueType}`);
+
+    res.status(202).json({
       success: true,
-      emailSending: true,
-      statistics: stats,
-      results,
-      summary: {
-        successRate: stats.total > 0 ? Math.round((stats.sent / stats.total) * 100) : 0,
-        averageTimePerEmail: stats.total > 0 ? Math.round(stats.processingTimeMs / stats.total) : 0,
-        totalProcessingTime: `${Math.round(stats.processingTimeMs / 1000)}s`
-      },
-      completedAt: new Date().toISOString()
+      queued: true,
+      job: emailQueue.describe(job),
+      statusUrl: `/api/email/jobs/${job.id}`
     });
 
   } catch (error) {
-    console.error('Email sending error:', error);
+    console.error('Email queueing error:', error);
     res.status(500).json({
       error: 'Email sending failed',
-      message: 'Unable to send emails. Please check your email configuration.',
+      message: 'Unable to queue emails. Please try again.',
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
+}
+
+// Send emails to selected customers, one every options.delayMs
+router.post('/send', requireRole('branch_manager'), resolveCustomerRefs, validateEmailRequest, (req, res) => {
+  enqueueEmailJob('send', req, res);
 });
 
 // Test email configuration
-router.post('/test', async (req, res) => {
+router.post('/test', requireRole('branch_manager'), async (req, res) => {
   try {
     const { email, customMessage } = req.body;
 
@@ -140,10 +116,13 @@ router.post('/test', async (req, res) => {
 
 // Get email configuration status
 router.get('/config-status', (req, res) => {
+  const status = emailService.getStatus();
   const config = {
-    emailConfigured: !!(process.env.EMAIL_USER && process.env.EMAIL_PASS),
-    emailProvider: process.env.EMAIL_PROVIDER || 'gmail',
-    fromAddress: process.env.EMAIL_USER || 'Not configured',
+    emailConfigured: status.configured,
+    emailProvider: status.provider,
+    fromAddress: status.fromAddress,
+    transports: status.transports,
+    sms: smsService.getStatus(),
     lastChecked: new Date().toISOString()
   };
 
@@ -151,110 +130,175 @@ router.get('/config-status', (req, res) => {
     success: true,
     configuration: config,
     recommendations: config.emailConfigured ? [] : [
-      'Set EMAIL_USER in your .env file',
-      'Set EMAIL_PASS (app password) in your .env file',
-      'Ensure 2-factor authentication is enabled for Gmail'
+      'Set EMAIL_HOST (and EMAIL_PORT, EMAIL_USER, EMAIL_PASS) to use your own SMTP relay',
+      'Or set EMAIL_USER and EMAIL_PASS (app password) to send through Gmail',
+      'Or set EMAIL_PROVIDER=file to write emails to .eml files for local testing'
     ]
   });
 });
 
-// Send bulk emails with progress tracking
-router.post('/bulk-send', validateEmailRequest, async (req, res) => {
-  try {
-    const { customers, subject, content, issueType, options = {} } = req.body;
-    
-    const batchSize = options.batchSize || 5; // Smaller batches for email
-    const delayBetweenBatches = options.batchDelayMs || 5000; // 5 seconds between batches
-    
-    // Set up for streaming response
-    res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-
-    const batches = [];
-    for (let i = 0; i < customers.length; i += batchSize) {
-      batches.push(customers.slice(i, i + batchSize));
-    }
+// Send bulk emails in batches of options.batchSize, pausing options.batchDelayMs between batches
+router.post('/bulk-send', requireRole('branch_manager'), resolveCustomerRefs, validateEmailRequest, (req, res) => {
+  enqueueEmailJob('bulk-send', req, res);
+});
 
-    let processedCount = 0;
-    const allResults = [];
-
-    for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
-      const batch = batches[batchIndex];
-      
-      try {
-        const batchResults = [];
-        
-        // Process emails in this batch
-        for (const customer of batch) {
-          if (!customer.EMAIL) {
-            batchResults.push({
-              customer: customer.ACCOUNT_NO,
-              status: 'skipped',
-              reason: 'No email address'
-            });
-            continue;
-          }
-
-          try {
-            await emailService.sendLetter(customer, subject, content, issueType);
-            batchResults.push({
-              customer: customer.ACCOUNT_NO,
-              email: customer.EMAIL,
-              status: 'sent'
-            });
-          } catch (error) {
-            batchResults.push({
-              customer: customer.ACCOUNT_NO,
-              email: customer.EMAIL,
-              status: 'failed',
-              error: error.message
-            });
-          }
-
-          // Small delay between emails in the same batch
-          await new Promise(resolve => setTimeout(resolve, 500));
-        }
+// Progress and per-recipient results of a queued email job
+router.get('/jobs/:id', requireRole('branch_manager'), (req, res) => {
+  const job = emailQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      message: `Email job '${req.params.id}' does not exist`
+    });
+  }
 
-        allResults.push(...batchResults);
-        processedCount += batch.length;
+  res.json({ success: true, job: emailQueue.describe(job) });
+});
 
-        console.log(`Email batch ${batchIndex + 1}/${batches.length} completed`);
+// ---------------- Delivery status and bounces ----------------
+router.get('/deliveries/:messageId', requireRole('branch_manager'), (req, res) => {
+  const delivery = deliveryStore.get(req.params.messageId);
+  if (!delivery) {
+    return res.status(404).json({
+      error: 'Delivery not found',
+      message: `No email with message ID '${req.params.messageId}' was sent`
+    });
+  }
 
-        // Delay between batches to avoid rate limiting
-        if (batchIndex < batches.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, delayBetweenBatches));
-        }
+  res.json({ success: true, delivery });
+});
 
-      } catch (batchError) {
-        console.error(`Email batch ${batchIndex + 1} failed:`, batchError);
-      }
+// Webhook-style bounce feed: provider events, or raw DSN messages parsed here
+router.post('/bounces', requireRole('branch_manager'), validateBounceRequest, (req, res) => {
+  try {
+    let events = req.body.events;
+    let notBounces = 0;
+
+    if (req.body.messages) {
+      events = [];
+      req.body.messages.forEach(raw => {
+        const report = bounceParser.parse(raw);
+        if (report) {
+          events.push(...bounceParser.toEvents(report, 'webhook'));
+        } else {
+          notBounces += 1;
+        }
+      });
+    } else {
+      events = events.map(event => ({ ...event, source: 'webhook' }));
     }
 
-    // Send final results
-    const stats = {
-      total: customers.length,
-      sent: allResults.filter(r => r.status === 'sent').length,
-      failed: allResults.filter(r => r.status === 'failed').length,
-      skipped: allResults.filter(r => r.status === 'skipped').length
-    };
+    const summary = applyBounces(events, getActor(req));
+    console.log(`Bounces ingested by ${getActor(req)}: ${summary.hard} hard, ${summary.soft} soft`);
+    res.json({ success: true, summary: { ...summary, notBounces } });
 
-    res.json({
-      success: true,
-      bulkEmail: true,
-      statistics: stats,
-      results: allResults,
-      batchesProcessed: batches.length,
-      completedAt: new Date().toISOString()
+  } catch (error) {
+    console.error('Bounce ingest error:', error);
+    res.status(500).json({
+      error: 'Failed to ingest bounces',
+      message: error.message
+    });
+  }
+});
+
+// Read the bounce mailbox configured in EMAIL_BOUNCE_MAILBOX (an mbox file or a maildir folder)
+router.post('/bounces/import', requireRole('branch_manager'), (req, res) => {
+  const mailbox = process.env.EMAIL_BOUNCE_MAILBOX;
+  if (!mailbox) {
+    return res.status(400).json({
+      error: 'Bounce mailbox not configured',
+      message: 'Set EMAIL_BOUNCE_MAILBOX to an mbox file or maildir folder'
     });
+  }
+
+  try {
+    const events = [];
+    let notBounces = 0;
+    const messages = bounceParser.readMailbox(mailbox);
+
+    messages.forEach(({ raw }) => {
+      const report = bounceParser.parse(raw);
+      if (report) {
+        events.push(...bounceParser.toEvents(report, 'mailbox'));
+      } else {
+        notBounces += 1;
+      }
+    });
+
+    const summary = applyBounces(events, getActor(req));
+    // Only move maildir messages once their bounces are stored
+    messages.forEach(({ file }) => bounceParser.markSeen(file));
+
+    console.log(`Bounce mailbox read by ${getActor(req)}: ${messages.length} message(s), ${summary.hard} hard bounce(s)`);
+    res.json({ success: true, messages: messages.length, summary: { ...summary, notBounces } });
 
   } catch (error) {
-    console.error('Bulk email error:', error);
+    console.error('Bounce mailbox error:', error);
     res.status(500).json({
-      error: 'Bulk email sending failed',
-      message: 'Unable to complete bulk email sending'
+      error: 'Failed to read bounce mailbox',
+      message: error.message,
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
     });
   }
 });
 
+router.get('/suppressions', requireRole('branch_manager'), (req, res) => {
+  const suppressions = deliveryStore.getSuppressions();
+  res.json({ success: true, suppressions, count: suppressions.length });
+});
+
+// Allow sending to an address again, e.g. after the customer fixes their mailbox
+router.delete('/suppressions/:email', requireRole('branch_manager'), (req, res) => {
+  try {
+    const suppression = deliveryStore.removeSuppression(req.params.email);
+    console.log(`Suppression for ${suppression.email} lifted by ${getActor(req)}`);
+    res.json({ success: true, suppression });
+  } catch (error) {
+    const status = error.status || 500;
+    res.status(status).json({
+      error: status === 404 ? 'Suppression not found' : 'Unable to remove suppression',
+      message: error.message
+    });
+  }
+});
+
+// ---------------- Scheduled campaigns ----------------
+router.get('/schedules', requireRole('branch_manager'), (req, res) => {
+  try {
+    const schedules = emailScheduler.getAll(req.query.status);
+    res.json({ success: true, schedules, count: schedules.length });
+  } catch (error) {
+    sendScheduleError(res, error, 'load');
+  }
+});
+
+router.get('/schedules/:id', requireRole('branch_manager'), (req, res) => {
+  try {
+    res.json({ success: true, schedule: emailScheduler.require(req.params.id) });
+  } catch (error) {
+    sendScheduleError(res, error, 'load');
+  }
+});
+
+// Schedule a letter email run for later, optionally repeating (e.g. monthly on the 1st)
+router.post('/schedules', requireRole('branch_manager'), validateScheduleRequest, (req, res) => {
+  try {
+    const schedule = emailScheduler.create(req.body, getActor(req));
+    console.log(`Schedule '${schedule.name}' created by ${getActor(req)}, first run ${schedule.nextRunAt}`);
+    res.status(201).json({ success: true, schedule });
+  } catch (error) {
+    sendScheduleError(res, error, 'create');
+  }
+});
+
+router.delete('/schedules/:id', requireRole('branch_manager'), (req, res) => {
+  try {
+    const schedule = emailScheduler.cancel(req.params.id, getActor(req));
+    console.log(`Schedule '${schedule.name}' cancelled by ${getActor(req)}`);
+    res.json({ success: true, schedule });
+  } catch (error) {
+    sendScheduleError(res, error, 'cancel');
+  }
+});
+
 module.exports = router;
@@ -1,11 +1,25 @@
 const express = require('express');
-const { generateLetterContent, getAvailableTemplates } = require('../templates/letter-templates');
+const { generateLetterContent, getAvailableTemplates, resolveLanguage } = require('../templates/letter-templates');
 const pdfService = require('../services/pdf-service');
-const { validateLetterRequest } = require('../middleware/validation');
+const printBatch = require('../services/print-batch');
+const auditLog = require('../services/audit-log');
+const templateStore = require('../services/template-store');
+const { getActor } = require('../utils/helpers');
+const { requireRole } = require('../middleware/auth');
+const { validateLetterRequest, validateTemplateRequest, validateTemplateReview, resolveCustomerRefs } = require('../middleware/validation');
 const router = express.Router();
 
+function sendTemplateError(res, err, action) {
+  const status = err && err.status ? err.status : 500;
+  if (status >= 500) console.error(`Template ${action} error:`, err);
+  return res.status(status).json({
+    error: status === 404 ? 'Template not found' : `Unable to ${action} template`,
+    message: err && err.message ? err.message : String(err)
+  });
+}
+
 // Generate letters for selected customers
-router.post('/generate', validateLetterRequest, async (req, res) => {
+router.post('/generate', resolveCustomerRefs, validateLetterRequest, async (req, res) => {
   try {
     const { customers, issueType, customMessage, options = {} } = req.body;
     const startTime = Date.now();
@@ -14,13 +28,18 @@ router.post('/generate', validateLetterRequest, async (req, res) => {
 
     const letters = [];
     const errors = [];
+    const auditEntries = [];
+    const actor = getActor(req);
 
     for (let i = 0; i < customers.length; i++) {
       const customer = customers[i];
       
       try {
         // Generate letter content
-        const letterData = generateLetterContent(customer, issueType, customMessage);
+        const letterData = generateLetterContent(customer, issueType, customMessage, {
+          language: options.language,
+          pdf: options.generatePDF
+        });
         
         let letterResult = {
           customerId: customer.ACCOUNT_NO || i,
@@ -28,22 +47,40 @@ router.post('/generate', validateLetterRequest, async (req, res) => {
           subject: letterData.subject,
           content: letterData.content,
           urgency: letterData.urgency || 'medium',
+          language: letterData.language,
+          languageFallback: letterData.languageFallback || undefined,
+          templateVersion: letterData.templateVersion,
           generatedAt: new Date().toISOString()
         };
 
+        const audit = {
+          actor,
+          accountNo: customer.ACCOUNT_NO,
+          customerName: customer.NAME,
+          issueType,
+          templateVersion: letterData.templateVersion,
+          language: letterData.language,
+          channel: 'letter',
+          outcome: 'generated'
+        };
+
         // Generate PDF if requested
         if (options.generatePDF) {
+          audit.channel = 'pdf';
           try {
-            const pdfBuffer = await pdfService.generateLetterPDF(letterData.content, customer);
+            const pdfBuffer = await pdfService.generateLetterPDF(letterData, customer);
             letterResult.pdfBase64 = pdfBuffer.toString('base64');
             letterResult.pdfSize = pdfBuffer.length;
           } catch (pdfError) {
             console.warn(`PDF generation failed for customer ${customer.ACCOUNT_NO}:`, pdfError.message);
             letterResult.pdfError = pdfError.message;
+            audit.outcome = 'failed';
+            audit.error = pdfError.message;
           }
         }
 
         letters.push(letterResult);
+        auditEntries.push(audit);
 
       } catch (letterError) {
         console.error(`Letter generation failed for customer ${customer.ACCOUNT_NO}:`, letterError);
@@ -51,9 +88,20 @@ router.post('/generate', validateLetterRequest, async (req, res) => {
           customer: customer.ACCOUNT_NO || customer.NAME,
           error: letterError.message
         });
+        auditEntries.push({
+          actor,
+          accountNo: customer.ACCOUNT_NO,
+          customerName: customer.NAME,
+          issueType,
+          channel: options.generatePDF ? 'pdf' : 'letter',
+          outcome: 'failed',
+          error: letterError.message
+        });
       }
     }
 
+    auditLog.safeRecordMany(auditEntries);
+
     const processingTime = Date.now() - startTime;
     console.log(`Letter generation completed: ${letters.length} successful, ${errors.length} failed`);
 
@@ -71,6 +119,7 @@ router.post('/generate', validateLetterRequest, async (req, res) => {
       metadata: {
         issueType,
         hasCustomMessage: !!customMessage,
+        languageOverride: options.language || null,
         pdfGenerated: options.generatePDF,
         timestamp: new Date().toISOString()
       }
@@ -89,7 +138,7 @@ router.post('/generate', validateLetterRequest, async (req, res) => {
 // Preview letter content for a single customer
 router.post('/preview', async (req, res) => {
   try {
-    const { customer, issueType, customMessage } = req.body;
+    const { customer, issueType, customMessage, language } = req.body;
 
     if (!customer || !issueType) {
       return res.status(400).json({
@@ -98,7 +147,15 @@ router.post('/preview', async (req, res) => {
       });
     }
 
-    const letterData = generateLetterContent(customer, issueType, customMessage);
+    if (language && !resolveLanguage(language)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `Unsupported letter language '${language}'`,
+        field: 'language'
+      });
+    }
+
+    const letterData = generateLetterContent(customer, issueType, customMessage, { language });
 
     res.json({
       success: true,
@@ -113,6 +170,13 @@ router.post('/preview', async (req, res) => {
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: 'Preview generation failed',
+        message: error.message
+      });
+    }
+
     console.error('Letter preview error:', error);
     res.status(500).json({
       error: 'Preview generation failed',
@@ -143,26 +207,25 @@ router.get('/templates', (req, res) => {
   }
 });
 
-// Get template by ID
+// Get template by ID with its full version history
 router.get('/templates/:templateId', (req, res) => {
   try {
     const { templateId } = req.params;
-    const templates = getAvailableTemplates();
+    const template = templateStore.get(templateId);
     
-    if (!templates[templateId]) {
+    if (!template) {
       return res.status(404).json({
         error: 'Template not found',
         message: `Template '${templateId}' does not exist`,
-        availableTemplates: Object.keys(templates)
+        availableTemplates: templateStore.getAll().map(t => t.id)
       });
     }
 
+    const approved = templateStore.approvedVersion(template);
     res.json({
       success: true,
-      template: {
-        id: templateId,
-        ...templates[templateId]
-      }
+      template,
+      approvedVersion: approved ? approved.version : null
     });
 
   } catch (error) {
@@ -174,98 +237,290 @@ router.get('/templates/:templateId', (req, res) => {
   }
 });
 
-// Bulk letter generation with progress tracking
-router.post('/bulk-generate', validateLetterRequest, async (req, res) => {
+// Wording that was in force at a given time (?at=ISO date, defaults to now).
+// Works for retired templates too, so past letters can always be traced.
+router.get('/templates/:templateId/effective', (req, res) => {
+  const at = req.query.at ? new Date(req.query.at) : new Date();
+  if (isNaN(at.getTime())) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: '"at" must be a valid date',
+      field: 'at'
+    });
+  }
+
+  const version = templateStore.getEffectiveVersion(req.params.templateId, at);
+  if (!version) {
+    return res.status(404).json({
+      error: 'Template not found',
+      message: `No approved version of '${req.params.templateId}' was in force at ${at.toISOString()}`
+    });
+  }
+
+  res.json({ success: true, templateId: req.params.templateId, at: at.toISOString(), version });
+});
+
+router.get('/templates/:templateId/versions/:version', (req, res) => {
+  const version = templateStore.getVersion(req.params.templateId, req.params.version);
+  if (!version) {
+    return res.status(404).json({
+      error: 'Template not found',
+      message: `Template '${req.params.templateId}' has no version ${req.params.version}`
+    });
+  }
+
+  res.json({ success: true, templateId: req.params.templateId, version });
+});
+
+// Create a new letter template (starts as a draft awaiting approval)
+router.post('/templates', requireRole('branch_manager'), validateTemplateRequest, (req, res) => {
   try {
-    const { customers, issueType, customMessage, options = {} } = req.body;
-    
-    // Set response headers for streaming
-    res.setHeader('Content-Type', 'application/json');
+    const template = templateStore.create(req.body, getActor(req));
+    console.log(`Template '${template.id}' created by ${getActor(req)}, v1 awaiting approval`);
+    res.status(201).json({ success: true, template, draft: template.versions[0] });
+  } catch (error) {
+    sendTemplateError(res, error, 'create');
+  }
+});
+
+// Update a template. Wording changes are saved as a new draft version; the
+// approved version stays in use until the draft is approved by another user.
+router.put('/templates/:templateId', requireRole('branch_manager'), validateTemplateRequest, (req, res) => {
+  try {
+    const { template, draft } = templateStore.update(req.params.templateId, req.body, getActor(req));
+    if (draft) {
+      console.log(`Template '${template.id}' v${draft.version} drafted by ${getActor(req)}`);
+    }
+    res.json({ success: true, template, draft });
+  } catch (error) {
+    sendTemplateError(res, error, 'update');
+  }
+});
+
+router.post('/templates/:templateId/versions/:version/approve', requireRole('branch_manager'), validateTemplateReview, (req, res) => {
+  try {
+    const { template, version } = templateStore.approve(req.params.templateId, req.params.version, getActor(req));
+    console.log(`Template '${template.id}' v${version.version} approved by ${getActor(req)}`);
+    res.json({ success: true, template, approvedVersion: version.version });
+  } catch (error) {
+    sendTemplateError(res, error, 'approve');
+  }
+});
+
+router.post('/templates/:templateId/versions/:version/reject', requireRole('branch_manager'), validateTemplateReview, (req, res) => {
+  try {
+    const { template, version } = templateStore.reject(
+      req.params.templateId, req.params.version, getActor(req), req.body.reason
+    );
+    console.log(`Template '${template.id}' v${version.version} rejected by ${getActor(req)}`);
+    res.json({ success: true, template, rejectedVersion: version.version });
+  } catch (error) {
+    sendTemplateError(res, error, 'reject');
+  }
+});
+
+// Retire a template. Its versions are kept so past letters remain traceable.
+router.delete('/templates/:templateId', requireRole('branch_manager'), (req, res) => {
+  try {
+    const template = templateStore.retire(req.params.templateId, getActor(req));
+    console.log(`Template '${template.id}' retired by ${getActor(req)}`);
+    res.json({ success: true, retired: template.id, retiredAt: template.retiredAt });
+  } catch (error) {
+    sendTemplateError(res, error, 'delete');
+  }
+});
+
+// Bulk letter generation, streamed as NDJSON (one JSON event per line):
+//   { type: 'start' }, then per batch any { type: 'error' } events for customers
+//   that failed followed by { type: 'progress', letters }, and finally { type: 'summary' }.
+router.post('/bulk-generate', resolveCustomerRefs, validateLetterRequest, async (req, res) => {
+  const { customers, issueType, customMessage, options = {} } = req.body;
+  const batchSize = options.batchSize || 10;
+  const totalBatches = Math.ceil(customers.length / batchSize);
+  const actor = getActor(req);
+
+  // Stop working if the client goes away mid-stream
+  let aborted = false;
+  res.on('close', () => {
+    if (!res.writableFinished) aborted = true;
+  });
+
+  const send = event => res.write(`${JSON.stringify(event)}\n`);
+
+  try {
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
     res.setHeader('Cache-Control', 'no-cache');
     res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // keep reverse proxies from buffering the stream
+    res.flushHeaders();
 
-    const batchSize = options.batchSize || 10;
-    const batches = [];
-    
-    // Split customers into batches
-    for (let i = 0; i < customers.length; i += batchSize) {
-      batches.push(customers.slice(i, i + batchSize));
-    }
+    send({ type: 'start', issueType, totalCount: customers.length, totalBatches, batchSize });
 
     let processedCount = 0;
-    const allLetters = [];
-    const allErrors = [];
+    let generatedCount = 0;
+    let errorCount = 0;
 
-    // Process each batch
-    for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
-      const batch = batches[batchIndex];
-      
-      try {
-        // Generate letters for this batch
-        const batchLetters = [];
-        
-        for (const customer of batch) {
-          try {
-            const letterData = generateLetterContent(customer, issueType, customMessage);
-            batchLetters.push({
-              customerId: customer.ACCOUNT_NO,
-              customerName: customer.NAME,
-              ...letterData
-            });
-          } catch (error) {
-            allErrors.push({
-              customer: customer.ACCOUNT_NO || customer.NAME,
-              error: error.message
-            });
-          }
+    for (let batchIndex = 0; batchIndex < totalBatches && !aborted; batchIndex++) {
+      const batch = customers.slice(batchIndex * batchSize, (batchIndex + 1) * batchSize);
+      const batchLetters = [];
+      const batchAudit = [];
+
+      for (const customer of batch) {
+        try {
+          const letterData = generateLetterContent(customer, issueType, customMessage, {
+            language: options.language,
+            pdf: options.generatePDF
+          });
+          batchLetters.push({
+            customerId: customer.ACCOUNT_NO,
+            customerName: customer.NAME,
+            ...letterData
+          });
+          batchAudit.push({
+            actor,
+            accountNo: customer.ACCOUNT_NO,
+            customerName: customer.NAME,
+            issueType,
+            templateVersion: letterData.templateVersion,
+            language: letterData.language,
+            channel: 'letter',
+            outcome: 'generated'
+          });
+        } catch (error) {
+          errorCount++;
+          send({
+            type: 'error',
+            batchIndex: batchIndex + 1,
+            customer: customer.ACCOUNT_NO || customer.NAME,
+            error: error.message
+          });
+          batchAudit.push({
+            actor,
+            accountNo: customer.ACCOUNT_NO,
+            customerName: customer.NAME,
+            issueType,
+            channel: 'letter',
+            outcome: 'failed',
+            error: error.message
+          });
         }
+      }
 
-        allLetters.push(...batchLetters);
-        processedCount += batch.length;
-
-        // Send progress update
-        const progress = {
-          batchIndex: batchIndex + 1,
-          totalBatches: batches.length,
-          processedCount,
-          totalCount: customers.length,
-          currentBatchSize: batchLetters.length,
-          progressPercentage: Math.round((processedCount / customers.length) * 100)
-        };
+      auditLog.safeRecordMany(batchAudit);
+      processedCount += batch.length;
+      generatedCount += batchLetters.length;
 
-        console.log(`Batch ${batchIndex + 1}/${batches.length} completed: ${batchLetters.length} letters`);
+      send({
+        type: 'progress',
+        batchIndex: batchIndex + 1,
+        totalBatches,
+        processedCount,
+        totalCount: customers.length,
+        currentBatchSize: batchLetters.length,
+        progressPercentage: Math.round((processedCount / customers.length) * 100),
+        letters: batchLetters
+      });
 
-      } catch (batchError) {
-        console.error(`Batch ${batchIndex + 1} failed:`, batchError);
-        allErrors.push({
-          batch: batchIndex + 1,
-          error: batchError.message
-        });
-      }
+      console.log(`Batch ${batchIndex + 1}/${totalBatches} completed: ${batchLetters.length} letters`);
+
+      // Let the event loop flush this batch to the client before starting the next
+      await new Promise(resolve => setImmediate(resolve));
     }
 
-    // Send final result
-    res.json({
+    if (aborted) {
+      console.warn(`Bulk generation cancelled by client after ${processedCount}/${customers.length} customers`);
+      return;
+    }
+
+    send({
+      type: 'summary',
       success: true,
-      bulkGeneration: true,
       summary: {
         totalRequested: customers.length,
-        totalGenerated: allLetters.length,
-        totalErrors: allErrors.length,
-        batchesProcessed: batches.length,
+        totalGenerated: generatedCount,
+        totalErrors: errorCount,
+        batchesProcessed: totalBatches,
         batchSize
       },
-      letters: allLetters,
-      errors: allErrors.length > 0 ? allErrors : undefined,
       completedAt: new Date().toISOString()
     });
+    res.end();
 
   } catch (error) {
     console.error('Bulk generation error:', error);
-    res.status(500).json({
+    const failure = {
       error: 'Bulk generation failed',
       message: 'Unable to complete bulk letter generation',
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    };
+
+    // Once streaming has started the status is already sent; report the failure as the last event
+    if (res.headersSent) {
+      send({ type: 'summary', success: false, ...failure });
+      return res.end();
+    }
+    res.status(500).json(failure);
+  }
+});
+
+// Postal print batch: merged letters PDF with cover sheet, mailing labels and a dispatch register CSV
+router.post('/print-batch', resolveCustomerRefs, validateLetterRequest, async (req, res) => {
+  try {
+    const { customers, issueType, customMessage, options = {} } = req.body;
+    const actor = getActor(req);
+
+    const batch = await printBatch.create(customers, issueType, customMessage, options, actor);
+
+    auditLog.safeRecordMany([
+      ...batch.included.map(({ customer, letterData }) => ({
+        actor,
+        accountNo: customer.ACCOUNT_NO,
+        customerName: customer.NAME,
+        issueType,
+        templateVersion: letterData.templateVersion,
+        language: letterData.language,
+        channel: 'post',
+        outcome: 'generated'
+      })),
+      ...batch.excluded.map(entry => ({
+        actor,
+        accountNo: entry.accountNo,
+        customerName: entry.name,
+        issueType,
+        channel: 'post',
+        outcome: 'skipped',
+        error: entry.reason
+      }))
+    ]);
+
+    console.log(`Print batch ${batch.batchId}: ${batch.summary.letters} letters, ${batch.summary.excluded} left out`);
+
+    const file = (buffer, filename, contentType) => (buffer ? {
+      filename,
+      contentType,
+      size: buffer.length,
+      base64: buffer.toString('base64')
+    } : null);
+
+    res.json({
+      success: true,
+      batchId: batch.batchId,
+      createdAt: batch.createdAt,
+      summary: batch.summary,
+      excluded: batch.excluded,
+      files: {
+        letters: file(batch.files.letters, `${batch.batchId}-letters.pdf`, 'application/pdf'),
+        labels: file(batch.files.labels, `${batch.batchId}-labels.pdf`, 'application/pdf'),
+        register: file(batch.files.register, `${batch.batchId}-dispatch-register.csv`, 'text/csv')
+      }
+    });
+
+  } catch (error) {
+    console.error('Print batch error:', error);
+    res.status(500).json({
+      error: 'Print batch failed',
+      message: 'Unable to prepare the postal print batch',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
@@ -0,0 +1,52 @@
+const express = require('express');
+const auditLog = require('../services/audit-log');
+const { validateLogQuery } = require('../middleware/validation');
+const router = express.Router();
+
+// Query dispatch audit records (newest first)
+router.get('/', validateLogQuery, (req, res) => {
+  try {
+    const result = auditLog.query(req.auditQuery);
+
+    res.json({
+      success: true,
+      ...result,
+      filters: {
+        accountNo: req.auditQuery.accountNo,
+        issueType: req.auditQuery.issueType,
+        status: req.auditQuery.status,
+        channel: req.auditQuery.channel,
+        from: req.auditQuery.from,
+        to: req.auditQuery.to
+      }
+    });
+
+  } catch (error) {
+    console.error('Audit log query error:', error);
+    res.status(500).json({
+      error: 'Audit log query failed',
+      message: 'Unable to read the dispatch audit log',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Check that no audit record has been altered or removed
+router.get('/verify', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      integrity: auditLog.verify(),
+      checkedAt: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Audit log verification error:', error);
+    res.status(500).json({
+      error: 'Audit log verification failed',
+      message: 'Unable to verify the dispatch audit log'
+    });
+  }
+});
+
+module.exports = router;
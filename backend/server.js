@@ -8,9 +8,15 @@ const morgan = require('morgan');
 require('dotenv').config();
 
 const apiRoutes = require('./routes/api');
+const authRoutes = require('./routes/auth');
 const customerRoutes = require('./routes/customers');
 const letterRoutes = require('./routes/letters');
 const emailRoutes = require('./routes/email');
+const logRoutes = require('./routes/logs');
+const chatRoutes = require('./routes/chat');
+const { authenticate, requireRole } = require('./middleware/auth');
+const emailQueue = require('./services/email-queue');
+const emailScheduler = require('./services/email-scheduler');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -60,11 +66,13 @@ app.use(
 );
 
 // -------------------- Middleware --------------------
-app.use(morgan(isProd ? 'combined' : 'dev'));
+if (NODE_ENV !== 'test') {
+  app.use(morgan(isProd ? 'combined' : 'dev'));
+}
 
 app.use(cors({
   origin: isProd ? process.env.FRONTEND_URL : '*',
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
@@ -75,7 +83,9 @@ const limiter = rateLimit({
   message: {
     error: 'Too many requests from this IP, please try again later.',
     retryAfter: 900
-  }
+  },
+  // The page polls email job progress while a send runs; those reads are cheap
+  skip: req => req.method === 'GET' && /^\/email\/jobs\/[^/]+$/.test(req.path)
 });
 app.use('/api/', limiter);
 
@@ -83,14 +93,21 @@ app.use('/api/', limiter);
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// Serve static front-end
+// Serve static front-end, and the modules it shares with the server
 app.use(express.static(path.join(__dirname, '../frontend')));
+app.use('/shared', express.static(path.join(__dirname, '../shared')));
 
 // -------------------- Routes --------------------
+// Public: health/info/issue-types and login
 app.use('/api', apiRoutes);
-app.use('/api/customers', customerRoutes);
-app.use('/api/letters', letterRoutes);
-app.use('/api/email', emailRoutes);
+app.use('/api/auth', authRoutes);
+
+// Everything below requires a logged-in user; routers add per-route role checks
+app.use('/api/customers', authenticate, customerRoutes);
+app.use('/api/letters', authenticate, letterRoutes);
+app.use('/api/email', authenticate, emailRoutes);
+app.use('/api/logs', authenticate, requireRole('branch_manager'), logRoutes);
+app.use('/api/chat', authenticate, chatRoutes);
 
 // Serve index.html for root
 app.get('/', (req, res) => {
@@ -141,15 +158,32 @@ app.use('*', (req, res) => {
 });
 
 // -------------------- Start server --------------------
-app.listen(PORT, () => {
-  console.log('\n' + '='.repeat(60));
-  console.log('🏦 SBI Letter Automation System');
-  console.log('='.repeat(60));
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📱 Frontend: http://localhost:${PORT}`);
-  console.log(`🔗 API: http://localhost:${PORT}/api`);
-  console.log(`💡 Environment: ${NODE_ENV}`);
-  console.log('='.repeat(60) + '\n');
-});
+// Tests require the app without starting it
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log('\n' + '='.repeat(60));
+    console.log('🏦 SBI Letter Automation System');
+    console.log('='.repeat(60));
+    console.log(`🚀 Server running on port ${PORT}`);
+    console.log(`📱 Frontend: http://localhost:${PORT}`);
+    console.log(`🔗 API: http://localhost:${PORT}/api`);
+    console.log(`💡 Environment: ${NODE_ENV}`);
+    console.log('='.repeat(60) + '\n');
+
+    // Pick up email jobs queued before the last restart, then start running scheduled campaigns
+    emailQueue.start();
+    emailScheduler.start();
+  });
+
+  // Save recipients' results before stopping, so they are not emailed again after a restart
+  const shutdown = signal => {
+    console.log(`${signal} received, saving email queue progress`);
+    emailQueue.flush();
+    process.exit(0);
+  };
+  process.once('SIGTERM', shutdown);
+  process.once('SIGINT', shutdown);
+  process.once('beforeExit', () => emailQueue.flush());
+}
 
 module.exports = app;
@@ -1,4 +1,5 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const issueTypeCatalog = require('./issue-types');
 
 class AIService {
   constructor() {
@@ -39,15 +40,9 @@ class AIService {
   createAnalysisPrompt(customers, issueType) {
     const customerSample = customers.slice(0, 10); // Limit for efficiency
     
-    const issueDescriptions = {
-      account_closure: 'accounts that should be closed due to inactivity or zero balance',
-      kyc_update: 'customers who need to update their KYC documents',
-      loan_default: 'customers with overdue loan payments',
-      fee_waiver: 'customers eligible for fee waivers (senior citizens, students)',
-      document_expiry: 'customers with expiring identity or address documents'
-    };
+    const issueTypeInfo = issueTypeCatalog.get(issueType);
 
-    return `You are an expert banking analyst for State Bank of India. Analyze the following customer data to identify ${issueDescriptions[issueType] || 'banking issues'}.
+    return `You are an expert banking analyst for State Bank of India. Analyze the following customer data to identify ${issueTypeInfo ? issueTypeInfo.audience : 'banking issues'}.
 
 Customer Data: ${JSON.stringify(customerSample, null, 2)}
 
@@ -90,16 +85,27 @@ Return ONLY a valid JSON object with this exact structure:
 }`;
   }
 
-  async generateChatResponse(message, context = {}) {
+  // Replace the Gemini model, e.g. with a stub exposing generateContent() in tests
+  setModel(model) {
+    this.model = model || null;
+  }
+
+  async generateChatResponse(message, context = {}, history = []) {
+    const reply = await this.generateChatReply(message, context, history);
+    return reply.response;
+  }
+
+  // Like generateChatResponse, but also reports whether Gemini or the static table answered
+  async generateChatReply(message, context = {}, history = []) {
     if (!this.model) {
-      return this.getStaticResponse(message);
+      return { response: this.getStaticResponse(message), source: 'static' };
     }
 
     try {
       const chatPrompt = `You are a helpful banking assistant for State Bank of India's Letter Automation System. 
 
 Current context: ${JSON.stringify(context, null, 2)}
-
+${this.formatChatHistory(history)}
 User message: "${message}"
 
 Provide helpful guidance about:
@@ -114,14 +120,26 @@ Keep responses concise (2-3 sentences), professional, and actionable. Focus on p
 
       const result = await this.model.generateContent(chatPrompt);
       const response = await result.response;
-      return response.text();
+      return { response: response.text(), source: 'gemini' };
 
     } catch (error) {
       console.error('Chat AI error:', error);
-      return this.getStaticResponse(message);
+      return { response: this.getStaticResponse(message), source: 'static' };
     }
   }
 
+  // Render earlier exchanges ({ user, bot }) as a transcript for the prompt
+  formatChatHistory(history = []) {
+    if (!Array.isArray(history) || history.length === 0) return '';
+
+    const transcript = history
+      .filter(turn => turn && (turn.user || turn.bot))
+      .map(turn => `Staff: ${turn.user || ''}\nAssistant: ${turn.bot || ''}`)
+      .join('\n');
+
+    return transcript ? `\nConversation so far:\n${transcript}\n` : '';
+  }
+
   getStaticResponse(message) {
     const lowerMessage = message.toLowerCase();
     
@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_FILES } = require('../utils/constants');
+const { readJsonFile, writeJsonFileAtomic } = require('../utils/helpers');
+
+/**
+ * Append-only dispatch audit log stored in database/logs.jsonl, one entry per line.
+ * Every entry carries the hash of the previous one, so any later edit to the
+ * file breaks the chain and shows up in verify(). The entry count and last hash
+ * are kept in database/logs-head.json, so lines cut from the end show up too.
+ */
+class AuditLog {
+  constructor(filePath = DATA_FILES.logs, headPath = DATA_FILES.logsHead) {
+    this.filePath = filePath;
+    this.headPath = headPath;
+    this.entries = null; // lazily loaded cache
+  }
+
+  load() {
+    if (this.entries) return this.entries;
+
+    this.migrateLegacyFile();
+
+    const content = fs.existsSync(this.filePath) ? fs.readFileSync(this.filePath, 'utf8') : '';
+    this.entries = content.split('\n').filter(line => line.trim()).map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (err) {
+        throw new Error(`Unable to parse ${path.basename(this.filePath)} line ${index + 1}: ${err.message}`);
+      }
+    });
+
+    return this.entries;
+  }
+
+  // Earlier versions kept the whole log as one JSON document in logs.json
+  migrateLegacyFile() {
+    const legacyPath = path.join(path.dirname(this.filePath), 'logs.json');
+    if (fs.existsSync(this.filePath) || !fs.existsSync(legacyPath)) return;
+
+    const parsed = readJsonFile(legacyPath, { entries: [] });
+    const entries = Array.isArray(parsed) ? parsed : parsed && parsed.entries;
+    if (!Array.isArray(entries)) {
+      throw new Error('logs.json has an unexpected shape');
+    }
+    if (entries.length === 0) return;
+
+    this.append(entries);
+    fs.renameSync(legacyPath, `${legacyPath}.migrated`);
+  }
+
+  // Add lines to the end of the log, then move the head to the last of them
+  append(entries) {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    fs.appendFileSync(this.filePath, entries.map(entry => JSON.stringify(entry) + '\n').join(''), 'utf8');
+
+    const head = this.readHead();
+    const last = entries[entries.length - 1];
+    writeJsonFileAtomic(this.headPath, {
+      count: (head ? head.count : 0) + entries.length,
+      hash: last.hash,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  readHead() {
+    return readJsonFile(this.headPath, null);
+  }
+
+  hashEntry(entry) {
+    const { hash, ...rest } = entry;
+    return crypto.createHash('sha256').update(JSON.stringify(rest)).digest('hex');
+  }
+
+  buildEntry(data, previous) {
+    const entry = {
+      id: previous ? previous.id + 1 : 1,
+      timestamp: new Date().toISOString(),
+      actor: data.actor || 'anonymous',
+      accountNo: data.accountNo ? String(data.accountNo) : null,
+      customerName: data.customerName || null,
+      issueType: data.issueType || null,
+      templateVersion: data.templateVersion || null,
+      language: data.language || null,
+      channel: data.channel,
+      outcome: data.outcome,
+      messageId: data.messageId || null,
+      recipient: data.recipient || null,
+      error: data.error || null,
+      prevHash: previous ? previous.hash : null
+    };
+    entry.hash = this.hashEntry(entry);
+    return Object.freeze(entry);
+  }
+
+  // Append a single record and return it
+  record(data) {
+    return this.recordMany([data])[0];
+  }
+
+  // Append several records with a single write (used for bulk letter runs)
+  recordMany(items) {
+    const entries = this.load();
+    const appended = [];
+
+    items.forEach(item => {
+      const entry = this.buildEntry(item, appended[appended.length - 1] || entries[entries.length - 1]);
+      appended.push(entry);
+    });
+
+    if (appended.length > 0) {
+      this.append(appended);
+      entries.push(...appended);
+    }
+    return appended;
+  }
+
+  // Logging must never break a dispatch; failures are reported to the console only
+  safeRecordMany(items) {
+    try {
+      return this.recordMany(items);
+    } catch (error) {
+      console.error('Audit log write failed:', error.message);
+      return [];
+    }
+  }
+
+  query(filters = {}) {
+    const from = filters.from ? new Date(filters.from) : null;
+    const to = filters.to ? new Date(filters.to) : null;
+    const account = filters.accountNo ? String(filters.accountNo).toLowerCase() : null;
+
+    // A bare date for "to" means the whole of that day
+    if (to && /^\d{4}-\d{2}-\d{2}$/.test(String(filters.to))) {
+      to.setUTCHours(23, 59, 59, 999);
+    }
+
+    const matches = this.load().filter(entry => {
+      if (account && String(entry.accountNo || '').toLowerCase() !== account) return false;
+      if (filters.issueType && entry.issueType !== filters.issueType) return false;
+      if (filters.status && entry.outcome !== filters.status) return false;
+      if (filters.channel && entry.channel !== filters.channel) return false;
+
+      const time = new Date(entry.timestamp);
+      if (from && time < from) return false;
+      if (to && time > to) return false;
+      return true;
+    });
+
+    // Newest first
+    matches.reverse();
+
+    const offset = filters.offset || 0;
+    const limit = filters.limit || 100;
+
+    return {
+      total: matches.length,
+      offset,
+      limit,
+      entries: matches.slice(offset, offset + limit)
+    };
+  }
+
+  // Recompute the hash chain; returns the first broken entry if any. The chain
+  // alone cannot tell that entries were cut from the end, so it must also reach the head
+  verify() {
+    this.entries = null;
+    const entries = this.load();
+    let previousHash = null;
+
+    for (const entry of entries) {
+      if (entry.prevHash !== previousHash || this.hashEntry(entry) !== entry.hash) {
+        return { valid: false, checked: entries.length, brokenAt: entry.id };
+      }
+      previousHash = entry.hash;
+    }
+
+    const head = this.readHead() || { count: 0, hash: null };
+    if (head.count !== entries.length || head.hash !== previousHash) {
+      return { valid: false, checked: entries.length, brokenAt: entries.length + 1, expected: head.count };
+    }
+
+    return { valid: true, checked: entries.length };
+  }
+}
+
+module.exports = new AuditLog();
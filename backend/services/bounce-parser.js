@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Reads bounce reports (RFC 3464 delivery status notifications) from raw
+ * messages, mbox files and maildir folders.
+ * Only the fields needed for suppression are extracted; the message is not
+ * fully MIME-decoded, which is fine because delivery-status parts are plain text.
+ */
+class BounceParser {
+  // Split raw RFC 822 text into its top-level headers and body
+  splitMessage(raw) {
+    const text = String(raw || '').replace(/\r\n/g, '\n');
+    const index = text.indexOf('\n\n');
+    return index === -1
+      ? { headers: text, body: '' }
+      : { headers: text.slice(0, index), body: text.slice(index + 2) };
+  }
+
+  // First value of a header, with folded continuation lines joined
+  header(headers, name) {
+    const unfolded = headers.replace(/\n[ \t]+/g, ' ');
+    const match = unfolded.match(new RegExp(`^${name}:[ \\t]*(.*)$`, 'im'));
+    return match ? match[1].trim() : null;
+  }
+
+  /**
+   * Bounce details from one message, or null when it is not a bounce.
+   * Returns { reportId, recipients: [{ email, action, status, diagnostic, type }], messageId, accountNo }.
+   */
+  parse(raw) {
+    const { headers, body } = this.splitMessage(raw);
+    const unfoldedBody = body.replace(/\n[ \t]+/g, ' ');
+
+    const recipients = [];
+    // Each per-recipient block of the delivery-status part starts with Final-Recipient
+    const blocks = unfoldedBody.split(/^(?=Final-Recipient:)/im).slice(1);
+    blocks.forEach(block => {
+      const fields = block.split(/\n\s*\n/)[0];
+      const field = name => {
+        const match = fields.match(new RegExp(`^${name}:[ \\t]*(.*)$`, 'im'));
+        return match ? match[1].trim() : null;
+      };
+
+      const email = (field('Final-Recipient') || '').replace(/^rfc822;\s*/i, '').replace(/[<>]/g, '').trim();
+      if (!email) return;
+
+      const action = (field('Action') || '').toLowerCase();
+      const status = (field('Status') || '').match(/\d\.\d{1,3}\.\d{1,3}/);
+      recipients.push({
+        email: email.toLowerCase(),
+        action,
+        status: status ? status[0] : null,
+        diagnostic: field('Diagnostic-Code'),
+        type: this.classify(action, status ? status[0] : null)
+      });
+    });
+
+    if (recipients.length === 0) return null;
+
+    // The returned original message (or its headers) follows the status part
+    const original = unfoldedBody.match(/^Message-ID:[ \t]*(<[^>\n]+>)/im);
+    const account = unfoldedBody.match(/^X-SBI-Customer-ID:[ \t]*(\S+)/im);
+
+    return {
+      reportId: this.header(headers, 'Message-ID'),
+      receivedAt: this.header(headers, 'Date'),
+      recipients,
+      messageId: original ? original[1] : null,
+      accountNo: account ? account[1] : null
+    };
+  }
+
+  // Bounce events for delivery-store.applyBounce; successful delivery reports are dropped
+  toEvents(report, source) {
+    return report.recipients
+      .filter(recipient => recipient.type !== 'delivered')
+      .map(recipient => ({
+        email: recipient.email,
+        type: recipient.type,
+        status: recipient.status,
+        diagnostic: recipient.diagnostic,
+        messageId: report.messageId,
+        accountNo: report.accountNo,
+        // One report may list several recipients; each is applied once
+        reportId: report.reportId ? `${report.reportId}#${recipient.email}` : null,
+        source
+      }));
+  }
+
+  // Permanent failures (5.x.x) are hard bounces; delays and 4.x.x are soft
+  classify(action, status) {
+    if (action === 'delivered' || action === 'relayed' || action === 'expanded') return 'delivered';
+    if (status && status.startsWith('5.')) return 'hard';
+    if (action === 'failed' && !status) return 'hard';
+    return 'soft';
+  }
+
+  // mbox files separate messages with lines starting "From "
+  splitMbox(text) {
+    return String(text || '')
+      .replace(/\r\n/g, '\n')
+      .split(/^From .*$/m)
+      .map(message => message.replace(/^\n/, '').replace(/^>(>*From )/gm, '$1'))
+      .filter(message => message.trim());
+  }
+
+  /**
+   * Raw messages from an mbox file or a maildir folder (new/ and cur/).
+   * Each message comes with its file, so processed maildir messages can be moved.
+   */
+  readMailbox(mailboxPath) {
+    const stat = fs.statSync(mailboxPath);
+
+    if (stat.isFile()) {
+      return this.splitMbox(fs.readFileSync(mailboxPath, 'utf8')).map(raw => ({ raw, file: null }));
+    }
+
+    return ['new', 'cur']
+      .map(folder => path.join(mailboxPath, folder))
+      .filter(folder => fs.existsSync(folder))
+      .reduce((messages, folder) => messages.concat(
+        fs.readdirSync(folder)
+          .filter(name => !name.startsWith('.'))
+          .map(name => ({ raw: fs.readFileSync(path.join(folder, name), 'utf8'), file: path.join(folder, name) }))
+      ), []);
+  }
+
+  // Maildir convention: once read, a message moves from new/ to cur/ with the "seen" flag
+  markSeen(file) {
+    if (!file || path.basename(path.dirname(file)) !== 'new') return;
+    const target = path.join(path.dirname(path.dirname(file)), 'cur', `${path.basename(file)}:2,S`);
+    fs.renameSync(file, target);
+  }
+}
+
+module.exports = new BounceParser();
@@ -0,0 +1,289 @@
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const textImport = require('../../shared/text-import');
+const columnMapping = require('../../shared/column-mapping');
+const sheetRoles = require('../../shared/sheet-roles');
+const mappingProfileStore = require('./mapping-profile-store');
+const { SPREADSHEET_EXTENSIONS, TEXT_IMPORT_EXTENSIONS, IMPORT_MIME_TYPES } = require('../utils/constants');
+const { createHttpError, buildCsv } = require('../utils/helpers');
+
+// Sheet name given to text files, which have no sheets of their own
+const TEXT_SHEET_NAME = 'Customers';
+
+const ERROR_REPORT_COLUMNS = ['Row', 'Account No', 'Column', 'Value', 'Problem', 'Rule'];
+
+/**
+ * Reads an uploaded customer file into a workbook: Excel files directly, and
+ * CSV, TSV, pipe-delimited or fixed-width text through the shared text importer.
+ * The default fixed-width layout is read from the JSON file named by
+ * IMPORT_FIXED_WIDTH_LAYOUT; an upload can send its own `layout` instead.
+ * Each sheet gets a role (customers, loans, KYC documents) and its headers are
+ * mapped onto the canonical customer fields.
+ */
+class CustomerImportService {
+  constructor() {
+    this.layoutFile = process.env.IMPORT_FIXED_WIDTH_LAYOUT || null;
+    this.layout = undefined; // lazily loaded from layoutFile
+  }
+
+  getSupportedExtensions() {
+    return [...SPREADSHEET_EXTENSIONS, ...TEXT_IMPORT_EXTENSIONS];
+  }
+
+  isSupportedFile(file) {
+    const ext = path.extname(file.originalname || '').toLowerCase();
+    return IMPORT_MIME_TYPES.includes(file.mimetype) || this.getSupportedExtensions().includes(ext);
+  }
+
+  unsupportedFileError() {
+    const error = createHttpError(400, `Only Excel or text files (${this.getSupportedExtensions().join(', ')}) are allowed`);
+    error.code = 'UNSUPPORTED_FILE_TYPE';
+    return error;
+  }
+
+  // The configured fixed-width layout, or null when none is configured
+  getConfiguredLayout() {
+    if (this.layout !== undefined) return this.layout;
+    if (!this.layoutFile) {
+      this.layout = null;
+      return null;
+    }
+
+    let layout;
+    try {
+      layout = JSON.parse(fs.readFileSync(this.layoutFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Unable to read fixed-width layout ${this.layoutFile}: ${error.message}`);
+    }
+
+    const errors = textImport.validateLayout(layout);
+    if (errors.length > 0) {
+      throw new Error(`Fixed-width layout ${this.layoutFile} is invalid: ${errors.join('; ')}`);
+    }
+
+    this.layout = layout;
+    return layout;
+  }
+
+  // A layout sent with an upload arrives as a JSON string in the multipart form
+  parseLayoutOption(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    let layout = value;
+    if (typeof value === 'string') {
+      try {
+        layout = JSON.parse(value);
+      } catch (error) {
+        throw createHttpError(400, 'layout must be valid JSON');
+      }
+    }
+
+    const errors = textImport.validateLayout(layout);
+    if (errors.length > 0) {
+      throw createHttpError(400, `Invalid fixed-width layout: ${errors.join('; ')}`);
+    }
+    return layout;
+  }
+
+  /**
+   * Read a customer file. options: { format, encoding, layout } as sent with the upload.
+   * Returns { workbook, format, delimiter, encoding }; format is 'excel' for spreadsheets.
+   */
+  read(filePath, originalName, options = {}) {
+    const ext = path.extname(originalName || '').toLowerCase();
+    const format = options.format || 'auto';
+    const buffer = fs.readFileSync(filePath);
+
+    if (format === 'excel' || (format === 'auto' && SPREADSHEET_EXTENSIONS.includes(ext))) {
+      return {
+        workbook: XLSX.read(buffer, { type: 'buffer', cellDates: true }),
+        format: 'excel',
+        delimiter: null,
+        encoding: null
+      };
+    }
+
+    const layout = this.parseLayoutOption(options.layout);
+    const fallbackLayout = this.getConfiguredLayout();
+
+    let parsed;
+    try {
+      parsed = textImport.parse(buffer, originalName, {
+        format,
+        encoding: options.encoding || undefined,
+        layout,
+        fallbackLayout
+      });
+    } catch (error) {
+      // Anything the text importer rejects is a problem with the file or options sent
+      throw createHttpError(400, error.message);
+    }
+
+    // Empty cells become missing cells, which sheet_to_json reports as null like blank Excel cells
+    const rows = parsed.rows.map(cells => cells.map(cell => (cell === '' ? null : cell)));
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), TEXT_SHEET_NAME);
+
+    return {
+      workbook,
+      format: parsed.format,
+      delimiter: parsed.delimiter,
+      encoding: parsed.encoding
+    };
+  }
+
+  // JSON object sent as a multipart form field; null when the field is absent
+  parseJsonOption(value, name) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value !== 'string') return value;
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      throw createHttpError(400, `${name} must be valid JSON`);
+    }
+  }
+
+  /**
+   * Every sheet with rows, and its role: from `sheetRoles` ({ sheetName: role }) sent with
+   * the upload, else guessed from the sheet's name and the fields its headers map to.
+   * Returns [{ name, role, headers, rows }] in workbook order.
+   */
+  readSheets(workbook, rolesOption) {
+    const sheetNames = workbook.SheetNames || [];
+    const overrides = this.parseJsonOption(rolesOption, 'sheetRoles') || {};
+    const errors = sheetRoles.validateRoles(overrides, sheetNames);
+    if (errors.length > 0) {
+      throw createHttpError(400, `Invalid sheet roles: ${errors.join('; ')}`, errors);
+    }
+
+    const sheets = sheetNames
+      .map(name => {
+        const rows = XLSX.utils.sheet_to_json(workbook.Sheets[name], { defval: null });
+        return { name, rows, headers: rows.length > 0 ? Object.keys(rows[0]) : [] };
+      })
+      .filter(sheet => sheet.rows.length > 0);
+
+    const roles = sheetRoles.assignRoles(sheets.map(sheet => ({
+      name: sheet.name,
+      fields: Object.values(columnMapping.toMapping(columnMapping.propose(sheet.headers)))
+    })), overrides);
+
+    return sheets.map(sheet => ({ ...sheet, role: roles[sheet.name] }));
+  }
+
+  /**
+   * Map the loan and KYC sheets onto customer fields, each with its entry in `sheetMappings`
+   * ({ sheetName: { header: field } }) or a saved profile or proposal, as resolveMapping does.
+   * These sheets only need an ACCOUNT_NO column to be joined.
+   */
+  mapRelatedSheets(sheets, mappingsOption) {
+    const mappings = this.parseJsonOption(mappingsOption, 'sheetMappings') || {};
+
+    return sheets
+      .filter(sheet => sheet.role !== 'customers' && sheet.role !== 'ignore')
+      .map(sheet => {
+        const mapping = this.resolveMapping(sheet.headers, { mapping: mappings[sheet.name] });
+        mapping.missingRequired = mapping.missingRequired.filter(field => field === 'ACCOUNT_NO');
+        // No account key guessing here: a loan sheet's LOAN_ACCOUNT_NO is not the customer's account
+        const rows = this.applyMapping(sheet.rows, mapping.mapping);
+        if (!rows.some(row => 'ACCOUNT_NO' in row)) {
+          throw createHttpError(400, `Sheet '${sheet.name}' has no account number column to join on. Map one to ACCOUNT_NO or give the sheet the role 'ignore'.`);
+        }
+        return { name: sheet.name, role: sheet.role, mapping, rows };
+      });
+  }
+
+  // A confirmed mapping sent with an upload, as a JSON string of { header: field }
+  parseMappingOption(value, headers) {
+    if (value === undefined || value === null || value === '') return null;
+
+    let mapping = value;
+    if (typeof value === 'string') {
+      try {
+        mapping = JSON.parse(value);
+      } catch (error) {
+        throw createHttpError(400, 'mapping must be valid JSON');
+      }
+    }
+
+    const errors = columnMapping.validateMapping(mapping);
+    const unknown = Object.keys(mapping || {}).filter(header => !headers.includes(header));
+    unknown.forEach(header => errors.push(`'${header}' is not a column in the file`));
+    if (errors.length > 0) {
+      throw createHttpError(400, `Invalid column mapping: ${errors.join('; ')}`, errors);
+    }
+    return mapping;
+  }
+
+  /**
+   * Decide how a file's headers map onto customer fields: the mapping sent with the
+   * upload, else the named profile, else a saved profile that fits the headers, else a
+   * fuzzy proposal. A proposal is only confirmed when every header it maps already
+   * spells a field name ("Account No", "KYC Status"); otherwise the user has to check it.
+   */
+  resolveMapping(headers, options = {}) {
+    const proposal = columnMapping.propose(headers);
+    const requested = this.parseMappingOption(options.mapping, headers);
+
+    let mapping;
+    let source;
+    let profile = null;
+    if (requested) {
+      mapping = requested;
+      source = 'request';
+    } else {
+      profile = options.profile
+        ? mappingProfileStore.require(options.profile)
+        : mappingProfileStore.findForHeaders(headers);
+      mapping = profile ? columnMapping.profileMapping(profile, headers) : columnMapping.toMapping(proposal);
+      source = profile ? 'profile' : 'proposed';
+    }
+
+    return {
+      source,
+      profile: profile ? profile.name : null,
+      confirmed: source !== 'proposed' || proposal.every(column => !column.field || column.match === 'exact'),
+      mapping,
+      columns: proposal.map(column => ({
+        header: column.header,
+        field: mapping[column.header] || null,
+        proposed: column.field,
+        score: column.score,
+        match: column.match
+      })),
+      missingRequired: columnMapping.missingRequired(headers, mapping)
+    };
+  }
+
+  applyMapping(rows, mapping) {
+    return columnMapping.applyMapping(rows, mapping);
+  }
+
+  // Per-row validation problems as CSV, one line per problem
+  buildErrorReport(rowErrors) {
+    return buildCsv([
+      ERROR_REPORT_COLUMNS,
+      ...rowErrors.map(e => [e.row, e.accountNo, e.column, this.formatReportValue(e.value), e.problem, e.rule])
+    ]);
+  }
+
+  formatReportValue(value) {
+    if (value === undefined || value === null) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    return typeof value === 'object' ? JSON.stringify(value) : value;
+  }
+
+  // What the upload endpoint accepts, for clients that parse files themselves
+  getFormats() {
+    return {
+      extensions: this.getSupportedExtensions(),
+      formats: ['auto', 'excel', 'csv', 'tsv', 'pipe', 'semicolon', 'fixed'],
+      fixedWidthLayout: this.getConfiguredLayout(),
+      fields: columnMapping.getFields()
+    };
+  }
+}
+
+module.exports = new CustomerImportService();
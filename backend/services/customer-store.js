@@ -0,0 +1,188 @@
+const { DATA_FILES } = require('../utils/constants');
+const {
+  readJsonFile,
+  writeJsonFileAtomic,
+  createHttpError,
+  normalizeAccountKey,
+  getAccountValue
+} = require('../utils/helpers');
+
+class CustomerStore {
+  constructor(filePath = DATA_FILES.customers) {
+    this.filePath = filePath;
+    this.customers = null; // lazily loaded cache
+  }
+
+  // Load customers from disk (supports both [...] and { customers: [...] } shapes)
+  load() {
+    if (this.customers) return this.customers;
+
+    const parsed = readJsonFile(this.filePath, []);
+    if (Array.isArray(parsed)) {
+      this.customers = parsed;
+    } else if (parsed && Array.isArray(parsed.customers)) {
+      this.customers = parsed.customers;
+    } else {
+      throw new Error('customers.json has an unexpected shape');
+    }
+
+    return this.customers;
+  }
+
+  save() {
+    writeJsonFileAtomic(this.filePath, {
+      customers: this.customers,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  accountKey(accountNo) {
+    return String(accountNo || '').trim().toLowerCase();
+  }
+
+  indexOf(accountNo) {
+    const key = this.accountKey(accountNo);
+    return this.load().findIndex(c => this.accountKey(getAccountValue(c)) === key);
+  }
+
+  prepare(customer) {
+    const record = normalizeAccountKey(customer);
+    const accountNo = String(getAccountValue(record) || '').trim();
+    if (!accountNo) {
+      throw createHttpError(400, 'ACCOUNT_NO is required');
+    }
+    record.ACCOUNT_NO = accountNo;
+    return record;
+  }
+
+  getAll() {
+    return this.load().slice();
+  }
+
+  count() {
+    return this.load().length;
+  }
+
+  findByAccount(accountNo) {
+    const index = this.indexOf(accountNo);
+    return index === -1 ? null : this.customers[index];
+  }
+
+  // Resolve a list of account numbers against the store
+  findMany(accountNos = []) {
+    const customers = [];
+    const missing = [];
+
+    accountNos.forEach(accountNo => {
+      const found = this.findByAccount(accountNo);
+      if (found) customers.push(found);
+      else missing.push(accountNo);
+    });
+
+    return { customers, missing };
+  }
+
+  create(customer) {
+    const record = this.prepare(customer);
+    if (this.indexOf(record.ACCOUNT_NO) !== -1) {
+      throw createHttpError(409, `Customer with account ${record.ACCOUNT_NO} already exists`);
+    }
+
+    const now = new Date().toISOString();
+    const created = { ...record, createdAt: now, updatedAt: now };
+    this.customers.push(created);
+    this.save();
+    return created;
+  }
+
+  // Replace the whole record (PUT semantics); the account number cannot change
+  update(accountNo, customer) {
+    const index = this.indexOf(accountNo);
+    if (index === -1) {
+      throw createHttpError(404, `Customer ${accountNo} not found`);
+    }
+
+    const existing = this.customers[index];
+    const record = this.prepare({ ...customer, ACCOUNT_NO: existing.ACCOUNT_NO });
+    const updated = {
+      ...record,
+      createdAt: existing.createdAt,
+      updatedAt: new Date().toISOString()
+    };
+    this.customers[index] = updated;
+    this.save();
+    return updated;
+  }
+
+  // Merge selected fields into the record (PATCH semantics)
+  patch(accountNo, changes) {
+    const index = this.indexOf(accountNo);
+    if (index === -1) {
+      throw createHttpError(404, `Customer ${accountNo} not found`);
+    }
+
+    const existing = this.customers[index];
+    const updated = {
+      ...existing,
+      ...changes,
+      ACCOUNT_NO: existing.ACCOUNT_NO,
+      createdAt: existing.createdAt,
+      updatedAt: new Date().toISOString()
+    };
+    this.customers[index] = updated;
+    this.save();
+    return updated;
+  }
+
+  remove(accountNo) {
+    const index = this.indexOf(accountNo);
+    if (index === -1) {
+      throw createHttpError(404, `Customer ${accountNo} not found`);
+    }
+
+    const [removed] = this.customers.splice(index, 1);
+    this.save();
+    return removed;
+  }
+
+  // Insert new accounts and merge changes into existing ones, in a single write.
+  // Every record is validated before any is applied, so a bad row leaves the store untouched
+  upsertMany(customers) {
+    const records = customers.map(customer => this.prepare(customer));
+
+    const next = this.load().slice();
+    const positions = new Map();
+    next.forEach((c, i) => positions.set(this.accountKey(getAccountValue(c)), i));
+
+    const now = new Date().toISOString();
+    let created = 0;
+    let updated = 0;
+
+    records.forEach(record => {
+      const key = this.accountKey(record.ACCOUNT_NO);
+      const index = positions.has(key) ? positions.get(key) : -1;
+
+      if (index === -1) {
+        positions.set(key, next.length);
+        next.push({ ...record, createdAt: now, updatedAt: now });
+        created++;
+      } else {
+        const existing = next[index];
+        next[index] = {
+          ...existing,
+          ...record,
+          ACCOUNT_NO: existing.ACCOUNT_NO,
+          createdAt: existing.createdAt,
+          updatedAt: now
+        };
+        updated++;
+      }
+    });
+
+    this.customers = next;
+    this.save();
+    return { created, updated, total: next.length };
+  }
+}
+
+module.exports = new CustomerStore();
@@ -0,0 +1,179 @@
+const { DATA_FILES } = require('../utils/constants');
+const { readJsonFile, writeJsonFileAtomic, createHttpError } = require('../utils/helpers');
+const auditLog = require('./audit-log');
+
+// Bounce reports already applied, remembered so re-reading a mailbox is harmless
+const MAX_PROCESSED_REPORTS = 5000;
+
+/**
+ * Per-message email delivery status, keyed by SMTP message ID, and the list of
+ * addresses suppressed after a hard bounce. Stored in database/email-deliveries.json.
+ */
+class DeliveryStore {
+  constructor(filePath = DATA_FILES.emailDeliveries) {
+    this.filePath = filePath;
+    this.data = null; // lazily loaded cache
+  }
+
+  load() {
+    if (this.data) return this.data;
+
+    const parsed = readJsonFile(this.filePath, {});
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('email-deliveries.json has an unexpected shape');
+    }
+
+    this.data = {
+      deliveries: parsed.deliveries || [],
+      suppressions: parsed.suppressions || [],
+      processedReports: parsed.processedReports || []
+    };
+    return this.data;
+  }
+
+  save() {
+    writeJsonFileAtomic(this.filePath, {
+      ...this.data,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+  }
+
+  get(messageId) {
+    return this.load().deliveries.find(d => d.messageId === messageId) || null;
+  }
+
+  // Latest message sent to an address, used when a bounce does not quote its message ID
+  findLatestByEmail(email) {
+    const address = this.normalizeEmail(email);
+    const matches = this.load().deliveries.filter(d => d.email === address);
+    return matches.length ? matches[matches.length - 1] : null;
+  }
+
+  recordSent({ messageId, email, accountNo, customerName, issueType, jobId, transport }) {
+    if (!messageId) return null;
+
+    const now = new Date().toISOString();
+    const delivery = {
+      messageId,
+      email: this.normalizeEmail(email),
+      accountNo: accountNo ? String(accountNo) : null,
+      customerName: customerName || null,
+      issueType: issueType || null,
+      jobId: jobId || null,
+      transport: transport || null,
+      status: 'sent',
+      sentAt: now,
+      updatedAt: now,
+      bounces: []
+    };
+
+    this.load().deliveries.push(delivery);
+    this.save();
+    return delivery;
+  }
+
+  getSuppression(email) {
+    const address = this.normalizeEmail(email);
+    return this.load().suppressions.find(s => s.email === address) || null;
+  }
+
+  isSuppressed(email) {
+    return !!this.getSuppression(email);
+  }
+
+  getSuppressions() {
+    return this.load().suppressions.slice();
+  }
+
+  // Lift a suppression, e.g. after the customer confirms the address works again
+  removeSuppression(email) {
+    const suppression = this.getSuppression(email);
+    if (!suppression) {
+      throw createHttpError(404, `${email} is not suppressed`);
+    }
+
+    const { suppressions } = this.load();
+    suppressions.splice(suppressions.indexOf(suppression), 1);
+    this.save();
+    return suppression;
+  }
+
+  /**
+   * Apply one bounce event: { email, type: 'hard' | 'soft', messageId?, status?,
+   * diagnostic?, source?, reportId? }. Hard bounces suppress the address and
+   * are audited as 'bounced'.
+   * Returns { delivery, suppression, duplicate } where either may be null.
+   */
+  applyBounce(event, actor) {
+    const data = this.load();
+
+    if (event.reportId && data.processedReports.includes(event.reportId)) {
+      return { delivery: null, suppression: null, duplicate: true };
+    }
+
+    const email = this.normalizeEmail(event.email);
+    const delivery = (event.messageId && this.get(event.messageId)) || this.findLatestByEmail(email);
+    const now = new Date().toISOString();
+    const bounce = {
+      type: event.type,
+      status: event.status || null,
+      diagnostic: event.diagnostic || null,
+      source: event.source || 'webhook',
+      receivedAt: now
+    };
+
+    if (delivery) {
+      delivery.bounces.push(bounce);
+      // A hard bounce is final; a soft one only matters while nothing worse is known
+      if (event.type === 'hard' || delivery.status === 'sent') {
+        delivery.status = event.type === 'hard' ? 'bounced' : 'deferred';
+      }
+      delivery.updatedAt = now;
+    }
+
+    let suppression = null;
+    if (event.type === 'hard' && email) {
+      suppression = this.getSuppression(email);
+      if (!suppression) {
+        suppression = {
+          email,
+          reason: 'hard_bounce',
+          status: bounce.status,
+          diagnostic: bounce.diagnostic,
+          messageId: delivery ? delivery.messageId : (event.messageId || null),
+          accountNo: delivery ? delivery.accountNo : (event.accountNo || null),
+          suppressedAt: now
+        };
+        data.suppressions.push(suppression);
+      }
+    }
+
+    if (event.reportId) {
+      data.processedReports.push(event.reportId);
+      data.processedReports = data.processedReports.slice(-MAX_PROCESSED_REPORTS);
+    }
+
+    this.save();
+
+    if (event.type === 'hard') {
+      auditLog.safeRecordMany([{
+        actor,
+        accountNo: delivery ? delivery.accountNo : event.accountNo,
+        customerName: delivery ? delivery.customerName : null,
+        issueType: delivery ? delivery.issueType : null,
+        channel: 'email',
+        outcome: 'bounced',
+        messageId: delivery ? delivery.messageId : event.messageId,
+        recipient: email,
+        error: bounce.diagnostic || bounce.status
+      }]);
+    }
+    return { delivery, suppression, duplicate: false };
+  }
+}
+
+module.exports = new DeliveryStore();
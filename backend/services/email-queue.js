@@ -0,0 +1,501 @@
+const crypto = require('crypto');
+const { DATA_FILES } = require('../utils/constants');
+const { readJsonFile, writeJsonFileAtomic } = require('../utils/helpers');
+const emailService = require('./email-service');
+const pdfService = require('./pdf-service');
+const smsService = require('./sms-service');
+const { generateLetterContent } = require('../templates/letter-templates');
+const auditLog = require('./audit-log');
+const deliveryStore = require('./delivery-store');
+
+// SMTP reply codes and socket errors worth retrying; anything else fails the item at once
+const TRANSIENT_SMTP_CODES = [421, 450, 451, 452];
+const TRANSIENT_ERROR_CODES = ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'ECONNRESET', 'EDNS', 'EAI_AGAIN'];
+
+const FINISHED_ITEM_STATUSES = ['sent', 'failed', 'skipped'];
+
+const SUPPRESSED_REASON = 'Address suppressed after hard bounce';
+
+// What a finished item keeps; the customer record is only held while the message is waiting
+const FINISHED_ITEM_FIELDS = [
+  'accountNo', 'channel', 'status', 'reason', 'attempts', 'lastError', 'errorCode',
+  'messageId', 'transport', 'dltTemplateId', 'sentAt', 'templateVersion', 'language'
+];
+
+/**
+ * Durable queue of email jobs stored in database/email-jobs.json.
+ * Routes enqueue a job and return at once; a single in-process worker sends
+ * one message at a time (an email, or an SMS for customers without one when
+ * options.smsFallback is set), pacing them with the job's delayMs/batchSize options
+ * and retrying transient SMTP failures with exponential backoff.
+ * Each email is rendered from the issue type's approved template when it is sent.
+ * Finished items keep only the account number and outcome, and completed jobs are
+ * dropped after EMAIL_JOB_RETENTION_HOURS (the audit log keeps the permanent record).
+ * Progress is saved every few seconds, and flush() writes what is left when the
+ * server stops (SIGTERM, SIGINT). Delivery is at-least-once: only a message in flight
+ * when the process dies, or everything since the last save after a crash, is sent again.
+ */
+class EmailQueue {
+  constructor(filePath = DATA_FILES.emailJobs) {
+    this.filePath = filePath;
+    this.jobs = null; // lazily loaded cache
+    this.timer = null;
+    this.timerDueAt = null;
+    this.saveTimer = null;
+    this.working = false;
+    this.started = false;
+
+    this.maxAttempts = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 5;
+    this.retryBaseMs = parseInt(process.env.EMAIL_RETRY_BASE_MS, 10) || 30 * 1000;
+    this.retryMaxMs = parseInt(process.env.EMAIL_RETRY_MAX_MS, 10) || 30 * 60 * 1000;
+    this.saveDelayMs = parseInt(process.env.EMAIL_QUEUE_SAVE_MS, 10) || 2000;
+    this.retentionMs = (parseInt(process.env.EMAIL_JOB_RETENTION_HOURS, 10) || 7 * 24) * 60 * 60 * 1000;
+  }
+
+  load() {
+    if (this.jobs) return this.jobs;
+
+    const parsed = readJsonFile(this.filePath, { jobs: [] });
+    if (!parsed || !Array.isArray(parsed.jobs)) {
+      throw new Error('email-jobs.json has an unexpected shape');
+    }
+
+    this.jobs = parsed.jobs;
+    return this.jobs;
+  }
+
+  save() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    this.prune();
+    writeJsonFileAtomic(this.filePath, {
+      jobs: this.jobs,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  // Progress after each message is written at most once every saveDelayMs
+  saveSoon() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), this.saveDelayMs);
+    if (this.saveTimer.unref) this.saveTimer.unref();
+  }
+
+  // Write progress saveSoon() is still holding back, e.g. before the process exits
+  flush() {
+    if (this.saveTimer) this.save();
+  }
+
+  // Drop completed jobs older than the retention period
+  prune(now = Date.now()) {
+    this.jobs = this.load().filter(job =>
+      job.status !== 'completed' || now - new Date(job.completedAt).getTime() < this.retentionMs
+    );
+  }
+
+  // Resume unfinished jobs left over from a previous run
+  start() {
+    this.started = true;
+    const pending = this.load().filter(job => job.status !== 'completed').length;
+    if (pending > 0) {
+      console.log(`Email queue: resuming ${pending} unfinished job(s)`);
+    }
+    this.schedule(0);
+  }
+
+  get(id) {
+    return this.load().find(job => job.id === id) || null;
+  }
+
+  /**
+   * Queue one email per customer. Customers without an address, or whose
+   * address has hard-bounced before, get an SMS instead when options.smsFallback
+   * is set and they have a MOBILE; otherwise they are skipped (and audited)
+   * straight away. Returns the stored job.
+   */
+  enqueue({ type, customers, issueType, options = {}, scheduleId }, actor) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      scheduleId,
+      status: 'queued',
+      createdBy: actor,
+      createdAt: now,
+      startedAt: null,
+      completedAt: null,
+      issueType,
+      options,
+      attemptCount: 0,
+      // Pause after every batchSize messages (bulk sends only)
+      pacing: {
+        delayMs: options.delayMs || 1000,
+        batchSize: type === 'bulk-send' ? (options.batchSize || 5) : null,
+        batchDelayMs: options.batchDelayMs || 5000
+      },
+      items: customers.map(customer => {
+        let channel = 'email';
+        let reason = this.skipReason(customer.EMAIL);
+        if (reason && options.smsFallback) {
+          if (customer.MOBILE) {
+            channel = 'sms';
+            reason = null;
+          } else {
+            reason = `${reason} and no mobile number for SMS`;
+          }
+        }
+
+        return {
+          accountNo: customer.ACCOUNT_NO || customer.NAME,
+          channel,
+          email: channel === 'email' ? (customer.EMAIL || null) : null,
+          mobile: channel === 'sms' ? customer.MOBILE : undefined,
+          customer,
+          status: reason ? 'skipped' : 'pending',
+          reason: reason || undefined,
+          attempts: 0,
+          nextAttemptAt: reason ? null : now,
+          lastError: null,
+          messageId: null,
+          sentAt: null
+        };
+      })
+    };
+
+    const settled = job.items.filter(item => item.status !== 'pending');
+    auditLog.safeRecordMany(settled.map(item => ({
+      ...this.auditBase(job, item),
+      outcome: item.status,
+      error: item.reason || item.lastError
+    })));
+    job.items = job.items.map(item => (item.status === 'pending' ? item : this.strip(item)));
+
+    this.finishIfDone(job);
+    this.load().push(job);
+    this.save();
+
+    if (this.started) this.schedule(0);
+    return job;
+  }
+
+  skipReason(email) {
+    if (!email) return 'No email address provided';
+    if (deliveryStore.isSuppressed(email)) return SUPPRESSED_REASON;
+    return null;
+  }
+
+  // The finished form of an item: no customer record, address or letter
+  strip(item) {
+    const kept = {};
+    FINISHED_ITEM_FIELDS.forEach(field => {
+      if (item[field] !== undefined) kept[field] = item[field];
+    });
+    return kept;
+  }
+
+  auditBase(job, item) {
+    const sms = item.channel === 'sms';
+    return {
+      actor: job.createdBy,
+      accountNo: item.customer.ACCOUNT_NO,
+      customerName: item.customer.NAME,
+      issueType: job.issueType,
+      templateVersion: item.templateVersion,
+      language: item.language,
+      channel: sms ? 'sms' : 'email',
+      recipient: sms ? item.mobile : item.email
+    };
+  }
+
+  // Run the worker after delayMs, unless it is already due to run sooner
+  schedule(delayMs) {
+    const dueAt = Date.now() + Math.max(0, delayMs);
+    if (this.timer && this.timerDueAt <= dueAt) return;
+
+    if (this.timer) clearTimeout(this.timer);
+    this.timerDueAt = dueAt;
+    this.timer = setTimeout(() => this.work(), Math.max(0, delayMs));
+    // Never keep the process alive just for the queue
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  // Send the next due message, then schedule the following run
+  async work() {
+    if (this.working) return;
+    this.working = true;
+    this.timer = null;
+
+    let nextDelay = null;
+    try {
+      const next = this.nextDue();
+      if (next) {
+        await this.send(next.job, next.item);
+        nextDelay = this.pacingDelay(next.job);
+      } else {
+        nextDelay = this.timeUntilNextRetry();
+      }
+    } catch (error) {
+      console.error('Email queue error:', error);
+      nextDelay = this.retryBaseMs;
+    } finally {
+      this.working = false;
+    }
+
+    if (nextDelay !== null) this.schedule(nextDelay);
+  }
+
+  // Oldest unfinished job first, so one large send cannot starve a later one forever
+  nextDue() {
+    const now = Date.now();
+    for (const job of this.load()) {
+      if (job.status === 'completed') continue;
+      const item = job.items.find(i =>
+        i.status === 'pending' && new Date(i.nextAttemptAt).getTime() <= now
+      );
+      if (item) return { job, item };
+    }
+    return null;
+  }
+
+  timeUntilNextRetry() {
+    const waits = this.load()
+      .filter(job => job.status !== 'completed')
+      .reduce((all, job) => all.concat(job.items.filter(i => i.status === 'pending')), [])
+      .map(item => new Date(item.nextAttemptAt).getTime() - Date.now());
+    return waits.length ? Math.max(0, Math.min(...waits)) : null;
+  }
+
+  pacingDelay(job) {
+    const { delayMs, batchSize, batchDelayMs } = job.pacing;
+    if (batchSize && job.attemptCount % batchSize === 0) {
+      return batchDelayMs;
+    }
+    return delayMs;
+  }
+
+  async send(job, item) {
+    if (job.status === 'queued') {
+      job.status = 'running';
+      job.startedAt = new Date().toISOString();
+    }
+
+    if (item.channel === 'sms') {
+      return this.sendSms(job, item);
+    }
+
+    // The address may have bounced since the job was queued
+    if (item.email && deliveryStore.isSuppressed(item.email)) {
+      if (job.options.smsFallback && item.customer.MOBILE) {
+        item.channel = 'sms';
+        item.mobile = item.customer.MOBILE;
+        return this.sendSms(job, item);
+      }
+
+      item.status = 'skipped';
+      item.reason = SUPPRESSED_REASON;
+      item.nextAttemptAt = null;
+      auditLog.safeRecordMany([{ ...this.auditBase(job, item), outcome: 'skipped', error: SUPPRESSED_REASON }]);
+      this.finish(job, item);
+      return;
+    }
+
+    item.attempts += 1;
+    try {
+      const letter = this.renderLetter(job, item);
+      const attachment = job.options.includeAttachment ? await this.renderAttachment(item, letter, job.options) : {};
+      const result = await emailService.sendLetter(
+        item.customer, letter.subject, letter.content, job.issueType, { ...job.options, ...attachment }
+      );
+      item.status = 'sent';
+      item.messageId = result.messageId;
+      item.transport = result.transport;
+      item.sentAt = new Date().toISOString();
+      item.lastError = null;
+      item.nextAttemptAt = null;
+      deliveryStore.recordSent({
+        messageId: result.messageId,
+        email: item.email,
+        accountNo: item.customer.ACCOUNT_NO,
+        customerName: item.customer.NAME,
+        issueType: job.issueType,
+        jobId: job.id,
+        transport: result.transport
+      });
+      auditLog.safeRecordMany([{ ...this.auditBase(job, item), outcome: 'sent', messageId: result.messageId }]);
+
+    } catch (error) {
+      item.lastError = error.message;
+      item.errorCode = error.responseCode || error.code || 'UNKNOWN';
+      this.settleFailure(job, item, error);
+    }
+
+    job.attemptCount += 1;
+    this.finish(job, item);
+  }
+
+  async sendSms(job, item) {
+    item.attempts += 1;
+    try {
+      const result = await smsService.sendMessage(item.customer, job.issueType);
+      item.status = 'sent';
+      item.messageId = result.messageId;
+      item.transport = result.provider;
+      item.dltTemplateId = result.dltTemplateId;
+      item.sentAt = new Date().toISOString();
+      item.lastError = null;
+      item.nextAttemptAt = null;
+      auditLog.safeRecordMany([{ ...this.auditBase(job, item), outcome: 'sent', messageId: result.messageId }]);
+
+    } catch (error) {
+      item.lastError = error.message;
+      item.errorCode = error.code || 'UNKNOWN';
+      this.settleFailure(job, item, error);
+    }
+
+    job.attemptCount += 1;
+    this.finish(job, item);
+  }
+
+  // The customer's own letter from the approved template; the version is recorded with the item.
+  // With a PDF attachment the whole email uses the language the PDF is printed in.
+  renderLetter(job, item) {
+    const letter = generateLetterContent(item.customer, job.issueType, job.options.customMessage, {
+      language: job.options.language,
+      pdf: job.options.includeAttachment
+    });
+    item.templateVersion = letter.templateVersion;
+    item.language = letter.language;
+    return letter;
+  }
+
+  /**
+   * The customer's letter as a PDF for options.includeAttachment. With
+   * options.protectAttachment the PDF is locked with the customer's password,
+   * and a customer without one is failed rather than sent an unprotected letter.
+   */
+  async renderAttachment(item, letter, options) {
+    if (!options.protectAttachment) {
+      return { pdfBuffer: await pdfService.generateLetterPDF(letter, item.customer) };
+    }
+
+    const password = pdfService.getDocumentPassword(item.customer);
+    if (!password) {
+      throw new Error('Cannot password-protect the attachment: no valid date of birth (DOB) on record');
+    }
+    return {
+      pdfBuffer: await pdfService.generateLetterPDF(letter, item.customer, { password }),
+      attachmentProtected: true
+    };
+  }
+
+  // Retry transient failures with exponential backoff; fail the item otherwise
+  settleFailure(job, item, error) {
+    if (this.isTransient(error) && item.attempts < this.maxAttempts) {
+      const wait = Math.min(this.retryBaseMs * 2 ** (item.attempts - 1), this.retryMaxMs);
+      const label = item.channel === 'sms' ? `SMS to ${item.mobile}` : `Email to ${item.email}`;
+      item.nextAttemptAt = new Date(Date.now() + wait).toISOString();
+      console.warn(`${label} failed (attempt ${item.attempts}), retrying in ${Math.round(wait / 1000)}s: ${error.message}`);
+    } else {
+      item.status = 'failed';
+      item.nextAttemptAt = null;
+      auditLog.safeRecordMany([{ ...this.auditBase(job, item), outcome: 'failed', error: error.message }]);
+    }
+  }
+
+  isTransient(error) {
+    // The SMS gateway says itself whether a retry may help
+    if (error.transient !== undefined) return error.transient;
+
+    const responseCode = Number(error.responseCode);
+    if (responseCode) return TRANSIENT_SMTP_CODES.includes(responseCode);
+    return TRANSIENT_ERROR_CODES.includes(error.code);
+  }
+
+  // After an attempt: strip a finished item, complete the job when nothing is left, save soon
+  finish(job, item) {
+    if (FINISHED_ITEM_STATUSES.includes(item.status)) {
+      job.items[job.items.indexOf(item)] = this.strip(item);
+    }
+    this.finishIfDone(job);
+    this.saveSoon();
+  }
+
+  finishIfDone(job) {
+    if (job.items.every(item => FINISHED_ITEM_STATUSES.includes(item.status))) {
+      job.status = 'completed';
+      job.completedAt = new Date().toISOString();
+      console.log(`Email job ${job.id} completed: ${this.getStatistics(job).sent} sent`);
+    }
+  }
+
+  // Overall counts plus a per-channel breakdown, so a campaign reports email and SMS reach together
+  getStatistics(job) {
+    const countItems = items => {
+      const count = status => items.filter(item => item.status === status).length;
+      return {
+        total: items.length,
+        sent: count('sent'),
+        failed: count('failed'),
+        skipped: count('skipped'),
+        pending: count('pending')
+      };
+    };
+    const channel = name => job.items.filter(item => (item.channel || 'email') === name);
+
+    const statistics = countItems(job.items);
+    statistics.channels = {
+      email: countItems(channel('email')),
+      sms: countItems(channel('sms'))
+    };
+    statistics.reachPercentage = statistics.total ? Math.round((statistics.sent / statistics.total) * 100) : 0;
+    return statistics;
+  }
+
+  // Public view of a job: progress and per-recipient results. Addresses are only
+  // known while a message is waiting; finished items keep the account number alone
+  describe(job) {
+    const statistics = this.getStatistics(job);
+    const finished = statistics.total - statistics.pending;
+
+    return {
+      id: job.id,
+      type: job.type,
+      scheduleId: job.scheduleId,
+      status: job.status,
+      issueType: job.issueType,
+      createdBy: job.createdBy,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt,
+      statistics,
+      progressPercentage: statistics.total ? Math.round((finished / statistics.total) * 100) : 100,
+      results: job.items.map(item => ({
+        customer: item.accountNo,
+        channel: item.channel || 'email',
+        email: item.email,
+        mobile: item.mobile,
+        status: item.status,
+        deliveryStatus: this.deliveryStatus(item),
+        attempts: item.attempts,
+        messageId: item.messageId || undefined,
+        transport: item.transport,
+        sentAt: item.sentAt || undefined,
+        reason: item.reason,
+        error: item.lastError || undefined,
+        errorCode: item.lastError ? item.errorCode : undefined,
+        nextAttemptAt: item.status === 'pending' && item.attempts > 0 ? item.nextAttemptAt : undefined
+      }))
+    };
+  }
+
+  // What happened after the message left us: 'sent' until a bounce report says otherwise
+  deliveryStatus(item) {
+    if (!item.messageId) return undefined;
+    const delivery = deliveryStore.get(item.messageId);
+    return delivery ? delivery.status : undefined;
+  }
+}
+
+module.exports = new EmailQueue();
@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const { DATA_FILES } = require('../utils/constants');
+const { readJsonFile, writeJsonFileAtomic, createHttpError } = require('../utils/helpers');
+const customerStore = require('./customer-store');
+const ruleStore = require('./rule-store');
+const templateStore = require('./template-store');
+const emailQueue = require('./email-queue');
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+const MAX_RUN_HISTORY = 50;
+
+/**
+ * Scheduled email campaigns stored in database/email-schedules.json.
+ * Each schedule sends the approved letter for an issue type at runAt and,
+ * when recurring, again every day/week/month at the same local time.
+ * Due schedules are handed to the email queue as ordinary jobs; runs missed
+ * while the server was down are caught up once on start.
+ */
+class EmailScheduler {
+  constructor(filePath = DATA_FILES.emailSchedules) {
+    this.filePath = filePath;
+    this.schedules = null; // lazily loaded cache
+    this.timer = null;
+  }
+
+  load() {
+    if (this.schedules) return this.schedules;
+
+    const parsed = readJsonFile(this.filePath, { schedules: [] });
+    if (!parsed || !Array.isArray(parsed.schedules)) {
+      throw new Error('email-schedules.json has an unexpected shape');
+    }
+
+    this.schedules = parsed.schedules;
+    return this.schedules;
+  }
+
+  save() {
+    writeJsonFileAtomic(this.filePath, {
+      schedules: this.schedules,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  start() {
+    if (this.timer) return;
+    this.runDue();
+    this.timer = setInterval(() => this.runDue(), CHECK_INTERVAL_MS);
+    // Never keep the process alive just for the scheduler
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  getAll(status) {
+    const schedules = this.load();
+    return status ? schedules.filter(s => s.status === status) : schedules.slice();
+  }
+
+  get(id) {
+    return this.load().find(s => s.id === id) || null;
+  }
+
+  require(id) {
+    const schedule = this.get(id);
+    if (!schedule) {
+      throw createHttpError(404, `Email schedule '${id}' not found`);
+    }
+    return schedule;
+  }
+
+  create(data, actor) {
+    const runAt = new Date(data.runAt);
+    if (runAt.getTime() <= Date.now()) {
+      throw createHttpError(400, 'runAt must be in the future');
+    }
+    if (data.recurrence && data.recurrence.until && new Date(data.recurrence.until) <= runAt) {
+      throw createHttpError(400, 'recurrence.until must be after runAt');
+    }
+
+    const now = new Date().toISOString();
+    const schedule = {
+      id: crypto.randomUUID(),
+      name: data.name || `${data.issueType} campaign`,
+      issueType: data.issueType,
+      customMessage: data.customMessage || '',
+      // Fixed list of accounts, or null to pick customers with the issue type's rule at each run
+      accountNos: data.accountNos || null,
+      options: data.options || {},
+      runAt: runAt.toISOString(),
+      recurrence: data.recurrence || null,
+      nextRunAt: runAt.toISOString(),
+      status: 'active',
+      createdBy: actor,
+      createdAt: now,
+      updatedAt: now,
+      runs: []
+    };
+
+    this.load().push(schedule);
+    this.save();
+    return schedule;
+  }
+
+  // Cancelled schedules are kept so their past runs stay visible
+  cancel(id, actor) {
+    const schedule = this.require(id);
+    if (schedule.status !== 'active') {
+      throw createHttpError(409, `Schedule '${id}' is already ${schedule.status}`);
+    }
+
+    schedule.status = 'cancelled';
+    schedule.cancelledBy = actor;
+    schedule.cancelledAt = new Date().toISOString();
+    schedule.updatedAt = schedule.cancelledAt;
+    schedule.nextRunAt = null;
+    this.save();
+    return schedule;
+  }
+
+  runDue(now = new Date()) {
+    try {
+      const due = this.load().filter(s =>
+        s.status === 'active' && new Date(s.nextRunAt).getTime() <= now.getTime()
+      );
+      due.forEach(schedule => this.run(schedule, now));
+      if (due.length) this.save();
+    } catch (error) {
+      console.error('Email scheduler error:', error);
+    }
+  }
+
+  // Queue one run of a schedule and work out when the next one is due
+  run(schedule, now = new Date()) {
+    const entry = { scheduledFor: schedule.nextRunAt, startedAt: now.toISOString() };
+
+    try {
+      // Checked up front so a run without an approved template queues nothing
+      if (!templateStore.getApproved(schedule.issueType)) {
+        throw new Error(`Template '${schedule.issueType}' has no approved version`);
+      }
+
+      const { customers, missing } = this.selectCustomers(schedule);
+      entry.customers = customers.length;
+      if (missing.length) entry.missingAccounts = missing;
+
+      if (customers.length > 0) {
+        const job = emailQueue.enqueue({
+          type: 'scheduled',
+          scheduleId: schedule.id,
+          customers,
+          issueType: schedule.issueType,
+          options: { ...schedule.options, customMessage: schedule.customMessage }
+        }, schedule.createdBy);
+        entry.jobId = job.id;
+      }
+      console.log(`Schedule '${schedule.name}' queued ${customers.length} email(s)`);
+
+    } catch (error) {
+      console.error(`Schedule '${schedule.name}' run failed:`, error);
+      entry.error = error.message;
+    }
+
+    schedule.runs.push(entry);
+    schedule.runs = schedule.runs.slice(-MAX_RUN_HISTORY);
+    schedule.lastRunAt = entry.startedAt;
+    schedule.updatedAt = entry.startedAt;
+
+    const next = this.nextOccurrence(schedule, now);
+    if (next) {
+      schedule.nextRunAt = next.toISOString();
+    } else {
+      schedule.status = 'completed';
+      schedule.nextRunAt = null;
+    }
+  }
+
+  selectCustomers(schedule) {
+    if (schedule.accountNos) {
+      return customerStore.findMany(schedule.accountNos);
+    }
+    return { customers: ruleStore.match(schedule.issueType, customerStore.getAll()), missing: [] };
+  }
+
+  /**
+   * First occurrence after `after`, counted from the original runAt so monthly
+   * runs keep their day (clamped to the month's last day, e.g. 31st -> 30th).
+   * Returns null for one-off schedules and once recurrence.until has passed.
+   */
+  nextOccurrence(schedule, after) {
+    const { recurrence } = schedule;
+    if (!recurrence) return null;
+
+    const start = new Date(schedule.runAt);
+    const interval = recurrence.interval || 1;
+    const until = recurrence.until ? new Date(recurrence.until) : null;
+
+    for (let n = 1; ; n++) {
+      const candidate = this.addPeriods(start, recurrence.frequency, n * interval);
+      if (until && candidate > until) return null;
+      if (candidate > after) return candidate;
+    }
+  }
+
+  addPeriods(start, frequency, count) {
+    const date = new Date(start);
+    if (frequency === 'daily') {
+      date.setDate(date.getDate() + count);
+    } else if (frequency === 'weekly') {
+      date.setDate(date.getDate() + count * 7);
+    } else {
+      const day = start.getDate();
+      date.setDate(1);
+      date.setMonth(date.getMonth() + count);
+      const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+      date.setDate(Math.min(day, lastDay));
+    }
+    return date;
+  }
+}
+
+module.exports = new EmailScheduler();
@@ -1,68 +1,225 @@
+const fs = require('fs');
+const path = require('path');
 const nodemailer = require('nodemailer');
-
+const { renderEmail } = require('../templates/email-templates');
+const { renderTemplate } = require('../templates/letter-templates');
+const issueTypeCatalog = require('./issue-types');
+
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '../../mail-outbox');
+
+// Mailbox errors (unknown user, mailbox full, bad address) would fail on every relay,
+// so they are not retried on the next transport
+const RECIPIENT_ERROR_CODES = [550, 551, 552, 553];
+
+/**
+ * Sends mail through one or more named transports, tried in order.
+ *
+ * EMAIL_TRANSPORTS lists the names (e.g. "relay,gmail"); each is configured with
+ * EMAIL_<NAME>_TYPE (smtp, gmail or file) plus, for smtp, EMAIL_<NAME>_HOST, _PORT,
+ * _SECURE, _USER, _PASS and _TLS_REJECT_UNAUTHORIZED, and for file, EMAIL_<NAME>_DIR.
+ * Without EMAIL_TRANSPORTS a single "default" transport is built from EMAIL_HOST,
+ * EMAIL_PROVIDER=file, or the original EMAIL_USER/EMAIL_PASS Gmail settings.
+ */
 class EmailService {
   constructor() {
-    this.transporter = null;
-    this.initializeTransporter();
+    this.transports = [];
+    this.initializeTransports();
   }
 
-  initializeTransporter() {
-    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+  initializeTransports() {
+    const names = (process.env.EMAIL_TRANSPORTS || '')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
+
+    const configs = names.length
+      ? names.map(name => this.readTransportConfig(name))
+      : [this.readDefaultConfig()].filter(Boolean);
+
+    configs.forEach(config => {
+      try {
+        this.transports.push({ ...config, transporter: this.createTransporter(config), verified: null });
+      } catch (error) {
+        console.error(`Email transport '${config.name}' could not be created:`, error.message);
+      }
+    });
+
+    if (this.transports.length === 0) {
       console.warn('Email credentials not configured. Email features will be disabled.');
       return;
     }
 
-    try {
-      this.transporter = nodemailer.createTransport({
-        service: 'gmail',
-        auth: {
-          user: process.env.EMAIL_USER,
-          pass: process.env.EMAIL_PASS
-        },
-        pool: true, // Use connection pooling
-        maxConnections: 5,
-        maxMessages: 100,
-        rateLimit: 10 // Max 10 emails per second
-      });
+    // Verify connections on startup
+    this.verifyConnection();
+  }
 
-      // Verify connection on startup
-      this.verifyConnection();
-      
-    } catch (error) {
-      console.error('Email service initialization failed:', error);
+  readTransportConfig(name) {
+    const env = key => process.env[`EMAIL_${name.toUpperCase()}_${key}`];
+    return {
+      name,
+      type: (env('TYPE') || 'smtp').toLowerCase(),
+      host: env('HOST'),
+      port: env('PORT') ? parseInt(env('PORT'), 10) : undefined,
+      secure: env('SECURE') === 'true',
+      rejectUnauthorized: env('TLS_REJECT_UNAUTHORIZED') !== 'false',
+      user: env('USER'),
+      pass: env('PASS'),
+      from: env('FROM'),
+      dir: env('DIR')
+    };
+  }
+
+  // Single-transport setup from the original variables
+  readDefaultConfig() {
+    const provider = (process.env.EMAIL_PROVIDER || '').toLowerCase();
+    const base = {
+      name: 'default',
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS,
+      from: process.env.EMAIL_FROM
+    };
+
+    if (provider === 'file') {
+      return { ...base, type: 'file', dir: process.env.EMAIL_FILE_DIR };
+    }
+    if (process.env.EMAIL_HOST) {
+      return {
+        ...base,
+        type: 'smtp',
+        host: process.env.EMAIL_HOST,
+        port: process.env.EMAIL_PORT ? parseInt(process.env.EMAIL_PORT, 10) : undefined,
+        secure: process.env.EMAIL_SECURE === 'true',
+        rejectUnauthorized: process.env.EMAIL_TLS_REJECT_UNAUTHORIZED !== 'false'
+      };
+    }
+    if (base.user && base.pass) {
+      return { ...base, type: 'gmail', service: provider || 'gmail' };
+    }
+    return null;
+  }
+
+  createTransporter(config) {
+    const pooling = {
+      pool: true, // Use connection pooling
+      maxConnections: 5,
+      maxMessages: 100,
+      rateLimit: 10 // Max 10 emails per second
+    };
+
+    switch (config.type) {
+      case 'file':
+        // Builds the raw message; sendVia() writes it to an .eml file
+        return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+      case 'gmail':
+        if (!config.user || !config.pass) throw new Error('user and password are required');
+        return nodemailer.createTransport({
+          service: config.service || 'gmail',
+          auth: { user: config.user, pass: config.pass },
+          ...pooling
+        });
+
+      case 'smtp':
+        if (!config.host) throw new Error('host is required');
+        return nodemailer.createTransport({
+          host: config.host,
+          port: config.port || (config.secure ? 465 : 587),
+          secure: config.secure,
+          auth: config.user ? { user: config.user, pass: config.pass } : undefined,
+          tls: { rejectUnauthorized: config.rejectUnauthorized },
+          ...pooling
+        });
+
+      default:
+        throw new Error(`unknown transport type '${config.type}'`);
     }
   }
 
+  fromAddress(transport) {
+    return transport.from || process.env.EMAIL_FROM || transport.user || process.env.EMAIL_USER || 'no-reply@localhost';
+  }
+
   async verifyConnection() {
-    if (!this.transporter) return false;
+    if (this.transports.length === 0) return false;
 
-    try {
-      await this.transporter.verify();
-      console.log('✅ Email service connected successfully');
-      return true;
-    } catch (error) {
-      console.error('❌ Email service connection failed:', error.message);
-      return false;
+    const results = await Promise.all(this.transports.map(async transport => {
+      if (transport.type === 'file') {
+        transport.verified = true;
+        return true;
+      }
+      try {
+        await transport.transporter.verify();
+        transport.verified = true;
+        console.log(`✅ Email transport '${transport.name}' connected successfully`);
+        return true;
+      } catch (error) {
+        transport.verified = false;
+        console.error(`❌ Email transport '${transport.name}' connection failed:`, error.message);
+        return false;
+      }
+    }));
+
+    return results.some(Boolean);
+  }
+
+  // Send through one transport; the file transport writes the message to its outbox folder
+  async sendVia(transport, mailOptions) {
+    const options = {
+      ...mailOptions,
+      from: { name: mailOptions.from.name, address: this.fromAddress(transport) }
+    };
+    const result = await transport.transporter.sendMail(options);
+
+    if (transport.type === 'file') {
+      const dir = path.resolve(transport.dir || DEFAULT_OUTBOX_DIR);
+      fs.mkdirSync(dir, { recursive: true });
+      const id = String(result.messageId).replace(/[^\w.-]/g, '');
+      const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}_${id}.eml`);
+      fs.writeFileSync(file, result.message);
+      return { ...result, file };
+    }
+    return result;
+  }
+
+  // Try each transport in order until one accepts the message
+  async deliver(mailOptions) {
+    let lastError = null;
+
+    for (const transport of this.transports) {
+      try {
+        const result = await this.sendVia(transport, mailOptions);
+        return { ...result, transport: transport.name };
+      } catch (error) {
+        lastError = error;
+        if (RECIPIENT_ERROR_CODES.includes(Number(error.responseCode))) break;
+        if (transport !== this.transports[this.transports.length - 1]) {
+          console.warn(`Email transport '${transport.name}' failed (${error.message}), trying the next one`);
+        }
+      }
     }
+
+    throw lastError;
   }
 
   async sendLetter(customer, subject, content, issueType, options = {}) {
-    if (!this.transporter) {
-      throw new Error('Email service not configured. Please set EMAIL_USER and EMAIL_PASS in environment variables.');
+    if (this.transports.length === 0) {
+      throw new Error('Email service not configured. Please set EMAIL_USER and EMAIL_PASS (or EMAIL_TRANSPORTS) in environment variables.');
     }
 
+    const { html, text } = renderEmail(customer, issueType, content, {
+      attachmentProtected: !!(options.pdfBuffer && options.attachmentProtected)
+    });
     const mailOptions = {
       from: {
-        name: 'State Bank of India',
-        address: process.env.EMAIL_USER
+        name: 'State Bank of India'
       },
       to: {
         name: customer.NAME,
         address: customer.EMAIL
       },
       subject: subject || this.getDefaultSubject(issueType, customer),
-      text: content,
-      html: this.formatAsHTML(content, customer),
+      text,
+      html,
       priority: this.getPriority(issueType),
       headers: {
         'X-SBI-Customer-ID': customer.ACCOUNT_NO,
@@ -81,25 +238,30 @@ class EmailService {
     }
 
     try {
-      const result = await this.transporter.sendMail(mailOptions);
+      const result = await this.deliver(mailOptions);
       
-      console.log(`Email sent successfully to ${customer.EMAIL} (Message ID: ${result.messageId})`);
+      console.log(`Email sent successfully to ${customer.EMAIL} via ${result.transport} (Message ID: ${result.messageId})`);
       
       return {
         success: true,
         messageId: result.messageId,
+        transport: result.transport,
         recipient: customer.EMAIL,
         subject: mailOptions.subject
       };
 
     } catch (error) {
       console.error(`Email sending failed for ${customer.EMAIL}:`, error);
-      throw new Error(`Email delivery failed: ${error.message}`);
+      const failure = new Error(`Email delivery failed: ${error.message}`);
+      // Keep the SMTP details so the email queue can tell transient failures from permanent ones
+      failure.code = error.code;
+      failure.responseCode = error.responseCode;
+      throw failure;
     }
   }
 
   async sendTestEmail(email, customMessage) {
-    if (!this.transporter) {
+    if (this.transports.length === 0) {
       throw new Error('Email service not configured');
     }
 
@@ -111,7 +273,7 @@ If you receive this message, your email configuration is working correctly.
 Test Details:
 - Sent: ${new Date().toLocaleString('en-IN')}
 - Service: SBI Letter Automation
-- From: ${process.env.EMAIL_USER}
+- From: ${this.fromAddress(this.transports[0])}
 
 Thank you for testing the system!
 
@@ -120,8 +282,7 @@ SBI IT Team`;
 
     const mailOptions = {
       from: {
-        name: 'SBI Letter System - Test',
-        address: process.env.EMAIL_USER
+        name: 'SBI Letter System - Test'
       },
       to: email,
       subject: `✅ Test Email - SBI Letter Automation System - ${new Date().toLocaleDateString('en-IN')}`,
@@ -131,11 +292,12 @@ SBI IT Team`;
     };
 
     try {
-      const result = await this.transporter.sendMail(mailOptions);
+      const result = await this.deliver(mailOptions);
       
       return {
         success: true,
         messageId: result.messageId,
+        transport: result.transport,
         recipient: email,
         sentAt: new Date().toISOString()
       };
@@ -146,69 +308,13 @@ SBI IT Team`;
   }
 
   getDefaultSubject(issueType, customer) {
-    const subjectMap = {
-      account_closure: `Important Notice - Account Status Update - ${customer.ACCOUNT_NO}`,
-      kyc_update: `Action Required - KYC Documents Update - Account ${customer.ACCOUNT_NO}`,
-      loan_default: `Payment Reminder - Loan Account ${customer.LOAN_ACCOUNT_NO || customer.ACCOUNT_NO}`,
-      fee_waiver: `Fee Waiver Notification - Account ${customer.ACCOUNT_NO}`,
-      document_expiry: `Document Renewal Required - Account ${customer.ACCOUNT_NO}`
-    };
-
-    return subjectMap[issueType] || `Important Banking Notice - Account ${customer.ACCOUNT_NO}`;
+    const issueTypeInfo = issueTypeCatalog.get(issueType);
+    const subject = issueTypeInfo ? renderTemplate(issueTypeInfo.subject, customer) : '';
+    return subject || `Important Banking Notice - Account ${customer.ACCOUNT_NO}`;
   }
 
   getPriority(issueType) {
-    const priorityMap = {
-      loan_default: 'high',
-      document_expiry: 'high',
-      account_closure: 'normal',
-      kyc_update: 'normal',
-      fee_waiver: 'low'
-    };
-
-    return priorityMap[issueType] || 'normal';
-  }
-
-  formatAsHTML(content, customer) {
-    const htmlContent = content
-      .replace(/\n/g, '<br>')
-      .replace(/STATE BANK OF INDIA/g, '<strong style="color: #003366;">STATE BANK OF INDIA</strong>')
-      .replace(/URGENT/gi, '<strong style="color: #d32f2f;">URGENT</strong>')
-      .replace(/Important/gi, '<strong style="color: #1976d2;">Important</strong>');
-
-    return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="utf-8">
-      <meta name="viewport" content="width=device-width, initial-scale=1">
-      <title>SBI Official Communication</title>
-    </head>
-    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
-      
-      <div style="background-color: #003366; color: white; padding: 15px; text-align: center; margin-bottom: 20px;">
-        <h1 style="margin: 0; font-size: 24px;">STATE BANK OF INDIA</h1>
-        <p style="margin: 5px 0 0 0; font-size: 14px;">Official Banking Communication</p>
-      </div>
-
-      <div style="background-color: #f8f9fa; padding: 20px; border-left: 4px solid #003366; margin-bottom: 20px;">
-        ${htmlContent}
-      </div>
-
-      <div style="background-color: #e3f2fd; padding: 15px; border-radius: 5px; margin-top: 20px;">
-        <p style="margin: 0; font-size: 12px; color: #666;">
-          <strong>Important:</strong> This is an official communication from State Bank of India. 
-          Please do not reply to this email. For any queries, contact your branch directly.
-        </p>
-      </div>
-
-      <div style="text-align: center; margin-top: 20px; font-size: 12px; color: #999;">
-        <p>© ${new Date().getFullYear()} State Bank of India. All rights reserved.</p>
-        <p>This email was sent by SBI Letter Automation System</p>
-      </div>
-
-    </body>
-    </html>`;
+    return issueTypeCatalog.getPriority(issueType);
   }
 
   formatTestEmailAsHTML(content) {
@@ -240,23 +346,32 @@ SBI IT Team`;
 
   // Get email service status
   getStatus() {
+    const primary = this.transports[0];
     return {
-      configured: !!this.transporter,
-      provider: 'Gmail SMTP',
-      fromAddress: process.env.EMAIL_USER || 'Not configured',
+      configured: this.transports.length > 0,
+      provider: primary ? primary.name : 'Not configured',
+      fromAddress: primary ? this.fromAddress(primary) : 'Not configured',
+      transports: this.transports.map(t => ({
+        name: t.name,
+        type: t.type,
+        host: t.type === 'smtp' ? `${t.host}:${t.port || (t.secure ? 465 : 587)}` : undefined,
+        directory: t.type === 'file' ? path.resolve(t.dir || DEFAULT_OUTBOX_DIR) : undefined,
+        verified: t.verified
+      })),
       connectionPool: true,
       features: {
         htmlEmail: true,
         attachments: true,
         rateLimiting: true,
-        priorities: true
+        priorities: true,
+        fallback: this.transports.length > 1
       }
     };
   }
 
   // Send multiple emails with rate limiting
   async sendBulkEmails(emailData, options = {}) {
-    if (!this.transporter) {
+    if (this.transports.length === 0) {
       throw new Error('Email service not configured');
     }
 
@@ -0,0 +1,165 @@
+const customerStore = require('./customer-store');
+const { getAccountValue, buildCsv } = require('../utils/helpers');
+
+// Fields reported as contact detail changes
+const CONTACT_FIELDS = [
+  'EMAIL', 'MOBILE', 'ADDRESS', 'ADDRESS_LINE1', 'ADDRESS_LINE2', 'ADDRESS_LINE3',
+  'CITY', 'DISTRICT', 'STATE', 'PINCODE'
+];
+
+// Bookkeeping fields the store adds, never part of an extract
+const IGNORED_FIELDS = ['ACCOUNT_NO', 'createdAt', 'updatedAt'];
+
+const DIFF_REPORT_COLUMNS = ['Account No', 'Name', 'Change', 'Field', 'Previous', 'New'];
+
+/**
+ * Compares an uploaded extract with the stored customer base: new accounts, accounts
+ * missing from the extract (closed), balance changes, KYC status transitions, contact
+ * detail updates and any other changed field.
+ */
+class ImportDiffService {
+  /**
+   * Diff incoming customers against the stored ones. Only columns present in the extract
+   * are compared. When the extract has BRANCH_CODE, only stored accounts of those branches
+   * can count as closed, so one branch's file does not close every other branch.
+   * changes maps each changed account to { FIELD: { from, to } }.
+   */
+  diff(customers, stored = customerStore.getAll()) {
+    const storedByKey = new Map();
+    stored.forEach(customer => storedByKey.set(customerStore.accountKey(getAccountValue(customer)), customer));
+
+    const result = {
+      newAccounts: [],
+      closedAccounts: [],
+      balanceChanges: [],
+      kycTransitions: [],
+      contactChanges: [],
+      otherChanges: [],
+      changes: {}
+    };
+    const seen = new Set();
+    let unchanged = 0;
+
+    customers.forEach(customer => {
+      const accountNo = String(getAccountValue(customer) || '').trim();
+      const key = customerStore.accountKey(accountNo);
+      if (!key || seen.has(key)) return;
+      seen.add(key);
+
+      const previous = storedByKey.get(key);
+      if (!previous) {
+        result.newAccounts.push({ accountNo, name: customer.NAME });
+        return;
+      }
+
+      const changes = this.compare(previous, customer);
+      const fields = Object.keys(changes);
+      if (fields.length === 0) {
+        unchanged++;
+        return;
+      }
+
+      result.changes[accountNo] = changes;
+      fields.forEach(field => {
+        const change = { accountNo, name: customer.NAME || previous.NAME, field, ...changes[field] };
+        if (field === 'BALANCE') {
+          const from = parseFloat(change.from);
+          const to = parseFloat(change.to);
+          result.balanceChanges.push({ ...change, change: isNaN(from) || isNaN(to) ? null : to - from });
+        } else if (field === 'KYC_STATUS') {
+          result.kycTransitions.push(change);
+        } else if (CONTACT_FIELDS.includes(field)) {
+          result.contactChanges.push(change);
+        } else {
+          result.otherChanges.push(change);
+        }
+      });
+    });
+
+    const branches = new Set(customers.map(c => c.BRANCH_CODE).filter(b => !this.isEmpty(b)).map(b => String(b).trim()));
+    stored.forEach(customer => {
+      const key = customerStore.accountKey(getAccountValue(customer));
+      if (seen.has(key)) return;
+      if (branches.size > 0 && !branches.has(String(customer.BRANCH_CODE || '').trim())) return;
+      result.closedAccounts.push({ accountNo: getAccountValue(customer), name: customer.NAME });
+    });
+
+    result.summary = {
+      incoming: seen.size,
+      stored: stored.length,
+      newAccounts: result.newAccounts.length,
+      closedAccounts: result.closedAccounts.length,
+      changedAccounts: Object.keys(result.changes).length,
+      unchangedAccounts: unchanged,
+      balanceChanges: result.balanceChanges.length,
+      kycTransitions: result.kycTransitions.length,
+      contactChanges: result.contactChanges.length,
+      otherChanges: result.otherChanges.length
+    };
+    return result;
+  }
+
+  // Changed fields between a stored record and an incoming row, as { FIELD: { from, to } }
+  compare(previous, customer) {
+    const changes = {};
+    Object.keys(customer).forEach(field => {
+      if (IGNORED_FIELDS.includes(field)) return;
+      const from = previous[field];
+      const to = customer[field];
+      if (!this.sameValue(from, to)) {
+        changes[field] = { from: this.plainValue(from), to: this.plainValue(to) };
+      }
+    });
+    return changes;
+  }
+
+  isEmpty(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+  }
+
+  // Values as they are stored: dates become ISO strings, blanks become null
+  plainValue(value) {
+    if (this.isEmpty(value)) return null;
+    return value instanceof Date ? value.toISOString() : value;
+  }
+
+  // Extract cells and stored JSON differ in type: "1500.00" equals 1500, a Date equals its ISO string
+  sameValue(a, b) {
+    if (this.isEmpty(a) || this.isEmpty(b)) return this.isEmpty(a) && this.isEmpty(b);
+
+    // Rows joined from loan and KYC sheets are lists
+    if (typeof a === 'object' && !(a instanceof Date)) return JSON.stringify(a) === JSON.stringify(b);
+
+    const left = String(this.plainValue(a)).trim();
+    const right = String(this.plainValue(b)).trim();
+    if (left === right) return true;
+
+    const numeric = /^-?\d+(\.\d+)?$/;
+    return numeric.test(left) && numeric.test(right) && parseFloat(left) === parseFloat(right);
+  }
+
+  reportValue(value) {
+    return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+  }
+
+  // Every difference as CSV, one line per account and field
+  buildReport(diff) {
+    const rows = [DIFF_REPORT_COLUMNS];
+    diff.newAccounts.forEach(a => rows.push([a.accountNo, a.name, 'New account', '', '', '']));
+    diff.closedAccounts.forEach(a => rows.push([a.accountNo, a.name, 'Closed account', '', '', '']));
+
+    const labelled = [
+      ['Balance', diff.balanceChanges],
+      ['KYC status', diff.kycTransitions],
+      ['Contact details', diff.contactChanges],
+      ['Other', diff.otherChanges]
+    ];
+    labelled.forEach(([label, changes]) => {
+      changes.forEach(c => rows.push([c.accountNo, c.name, label, c.field, this.reportValue(c.from), this.reportValue(c.to)]));
+    });
+
+    return buildCsv(rows);
+  }
+}
+
+module.exports = new ImportDiffService();
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const { DATA_FILES } = require('../utils/constants');
+const { readJsonFile, writeJsonFileAtomic, getAccountValue } = require('../utils/helpers');
+const ruleEngine = require('../../shared/rule-engine');
+
+// Committed imports kept, newest first; enough to compare a few monthly extracts
+const MAX_IMPORTS = 6;
+
+// What each committed upload changed in the customer store, so analysis can
+// select only the accounts whose latest import moved them into an issue
+class ImportHistoryStore {
+  constructor(filePath = DATA_FILES.importHistory) {
+    this.filePath = filePath;
+    this.imports = null; // lazily loaded cache
+  }
+
+  load() {
+    if (this.imports) return this.imports;
+
+    const parsed = readJsonFile(this.filePath, { imports: [] });
+    if (!parsed || !Array.isArray(parsed.imports)) {
+      throw new Error('import-history.json has an unexpected shape');
+    }
+
+    this.imports = parsed.imports;
+    return this.imports;
+  }
+
+  save() {
+    writeJsonFileAtomic(this.filePath, {
+      imports: this.imports,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  // Record a committed upload with the diff computed before it was stored; id is the
+  // pending import's, so an upload keeps one id from preview to history
+  record(diff, fileName, actor, id = crypto.randomUUID()) {
+    const entry = {
+      id,
+      importedAt: new Date().toISOString(),
+      importedBy: actor,
+      fileName,
+      summary: diff.summary,
+      newAccounts: diff.newAccounts.map(a => a.accountNo),
+      closedAccounts: diff.closedAccounts.map(a => a.accountNo),
+      changes: diff.changes
+    };
+
+    this.load().unshift(entry);
+    this.imports.splice(MAX_IMPORTS);
+    this.save();
+    return entry;
+  }
+
+  // Imports without their per-account changes
+  list() {
+    return this.load().map(({ newAccounts, closedAccounts, changes, ...entry }) => entry);
+  }
+
+  latest() {
+    return this.load()[0] || null;
+  }
+
+  /**
+   * Predicate for customers the import moved into the rule: the account is new in it, or the
+   * rule did not match the values the import replaced. A customer whose KYC was already
+   * Expired before the import is not a transition; one that has just become Expired is.
+   */
+  transitionFilter(rule, entry) {
+    const newAccounts = new Set(entry.newAccounts);
+
+    return customer => {
+      const accountNo = String(getAccountValue(customer) || '').trim();
+      if (newAccounts.has(accountNo)) return true;
+
+      const changes = entry.changes[accountNo];
+      if (!changes) return false;
+
+      const previous = { ...customer };
+      Object.keys(changes).forEach(field => {
+        previous[field] = changes[field].from;
+      });
+      return !ruleEngine.evaluate(rule.conditions, previous).matched;
+    };
+  }
+}
+
+module.exports = new ImportHistoryStore();
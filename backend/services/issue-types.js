@@ -0,0 +1,637 @@
+const ruleStore = require('./rule-store');
+const templateStore = require('./template-store');
+const columnMapping = require('../../shared/column-mapping');
+const ruleEngine = require('../../shared/rule-engine');
+const { BRAND_COLOR, BANK_LINKS } = require('../utils/constants');
+
+const PRIORITIES = ['high', 'normal', 'low'];
+
+// Priority of a selected customer in the analysis table, when the type sets no conditions
+const CUSTOMER_PRIORITY_FOR = { high: 'high', normal: 'medium', low: 'low' };
+
+// How a field an issue type adds is checked when customers are uploaded
+const FIELD_TYPES = ['text', 'number', 'integer'];
+
+// Used when an issue type's template version does not set its own follow-up
+const DEFAULT_FOLLOW_UP_DAYS = 30;
+
+// Every issue type the branch sends notices for, and the only place one is added.
+// The customer rule (rules.json) and the letter template (templates.json) are stored
+// under the same id, so they stay editable and versioned through their own endpoints;
+// here each type gets everything else:
+//   name, icon, description, criteria   shown in the issue type selector
+//   fileCode      used in downloaded PDF file names (SBI_<fileCode>_...)
+//   subject       default email subject, in letter placeholder syntax
+//   priority      email priority (high / normal / low)
+//   followUpDays  follow-up when the template version sets none
+//   audience      who the customers are, as told to the AI analysis
+//   fields        customer columns only this type reads: { label, aliases, type }
+//   sms           short text for the SMS fallback (see templates/sms-templates.js)
+//   email         HTML email layout (see templates/email-templates.js); summary rows are
+//                 [label, field or alternative fields, format], format being currency or masked-pan
+//   customerPriority  rule conditions that make a selected customer high or medium
+//                 priority; the rest are low. Without them every customer gets the
+//                 type's priority (normal shows as medium)
+//   insights      figures reported with an analysis: { count: condition }, { sum: FIELD }
+//                 or { average: FIELD }
+//   recommendations  next steps reported with an analysis; {{count}} is the number of
+//                 customers selected and {{followUpDays}} the follow-up period
+const ISSUE_TYPES = {
+  account_closure: {
+    name: 'Account Closure Notice',
+    icon: '🏦',
+    description: 'For accounts with zero or low balance that may be closed',
+    criteria: 'Balance ≤ ₹100 or no transactions in 90+ days',
+    audience: 'accounts that should be closed due to inactivity or zero balance',
+    subject: 'Important Notice - Account Status Update - {{ACCOUNT_NO}}',
+    priority: 'normal',
+    followUpDays: 30,
+    fileCode: 'AC_CLOSURE',
+    customerPriority: {
+      high: { field: 'BALANCE', operator: 'lte', value: 0, default: 0 },
+      medium: { field: 'BALANCE', operator: 'lt', value: 50, default: 0 }
+    },
+    insights: {
+      zeroBalance: { count: { field: 'BALANCE', operator: 'lte', value: 0, default: 0 } },
+      lowBalance: { count: { all: [{ field: 'BALANCE', operator: 'gt', value: 0 }, { field: 'BALANCE', operator: 'lte', value: 100 }] } }
+    },
+    recommendations: [
+      'Send account closure warnings to {{count}} customers',
+      'Follow up with phone calls for high-value accounts',
+      'Offer account reactivation incentives'
+    ],
+    sms: 'Dear {{SHORT_NAME}}, your SBI a/c {{MASKED_ACCOUNT}} has been inactive. ' +
+      'Please make a transaction or visit your branch within 30 days to keep it active. -SBI',
+    email: {
+      heading: 'Account Status Update',
+      accent: '#1976d2',
+      summary: [
+        ['Account Number', 'ACCOUNT_NO'],
+        ['Account Type', 'ACCOUNT_TYPE'],
+        ['Current Balance', 'BALANCE', 'currency'],
+        ['Last Transaction', 'LAST_TRANSACTION'],
+        ['Branch Code', 'BRANCH_CODE']
+      ],
+      action: {
+        title: 'Keep your account active',
+        text: 'Make any deposit or withdrawal, or visit your branch with your passbook and a valid identity proof within 30 days.',
+        label: 'Find your branch',
+        url: BANK_LINKS.branchLocator
+      }
+    }
+  },
+  kyc_update: {
+    name: 'KYC Update Required',
+    icon: '📋',
+    description: 'For customers with expired or missing KYC documents',
+    criteria: 'Missing email, expired KYC status, or incomplete documents',
+    audience: 'customers who need to update their KYC documents',
+    subject: 'Action Required - KYC Documents Update - Account {{ACCOUNT_NO}}',
+    priority: 'normal',
+    followUpDays: 15,
+    fileCode: 'KYC_UPDATE',
+    customerPriority: {
+      high: { all: [{ field: 'EMAIL', operator: 'empty' }, { field: 'MOBILE', operator: 'empty' }] },
+      medium: { field: 'KYC_STATUS', operator: 'eq', value: 'Expired' }
+    },
+    insights: {
+      missingEmail: { count: { field: 'EMAIL', operator: 'empty' } },
+      missingMobile: { count: { field: 'MOBILE', operator: 'empty' } },
+      expiredKyc: { count: { field: 'KYC_STATUS', operator: 'matches', value: 'expired' } }
+    },
+    recommendations: [
+      'Initiate KYC update process for {{count}} customers',
+      'Set up digital KYC collection drive',
+      'Send reminders with document requirements'
+    ],
+    sms: 'Dear {{SHORT_NAME}}, KYC for your SBI a/c {{MASKED_ACCOUNT}} is due. ' +
+      'Please update it at your branch or via YONO/OnlineSBI to avoid restrictions. -SBI',
+    email: {
+      heading: 'KYC Update Required',
+      accent: '#f57c00',
+      summary: [
+        ['Account Number', 'ACCOUNT_NO'],
+        ['KYC Status', 'KYC_STATUS'],
+        ['Registered Email', 'EMAIL'],
+        ['Registered Mobile', 'MOBILE'],
+        ['Branch Code', 'BRANCH_CODE']
+      ],
+      action: {
+        title: 'Update your KYC',
+        text: 'Submit your identity and address proof at any SBI branch, or complete the update online through internet banking or YONO.',
+        label: 'Update KYC online',
+        url: BANK_LINKS.onlineBanking
+      }
+    }
+  },
+  loan_default: {
+    name: 'Loan Payment Reminder',
+    icon: '💰',
+    description: 'For customers with overdue loan payments',
+    criteria: 'Outstanding loan amount > ₹0 or overdue EMI',
+    audience: 'customers with overdue loan payments',
+    subject: 'Payment Reminder - Loan Account {{LOAN_ACCOUNT_NO|ACCOUNT_NO}}',
+    priority: 'high',
+    followUpDays: 7,
+    fileCode: 'LOAN_REMINDER',
+    customerPriority: {
+      high: { field: 'OUTSTANDING_AMOUNT', operator: 'gt', value: 100000 },
+      medium: { field: 'OUTSTANDING_AMOUNT', operator: 'gt', value: 10000 }
+    },
+    insights: {
+      totalOutstanding: { sum: 'OUTSTANDING_AMOUNT' },
+      averageOutstanding: { average: 'OUTSTANDING_AMOUNT' }
+    },
+    recommendations: [
+      'Contact {{count}} customers for payment collection',
+      'Offer payment restructuring options',
+      'Schedule follow-up calls within {{followUpDays}} days'
+    ],
+    sms: 'Dear {{SHORT_NAME}}, EMI of Rs.{{EMI_AMOUNT|"-"}} on SBI loan a/c {{MASKED_LOAN_ACCOUNT}} is overdue. ' +
+      'Please pay immediately to avoid penal charges. -SBI',
+    email: {
+      heading: 'Loan Payment Reminder',
+      accent: '#d32f2f',
+      urgent: true,
+      summary: [
+        ['Loan Account', ['LOAN_ACCOUNT_NO', 'ACCOUNT_NO']],
+        ['Outstanding Amount', 'OUTSTANDING_AMOUNT', 'currency'],
+        ['EMI Amount', 'EMI_AMOUNT', 'currency'],
+        ['Overdue Amount', 'OVERDUE_AMOUNT', 'currency'],
+        ['Due Date', 'DUE_DATE'],
+        ['Days Overdue', 'OVERDUE_DAYS']
+      ],
+      action: {
+        title: 'Pay your overdue EMI',
+        text: 'Pay through internet banking, YONO, UPI or at any SBI branch. If you are facing difficulty, call 1800-SBI-5555 to discuss repayment options.',
+        label: 'Pay now',
+        url: BANK_LINKS.onlineBanking
+      }
+    }
+  },
+  fee_waiver: {
+    name: 'Fee Waiver Information',
+    icon: '🎯',
+    description: 'For eligible customers (senior citizens, students)',
+    criteria: 'Age > 60 years or student account type',
+    audience: 'customers eligible for fee waivers (senior citizens, students)',
+    subject: 'Fee Waiver Notification - Account {{ACCOUNT_NO}}',
+    priority: 'low',
+    followUpDays: 365,
+    fileCode: 'FEE_WAIVER',
+    sms: 'Dear {{SHORT_NAME}}, your SBI a/c {{MASKED_ACCOUNT}} may be eligible for a waiver of service charges. ' +
+      'Please contact your branch to apply. -SBI',
+    email: {
+      heading: 'Fee Waiver Notification',
+      accent: '#388e3c',
+      summary: [
+        ['Account Number', 'ACCOUNT_NO'],
+        ['Account Type', 'ACCOUNT_TYPE'],
+        ['Customer Category', 'CUSTOMER_CATEGORY'],
+        ['Branch Code', 'BRANCH_CODE']
+      ],
+      action: {
+        title: 'Apply for your waiver',
+        text: 'Visit your branch with your passbook and proof of your customer category (such as age or student ID) to have the waiver applied.',
+        label: 'Find your branch',
+        url: BANK_LINKS.branchLocator
+      }
+    }
+  },
+  document_expiry: {
+    name: 'Document Expiry Notice',
+    icon: '📄',
+    description: 'For customers with expiring identity/address documents',
+    criteria: 'Documents expiring within 60 days',
+    audience: 'customers with expiring identity or address documents',
+    subject: 'Document Renewal Required - Account {{ACCOUNT_NO}}',
+    priority: 'high',
+    followUpDays: 15,
+    fileCode: 'DOC_EXPIRY',
+    customerPriority: {
+      high: { field: 'DOC_EXPIRY', operator: 'lte', value: 15, transform: 'daysUntil' }
+    },
+    recommendations: [
+      'Send document renewal notices to {{count}} customers',
+      'Call customers whose documents expire within 15 days',
+      'Schedule follow-up within {{followUpDays}} days'
+    ],
+    sms: 'Dear {{SHORT_NAME}}, your {{DOC_TYPE|"document"}} on SBI a/c {{MASKED_ACCOUNT}} expires on {{DOC_EXPIRY|"soon"}}. ' +
+      'Please submit a renewed copy at your branch. -SBI',
+    email: {
+      heading: 'Document Renewal Required',
+      accent: '#f57c00',
+      urgent: true,
+      summary: [
+        ['Account Number', 'ACCOUNT_NO'],
+        ['Document', 'DOC_TYPE'],
+        ['Document Status', 'DOC_STATUS'],
+        ['Expiry Date', 'DOC_EXPIRY'],
+        ['Days to Expiry', 'DAYS_TO_EXPIRY']
+      ],
+      action: {
+        title: 'Renew your document',
+        text: 'Submit a copy of the renewed document at your branch or upload it through internet banking before it expires.',
+        label: 'Upload online',
+        url: BANK_LINKS.onlineBanking
+      }
+    }
+  },
+  nominee_registration: {
+    name: 'Nominee Registration Reminder',
+    icon: '👪',
+    description: 'For deposit accounts with no nominee registered',
+    criteria: 'Nominee not registered on the account',
+    audience: 'customers whose deposit accounts have no registered nominee',
+    subject: 'Register a Nominee for Your Account {{ACCOUNT_NO}}',
+    priority: 'low',
+    followUpDays: 30,
+    fileCode: 'NOMINEE',
+    fields: {
+      NOMINEE_REGISTERED: { label: 'Nominee registered', aliases: ['NOMINEE', 'NOMINEE FLAG', 'NOMINATION', 'NOMINATION FLAG', 'NOMINATION REGISTERED'] },
+      NOMINEE_NAME: { label: 'Nominee name', aliases: ['NAME OF NOMINEE', 'NOMINATED PERSON'] }
+    },
+    sms: 'Dear {{SHORT_NAME}}, no nominee is registered for your SBI a/c {{MASKED_ACCOUNT}}. ' +
+      'Register one via YONO/OnlineSBI or at your branch. -SBI',
+    email: {
+      heading: 'Register a Nominee',
+      accent: '#388e3c',
+      summary: [
+        ['Account Number', 'ACCOUNT_NO'],
+        ['Account Type', 'ACCOUNT_TYPE'],
+        ['Branch Code', 'BRANCH_CODE']
+      ],
+      action: {
+        title: 'Register your nominee',
+        text: 'Add a nominee through internet banking or YONO, or submit Form DA-1 at your branch. It is free and can be changed at any time.',
+        label: 'Register online',
+        url: BANK_LINKS.onlineBanking
+      }
+    }
+  },
+  pan_aadhaar_linkage: {
+    name: 'PAN–Aadhaar Linkage Pending',
+    icon: '🪪',
+    description: 'For customers whose PAN is not yet linked with Aadhaar',
+    criteria: 'PAN–Aadhaar linkage status is No or Pending',
+    audience: 'customers whose PAN is not linked with their Aadhaar',
+    subject: 'Action Required - Link Your PAN with Aadhaar - Account {{ACCOUNT_NO}}',
+    priority: 'high',
+    followUpDays: 15,
+    fileCode: 'PAN_AADHAAR',
+    insights: {
+      missingPan: { count: { field: 'PAN_NO', operator: 'empty' } }
+    },
+    recommendations: [
+      'Send PAN–Aadhaar linkage reminders to {{count}} customers',
+      'Collect PAN from customers who have none on record',
+      'Schedule follow-up within {{followUpDays}} days'
+    ],
+    fields: {
+      PAN_NO: { label: 'PAN', aliases: ['PAN', 'PAN NUMBER', 'PAN CARD NO'] },
+      PAN_AADHAAR_LINKED: { label: 'PAN–Aadhaar linked', aliases: ['PAN AADHAAR LINK', 'PAN AADHAAR STATUS', 'AADHAAR PAN LINKED', 'PAN SEEDING STATUS'] }
+    },
+    sms: 'Dear {{SHORT_NAME}}, the PAN on your SBI a/c {{MASKED_ACCOUNT}} is not linked with Aadhaar. ' +
+      'Please link it at incometax.gov.in to avoid higher TDS. -SBI',
+    email: {
+      heading: 'PAN–Aadhaar Linkage Pending',
+      accent: '#f57c00',
+      urgent: true,
+      summary: [
+        ['Account Number', 'ACCOUNT_NO'],
+        ['PAN', 'PAN_NO', 'masked-pan'],
+        ['Linkage Status', 'PAN_AADHAAR_LINKED'],
+        ['Branch Code', 'BRANCH_CODE']
+      ],
+      action: {
+        title: 'Link your PAN with Aadhaar',
+        text: 'Link them on the Income Tax e-filing portal using the OTP sent to your Aadhaar-registered mobile, then update your PAN with the bank.',
+        label: 'Link PAN and Aadhaar',
+        url: BANK_LINKS.incomeTaxPortal
+      }
+    }
+  },
+  inoperative_account: {
+    name: 'Inoperative Account Notice',
+    icon: '⏸️',
+    description: 'For accounts classified inoperative under RBI rules (no customer-induced transaction for two years)',
+    criteria: 'Account status Inoperative, or no transaction in 730+ days when the status is not given',
+    audience: 'accounts that have become inoperative after two years without a customer-induced transaction',
+    subject: 'Your Account {{ACCOUNT_NO}} Has Been Classified as Inoperative',
+    priority: 'high',
+    followUpDays: 30,
+    fileCode: 'INOPERATIVE',
+    insights: {
+      totalBalance: { sum: 'BALANCE' }
+    },
+    recommendations: [
+      'Send inoperative account notices to {{count}} customers',
+      'Offer Video KYC on YONO for reactivation',
+      'Schedule follow-up within {{followUpDays}} days'
+    ],
+    fields: {
+      ACCOUNT_STATUS: { label: 'Account status', aliases: ['A/C STATUS', 'ACCT STATUS', 'STATUS OF ACCOUNT', 'DORMANCY STATUS', 'INOPERATIVE FLAG'] }
+    },
+    sms: 'Dear {{SHORT_NAME}}, your SBI a/c {{MASKED_ACCOUNT}} is inoperative as per RBI rules. ' +
+      'Please visit any branch with KYC documents to reactivate it. -SBI',
+    email: {
+      heading: 'Account Classified as Inoperative',
+      accent: '#d32f2f',
+      urgent: true,
+      summary: [
+        ['Account Number', 'ACCOUNT_NO'],
+        ['Account Type', 'ACCOUNT_TYPE'],
+        ['Current Balance', 'BALANCE', 'currency'],
+        ['Last Transaction', 'LAST_TRANSACTION'],
+        ['Branch Code', 'BRANCH_CODE']
+      ],
+      action: {
+        title: 'Reactivate your account',
+        text: 'Visit any SBI branch with a valid identity and address proof, or complete Video KYC on YONO. Reactivation is free.',
+        label: 'Find your branch',
+        url: BANK_LINKS.branchLocator
+      }
+    }
+  },
+  fd_maturity: {
+    name: 'Fixed Deposit Maturity Reminder',
+    icon: '📅',
+    description: 'For fixed deposits maturing within the next 30 days',
+    criteria: 'FD maturity date within 30 days',
+    audience: 'customers whose fixed deposits mature within the next 30 days',
+    subject: 'Fixed Deposit Maturity Reminder - FD {{FD_ACCOUNT_NO|ACCOUNT_NO}}',
+    priority: 'normal',
+    followUpDays: 7,
+    fileCode: 'FD_MATURITY',
+    customerPriority: {
+      high: { field: 'FD_MATURITY_DATE', operator: 'lte', value: 7, transform: 'daysUntil' },
+      medium: { field: 'FD_MATURITY_DATE', operator: 'lte', value: 15, transform: 'daysUntil' }
+    },
+    insights: {
+      totalMaturing: { sum: 'FD_AMOUNT' }
+    },
+    recommendations: [
+      'Send maturity reminders to {{count}} customers',
+      'Call customers whose deposits mature within 7 days for their instruction',
+      'Schedule follow-up within {{followUpDays}} days'
+    ],
+    fields: {
+      FD_ACCOUNT_NO: { label: 'FD account number', aliases: ['FD NO', 'FD ACCOUNT', 'TERM DEPOSIT NO', 'FIXED DEPOSIT NO', 'TDR NO'] },
+      FD_AMOUNT: { label: 'FD amount', aliases: ['DEPOSIT AMOUNT', 'PRINCIPAL AMOUNT', 'FD PRINCIPAL', 'FIXED DEPOSIT AMOUNT'], type: 'number' },
+      FD_MATURITY_DATE: { label: 'FD maturity date', aliases: ['MATURITY DATE', 'MATURITY DT', 'DATE OF MATURITY', 'FD MATURITY'] }
+    },
+    sms: 'Dear {{SHORT_NAME}}, your SBI FD {{MASKED_FD_ACCOUNT}} matures on {{FD_MATURITY_DATE|"soon"}}. ' +
+      'Please give your renewal or payout instruction. -SBI',
+    email: {
+      heading: 'Fixed Deposit Maturity Reminder',
+      accent: '#1976d2',
+      summary: [
+        ['FD Account', ['FD_ACCOUNT_NO', 'ACCOUNT_NO']],
+        ['Deposit Amount', 'FD_AMOUNT', 'currency'],
+        ['Maturity Date', 'FD_MATURITY_DATE'],
+        ['Linked Account', 'ACCOUNT_NO']
+      ],
+      action: {
+        title: 'Renew or redeem your deposit',
+        text: 'Give your renewal or payout instruction through internet banking, YONO or at your branch before the maturity date.',
+        label: 'Manage deposits',
+        url: BANK_LINKS.onlineBanking
+      }
+    }
+  },
+  cheque_book: {
+    name: 'Cheque Book Reissue',
+    icon: '📒',
+    description: 'For current and savings accounts running out of cheque leaves',
+    criteria: '5 or fewer unused cheque leaves',
+    audience: 'customers who are about to run out of cheque leaves',
+    subject: 'Your Cheque Book Is Running Out - Account {{ACCOUNT_NO}}',
+    priority: 'low',
+    followUpDays: 15,
+    fileCode: 'CHEQUE_BOOK',
+    fields: {
+      CHEQUE_LEAVES_LEFT: { label: 'Cheque leaves left', aliases: ['UNUSED CHEQUE LEAVES', 'CHEQUE LEAVES', 'CHQ LEAVES LEFT', 'LEAVES REMAINING'], type: 'integer' }
+    },
+    sms: 'Dear {{SHORT_NAME}}, your cheque book for SBI a/c {{MASKED_ACCOUNT}} is running out. ' +
+      'Request a new one via YONO/OnlineSBI or at your branch. -SBI',
+    email: {
+      heading: 'Cheque Book Reissue',
+      accent: BRAND_COLOR,
+      summary: [
+        ['Account Number', 'ACCOUNT_NO'],
+        ['Account Type', 'ACCOUNT_TYPE'],
+        ['Cheque Leaves Left', 'CHEQUE_LEAVES_LEFT']
+      ],
+      action: {
+        title: 'Request a new cheque book',
+        text: 'Request one through internet banking or YONO, or hand in the requisition slip at your branch. It is posted to your registered address.',
+        label: 'Request online',
+        url: BANK_LINKS.onlineBanking
+      }
+    }
+  }
+};
+
+// The registered issue types, defined once and used by validation, the API and the UI,
+// email subjects, priorities and layouts, SMS text and the AI analysis prompt
+class IssueTypeCatalog {
+  constructor(definitions = ISSUE_TYPES) {
+    this.types = {};
+    Object.keys(definitions).forEach(id => this.register(id, definitions[id]));
+  }
+
+  // Add or replace an issue type; name and subject are required. Its fields become
+  // customer columns that uploads map and validate.
+  register(id, definition) {
+    if (!/^[a-z][a-z0-9_]{2,49}$/.test(id)) {
+      throw new Error(`Issue type '${id}' must be 3-50 lowercase letters, digits or underscores`);
+    }
+    if (!definition.name || !definition.subject) {
+      throw new Error(`Issue type '${id}' needs a name and a subject`);
+    }
+
+    const type = {
+      icon: '',
+      description: '',
+      criteria: '',
+      audience: definition.name,
+      priority: 'normal',
+      followUpDays: DEFAULT_FOLLOW_UP_DAYS,
+      fileCode: id.toUpperCase(),
+      sms: null,
+      email: null,
+      insights: {},
+      recommendations: null,
+      ...definition,
+      fields: this.checkFields(id, definition.fields || {}),
+      customerPriority: null,
+      id
+    };
+    if (!PRIORITIES.includes(type.priority)) {
+      throw new Error(`Issue type '${id}' has unknown priority '${type.priority}'. Use one of: ${PRIORITIES.join(', ')}`);
+    }
+    if (!Number.isInteger(type.followUpDays) || type.followUpDays < 1) {
+      throw new Error(`Issue type '${id}' needs a positive whole number of follow-up days`);
+    }
+    if (!/^[A-Z][A-Z0-9_]{1,29}$/.test(type.fileCode)) {
+      throw new Error(`Issue type '${id}' needs a file code of 2-30 capital letters, digits or underscores`);
+    }
+    if (type.email && !(Array.isArray(type.email.summary) && type.email.heading && type.email.action)) {
+      throw new Error(`Issue type '${id}' needs an email heading, summary and action`);
+    }
+    type.customerPriority = this.checkCustomerPriority(id, definition.customerPriority, type.priority);
+    this.checkInsights(id, type.insights);
+    if (type.recommendations && !(Array.isArray(type.recommendations) && type.recommendations.length)) {
+      throw new Error(`Issue type '${id}' needs recommendations as a non-empty list`);
+    }
+
+    Object.keys(type.fields).forEach(field => columnMapping.addField(field, type.fields[field]));
+    this.types[id] = type;
+    return type;
+  }
+
+  checkFields(id, fields) {
+    const checked = {};
+    Object.keys(fields).forEach(field => {
+      const { label, aliases = [], type = 'text' } = fields[field];
+      if (!/^[A-Z][A-Z0-9_]*$/.test(field)) {
+        throw new Error(`Issue type '${id}' field '${field}' must be capital letters, digits or underscores`);
+      }
+      if (!label || !Array.isArray(aliases)) {
+        throw new Error(`Issue type '${id}' field '${field}' needs a label and a list of aliases`);
+      }
+      if (!FIELD_TYPES.includes(type)) {
+        throw new Error(`Issue type '${id}' field '${field}' has unknown type '${type}'. Use one of: ${FIELD_TYPES.join(', ')}`);
+      }
+      checked[field] = { label, aliases, type };
+    });
+    return checked;
+  }
+
+  // High and medium conditions, with the priority of customers matching neither
+  checkCustomerPriority(id, conditions, priority) {
+    if (!conditions) return { otherwise: CUSTOMER_PRIORITY_FOR[priority] };
+
+    const levels = Object.keys(conditions);
+    const unknown = levels.find(level => level !== 'high' && level !== 'medium');
+    if (unknown || levels.length === 0) {
+      throw new Error(`Issue type '${id}' customer priority needs conditions for high and/or medium`);
+    }
+    levels.forEach(level => {
+      const errors = ruleEngine.validate(conditions[level], `customerPriority.${level}`);
+      if (errors.length) throw new Error(`Issue type '${id}' ${errors[0]}`);
+    });
+    return { ...conditions, otherwise: 'low' };
+  }
+
+  checkInsights(id, insights) {
+    Object.keys(insights).forEach(key => {
+      const insight = insights[key] || {};
+      const kinds = ['count', 'sum', 'average'].filter(kind => insight[kind] !== undefined);
+      if (kinds.length !== 1) {
+        throw new Error(`Issue type '${id}' insight '${key}' needs one of count, sum or average`);
+      }
+      const errors = insight.count ? ruleEngine.validate(insight.count, `insights.${key}.count`) : [];
+      if (errors.length) throw new Error(`Issue type '${id}' ${errors[0]}`);
+    });
+  }
+
+  getIds() {
+    return Object.keys(this.types);
+  }
+
+  has(issueType) {
+    return Object.prototype.hasOwnProperty.call(this.types, issueType);
+  }
+
+  get(issueType) {
+    return this.has(issueType) ? this.types[issueType] : null;
+  }
+
+  getAll() {
+    return this.getIds().map(id => this.types[id]);
+  }
+
+  getPriority(issueType) {
+    return this.has(issueType) ? this.types[issueType].priority : 'normal';
+  }
+
+  getFollowUpDays(issueType) {
+    return this.has(issueType) ? this.types[issueType].followUpDays : DEFAULT_FOLLOW_UP_DAYS;
+  }
+
+  // high, medium or low for one selected customer (the browser does the same from describe())
+  getCustomerPriority(issueType, customer) {
+    if (!this.has(issueType)) return 'medium';
+    const conditions = this.types[issueType].customerPriority;
+    const level = ['high', 'medium'].find(l => conditions[l] && ruleEngine.evaluate(conditions[l], customer).matched);
+    return level || conditions.otherwise;
+  }
+
+  // The type's analysis figures for the selected customers
+  getInsights(issueType, customers) {
+    const insights = {};
+    if (!this.has(issueType)) return insights;
+
+    const definitions = this.types[issueType].insights;
+    Object.keys(definitions).forEach(key => {
+      const { count, sum, average } = definitions[key];
+      if (count) {
+        insights[key] = customers.filter(customer => ruleEngine.evaluate(count, customer).matched).length;
+        return;
+      }
+      const total = customers.reduce((all, customer) =>
+        all + (parseFloat(ruleEngine.getField(customer, sum || average)) || 0), 0);
+      insights[key] = sum ? total : (customers.length ? total / customers.length : 0);
+    });
+    return insights;
+  }
+
+  // Next steps for `count` selected customers
+  getRecommendations(issueType, count) {
+    if (!count) return ['No immediate action required for this issue type.'];
+    if (!this.has(issueType)) return ['Perform manual review for affected customers'];
+
+    const { name, recommendations } = this.types[issueType];
+    const steps = recommendations || [`Send ${name} letters to {{count}} customers`, 'Schedule follow-up within {{followUpDays}} days'];
+    const followUpDays = this.describe(issueType).followUpDays;
+    return steps.map(step => step.replace(/{{count}}/g, count).replace(/{{followUpDays}}/g, followUpDays));
+  }
+
+  // Customer fields added by the issue types, keyed by field name; as in column
+  // mapping, the first type to add a field defines it
+  getFields() {
+    const fields = {};
+    this.getAll().forEach(type => {
+      Object.keys(type.fields).forEach(field => {
+        if (!fields[field]) fields[field] = type.fields[field];
+      });
+    });
+    return fields;
+  }
+
+  // An issue type with the rule and approved template it is sent with, so a type
+  // registered without either shows up before anyone tries to send it
+  describe(issueType) {
+    const { id, name, icon, description, criteria, subject, priority, followUpDays, fileCode, fields, customerPriority } = this.get(issueType);
+    const rule = ruleStore.get(id);
+    const approved = templateStore.getApproved(id);
+
+    return {
+      name,
+      icon,
+      description,
+      criteria,
+      subject,
+      priority,
+      fileCode,
+      fields,
+      customerPriority,
+      followUpDays: approved && approved.version.followUpDays ? approved.version.followUpDays : followUpDays,
+      rule: rule ? { name: rule.name, version: rule.version } : null,
+      template: approved ? { name: approved.template.name, version: approved.version.version } : null
+    };
+  }
+}
+
+module.exports = new IssueTypeCatalog();
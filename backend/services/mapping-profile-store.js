@@ -0,0 +1,98 @@
+const { DATA_FILES } = require('../utils/constants');
+const { readJsonFile, writeJsonFileAtomic, createHttpError } = require('../utils/helpers');
+const columnMapping = require('../../shared/column-mapping');
+
+// Saved column mappings, one per source system (e.g. "Finacle CBS extract"), applied
+// automatically to later uploads whose headers they fit
+class MappingProfileStore {
+  constructor(filePath = DATA_FILES.importProfiles) {
+    this.filePath = filePath;
+    this.profiles = null; // lazily loaded cache
+  }
+
+  load() {
+    if (this.profiles) return this.profiles;
+
+    const parsed = readJsonFile(this.filePath, { profiles: [] });
+    if (!parsed || !Array.isArray(parsed.profiles)) {
+      throw new Error('import-profiles.json has an unexpected shape');
+    }
+
+    this.profiles = parsed.profiles;
+    return this.profiles;
+  }
+
+  save() {
+    writeJsonFileAtomic(this.filePath, {
+      profiles: this.profiles,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  getAll() {
+    return this.load().slice();
+  }
+
+  // Profile names are matched without regard to case
+  get(name) {
+    const key = String(name || '').trim().toLowerCase();
+    return this.load().find(p => p.name.toLowerCase() === key) || null;
+  }
+
+  require(name) {
+    const profile = this.get(name);
+    if (!profile) {
+      throw createHttpError(404, `No mapping profile named '${name}'`);
+    }
+    return profile;
+  }
+
+  // Saved profile that fits a file's headers, or null
+  findForHeaders(headers) {
+    return columnMapping.findProfile(this.load(), headers);
+  }
+
+  // Create or replace a profile; mapping is { header: field }, unmapped headers are left out
+  put(name, mapping, actor) {
+    const errors = columnMapping.validateMapping(mapping);
+    if (errors.length) {
+      throw createHttpError(400, errors[0], errors);
+    }
+
+    const cleaned = {};
+    Object.keys(mapping).forEach(header => {
+      if (mapping[header]) cleaned[header.trim()] = mapping[header];
+    });
+    if (Object.keys(cleaned).length === 0) {
+      throw createHttpError(400, 'A mapping profile must map at least one column');
+    }
+
+    const existing = this.get(name);
+    const now = new Date().toISOString();
+    const profile = {
+      name: existing ? existing.name : String(name).trim(),
+      mapping: cleaned,
+      createdAt: existing ? existing.createdAt : now,
+      createdBy: existing ? existing.createdBy : actor,
+      updatedAt: now,
+      updatedBy: actor
+    };
+
+    if (existing) {
+      this.profiles[this.profiles.indexOf(existing)] = profile;
+    } else {
+      this.profiles.push(profile);
+    }
+    this.save();
+    return { profile, created: !existing };
+  }
+
+  remove(name) {
+    const profile = this.require(name);
+    this.profiles.splice(this.profiles.indexOf(profile), 1);
+    this.save();
+    return profile;
+  }
+}
+
+module.exports = new MappingProfileStore();
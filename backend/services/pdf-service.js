@@ -1,26 +1,115 @@
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { jsPDF } = require('jspdf');
+
+// Characters outside Latin-1 that the built-in PDF fonts can still draw (WinAnsi encoding)
+const WIN_ANSI_EXTRAS = '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ';
+
+// Substitutions for characters the active font has no glyph for
+const GLYPH_REPLACEMENTS = {
+  '₹': 'Rs. ',
+  '✓': '- ',
+  '✔': '- ',
+  '✗': 'x ',
+  '→': '->',
+  '━': '-',
+  '─': '-'
+};
+
+const EMBEDDED_FONT = 'SBILetterFont';
+const DEVANAGARI_PATTERN = /[\u0900-\u097F]/;
+
+// Date of birth as DDMMYYYY from "YYYY-MM-DD" or "DD/MM/YYYY" (also "-" or "." separated).
+// Spreadsheet dates arrive as timestamps of local midnight ("1985-08-14T18:30:00.000Z" on
+// an IST server), so those are read back in local time rather than from the UTC prefix.
+function formatDateOfBirth(value) {
+  const timestamp = value instanceof Date ? value
+    : /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(String(value || '').trim()) ? new Date(String(value).trim()) : null;
+  if (timestamp) {
+    if (Number.isNaN(timestamp.getTime())) return null;
+    const pad = number => String(number).padStart(2, '0');
+    return `${pad(timestamp.getDate())}${pad(timestamp.getMonth() + 1)}${timestamp.getFullYear()}`;
+  }
+
+  const text = String(value || '').trim();
+  const isoDate = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  const indianDate = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+
+  let day, month, year;
+  if (isoDate) {
+    [, year, month, day] = isoDate;
+  } else if (indianDate) {
+    [, day, month, year] = indianDate;
+  } else {
+    return null;
+  }
+
+  if (Number(month) < 1 || Number(month) > 12 || Number(day) < 1 || Number(day) > 31) return null;
+  return `${day.padStart(2, '0')}${month.padStart(2, '0')}${year}`;
+}
 
 class PDFService {
   constructor() {
-    // For server-side PDF generation, we'll use a simple text-based approach
-    // In production, you might want to use libraries like puppeteer or jsPDF-server
+    this.defaultFont = 'helvetica';
+    this.defaultFontSize = 10;
+    this.pageWidth = 210; // A4 width in mm
+    this.pageHeight = 297; // A4 height in mm
+    this.margins = { top: 20, right: 20, bottom: 20, left: 20 };
+    this.lineHeight = 5;
+
+    // Recipient address position for DL window envelopes (window 20 mm from the left, 45 mm from the top)
+    this.addressWindow = { x: 22, y: 50, width: 90, height: 35 };
+
+    // A4 label sheet, 2 x 7 labels of 99.1 x 38.1 mm (L7163 layout)
+    this.labelSheet = { columns: 2, rows: 7, width: 99.1, height: 38.1, top: 15.1, left: 4.7, gap: 2.5 };
+
+    // Keep in step with frontend/js/pdf-generator.js
+    this.sbiColors = {
+      primary: [0, 51, 102],    // SBI Blue
+      secondary: [0, 102, 204], // Light Blue
+      accent: [255, 193, 7],    // SBI Yellow
+      text: [33, 37, 41],       // Dark Gray
+      lightText: [108, 117, 125] // Light Gray
+    };
+
+    // TTF files are read on first use and cached per font
+    this.fontFiles = {
+      // Optional font with a rupee glyph (e.g. Noto Sans) for English letters
+      [EMBEDDED_FONT]: {
+        normal: process.env.PDF_FONT_PATH,
+        bold: process.env.PDF_FONT_BOLD_PATH
+      }
+    };
+    this.fontCache = {};
   }
 
-  async generateLetterPDF(letterContent, customer) {
+  /**
+   * Render a letter as an A4 PDF and return it as a Buffer.
+   * `letter` is either the letter text or the object returned by generateLetterContent.
+   * With options.password the PDF is encrypted and opens only with that password.
+   */
+  async generateLetterPDF(letter, customer, options = {}) {
     try {
-      // For now, return the content as a simple text buffer
-      // In production, you would generate actual PDF using libraries like:
-      // - puppeteer (headless Chrome)
-      // - jsPDF with Node.js
-      // - PDFKit
-      
-      const pdfContent = this.formatLetterForPDF(letterContent, customer);
-      
-      // Convert to buffer (simulating PDF generation)
-      const buffer = Buffer.from(pdfContent, 'utf8');
-      
-      return buffer;
+      const letterData = typeof letter === 'string' ? { content: letter } : letter;
+      const doc = new jsPDF({
+        orientation: 'p',
+        unit: 'mm',
+        format: 'a4',
+        encryption: options.password ? {
+          userPassword: options.password,
+          // Random owner password: recipients can print but not lift the protection
+          ownerPassword: crypto.randomBytes(16).toString('hex'),
+          userPermissions: ['print']
+        } : undefined
+      });
+      const font = this.setupDocument(doc, letterData, customer);
+
+      this.addLetterhead(doc, font);
+      this.addLetterContent(doc, font, letterData, customer);
+      this.addFooter(doc, font);
+
+      return Buffer.from(doc.output('arraybuffer'));
 
     } catch (error) {
       console.error('PDF generation error:', error);
@@ -28,44 +117,399 @@ class PDFService {
     }
   }
 
-  formatLetterForPDF(content, customer) {
-    const header = `
-STATE BANK OF INDIA
-Official Banking Communication
-========================================
+  // Set document properties and pick the font used for the letter text
+  setupDocument(doc, letterData, customer) {
+    doc.setProperties({
+      title: letterData.subject || 'SBI Official Letter',
+      subject: 'Banking Communication',
+      author: 'State Bank of India',
+      creator: 'SBI Letter Automation System',
+      keywords: customer && customer.ACCOUNT_NO ? `SBI/${customer.ACCOUNT_NO}` : ''
+    });
+
+    return this.selectFont(doc, `${letterData.subject || ''}\n${letterData.content || ''}`);
+  }
+
+  // jsPDF cannot shape Devanagari, so Hindi and Marathi text is refused rather than printed garbled
+  canPrint(text) {
+    return !DEVANAGARI_PATTERN.test(text);
+  }
+
+  // Font able to draw `text`: the embedded font, else the built-in one
+  selectFont(doc, text) {
+    if (!this.canPrint(text)) {
+      throw new Error('Hindi and Marathi letters cannot be printed as PDF; generate the letter for PDF in English');
+    }
+
+    return this.registerFont(doc, EMBEDDED_FONT) ||
+      { name: this.defaultFont, bold: 'bold', unicode: false };
+  }
+
+  // Add a cached TTF font to the document; returns null when it is not available
+  registerFont(doc, name) {
+    const fontData = this.loadFont(name);
+    if (!fontData) return null;
+
+    // Merged print batches switch fonts per letter; embed each font only once
+    if (doc.getFontList()[name]) {
+      return { name, bold: fontData.bold ? 'bold' : 'normal', unicode: true };
+    }
+
+    doc.addFileToVFS(`${name}.ttf`, fontData.normal);
+    doc.addFont(`${name}.ttf`, name, 'normal');
+    if (fontData.bold) {
+      doc.addFileToVFS(`${name}-Bold.ttf`, fontData.bold);
+      doc.addFont(`${name}-Bold.ttf`, name, 'bold');
+    }
+
+    return { name, bold: fontData.bold ? 'bold' : 'normal', unicode: true };
+  }
+
+  // Read a font's TTF files once; null when not configured or unreadable
+  loadFont(name) {
+    if (this.fontCache[name] !== undefined) return this.fontCache[name];
+
+    const files = this.fontFiles[name];
+    this.fontCache[name] = null;
+    if (!files || !files.normal) return null;
+
+    try {
+      this.fontCache[name] = {
+        normal: fs.readFileSync(path.resolve(files.normal)).toString('base64'),
+        bold: files.bold && fs.existsSync(files.bold)
+          ? fs.readFileSync(path.resolve(files.bold)).toString('base64')
+          : null
+      };
+    } catch (error) {
+      console.warn(`PDF font ${name} could not be loaded (${error.message}).`);
+    }
+
+    return this.fontCache[name];
+  }
+
+  // Replace or drop characters the active font cannot draw. Built-in fonts only
+  // cover WinAnsi; embedded fonts are checked against their own character map.
+  prepareText(doc, text, font) {
+    const value = String(text == null ? '' : text);
+    const metadata = font.unicode ? doc.getFont().metadata : null;
+    const codeMap = metadata && metadata.cmap ? metadata.cmap.unicode.codeMap : null;
+
+    const hasGlyph = ch => (codeMap
+      ? codeMap[ch.codePointAt(0)] !== undefined
+      : ch.charCodeAt(0) <= 0xff || WIN_ANSI_EXTRAS.includes(ch));
+
+    return Array.from(value).map(ch => {
+      if (ch === ' ' || hasGlyph(ch)) return ch;
+      return GLYPH_REPLACEMENTS[ch] || '';
+    }).join('').replace(/Rs\. {2,}/g, 'Rs. ');
+  }
+
+  // Add SBI letterhead
+  addLetterhead(doc, font) {
+    const startY = this.margins.top;
+
+    // SBI Logo area
+    doc.setFillColor(...this.sbiColors.primary);
+    doc.rect(this.margins.left, startY, 30, 15, 'F');
+
+    // Bank name
+    doc.setFont(font.name, font.bold);
+    doc.setFontSize(18);
+    doc.setTextColor(...this.sbiColors.primary);
+    doc.text('STATE BANK OF INDIA', this.margins.left + 35, startY + 8);
+
+    // Subtitle
+    doc.setFont(font.name, 'normal');
+    doc.setFontSize(10);
+    doc.setTextColor(...this.sbiColors.lightText);
+    doc.text('The Banker to Every Indian', this.margins.left + 35, startY + 13);
+
+    // Branch details (right aligned)
+    doc.setFontSize(9);
+    doc.setTextColor(...this.sbiColors.text);
+
+    const branchInfo = [
+      'Branch Office',
+      'Contact: 1800-SBI-1234',
+      'Email: customercare@sbi.co.in',
+      'www.sbi.co.in'
+    ];
+
+    const rightX = this.pageWidth - this.margins.right;
+    branchInfo.forEach((info, index) => {
+      doc.text(info, rightX, startY + 3 + (index * 4), { align: 'right' });
+    });
+
+    // Horizontal line
+    doc.setDrawColor(...this.sbiColors.primary);
+    doc.setLineWidth(0.5);
+    doc.line(this.margins.left, startY + 20, this.pageWidth - this.margins.right, startY + 20);
+
+    return startY + 30;
+  }
+
+  // Recipient name and address inside the envelope window; returns the Y below it
+  addAddressBlock(doc, font, addressLines) {
+    const { x, y, width, height } = this.addressWindow;
+    const maxLines = Math.floor(height / this.lineHeight);
+
+    doc.setFont(font.name, 'normal');
+    doc.setFontSize(this.defaultFontSize);
+    doc.setTextColor(...this.sbiColors.text);
+
+    const lines = addressLines
+      .reduce((all, line) => all.concat(doc.splitTextToSize(this.prepareText(doc, line, font), width)), [])
+      .slice(0, maxLines);
+    lines.forEach((line, index) => {
+      if (index === 0) doc.setFont(font.name, font.bold);
+      doc.text(line, x, y + index * this.lineHeight);
+      if (index === 0) doc.setFont(font.name, 'normal');
+    });
+
+    return y + height + this.lineHeight;
+  }
+
+  // Add letter body, starting new pages as needed
+  addLetterContent(doc, font, letterData, customer, startY = this.margins.top + 30) {
+    let currentY = startY;
+    const contentWidth = this.pageWidth - this.margins.left - this.margins.right;
+    const bottomLimit = this.pageHeight - this.margins.bottom - 15;
+
+    doc.setFont(font.name, 'normal');
+    doc.setFontSize(this.defaultFontSize);
+    doc.setTextColor(...this.sbiColors.text);
+
+    const lines = this.stripLetterhead(letterData.content || '').split('\n');
+
+    lines.forEach(rawLine => {
+      if (currentY > bottomLimit) {
+        doc.addPage();
+        currentY = this.margins.top;
+      }
+
+      const line = rawLine.trimEnd();
+
+      // Box-drawing separator rows in the templates become a thin rule
+      if (/^[━─=_-]{5,}$/.test(line.trim())) {
+        doc.setDrawColor(...this.sbiColors.lightText);
+        doc.setLineWidth(0.2);
+        doc.line(this.margins.left, currentY - 1.5, this.pageWidth - this.margins.right, currentY - 1.5);
+        currentY += this.lineHeight;
+        return;
+      }
+
+      if (!line.trim()) {
+        currentY += this.lineHeight * 0.6;
+        return;
+      }
+
+      const isSubject = /^Subject:/i.test(line.trim());
+      doc.setFont(font.name, isSubject ? font.bold : 'normal');
+
+      const wrapped = doc.splitTextToSize(this.prepareText(doc, line, font), contentWidth);
+      wrapped.forEach(part => {
+        if (currentY > bottomLimit) {
+          doc.addPage();
+          currentY = this.margins.top;
+        }
+        doc.text(part, this.margins.left, currentY);
+        currentY += this.lineHeight;
+      });
+    });
+
+    doc.setFont(font.name, 'normal');
+    return currentY;
+  }
+
+  // The drawn letterhead replaces the plain-text bank heading at the top of each template
+  stripLetterhead(content) {
+    return content.replace(/^\s*(?:STATE BANK OF INDIA|भारतीय स्टेट बैंक|भारतीय स्टेट बँक)\s*\n(?:(?:Branch Office|शाखा कार्यालय)\s*\n)?/i, '');
+  }
+
+  // Add footer and page numbers to every page, or to one letter's pages in a merged batch
+  addFooter(doc, font, firstPage = 1, lastPage = doc.internal.getNumberOfPages()) {
+    const footerY = this.pageHeight - this.margins.bottom;
+    const pageCount = lastPage - firstPage + 1;
+    const footerText = 'This is a computer-generated letter from State Bank of India';
+
+    for (let page = firstPage; page <= lastPage; page++) {
+      const i = page - firstPage + 1;
+      doc.setPage(page);
+
+      doc.setDrawColor(...this.sbiColors.lightText);
+      doc.setLineWidth(0.3);
+      doc.line(this.margins.left, footerY - 5, this.pageWidth - this.margins.right, footerY - 5);
+
+      doc.setFont(font.name, 'normal');
+      doc.setFontSize(8);
+      doc.setTextColor(...this.sbiColors.lightText);
+      doc.text(footerText, this.pageWidth / 2, footerY, { align: 'center' });
+
+      if (pageCount > 1) {
+        doc.text(`Page ${i} of ${pageCount}`, this.pageWidth - this.margins.right, footerY, { align: 'right' });
+      }
+    }
+  }
+
+  /**
+   * One PDF for a postal print batch: a cover sheet, then every letter starting
+   * on a new page with the recipient's address in the envelope window.
+   * `letters` is [{ letterData, customer, addressLines }]; `cover` is
+   * { title, rows: [[label, value]], notes: [text] }. Returns { buffer, pages }
+   * where pages lists each letter's first page and page count.
+   */
+  async generateBatchPDF(letters, cover) {
+    try {
+      const doc = new jsPDF('p', 'mm', 'a4');
+      doc.setProperties({
+        title: cover.title,
+        subject: 'Postal Letter Batch',
+        author: 'State Bank of India',
+        creator: 'SBI Letter Automation System'
+      });
+
+      this.addCoverSheet(doc, cover);
+
+      const pages = letters.map(({ letterData, customer, addressLines }) => {
+        doc.addPage();
+        const firstPage = doc.internal.getNumberOfPages();
+        const font = this.selectFont(doc, [letterData.subject, letterData.content, ...addressLines].join('\n'));
+
+        this.addLetterhead(doc, font);
+        const startY = this.addAddressBlock(doc, font, addressLines);
+        this.addLetterContent(doc, font, letterData, customer, startY);
+
+        const lastPage = doc.internal.getNumberOfPages();
+        this.addFooter(doc, font, firstPage, lastPage);
+        return { firstPage, pageCount: lastPage - firstPage + 1 };
+      });
+
+      return { buffer: Buffer.from(doc.output('arraybuffer')), pages };
+
+    } catch (error) {
+      console.error('Batch PDF generation error:', error);
+      throw new Error(`Batch PDF generation failed: ${error.message}`);
+    }
+  }
+
+  addCoverSheet(doc, cover) {
+    const font = this.selectFont(doc, [cover.title, ...cover.rows.map(row => row.join(' ')), ...(cover.notes || [])].join('\n'));
+    let currentY = this.addLetterhead(doc, font) + 10;
+
+    doc.setFont(font.name, font.bold);
+    doc.setFontSize(16);
+    doc.setTextColor(...this.sbiColors.primary);
+    doc.text(this.prepareText(doc, cover.title, font), this.margins.left, currentY);
+    currentY += 12;
 
-Date: ${new Date().toLocaleDateString('en-IN')}
-Reference: SBI/${customer.ACCOUNT_NO}/${new Date().getFullYear()}
+    doc.setFontSize(11);
+    doc.setTextColor(...this.sbiColors.text);
+    cover.rows.forEach(([label, value]) => {
+      doc.setFont(font.name, 'normal');
+      doc.text(this.prepareText(doc, label, font), this.margins.left, currentY);
+      doc.setFont(font.name, font.bold);
+      doc.text(this.prepareText(doc, String(value), font), this.margins.left + 70, currentY);
+      currentY += 7;
+    });
+
+    if (cover.notes && cover.notes.length) {
+      currentY += 5;
+      doc.setFont(font.name, 'normal');
+      doc.setFontSize(9);
+      const contentWidth = this.pageWidth - this.margins.left - this.margins.right;
+      cover.notes.forEach(note => {
+        doc.splitTextToSize(this.prepareText(doc, note, font), contentWidth).forEach(line => {
+          if (currentY > this.pageHeight - this.margins.bottom) return;
+          doc.text(line, this.margins.left, currentY);
+          currentY += this.lineHeight;
+        });
+      });
+    }
+  }
+
+  /**
+   * Mailing labels on A4 label sheets (see this.labelSheet), one per
+   * recipient. `labels` is [{ addressLines, reference }].
+   */
+  async generateLabelSheet(labels) {
+    try {
+      const doc = new jsPDF('p', 'mm', 'a4');
+      doc.setProperties({
+        title: 'Mailing Labels',
+        author: 'State Bank of India',
+        creator: 'SBI Letter Automation System'
+      });
 
-`;
+      const { columns, rows, width, height, top, left, gap } = this.labelSheet;
+      const perPage = columns * rows;
+      const padding = 4;
+      const font = this.selectFont(doc, labels.map(label => label.addressLines.join('\n')).join('\n'));
 
-    const footer = `
+      labels.forEach((label, index) => {
+        if (index > 0 && index % perPage === 0) doc.addPage();
 
-========================================
-This is a computer-generated letter.
-State Bank of India
-Customer Service Department
+        const slot = index % perPage;
+        const x = left + (slot % columns) * (width + gap) + padding;
+        const y = top + Math.floor(slot / columns) * height + padding + 3;
+        const maxLines = Math.floor((height - 2 * padding - 3) / 4.2);
 
-For queries: 1800-SBI-1234
-Website: www.sbi.co.in
-========================================`;
+        doc.setFontSize(9);
+        doc.setTextColor(...this.sbiColors.text);
+        const lines = label.addressLines
+          .reduce((all, line) => all.concat(doc.splitTextToSize(this.prepareText(doc, line, font), width - 2 * padding)), [])
+          .slice(0, maxLines);
+        lines.forEach((line, lineIndex) => {
+          doc.setFont(font.name, lineIndex === 0 ? font.bold : 'normal');
+          doc.text(line, x, y + lineIndex * 4.2);
+        });
+
+        if (label.reference) {
+          doc.setFont(font.name, 'normal');
+          doc.setFontSize(6);
+          doc.setTextColor(...this.sbiColors.lightText);
+          doc.text(this.prepareText(doc, label.reference, font), x + width - 2 * padding, y + height - 2 * padding - 3, { align: 'right' });
+        }
+      });
+
+      return Buffer.from(doc.output('arraybuffer'));
+
+    } catch (error) {
+      console.error('Label sheet generation error:', error);
+      throw new Error(`Label sheet generation failed: ${error.message}`);
+    }
+  }
 
-    return header + content + footer;
+  /**
+   * Password for a protected letter: date of birth as DDMMYYYY followed by the
+   * last 4 digits of the account number (e.g. "150819854321").
+   * Returns null when the customer has no usable date of birth.
+   */
+  getDocumentPassword(customer) {
+    const dob = formatDateOfBirth(customer.DOB || customer.DATE_OF_BIRTH);
+    const digits = String(customer.ACCOUNT_NO || '').replace(/\D/g, '');
+    if (!dob || digits.length < 4) return null;
+    return `${dob}${digits.slice(-4)}`;
   }
 
   // Get supported PDF features
   getCapabilities() {
     return {
-      formats: ['text', 'simple'],
+      formats: ['pdf'],
       features: {
         headers: true,
         footers: true,
         letterhead: true,
+        pagination: true,
+        unicodeFont: !!this.loadFont(EMBEDDED_FONT),
+        // No OpenType shaping: Hindi and Marathi letters are printed in English
+        devanagari: false,
+        passwordProtection: true,
         signatures: false,
         images: false
       },
+      pageSize: 'A4',
       maxSize: '5MB',
-      production: false // Set to true when using real PDF libraries
+      production: true
     };
   }
 }
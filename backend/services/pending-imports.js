@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const { DATA_FILES } = require('../utils/constants');
+const { readJsonFile, writeJsonFileAtomic, createHttpError } = require('../utils/helpers');
+
+// Uploads waiting to be confirmed expire after this long
+const TTL_MS = (parseInt(process.env.PENDING_IMPORT_TTL_MINUTES || '60', 10) || 60) * 60 * 1000;
+
+// Oldest pending uploads are dropped beyond this many
+const MAX_PENDING = 20;
+
+// Parsed uploads held between the preview and the user's confirmation, so an
+// upload only changes the customer store once its diff has been reviewed
+class PendingImportStore {
+  constructor(filePath = DATA_FILES.pendingImports) {
+    this.filePath = filePath;
+    this.imports = null; // lazily loaded cache
+  }
+
+  load() {
+    if (this.imports) return this.imports;
+
+    const parsed = readJsonFile(this.filePath, { imports: [] });
+    if (!parsed || !Array.isArray(parsed.imports)) {
+      throw new Error('pending-imports.json has an unexpected shape');
+    }
+
+    this.imports = parsed.imports;
+    return this.imports;
+  }
+
+  save() {
+    writeJsonFileAtomic(this.filePath, {
+      imports: this.imports,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  // Drop expired uploads; returns whether any were dropped
+  prune(now = Date.now()) {
+    const before = this.load().length;
+    this.imports = this.imports.filter(entry => Date.parse(entry.expiresAt) > now);
+    return this.imports.length !== before;
+  }
+
+  // Hold the customers an upload would import; returns the entry without them
+  create(customers, fileName, actor) {
+    this.prune();
+    const now = new Date();
+    const entry = {
+      id: crypto.randomUUID(),
+      fileName,
+      uploadedBy: actor,
+      uploadedAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + TTL_MS).toISOString(),
+      customers
+    };
+
+    this.imports.unshift(entry);
+    this.imports.splice(MAX_PENDING);
+    this.save();
+    return this.describe(entry);
+  }
+
+  // A pending upload, customers included
+  require(id) {
+    if (this.prune()) this.save();
+
+    const entry = this.imports.find(e => e.id === id);
+    if (!entry) {
+      throw createHttpError(404, `No pending import '${id}'. It may have expired or been confirmed already; upload the file again.`);
+    }
+    return entry;
+  }
+
+  remove(id) {
+    const entry = this.require(id);
+    this.imports = this.imports.filter(e => e !== entry);
+    this.save();
+    return this.describe(entry);
+  }
+
+  describe({ customers, ...entry }) {
+    return { ...entry, count: customers.length };
+  }
+}
+
+module.exports = new PendingImportStore();
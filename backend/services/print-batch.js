@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const { generateLetterContent } = require('../templates/letter-templates');
+const pdfService = require('./pdf-service');
+const { buildCsv } = require('../utils/helpers');
+
+// Address columns read from the customer row, in the order they are printed
+const ADDRESS_LINE_FIELDS = ['ADDRESS', 'ADDRESS_LINE1', 'ADDRESS_LINE2', 'ADDRESS_LINE3'];
+
+const REGISTER_COLUMNS = [
+  'Serial No', 'Account No', 'Name', 'Address', 'PIN Code', 'Issue Type',
+  'Template Version', 'Pages', 'Dispatch Date', 'Postal Reference'
+];
+
+/**
+ * Postal print batches: for a set of customers, one merged letters PDF with a
+ * cover sheet, a mailing-label sheet and a dispatch register (CSV) that branch
+ * staff complete with the dispatch date and postal reference.
+ */
+class PrintBatchService {
+  // Printed address lines (name first), or null when the row has no usable address
+  getPostalAddress(customer) {
+    const street = ADDRESS_LINE_FIELDS
+      .map(field => customer[field])
+      .filter(value => value !== undefined && value !== null && String(value).trim())
+      .reduce((lines, value) => lines.concat(String(value).split(/\r?\n|,\s*(?=\S)/).map(l => l.trim()).filter(Boolean)), []);
+
+    const city = String(customer.CITY || customer.DISTRICT || '').trim();
+    const pinCode = this.getPinCode(customer);
+    const state = String(customer.STATE || '').trim();
+
+    if (street.length === 0 && !city) return null;
+    if (!pinCode) return null;
+
+    return [
+      String(customer.NAME).trim(),
+      ...street,
+      [city, pinCode].filter(Boolean).join(' - '),
+      state
+    ].filter(Boolean);
+  }
+
+  // Six-digit Indian PIN code from PINCODE/PIN_CODE/PIN
+  getPinCode(customer) {
+    const value = String(customer.PINCODE || customer.PIN_CODE || customer.PIN || '').replace(/\s/g, '');
+    return /^[1-9]\d{5}$/.test(value) ? value : null;
+  }
+
+  // Customers branches can only reach by post
+  hasNoDigitalContact(customer) {
+    return !customer.EMAIL && !customer.MOBILE;
+  }
+
+  /**
+   * Build the batch. options.postalOnly keeps only customers with neither
+   * EMAIL nor MOBILE. Customers without a postal address or whose letter
+   * cannot be rendered are left out and listed in `excluded`.
+   */
+  async create(customers, issueType, customMessage, options = {}, actor) {
+    const batchId = `PB-${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+    const createdAt = new Date();
+    const included = [];
+    const excluded = [];
+
+    customers.forEach(customer => {
+      const ref = { accountNo: customer.ACCOUNT_NO, name: customer.NAME };
+      if (options.postalOnly && !this.hasNoDigitalContact(customer)) {
+        excluded.push({ ...ref, reason: 'Reachable by email or SMS' });
+        return;
+      }
+
+      const addressLines = this.getPostalAddress(customer);
+      if (!addressLines) {
+        excluded.push({ ...ref, reason: 'No postal address with a valid PIN code' });
+        return;
+      }
+
+      try {
+        const letterData = generateLetterContent(customer, issueType, customMessage, { language: options.language, pdf: true });
+        if (!pdfService.canPrint([letterData.content, ...addressLines].join('\n'))) {
+          excluded.push({ ...ref, reason: 'Name or address is in Devanagari, which cannot be printed yet' });
+          return;
+        }
+        included.push({ customer, letterData, addressLines });
+      } catch (error) {
+        excluded.push({ ...ref, reason: error.message });
+      }
+    });
+
+    const cover = {
+      title: 'Postal Dispatch Batch',
+      rows: [
+        ['Batch', batchId],
+        ['Issue type', issueType],
+        ['Generated', createdAt.toLocaleString('en-IN')],
+        ['Generated by', actor],
+        ['Letters in batch', included.length],
+        ['Customers selected', customers.length],
+        ['Left out', excluded.length]
+      ],
+      notes: excluded.length
+        ? ['Left out of this batch:', ...excluded.map(e => `${e.accountNo}${pdfService.canPrint(e.name) ? ` ${e.name}` : ''}: ${e.reason}`)]
+        : []
+    };
+
+    let letters = null;
+    let labels = null;
+    if (included.length > 0) {
+      letters = await pdfService.generateBatchPDF(included, cover);
+      labels = await pdfService.generateLabelSheet(included.map((entry, index) => ({
+        addressLines: entry.addressLines,
+        reference: `${batchId}/${index + 1}`
+      })));
+    }
+
+    const register = this.buildRegister(included, issueType, letters ? letters.pages : []);
+
+    return {
+      batchId,
+      createdAt: createdAt.toISOString(),
+      included,
+      excluded,
+      summary: {
+        selected: customers.length,
+        letters: included.length,
+        excluded: excluded.length,
+        // Cover sheet plus every letter page
+        pages: letters ? letters.pages.reduce((total, page) => total + page.pageCount, 1) : 0
+      },
+      files: {
+        letters: letters ? letters.buffer : null,
+        labels,
+        register
+      }
+    };
+  }
+
+  // Dispatch register as CSV
+  buildRegister(included, issueType, pages) {
+    const rows = included.map(({ customer, letterData, addressLines }, index) => [
+      index + 1,
+      customer.ACCOUNT_NO,
+      customer.NAME,
+      addressLines.slice(1).join(', '),
+      this.getPinCode(customer),
+      issueType,
+      letterData.templateVersion,
+      pages[index] ? pages[index].pageCount : '',
+      '',
+      ''
+    ]);
+
+    return buildCsv([REGISTER_COLUMNS, ...rows]);
+  }
+}
+
+module.exports = new PrintBatchService();
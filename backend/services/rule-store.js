@@ -0,0 +1,95 @@
+const { DATA_FILES } = require('../utils/constants');
+const { readJsonFile, writeJsonFileAtomic, createHttpError } = require('../utils/helpers');
+const ruleEngine = require('../../shared/rule-engine');
+
+// Customer selection rules, one per issue type, stored as declarative condition trees
+class RuleStore {
+  constructor(filePath = DATA_FILES.rules) {
+    this.filePath = filePath;
+    this.rules = null; // lazily loaded cache
+  }
+
+  load() {
+    if (this.rules) return this.rules;
+
+    const parsed = readJsonFile(this.filePath, { rules: [] });
+    if (!parsed || !Array.isArray(parsed.rules)) {
+      throw new Error('rules.json has an unexpected shape');
+    }
+
+    this.rules = parsed.rules;
+    if (this.rules.length === 0) {
+      console.warn('No customer rules found in rules.json. Customer analysis will match nobody until rules are added.');
+    }
+    return this.rules;
+  }
+
+  save() {
+    writeJsonFileAtomic(this.filePath, {
+      rules: this.rules,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  getAll() {
+    return this.load().slice();
+  }
+
+  get(issueType) {
+    return this.load().find(r => r.issueType === issueType) || null;
+  }
+
+  require(issueType) {
+    const rule = this.get(issueType);
+    if (!rule) {
+      throw createHttpError(404, `No rule exists for issue type '${issueType}'`);
+    }
+    return rule;
+  }
+
+  // Create or replace the rule for an issue type; the condition tree is checked first
+  put(issueType, data, actor) {
+    const errors = ruleEngine.validate(data.conditions);
+    if (errors.length) {
+      throw createHttpError(400, errors[0], errors);
+    }
+
+    const existing = this.get(issueType);
+    const rule = {
+      issueType,
+      name: data.name !== undefined ? data.name : (existing ? existing.name : issueType),
+      description: data.description !== undefined ? data.description : (existing ? existing.description : ''),
+      version: existing ? existing.version + 1 : 1,
+      conditions: data.conditions,
+      updatedAt: new Date().toISOString(),
+      updatedBy: actor
+    };
+
+    if (existing) {
+      this.rules[this.rules.indexOf(existing)] = rule;
+    } else {
+      this.rules.push(rule);
+    }
+    this.save();
+    return { rule, created: !existing };
+  }
+
+  remove(issueType) {
+    const rule = this.require(issueType);
+    this.rules.splice(this.rules.indexOf(rule), 1);
+    this.save();
+    return rule;
+  }
+
+  // Customers selected by an issue type's rule, each carrying the conditions that matched
+  match(issueType, customers) {
+    const rule = this.get(issueType);
+    if (!rule) return [];
+    return ruleEngine.apply(rule, customers).map(customer => ({
+      ...customer,
+      ruleVersion: rule.version
+    }));
+  }
+}
+
+module.exports = new RuleStore();
@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { renderSms, getDltTemplateId } = require('../templates/sms-templates');
+const issueTypeCatalog = require('./issue-types');
+
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '../../sms-outbox');
+const PROVIDERS = ['http', 'file', 'console'];
+const HTTP_TIMEOUT_MS = 15000;
+
+/**
+ * Sends short SMS notices through the provider named in SMS_PROVIDER:
+ *   http     POSTs JSON to SMS_HTTP_URL (Bearer SMS_HTTP_API_KEY) for an SMS gateway;
+ *            needs the DLT entity ID (SMS_DLT_ENTITY_ID) and a template ID per issue type
+ *   file     appends each message to sms-outbox/ (or SMS_FILE_DIR) for local testing
+ *   console  logs each message
+ * SMS is disabled when SMS_PROVIDER is not set.
+ */
+class SmsService {
+  constructor() {
+    this.provider = (process.env.SMS_PROVIDER || '').trim().toLowerCase() || null;
+    this.senderId = process.env.SMS_SENDER_ID || 'SBIBNK';
+    this.entityId = process.env.SMS_DLT_ENTITY_ID || null;
+    this.outboxDir = process.env.SMS_FILE_DIR || DEFAULT_OUTBOX_DIR;
+    this.httpUrl = process.env.SMS_HTTP_URL;
+    this.httpApiKey = process.env.SMS_HTTP_API_KEY;
+
+    if (this.provider && !PROVIDERS.includes(this.provider)) {
+      console.error(`Unknown SMS_PROVIDER '${this.provider}'. SMS will be disabled.`);
+      this.provider = null;
+    } else if (this.provider === 'http' && !this.httpUrl) {
+      console.error('SMS_PROVIDER=http needs SMS_HTTP_URL. SMS will be disabled.');
+      this.provider = null;
+    } else if (this.provider) {
+      console.log(`SMS provider: ${this.provider}`);
+    }
+  }
+
+  isConfigured() {
+    return !!this.provider;
+  }
+
+  // Indian numbers as 91XXXXXXXXXX; null when the number cannot be used
+  normalizeMobile(mobile) {
+    let digits = String(mobile || '').replace(/\D/g, '');
+    if (digits.length === 11 && digits.startsWith('0')) digits = digits.slice(1);
+    if (digits.length === 10) digits = `91${digits}`;
+    return /^91[6-9]\d{9}$/.test(digits) ? digits : null;
+  }
+
+  /**
+   * Send the issue type's SMS to a customer's MOBILE.
+   * Errors carry `transient: true` when the gateway may accept a retry.
+   */
+  async sendMessage(customer, issueType) {
+    if (!this.provider) {
+      throw new Error('SMS service not configured. Please set SMS_PROVIDER in environment variables.');
+    }
+
+    const to = this.normalizeMobile(customer.MOBILE);
+    if (!to) {
+      throw new Error(`Invalid mobile number '${customer.MOBILE || ''}'`);
+    }
+
+    const { text, dltTemplateId } = renderSms(customer, issueType);
+    const message = {
+      to,
+      sender: this.senderId,
+      text,
+      dltEntityId: this.entityId,
+      dltTemplateId,
+      accountNo: customer.ACCOUNT_NO,
+      issueType
+    };
+
+    let messageId;
+    if (this.provider === 'http') {
+      messageId = await this.sendViaHttp(message);
+    } else {
+      messageId = `sms-${crypto.randomUUID()}`;
+      if (this.provider === 'file') {
+        this.writeToOutbox({ ...message, messageId, createdAt: new Date().toISOString() });
+      } else {
+        console.log(`SMS to ${to} [DLT ${dltTemplateId || 'none'}]: ${text}`);
+      }
+    }
+
+    console.log(`SMS sent successfully to ${to} via ${this.provider} (Message ID: ${messageId})`);
+    return { success: true, messageId, provider: this.provider, recipient: to, text, dltTemplateId };
+  }
+
+  async sendViaHttp(message) {
+    // Gateways reject unregistered content, so fail before sending
+    if (!this.entityId) {
+      throw new Error('SMS_DLT_ENTITY_ID is required to send SMS through a gateway');
+    }
+    if (!message.dltTemplateId) {
+      throw new Error(`No DLT template ID configured for '${message.issueType}' ` +
+        `(set SMS_DLT_TEMPLATE_${String(message.issueType).toUpperCase()})`);
+    }
+
+    let response;
+    try {
+      response = await fetch(this.httpUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.httpApiKey ? { Authorization: `Bearer ${this.httpApiKey}` } : {})
+        },
+        body: JSON.stringify({
+          to: message.to,
+          sender: message.sender,
+          message: message.text,
+          dltEntityId: message.dltEntityId,
+          dltTemplateId: message.dltTemplateId
+        }),
+        signal: AbortSignal.timeout(HTTP_TIMEOUT_MS)
+      });
+    } catch (error) {
+      const failure = new Error(`SMS gateway unreachable: ${error.message}`);
+      failure.transient = true;
+      throw failure;
+    }
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const failure = new Error(`SMS gateway returned ${response.status}: ${body.message || body.error || response.statusText}`);
+      failure.code = `HTTP_${response.status}`;
+      failure.transient = response.status === 429 || response.status >= 500;
+      throw failure;
+    }
+
+    return body.messageId || body.id || `sms-${crypto.randomUUID()}`;
+  }
+
+  // One JSON line per message, one file per day
+  writeToOutbox(message) {
+    fs.mkdirSync(this.outboxDir, { recursive: true });
+    const file = path.join(this.outboxDir, `sms-${message.createdAt.slice(0, 10)}.jsonl`);
+    fs.appendFileSync(file, `${JSON.stringify(message)}\n`);
+  }
+
+  getStatus() {
+    const dltTemplates = {};
+    issueTypeCatalog.getIds().forEach(issueType => {
+      dltTemplates[issueType] = getDltTemplateId(issueType);
+    });
+
+    return {
+      configured: this.isConfigured(),
+      provider: this.provider,
+      senderId: this.senderId,
+      dltEntityId: this.entityId,
+      dltTemplates
+    };
+  }
+}
+
+module.exports = new SmsService();
@@ -0,0 +1,261 @@
+const { DATA_FILES } = require('../utils/constants');
+const { readJsonFile, writeJsonFileAtomic, createHttpError } = require('../utils/helpers');
+
+// Descriptive fields kept on the template itself; editing them does not need approval
+const META_FIELDS = ['name', 'description', 'category'];
+// Fields that make up a version's wording and behaviour; changing them creates a new draft
+const VERSION_FIELDS = ['subject', 'body', 'urgency', 'followUpDays', 'translations'];
+
+class TemplateStore {
+  constructor(filePath = DATA_FILES.templates) {
+    this.filePath = filePath;
+    this.templates = null; // lazily loaded cache
+  }
+
+  load() {
+    if (this.templates) return this.templates;
+
+    const parsed = readJsonFile(this.filePath, { templates: [] });
+    if (!parsed || !Array.isArray(parsed.templates)) {
+      throw new Error('templates.json has an unexpected shape');
+    }
+
+    this.templates = parsed.templates.map(t => this.migrate(t));
+    if (this.templates.length === 0) {
+      console.warn('No letter templates found in templates.json. Letter generation will fail until templates are added.');
+    }
+    return this.templates;
+  }
+
+  // Templates saved before versioning hold their wording at the top level; treat it as approved v1
+  migrate(template) {
+    if (Array.isArray(template.versions)) return template;
+
+    const { subject, body, urgency, followUpDays, version, updatedBy, ...meta } = template;
+    return {
+      ...meta,
+      versions: [{
+        version: version || 1,
+        subject,
+        body,
+        urgency,
+        followUpDays,
+        status: 'approved',
+        createdBy: updatedBy || 'system',
+        createdAt: template.updatedAt || template.createdAt,
+        approvedBy: updatedBy || 'system',
+        approvedAt: template.updatedAt || template.createdAt
+      }]
+    };
+  }
+
+  save() {
+    writeJsonFileAtomic(this.filePath, {
+      templates: this.templates,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  // Active (not retired) templates
+  getAll() {
+    return this.load().filter(t => !t.retiredAt);
+  }
+
+  get(id) {
+    return this.getAll().find(t => t.id === id) || null;
+  }
+
+  // Like get(), but also finds retired templates so their history stays readable
+  find(id) {
+    return this.load().find(t => t.id === id) || null;
+  }
+
+  require(id) {
+    const template = this.get(id);
+    if (!template) {
+      throw createHttpError(404, `Template '${id}' not found`);
+    }
+    return template;
+  }
+
+  getVersion(id, versionNumber) {
+    const template = this.find(id);
+    if (!template) return null;
+    return template.versions.find(v => v.version === Number(versionNumber)) || null;
+  }
+
+  latestVersion(template) {
+    return template.versions[template.versions.length - 1];
+  }
+
+  // The only version letters may be generated from
+  approvedVersion(template) {
+    const approved = template.versions.filter(v => v.status === 'approved');
+    return approved.length ? approved[approved.length - 1] : null;
+  }
+
+  // Template plus its current approved version, or null when nothing is approved yet
+  getApproved(id) {
+    const template = this.get(id);
+    const version = template ? this.approvedVersion(template) : null;
+    return version ? { template, version } : null;
+  }
+
+  // The version that was in force at a given moment (for "what did the customer receive" checks)
+  getEffectiveVersion(id, at) {
+    const template = this.find(id);
+    if (!template) return null;
+
+    const moment = new Date(at).getTime();
+    const inForce = template.versions.filter(v =>
+      v.approvedAt && new Date(v.approvedAt).getTime() <= moment
+    );
+    return inForce.length ? inForce[inForce.length - 1] : null;
+  }
+
+  // Reject bodies whose {{#if}} blocks do not pair up with {{/if}}
+  checkSyntax(version, label = '') {
+    ['subject', 'body'].forEach(field => {
+      const text = version[field] || '';
+      const opened = (text.match(/{{#if\s+\w+}}/g) || []).length;
+      const closed = (text.match(/{{\/if}}/g) || []).length;
+      if (opened !== closed) {
+        throw createHttpError(400, `Template ${label}${field} has ${opened} {{#if}} block(s) but ${closed} {{/if}}`);
+      }
+    });
+
+    Object.entries(version.translations || {}).forEach(([language, translation]) => {
+      this.checkSyntax(translation, `${language} `);
+    });
+  }
+
+  buildVersion(number, fields, actor) {
+    const version = { version: number };
+    VERSION_FIELDS.forEach(field => {
+      if (fields[field] !== undefined) version[field] = fields[field];
+    });
+    this.checkSyntax(version);
+
+    return {
+      ...version,
+      status: 'draft',
+      createdBy: actor,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  // New templates start as an unapproved v1 draft
+  create(data, actor) {
+    if (this.find(data.id)) {
+      throw createHttpError(409, `Template '${data.id}' already exists`);
+    }
+
+    const now = new Date().toISOString();
+    const template = { id: data.id };
+    META_FIELDS.forEach(field => {
+      if (data[field] !== undefined) template[field] = data[field];
+    });
+
+    template.versions = [this.buildVersion(1, data, actor)];
+    template.createdAt = now;
+    template.updatedAt = now;
+
+    this.templates.push(template);
+    this.save();
+    return template;
+  }
+
+  // Descriptive changes apply at once; wording changes become a new draft version
+  update(id, changes, actor) {
+    const template = this.require(id);
+
+    META_FIELDS.forEach(field => {
+      if (changes[field] !== undefined) template[field] = changes[field];
+    });
+
+    let draft = null;
+    if (VERSION_FIELDS.some(field => changes[field] !== undefined)) {
+      const base = this.latestVersion(template);
+      const fields = {};
+      VERSION_FIELDS.forEach(field => {
+        fields[field] = changes[field] !== undefined ? changes[field] : base[field];
+      });
+      // Translations merge per language; null removes one
+      if (changes.translations !== undefined) {
+        fields.translations = { ...(base.translations || {}), ...changes.translations };
+        Object.keys(fields.translations).forEach(language => {
+          if (!fields.translations[language]) delete fields.translations[language];
+        });
+      }
+      draft = this.buildVersion(base.version + 1, fields, actor);
+      template.versions.push(draft);
+    }
+
+    template.updatedAt = new Date().toISOString();
+    this.save();
+    return { template, draft };
+  }
+
+  requireDraft(id, versionNumber) {
+    const template = this.require(id);
+    const version = template.versions.find(v => v.version === Number(versionNumber));
+    if (!version) {
+      throw createHttpError(404, `Template '${id}' has no version ${versionNumber}`);
+    }
+    if (version.status !== 'draft') {
+      throw createHttpError(409, `Version ${version.version} of '${id}' is ${version.status}, not a draft`);
+    }
+    return { template, version };
+  }
+
+  // Four-eyes rule: the author of a draft can never approve it
+  approve(id, versionNumber, actor) {
+    const { template, version } = this.requireDraft(id, versionNumber);
+
+    if (version.createdBy === actor) {
+      throw createHttpError(403, 'A template version must be approved by someone other than its author');
+    }
+
+    const now = new Date().toISOString();
+    version.status = 'approved';
+    version.approvedBy = actor;
+    version.approvedAt = now;
+
+    // Older drafts can no longer become current
+    template.versions.forEach(v => {
+      if (v.status === 'draft' && v.version < version.version) {
+        v.status = 'superseded';
+      }
+    });
+
+    template.updatedAt = now;
+    this.save();
+    return { template, version };
+  }
+
+  reject(id, versionNumber, actor, reason) {
+    const { template, version } = this.requireDraft(id, versionNumber);
+
+    const now = new Date().toISOString();
+    version.status = 'rejected';
+    version.rejectedBy = actor;
+    version.rejectedAt = now;
+    if (reason) version.rejectionReason = reason;
+
+    template.updatedAt = now;
+    this.save();
+    return { template, version };
+  }
+
+  // Retired templates stop being offered but keep their version history
+  retire(id, actor) {
+    const template = this.require(id);
+    template.retiredAt = new Date().toISOString();
+    template.retiredBy = actor;
+    template.updatedAt = template.retiredAt;
+    this.save();
+    return template;
+  }
+}
+
+module.exports = new TemplateStore();
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const { DATA_FILES, ROLES } = require('../utils/constants');
+const { readJsonFile, writeJsonFileAtomic, createHttpError } = require('../utils/helpers');
+
+const SCRYPT_KEYLEN = 64;
+
+class UserStore {
+  constructor(filePath = DATA_FILES.users) {
+    this.filePath = filePath;
+    this.users = null; // lazily loaded cache
+  }
+
+  load() {
+    if (this.users) return this.users;
+
+    const parsed = readJsonFile(this.filePath, { users: [] });
+    this.users = Array.isArray(parsed.users) ? parsed.users : [];
+
+    // First start: seed an administrator from the environment so someone can log in
+    if (this.users.length === 0 && process.env.ADMIN_USERNAME && process.env.ADMIN_PASSWORD) {
+      this.users.push(this.buildUser({
+        username: process.env.ADMIN_USERNAME,
+        password: process.env.ADMIN_PASSWORD,
+        name: 'Administrator',
+        role: 'admin'
+      }));
+      this.save();
+      console.log(`Seeded admin user "${process.env.ADMIN_USERNAME}" from environment`);
+    } else if (this.users.length === 0) {
+      console.warn('No users configured. Set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin.');
+    }
+
+    return this.users;
+  }
+
+  save() {
+    writeJsonFileAtomic(this.filePath, {
+      users: this.users,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEYLEN).toString('hex');
+    return { salt, hash };
+  }
+
+  buildUser({ username, password, name, role }) {
+    if (!ROLES.includes(role)) {
+      throw createHttpError(400, `Unknown role '${role}'`);
+    }
+
+    const { salt, hash } = this.hashPassword(password);
+    const now = new Date().toISOString();
+    return {
+      id: crypto.randomUUID(),
+      username: String(username).trim().toLowerCase(),
+      name: name || username,
+      role,
+      active: true,
+      passwordSalt: salt,
+      passwordHash: hash,
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  // Strip credential fields before returning a user to a client
+  sanitize(user) {
+    if (!user) return null;
+    const { passwordSalt, passwordHash, ...safe } = user;
+    return safe;
+  }
+
+  findByUsername(username) {
+    const key = String(username || '').trim().toLowerCase();
+    return this.load().find(u => u.username === key) || null;
+  }
+
+  findById(id) {
+    return this.load().find(u => u.id === id) || null;
+  }
+
+  list() {
+    return this.load().map(u => this.sanitize(u));
+  }
+
+  create(data) {
+    if (this.findByUsername(data.username)) {
+      throw createHttpError(409, `User '${data.username}' already exists`);
+    }
+
+    const user = this.buildUser(data);
+    this.users.push(user);
+    this.save();
+    return this.sanitize(user);
+  }
+
+  update(id, changes) {
+    const user = this.findById(id);
+    if (!user) {
+      throw createHttpError(404, 'User not found');
+    }
+
+    if (changes.role !== undefined) {
+      if (!ROLES.includes(changes.role)) {
+        throw createHttpError(400, `Unknown role '${changes.role}'`);
+      }
+      user.role = changes.role;
+    }
+    if (changes.name !== undefined) user.name = changes.name;
+    if (changes.active !== undefined) user.active = changes.active;
+    if (changes.password !== undefined) {
+      const { salt, hash } = this.hashPassword(changes.password);
+      user.passwordSalt = salt;
+      user.passwordHash = hash;
+    }
+
+    user.updatedAt = new Date().toISOString();
+    this.save();
+    return this.sanitize(user);
+  }
+
+  // Returns the sanitized user when the credentials match an active account
+  authenticate(username, password) {
+    const user = this.findByUsername(username);
+
+    // Hash even when the user does not exist to keep response timing uniform
+    const { hash } = this.hashPassword(password, user ? user.passwordSalt : 'no-such-user');
+    if (!user || !user.active) return null;
+
+    const expected = Buffer.from(user.passwordHash, 'hex');
+    const actual = Buffer.from(hash, 'hex');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    return this.sanitize(user);
+  }
+}
+
+module.exports = new UserStore();
@@ -0,0 +1,204 @@
+// HTML emails wrapping a rendered letter (see letter-templates.js).
+// Each issue type's `email` layout in the catalog (services/issue-types.js) adds
+// a heading, an account summary table built from the same customer fields as
+// the letter, and a call-to-action block. Every customer value is HTML-escaped;
+// renderEmail() also returns a plain-text alternative with the same sections.
+
+const issueTypeCatalog = require('../services/issue-types');
+const { BRAND_COLOR, BANK_LINKS } = require('../utils/constants');
+const { maskPan } = require('../utils/helpers');
+
+// Keep in step with PDFService.getDocumentPassword()
+const ATTACHMENT_PASSWORD_HINT = 'The attached letter is password protected. The password is your date of birth ' +
+  'as DDMMYYYY followed by the last 4 digits of your account number (e.g. 150819854321).';
+
+// Issue types registered without an email layout get a neutral one
+const DEFAULT_EMAIL_TEMPLATE = {
+  heading: 'Important Banking Notice',
+  accent: BRAND_COLOR,
+  summary: [
+    ['Account Number', 'ACCOUNT_NO'],
+    ['Account Type', 'ACCOUNT_TYPE'],
+    ['Branch Code', 'BRANCH_CODE']
+  ],
+  action: {
+    title: 'Need help?',
+    text: 'Contact your branch or call Customer Care on 1800-SBI-1234 (toll free).',
+    label: 'Find your branch',
+    url: BANK_LINKS.branchLocator
+  }
+};
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function getEmailTemplate(issueType) {
+  const issueTypeInfo = issueTypeCatalog.get(issueType);
+  return (issueTypeInfo && issueTypeInfo.email) || DEFAULT_EMAIL_TEMPLATE;
+}
+
+function formatValue(value, format) {
+  if (format === 'currency' && value !== '' && !isNaN(Number(value))) {
+    return `₹${Number(value).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+  }
+  if (format === 'masked-pan') return maskPan(value);
+  return String(value);
+}
+
+// Summary rows ([label, field or alternative fields, format]) that have a value for this customer, as [label, text]
+function getSummaryRows(template, customer) {
+  return template.summary
+    .map(([label, fields, format]) => {
+      const field = [].concat(fields).find(f => customer[f] !== undefined && customer[f] !== null && customer[f] !== '');
+      return field ? [label, formatValue(customer[field], format)] : null;
+    })
+    .filter(Boolean);
+}
+
+// Letter text as escaped paragraphs; single line breaks are kept
+function contentToHtml(content) {
+  return String(content || '')
+    .replace(/\r\n/g, '\n')
+    .split(/\n\s*\n/)
+    .filter(paragraph => paragraph.trim())
+    .map(paragraph => `<p style="margin: 0 0 14px 0;">${escapeHtml(paragraph.trim()).replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+}
+
+function renderHtml(template, customer, content, rows, options) {
+  const { accent, action } = template;
+
+  const summaryHtml = rows.length === 0 ? '' : `
+          <tr>
+            <td class="section" style="padding: 0 24px 20px 24px;">
+              <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="border-collapse: collapse; border: 1px solid #dde3ea;">
+                <tr>
+                  <th colspan="2" align="left" style="background-color: #f1f5f9; padding: 10px 12px; font-size: 14px; color: ${BRAND_COLOR};">Account Summary</th>
+                </tr>
+${rows.map(([label, value]) => `                <tr>
+                  <td style="padding: 8px 12px; border-top: 1px solid #dde3ea; font-size: 13px; color: #666; width: 45%;">${escapeHtml(label)}</td>
+                  <td style="padding: 8px 12px; border-top: 1px solid #dde3ea; font-size: 13px; font-weight: bold;">${escapeHtml(value)}</td>
+                </tr>`).join('\n')}
+              </table>
+            </td>
+          </tr>`;
+
+  const attachmentHtml = !options.attachmentProtected ? '' : `
+          <tr>
+            <td class="section" style="padding: 0 24px 20px 24px; font-size: 13px; color: #555;">
+              <strong>Attachment:</strong> ${escapeHtml(ATTACHMENT_PASSWORD_HINT)}
+            </td>
+          </tr>`;
+
+  const urgentHtml = !template.urgent ? '' : `
+          <tr>
+            <td style="background-color: #fdecea; color: #d32f2f; padding: 10px 24px; font-size: 13px; font-weight: bold;">Action required: please respond promptly.</td>
+          </tr>`;
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(template.heading)}</title>
+  <style>
+    @media only screen and (max-width: 620px) {
+      .container { width: 100% !important; }
+      .section { padding-left: 16px !important; padding-right: 16px !important; }
+      .button { display: block !important; text-align: center !important; }
+    }
+  </style>
+</head>
+<body style="margin: 0; padding: 0; background-color: #eef2f6; font-family: Arial, sans-serif; color: #333; line-height: 1.6;">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background-color: #eef2f6;">
+    <tr>
+      <td align="center" style="padding: 20px 10px;">
+        <table role="presentation" class="container" width="600" cellpadding="0" cellspacing="0" style="width: 600px; max-width: 100%; background-color: #ffffff;">
+          <tr>
+            <td style="background-color: ${BRAND_COLOR}; color: #ffffff; padding: 18px 24px; text-align: center;">
+              <div style="font-size: 22px; font-weight: bold;">STATE BANK OF INDIA</div>
+              <div style="font-size: 13px;">Official Banking Communication</div>
+            </td>
+          </tr>
+          <tr>
+            <td class="section" style="border-top: 4px solid ${accent}; padding: 20px 24px 8px 24px;">
+              <h1 style="margin: 0; font-size: 20px; color: ${accent};">${escapeHtml(template.heading)}</h1>
+              <p style="margin: 4px 0 0 0; font-size: 13px; color: #666;">Dear ${escapeHtml(customer.NAME || 'Customer')}</p>
+            </td>
+          </tr>${urgentHtml}
+          <tr>
+            <td class="section" style="padding: 16px 24px; font-size: 14px;">
+${contentToHtml(content)}
+            </td>
+          </tr>${summaryHtml}${attachmentHtml}
+          <tr>
+            <td class="section" style="padding: 0 24px 24px 24px;">
+              <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background-color: #f8f9fa; border-left: 4px solid ${accent};">
+                <tr>
+                  <td style="padding: 16px;">
+                    <div style="font-size: 15px; font-weight: bold; color: ${BRAND_COLOR};">${escapeHtml(action.title)}</div>
+                    <p style="margin: 6px 0 14px 0; font-size: 13px;">${escapeHtml(action.text)}</p>
+                    <a class="button" href="${escapeHtml(action.url)}" style="display: inline-block; background-color: ${accent}; color: #ffffff; padding: 10px 20px; border-radius: 4px; text-decoration: none; font-size: 14px; font-weight: bold;">${escapeHtml(action.label)}</a>
+                  </td>
+                </tr>
+              </table>
+            </td>
+          </tr>
+          <tr>
+            <td class="section" style="background-color: #e3f2fd; padding: 14px 24px; font-size: 12px; color: #666;">
+              <strong>Important:</strong> This is an official communication from State Bank of India.
+              Please do not reply to this email. SBI never asks for your PIN, OTP or password by email.
+              For any queries, contact your branch directly.
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 14px 24px; text-align: center; font-size: 12px; color: #999;">
+              © ${new Date().getFullYear()} State Bank of India. All rights reserved.<br>
+              This email was sent by SBI Letter Automation System
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+}
+
+function renderText(template, content, rows, options) {
+  const { action } = template;
+  const sections = [
+    `STATE BANK OF INDIA - ${template.heading}`,
+    template.urgent ? 'ACTION REQUIRED: please respond promptly.' : null,
+    String(content || '').trim(),
+    rows.length ? ['Account Summary', ...rows.map(([label, value]) => `${label}: ${value}`)].join('\n') : null,
+    options.attachmentProtected ? ATTACHMENT_PASSWORD_HINT : null,
+    `${action.title}\n${action.text}\n${action.label}: ${action.url}`,
+    'This is an official communication from State Bank of India. Please do not reply to this email. ' +
+      'SBI never asks for your PIN, OTP or password by email.'
+  ];
+  return sections.filter(Boolean).join('\n\n');
+}
+
+// Render the email for a letter: { html, text }. `content` is the already rendered letter text;
+// options.attachmentProtected adds the password hint for a protected PDF attachment.
+function renderEmail(customer, issueType, content, options = {}) {
+  const template = getEmailTemplate(issueType);
+  const rows = getSummaryRows(template, customer);
+  return {
+    html: renderHtml(template, customer, content, rows, options),
+    text: renderText(template, content, rows, options)
+  };
+}
+
+module.exports = {
+  escapeHtml,
+  getEmailTemplate,
+  renderEmail
+};
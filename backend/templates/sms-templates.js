@@ -0,0 +1,54 @@
+const { renderTemplate } = require('./letter-templates');
+const issueTypeCatalog = require('../services/issue-types');
+
+// Short SMS versions of the letters: each issue type's `sms` text in the catalog,
+// rendered with the same placeholder syntax as letter templates. Indian regulations
+// (TRAI DLT) only let registered templates through: each text must match the template
+// registered for the bank's sender ID, with its ID set in
+// SMS_DLT_TEMPLATE_<ISSUE_TYPE> (e.g. SMS_DLT_TEMPLATE_KYC_UPDATE).
+// Account numbers are masked; amounts use "Rs." because SMS is sent as GSM text.
+
+// For issue types registered without SMS text
+const DEFAULT_SMS_TEMPLATE = 'Dear {{SHORT_NAME}}, there is an important notice about your SBI a/c {{MASKED_ACCOUNT}}. ' +
+  'Please contact your branch. -SBI';
+
+const MAX_NAME_LENGTH = 20;
+
+// "XXXX1234" style masking used in bank SMS
+function maskAccount(accountNo) {
+  const digits = String(accountNo || '').replace(/\s/g, '');
+  return digits.length > 4 ? `XX${digits.slice(-4)}` : digits;
+}
+
+function getSmsTemplate(issueType) {
+  const issueTypeInfo = issueTypeCatalog.get(issueType);
+  return (issueTypeInfo && issueTypeInfo.sms) || DEFAULT_SMS_TEMPLATE;
+}
+
+function getDltTemplateId(issueType) {
+  return process.env[`SMS_DLT_TEMPLATE_${String(issueType).toUpperCase()}`] || null;
+}
+
+// Render the SMS for a customer: { text, dltTemplateId }
+function renderSms(customer, issueType) {
+  const firstName = String(customer.NAME || 'Customer').trim().split(/\s+/)[0];
+  const data = {
+    ...customer,
+    SHORT_NAME: firstName.slice(0, MAX_NAME_LENGTH),
+    MASKED_ACCOUNT: maskAccount(customer.ACCOUNT_NO),
+    MASKED_LOAN_ACCOUNT: maskAccount(customer.LOAN_ACCOUNT_NO || customer.ACCOUNT_NO),
+    MASKED_FD_ACCOUNT: maskAccount(customer.FD_ACCOUNT_NO || customer.ACCOUNT_NO)
+  };
+
+  return {
+    text: renderTemplate(getSmsTemplate(issueType), data),
+    dltTemplateId: getDltTemplateId(issueType)
+  };
+}
+
+module.exports = {
+  getDltTemplateId,
+  getSmsTemplate,
+  maskAccount,
+  renderSms
+};
@@ -0,0 +1,81 @@
+// backend/utils/constants.js
+const path = require('path');
+
+// Root of the file-backed data store (project-level database/ folder)
+const DATABASE_DIR = process.env.DATABASE_DIR || path.join(__dirname, '../../database');
+
+const DATA_FILES = {
+  customers: path.join(DATABASE_DIR, 'customers.json'),
+  logs: path.join(DATABASE_DIR, 'logs.jsonl'),
+  logsHead: path.join(DATABASE_DIR, 'logs-head.json'),
+  users: path.join(DATABASE_DIR, 'users.json'),
+  templates: path.join(DATABASE_DIR, 'templates.json'),
+  rules: path.join(DATABASE_DIR, 'rules.json'),
+  emailJobs: path.join(DATABASE_DIR, 'email-jobs.json'),
+  emailSchedules: path.join(DATABASE_DIR, 'email-schedules.json'),
+  emailDeliveries: path.join(DATABASE_DIR, 'email-deliveries.json'),
+  importProfiles: path.join(DATABASE_DIR, 'import-profiles.json'),
+  importHistory: path.join(DATABASE_DIR, 'import-history.json'),
+  pendingImports: path.join(DATABASE_DIR, 'pending-imports.json')
+};
+
+// User roles, lowest privilege first; a role includes every role before it
+const ROLES = ['clerk', 'branch_manager', 'admin'];
+
+// Values used in dispatch audit records
+const AUDIT_CHANNELS = ['letter', 'pdf', 'email', 'sms', 'post'];
+const AUDIT_OUTCOMES = ['generated', 'sent', 'failed', 'skipped', 'bounced'];
+
+// Letter template urgency levels
+const TEMPLATE_URGENCIES = ['low', 'medium', 'high'];
+
+// How often a recurring email schedule repeats
+const SCHEDULE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Languages letters can be produced in; English is the template default.
+// jsPDF cannot shape Devanagari (conjuncts, reph, half forms), so PDF and printed
+// letters are only produced in languages with `pdf: true`.
+const DEFAULT_LETTER_LANGUAGE = 'en';
+const LETTER_LANGUAGES = {
+  en: { name: 'English', nativeName: 'English', script: 'latin', pdf: true },
+  hi: { name: 'Hindi', nativeName: 'हिन्दी', script: 'devanagari', pdf: false },
+  mr: { name: 'Marathi', nativeName: 'मराठी', script: 'devanagari', pdf: false }
+};
+
+// Colour and links used in customer emails
+const BRAND_COLOR = '#003366';
+const BANK_LINKS = {
+  branchLocator: 'https://sbi.co.in/web/home/locator/branch',
+  onlineBanking: 'https://www.onlinesbi.sbi',
+  incomeTaxPortal: 'https://www.incometax.gov.in'
+};
+
+// Customer import files: spreadsheets, or delimited and fixed-width text exports
+const SPREADSHEET_EXTENSIONS = ['.xlsx', '.xls'];
+const TEXT_IMPORT_EXTENSIONS = ['.csv', '.tsv', '.psv', '.txt', '.dat'];
+const IMPORT_MIME_TYPES = [
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-excel', // also sent for .csv by Windows browsers
+  'application/octet-stream', // sometimes browsers send this
+  'text/csv',
+  'application/csv',
+  'text/tab-separated-values',
+  'text/plain'
+];
+
+module.exports = {
+  DATABASE_DIR,
+  DATA_FILES,
+  ROLES,
+  AUDIT_CHANNELS,
+  AUDIT_OUTCOMES,
+  TEMPLATE_URGENCIES,
+  SCHEDULE_FREQUENCIES,
+  DEFAULT_LETTER_LANGUAGE,
+  LETTER_LANGUAGES,
+  BRAND_COLOR,
+  BANK_LINKS,
+  SPREADSHEET_EXTENSIONS,
+  TEXT_IMPORT_EXTENSIONS,
+  IMPORT_MIME_TYPES
+};
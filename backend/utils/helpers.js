@@ -0,0 +1,110 @@
+// backend/utils/helpers.js
+const fs = require('fs');
+const path = require('path');
+
+// ---------------- JSON file helpers ----------------
+
+/**
+ * Read and parse a JSON file. Missing or empty files return the fallback value;
+ * a file that exists but cannot be parsed is treated as an error so that we never
+ * silently overwrite real data with an empty store.
+ */
+function readJsonFile(filePath, fallback) {
+  if (!fs.existsSync(filePath)) return fallback;
+
+  const content = fs.readFileSync(filePath, 'utf8');
+  if (!content.trim()) return fallback;
+
+  try {
+    return JSON.parse(content);
+  } catch (err) {
+    throw new Error(`Unable to parse ${path.basename(filePath)}: ${err.message}`);
+  }
+}
+
+/**
+ * Write JSON atomically: write to a temp file in the same directory, then rename
+ * over the target. A crash mid-write leaves the previous file intact.
+ */
+function writeJsonFileAtomic(filePath, data) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const tmpPath = path.join(dir, `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), 'utf8');
+  fs.renameSync(tmpPath, filePath);
+}
+
+// ---------------- Error helpers ----------------
+
+// Error carrying an HTTP status, understood by the error handler in server.js
+function createHttpError(status, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  if (details !== undefined) error.details = details;
+  return error;
+}
+
+// Identify who performed a request, for audit records
+function getActor(req) {
+  return req && req.user && req.user.username ? req.user.username : 'anonymous';
+}
+
+// ---------------- Customer record helpers ----------------
+
+function normalizeAccountKey(obj) {
+  // Accept different casing: ACCOUNT_NO, accountNo, account_no, AccountNumber etc.
+  if (!obj) return obj;
+  const ret = { ...obj };
+  const keys = Object.keys(obj);
+  const accountKey = keys.find(k => /account[_\s-]*no$|^accountno$|^account$/i.test(k));
+  if (accountKey && accountKey !== 'ACCOUNT_NO') {
+    ret.ACCOUNT_NO = obj[accountKey];
+  } else if (!ret.ACCOUNT_NO) {
+    // also check common alternative names
+    const alt = keys.find(k => /acc(?:ount)?[_\s-]*no|accno|accountnumber/i.test(k));
+    if (alt) ret.ACCOUNT_NO = obj[alt];
+  }
+  return ret;
+}
+
+function getAccountValue(obj) {
+  const normalized = normalizeAccountKey(obj);
+  return normalized.ACCOUNT_NO || normalized.account_no || normalized.accountNo || normalized.Account || '';
+}
+
+// PAN as "XXXXX1234F": customer letters and emails never show it in full
+function maskPan(pan) {
+  const text = String(pan || '').replace(/\s/g, '').toUpperCase();
+  return text.length > 5 ? `${'X'.repeat(text.length - 5)}${text.slice(-5)}` : 'X'.repeat(text.length);
+}
+
+// ---------------- CSV helpers ----------------
+
+function csvCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  // Leading =, +, - or @ would be run as a formula by spreadsheet apps; plain
+  // numbers such as a negative balance change are left as numbers
+  const formula = /^[=+\-@]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text);
+  const safe = formula ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+// CSV file from rows of cells, with a BOM so Excel reads Hindi and Marathi text correctly
+function buildCsv(rows) {
+  const csv = rows.map(row => row.map(csvCell).join(',')).join('\r\n');
+  return Buffer.from(`\ufeff${csv}\r\n`, 'utf8');
+}
+
+module.exports = {
+  readJsonFile,
+  writeJsonFileAtomic,
+  createHttpError,
+  getActor,
+  normalizeAccountKey,
+  getAccountValue,
+  maskPan,
+  buildCsv
+};
@@ -195,7 +195,11 @@ const AppState = {
     filteredCustomers: [],
     selectedCustomers: [],
     currentIssueType: '',
+    issueTypes: {},
     isProcessing: false,
+    currentUser: null,
+    importLayoutLoaded: false,
+    pendingImport: null,
     currentPage: 1,
     itemsPerPage: 20,
     analytics: {
@@ -209,13 +213,148 @@ const AppState = {
 // Application Configuration
 const AppConfig = {
     maxFileSize: 10 * 1024 * 1024, // 10MB
-    allowedFileTypes: ['.xlsx', '.xls'],
+    allowedFileTypes: ['.xlsx', '.xls', '.csv', '.tsv', '.psv', '.txt', '.dat'],
     apiBaseUrl: '/api',
     enableAI: true,
     enableAnalytics: true,
-    autoSave: true
+    autoSave: true,
+    authStorageKey: 'sbi-auth-token'
 };
 
+// Authentication
+function getAuthToken() {
+    return localStorage.getItem(AppConfig.authStorageKey);
+}
+
+function getAuthHeaders() {
+    const token = getAuthToken();
+    return token ? { 'Authorization': `Bearer ${token}` } : {};
+}
+
+// fetch() wrapper for protected API routes: adds the bearer token and
+// prompts for login when the session is missing or expired
+async function apiFetch(path, options = {}) {
+    const response = await fetch(`${AppConfig.apiBaseUrl}${path}`, {
+        ...options,
+        headers: {
+            ...(options.headers || {}),
+            ...getAuthHeaders()
+        }
+    });
+
+    if (response.status === 401) {
+        localStorage.removeItem(AppConfig.authStorageKey);
+        AppState.currentUser = null;
+        updateUserDisplay();
+        showLoginModal();
+        throw new Error('Please log in to continue');
+    }
+
+    if (response.status === 403) {
+        const result = await response.json().catch(() => ({}));
+        throw new Error(result.message || 'You do not have permission for this action');
+    }
+
+    return response;
+}
+
+// Read a newline-delimited JSON response, calling onEvent for each line as it arrives
+async function readNdjsonStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffered = '';
+    
+    while (true) {
+        const { done, value } = await reader.read();
+        buffered += decoder.decode(value || new Uint8Array(), { stream: !done });
+        
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        for (const line of lines) {
+            if (line.trim()) await onEvent(JSON.parse(line));
+        }
+        
+        if (done) break;
+    }
+    
+    if (buffered.trim()) await onEvent(JSON.parse(buffered));
+}
+
+async function restoreSession() {
+    if (!getAuthToken()) {
+        showLoginModal();
+        return;
+    }
+
+    try {
+        const response = await apiFetch('/auth/me');
+        const result = await response.json();
+        AppState.currentUser = result.user;
+        updateUserDisplay();
+    } catch (error) {
+        console.warn('Session restore failed:', error);
+    }
+}
+
+function showLoginModal() {
+    const modalEl = document.getElementById('loginModal');
+    if (!modalEl) return;
+    bootstrap.Modal.getOrCreateInstance(modalEl).show();
+}
+
+async function submitLogin() {
+    const username = document.getElementById('loginUsername')?.value.trim();
+    const password = document.getElementById('loginPassword')?.value || '';
+    const errorEl = document.getElementById('loginError');
+
+    if (!username || !password) {
+        if (errorEl) errorEl.textContent = 'Please enter your username and password.';
+        return;
+    }
+
+    try {
+        const response = await fetch(`${AppConfig.apiBaseUrl}/auth/login`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ username, password })
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || 'Login failed');
+        }
+
+        localStorage.setItem(AppConfig.authStorageKey, result.token);
+        AppState.currentUser = result.user;
+        updateUserDisplay();
+
+        document.getElementById('loginPassword').value = '';
+        if (errorEl) errorEl.textContent = '';
+        bootstrap.Modal.getInstance(document.getElementById('loginModal'))?.hide();
+        showToast('Welcome', `Logged in as ${result.user.name}`, 'success');
+
+    } catch (error) {
+        if (errorEl) errorEl.textContent = error.message;
+    }
+}
+
+function logout() {
+    localStorage.removeItem(AppConfig.authStorageKey);
+    AppState.currentUser = null;
+    updateUserDisplay();
+    showLoginModal();
+}
+
+function updateUserDisplay() {
+    const nameEl = document.getElementById('currentUserName');
+    if (!nameEl) return;
+
+    const user = AppState.currentUser;
+    nameEl.textContent = user ? `${user.name} (${user.role.replace('_', ' ')})` : 'Not logged in';
+}
+
 // Initialize Application
 function initializeApp() {
     console.log('🚀 Initializing SBI Letter Automation System...');
@@ -302,6 +441,12 @@ function loadApplicationData() {
     
     // Check system status
     checkSystemStatus();
+    
+    // Issue types registered on the server
+    loadIssueTypes();
+    
+    // Restore login session (prompts for login if needed)
+    restoreSession();
 }
 
 function initializeComponents() {
@@ -335,11 +480,14 @@ async function handleFileUpload(event) {
         displayFileInfo(file);
         
         // Process file
-        await processExcelFile(file);
+        const importChoices = await processExcelFile(file);
         
         // Show success
         updateUploadStatus('success', `Successfully loaded ${AppState.customers.length} customers`);
         
+        // Show what the file changes in the customer base; nothing is stored until confirmed
+        await previewImport(file, importChoices);
+        
         // Enable next step
         document.getElementById('issueSection').style.display = 'block';
         document.getElementById('issueSection').scrollIntoView({ behavior: 'smooth' });
@@ -363,7 +511,7 @@ function validateFile(file) {
     // Check file type
     const extension = '.' + file.name.split('.').pop().toLowerCase();
     if (!AppConfig.allowedFileTypes.includes(extension)) {
-        showToast('Invalid File Type', 'Only Excel files (.xlsx, .xls) are allowed', 'error');
+        showToast('Invalid File Type', `Only Excel or text files (${AppConfig.allowedFileTypes.join(', ')}) are allowed`, 'error');
         return false;
     }
     
@@ -371,58 +519,340 @@ function validateFile(file) {
 }
 
 async function processExcelFile(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
+    try {
+        if (window.excelProcessor.isTextFile(file)) {
+            await loadImportLayout();
+        }
+
+        const { workbook } = await window.excelProcessor.readWorkbook(file);
         
-        reader.onload = function(e) {
-            try {
-                const data = new Uint8Array(e.target.result);
-                const workbook = XLSX.read(data, { type: 'array' });
-                
-                // Try to find the correct sheet
-                let targetSheet = 'sample-customers';
-                if (!workbook.SheetNames.includes(targetSheet)) {
-                    targetSheet = workbook.SheetNames[0];
-                }
-                
-                const worksheet = workbook.Sheets[targetSheet];
-                const customers = XLSX.utils.sheet_to_json(worksheet);
-                
-                if (customers.length === 0) {
-                    throw new Error('Excel file is empty or contains no valid data');
-                }
-                
-                // Validate required columns
-                const requiredColumns = ['NAME', 'ACCOUNT_NO', 'BALANCE'];
-                const firstRow = customers[0];
-                const missingColumns = requiredColumns.filter(col => !(col in firstRow));
-                
-                if (missingColumns.length > 0) {
-                    throw new Error(`Missing required columns: ${missingColumns.join(', ')}`);
-                }
-                
-                // Store customers data
-                AppState.customers = customers.map((customer, index) => ({
-                    ...customer,
-                    id: index + 1,
-                    selected: false,
-                    processed: false
-                }));
-                
-                // Update statistics
-                AppState.analytics.totalCustomers = customers.length;
-                updateStatistics();
-                
-                resolve(customers);
-                
-            } catch (error) {
-                reject(new Error(`Failed to process Excel file: ${error.message}`));
-            }
-        };
+        // One sheet holds the customers; loan and KYC document sheets are joined onto it
+        const roles = await chooseSheetRoles(workbook);
+        const targetSheet = Object.keys(roles).find(name => roles[name] === 'customers');
+        if (!targetSheet) {
+            throw new Error('File is empty or contains no valid data');
+        }
+        
+        const worksheet = workbook.Sheets[targetSheet];
+        const rows = XLSX.utils.sheet_to_json(worksheet);
         
-        reader.onerror = () => reject(new Error('Failed to read file'));
-        reader.readAsArrayBuffer(file);
+        if (rows.length === 0) {
+            throw new Error('File is empty or contains no valid data');
+        }
+        
+        // Map the file's headers onto customer fields, asking the user when unsure
+        const headers = (XLSX.utils.sheet_to_json(worksheet, { header: 1 })[0] || []).map(String);
+        const mapping = await chooseColumnMapping(rows, headers);
+        const related = window.excelProcessor.readRelatedSheets(workbook, roles, await loadMappingProfiles());
+        const joined = joinRelatedSheets(window.columnMapping.applyMapping(rows, mapping), related);
+        const { customers, strategy } = resolveDuplicateAccounts(joined);
+        
+        // Validate required columns
+        const requiredColumns = ['NAME', 'ACCOUNT_NO', 'BALANCE'];
+        const firstRow = customers[0];
+        const missingColumns = requiredColumns.filter(col => !(col in firstRow));
+        
+        if (missingColumns.length > 0) {
+            throw new Error(`Missing required columns: ${missingColumns.join(', ')}`);
+        }
+        
+        // Store customers data
+        AppState.customers = customers.map((customer, index) => ({
+            ...customer,
+            id: index + 1,
+            selected: false,
+            processed: false
+        }));
+        
+        // Update statistics
+        AppState.analytics.totalCustomers = customers.length;
+        updateStatistics();
+        
+        // The choices made here, so the server reads the file the same way for the import preview
+        const sheetRoles = { ...roles };
+        const sheetMappings = {};
+        Object.keys(roles).forEach(name => {
+            if (roles[name] === 'customers' || roles[name] === 'ignore') return;
+            const sheet = related.find(r => r.name === name);
+            if (sheet) sheetMappings[name] = sheet.mapping;
+            else sheetRoles[name] = 'ignore';
+        });
+        return { mapping, sheetRoles, sheetMappings, duplicateStrategy: strategy };
+        
+    } catch (error) {
+        throw new Error(`Failed to process file: ${error.message}`);
+    }
+}
+
+// Sheet roles: a workbook with several sheets is shown to the user to confirm which
+// sheet holds customers, loans or KYC documents
+let pendingSheetRoles = null;
+
+async function chooseSheetRoles(workbook) {
+    const analysis = window.excelProcessor.analyzeSheets(workbook);
+    const roles = window.excelProcessor.assignSheetRoles(analysis);
+    if (Object.keys(roles).length < 2) return roles;
+
+    return showSheetRolesModal(analysis.filter(sheet => sheet.name in roles), roles);
+}
+
+// Resolves with { sheetName: role }, rejects if the user cancels
+function showSheetRolesModal(sheets, roles) {
+    const tbody = document.getElementById('sheetRoleRows');
+    tbody.innerHTML = '';
+    document.getElementById('sheetRolesError').textContent = '';
+
+    sheets.forEach(sheet => {
+        const row = document.createElement('tr');
+
+        const nameCell = document.createElement('td');
+        nameCell.textContent = sheet.name;
+
+        const rowsCell = document.createElement('td');
+        rowsCell.textContent = Math.max(0, sheet.sampleRowCount - 1);
+
+        const columnsCell = document.createElement('td');
+        columnsCell.className = 'small text-muted';
+        columnsCell.textContent = sheet.columns.slice(0, 5).join(', ') + (sheet.columns.length > 5 ? ', ...' : '');
+
+        const select = document.createElement('select');
+        select.className = 'form-select form-select-sm';
+        select.dataset.sheet = sheet.name;
+        window.sheetRoles.getRoles().forEach(role => {
+            select.add(new Option(window.sheetRoles.getLabel(role), role));
+        });
+        select.value = roles[sheet.name];
+
+        const selectCell = document.createElement('td');
+        selectCell.appendChild(select);
+
+        row.append(nameCell, rowsCell, columnsCell, selectCell);
+        tbody.appendChild(row);
+    });
+
+    return new Promise((resolve, reject) => {
+        pendingSheetRoles = { resolve, reject, sheetNames: sheets.map(sheet => sheet.name) };
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('sheetRolesModal')).show();
+    });
+}
+
+function applySheetRoles() {
+    if (!pendingSheetRoles) return;
+
+    const roles = {};
+    document.querySelectorAll('#sheetRoleRows select').forEach(select => {
+        roles[select.dataset.sheet] = select.value;
+    });
+
+    const errors = window.sheetRoles.validateRoles(roles, pendingSheetRoles.sheetNames);
+    if (!Object.values(roles).includes('customers')) errors.push('Choose the sheet that holds the customers');
+    if (errors.length > 0) {
+        document.getElementById('sheetRolesError').textContent = errors.join('. ');
+        return;
+    }
+
+    const { resolve } = pendingSheetRoles;
+    pendingSheetRoles = null;
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('sheetRolesModal')).hide();
+    resolve(roles);
+}
+
+function cancelSheetRoles() {
+    if (!pendingSheetRoles) return;
+
+    const { reject } = pendingSheetRoles;
+    pendingSheetRoles = null;
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('sheetRolesModal')).hide();
+    reject(new Error('Sheet selection was cancelled'));
+}
+
+// Loan and KYC rows joined onto the customers by ACCOUNT_NO
+function joinRelatedSheets(customers, related) {
+    if (related.length === 0) return customers;
+
+    const joined = window.sheetRoles.join(customers, related);
+    const summary = joined.joined.map(j => `${j.matched} accounts from "${j.sheet}"`).join(', ');
+    showToast('Sheets Joined', `Added ${summary}`, 'info');
+    joined.unmatched.forEach(u => {
+        showToast('Unmatched Rows', `${u.accounts.length} accounts on "${u.sheet}" have no customer row and were left out`, 'warning');
     });
+
+    return joined.customers;
+}
+
+// Repeated accounts: rows that agree are folded together; for rows that disagree the
+// user picks merge or keep-first, so nobody gets the same letter twice.
+// Returns { customers, strategy }
+function resolveDuplicateAccounts(customers) {
+    const report = window.duplicateDetector.detect(customers);
+    let strategy = 'merge';
+
+    if (report.conflictingAccounts.length > 0) {
+        const examples = report.conflictingAccounts.slice(0, 3)
+            .map(c => `${c.accountNo} (rows ${c.rows.join(', ')}: ${Object.keys(c.fields).join(', ')})`);
+        strategy = confirm(
+            `${report.conflictingAccounts.length} accounts appear more than once with different data, e.g.\n${examples.join('\n')}\n\n` +
+            'OK = merge the rows, later rows winning, Cancel = keep only the first row'
+        ) ? 'merge' : 'keep-first';
+    }
+
+    const resolved = window.duplicateDetector.resolve(customers, report, strategy);
+    if (resolved.removedRows.length > 0) {
+        showToast('Duplicate Accounts', `${resolved.removedRows.length} repeated account rows were combined`, 'warning');
+    }
+    if (report.probableMatches.length > 0) {
+        showToast('Possible Repeat Customers',
+            `${report.probableMatches.length} groups of accounts look like the same customer (same name, mobile or email). Check them before sending letters.`,
+            'warning');
+    }
+
+    return { customers: resolved.customers, strategy };
+}
+
+// Column mapping: a saved profile that fits the headers is applied directly; a proposal
+// is applied directly only when every mapped header already spells a field name
+let pendingColumnMapping = null;
+
+// Resolves with the { header: field } mapping for the file
+async function chooseColumnMapping(rows, headers) {
+    const profile = window.columnMapping.findProfile(await loadMappingProfiles(), headers);
+    if (profile) {
+        showToast('Column Mapping', `Applied saved mapping "${profile.name}"`, 'info');
+        return window.columnMapping.profileMapping(profile, headers);
+    }
+
+    const proposal = window.columnMapping.propose(headers);
+    if (proposal.every(column => !column.field || column.match === 'exact')) {
+        return window.columnMapping.toMapping(proposal);
+    }
+
+    return showColumnMappingModal(proposal, rows, headers);
+}
+
+async function loadMappingProfiles() {
+    try {
+        const response = await apiFetch('/customers/mapping-profiles');
+        const result = await response.json();
+        return response.ok ? result.profiles : [];
+    } catch (error) {
+        console.warn('Could not load column mapping profiles:', error);
+        return [];
+    }
+}
+
+// Resolves with the confirmed { header: field } mapping, rejects if the user cancels
+function showColumnMappingModal(proposal, rows, headers) {
+    const tbody = document.getElementById('columnMappingRows');
+    tbody.innerHTML = '';
+    document.getElementById('columnMappingError').textContent = '';
+    document.getElementById('mappingProfileName').value = '';
+    // Only branch managers may save profiles
+    document.getElementById('mappingProfileGroup').hidden = !AppState.currentUser || AppState.currentUser.role === 'clerk';
+
+    const fields = window.columnMapping.getFields();
+    proposal.forEach(column => {
+        const row = document.createElement('tr');
+
+        const headerCell = document.createElement('td');
+        headerCell.textContent = column.header;
+        if (column.field && column.match !== 'exact') {
+            const badge = document.createElement('span');
+            badge.className = `badge ms-2 ${column.match === 'alias' ? 'bg-info' : 'bg-warning text-dark'}`;
+            badge.textContent = column.match === 'alias' ? 'known name' : `${Math.round(column.score * 100)}% match`;
+            headerCell.appendChild(badge);
+        }
+
+        const sampleCell = document.createElement('td');
+        sampleCell.className = 'small text-muted';
+        const sample = rows.find(r => r[column.header] !== undefined && r[column.header] !== '');
+        sampleCell.textContent = sample ? String(sample[column.header]).slice(0, 40) : '';
+
+        const select = document.createElement('select');
+        select.className = 'form-select form-select-sm';
+        select.dataset.header = column.header;
+        select.add(new Option('- keep as is -', ''));
+        fields.forEach(field => {
+            select.add(new Option(`${field.label} (${field.field})${field.required ? ' *' : ''}`, field.field));
+        });
+        select.value = column.field || '';
+
+        const selectCell = document.createElement('td');
+        selectCell.appendChild(select);
+
+        row.append(headerCell, sampleCell, selectCell);
+        tbody.appendChild(row);
+    });
+
+    return new Promise((resolve, reject) => {
+        pendingColumnMapping = { resolve, reject, headers };
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('columnMappingModal')).show();
+    });
+}
+
+async function applyColumnMapping() {
+    if (!pendingColumnMapping) return;
+
+    const mapping = {};
+    document.querySelectorAll('#columnMappingRows select').forEach(select => {
+        if (select.value) mapping[select.dataset.header] = select.value;
+    });
+
+    const errorEl = document.getElementById('columnMappingError');
+    const errors = window.columnMapping.validateMapping(mapping);
+    const missing = window.columnMapping.missingRequired(pendingColumnMapping.headers, mapping);
+    if (missing.length > 0) errors.push(`No column selected for ${missing.join(', ')}`);
+    if (errors.length > 0) {
+        errorEl.textContent = errors.join('. ');
+        return;
+    }
+
+    const profileName = document.getElementById('mappingProfileName').value.trim();
+    if (profileName) {
+        try {
+            const response = await apiFetch(`/customers/mapping-profiles/${encodeURIComponent(profileName)}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ mapping })
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || 'Could not save the profile');
+            showToast('Profile Saved', `Files with these columns will be mapped as "${result.profile.name}" automatically`, 'success');
+        } catch (error) {
+            errorEl.textContent = error.message;
+            return;
+        }
+    }
+
+    const { resolve } = pendingColumnMapping;
+    pendingColumnMapping = null;
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('columnMappingModal')).hide();
+    resolve(mapping);
+}
+
+function cancelColumnMapping() {
+    if (!pendingColumnMapping) return;
+
+    const { reject } = pendingColumnMapping;
+    pendingColumnMapping = null;
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('columnMappingModal')).hide();
+    reject(new Error('Column mapping was cancelled'));
+}
+
+// Fixed-width files are parsed with the layout configured on the server; loaded once
+async function loadImportLayout() {
+    if (AppState.importLayoutLoaded) return;
+
+    try {
+        const response = await apiFetch('/customers/import-formats');
+        const result = await response.json();
+        if (response.ok) {
+            window.excelProcessor.fixedWidthLayout = result.fixedWidthLayout || null;
+            AppState.importLayoutLoaded = true;
+        }
+    } catch (error) {
+        // Delimited files still parse without it
+        console.warn('Could not load the fixed-width import layout:', error);
+    }
 }
 
 function displayFileInfo(file) {
@@ -440,6 +870,7 @@ function displayFileInfo(file) {
 }
 
 function clearFile() {
+    discardImport();
     document.getElementById('excelFile').value = '';
     document.getElementById('fileInfo').style.display = 'none';
     document.getElementById('uploadArea').style.display = 'flex';
@@ -455,6 +886,129 @@ function clearFile() {
     updateUploadStatus('default', 'No file selected');
 }
 
+// Import preview: the file is also sent to the server, which returns its diff against
+// the stored customers and holds it until the user confirms or discards the import
+const IMPORT_DIFF_LISTS = [
+    ['kycTransitions', 'KYC status changes', c => `${c.accountNo} ${c.name || ''}: ${c.from || '-'} → ${c.to || '-'}`],
+    ['balanceChanges', 'Balance changes', c => `${c.accountNo} ${c.name || ''}: ${c.from ?? '-'} → ${c.to ?? '-'}`],
+    ['contactChanges', 'Contact details updated', c => `${c.accountNo} ${c.field}: ${c.from || '-'} → ${c.to || '-'}`],
+    ['otherChanges', 'Other changes', c => `${c.accountNo} ${c.field}: ${c.from ?? '-'} → ${c.to ?? '-'}`],
+    ['newAccounts', 'New accounts', a => `${a.accountNo} ${a.name || ''}`],
+    ['closedAccounts', 'Missing from this file (closed)', a => `${a.accountNo} ${a.name || ''}`]
+];
+
+async function previewImport(file, choices) {
+    AppState.pendingImport = null;
+    document.getElementById('importDiff').style.display = 'block';
+    document.getElementById('importDiffLists').innerHTML = '';
+    document.getElementById('importDiffSummary').textContent = 'Comparing with the stored customers...';
+    document.getElementById('importDiffActions').hidden = true;
+
+    try {
+        const form = new FormData();
+        form.append('excelFile', file);
+        form.append('mapping', JSON.stringify(choices.mapping));
+        form.append('duplicateStrategy', choices.duplicateStrategy);
+        if (Object.keys(choices.sheetRoles).length > 1) {
+            form.append('sheetRoles', JSON.stringify(choices.sheetRoles));
+            form.append('sheetMappings', JSON.stringify(choices.sheetMappings));
+        }
+
+        const response = await apiFetch('/customers/upload', { method: 'POST', body: form });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.message || 'The server could not read this file');
+        if (result.needsConfirmation) throw new Error('The server could not match every column of this file');
+
+        AppState.pendingImport = { id: result.importId, diff: result.diff };
+        renderImportDiff(result.diff);
+    } catch (error) {
+        console.warn('Import preview failed:', error);
+        document.getElementById('importDiffSummary').textContent =
+            `Not imported into the customer base: ${error.message}. The file can still be analysed here.`;
+    }
+}
+
+function renderImportDiff(diff) {
+    const s = diff.summary;
+    document.getElementById('importDiffSummary').textContent =
+        `${s.newAccounts} new, ${s.changedAccounts} changed and ${s.unchangedAccounts} unchanged accounts; ` +
+        `${s.closedAccounts} stored accounts are missing from this file. ` +
+        'Nothing is stored until a branch manager imports it.';
+
+    const container = document.getElementById('importDiffLists');
+    container.innerHTML = '';
+    IMPORT_DIFF_LISTS.forEach(([key, label, describe]) => {
+        const entries = diff[key];
+        const total = key in s ? s[key] : entries.length;
+        if (total === 0) return;
+
+        const details = document.createElement('details');
+        const summary = document.createElement('summary');
+        summary.textContent = `${label} (${total})`;
+        const list = document.createElement('ul');
+        list.className = 'mb-1';
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.textContent = describe(entry);
+            list.appendChild(item);
+        });
+        if (total > entries.length) {
+            const more = document.createElement('li');
+            more.className = 'text-muted';
+            more.textContent = `... and ${total - entries.length} more in the CSV`;
+            list.appendChild(more);
+        }
+        details.append(summary, list);
+        container.appendChild(details);
+    });
+
+    // Only a branch manager can store the import; a clerk reviews it and can discard it
+    const confirmButton = document.getElementById('confirmImportBtn');
+    confirmButton.hidden = !AppState.currentUser || AppState.currentUser.role === 'clerk';
+    confirmButton.disabled = false;
+    document.getElementById('importDiffActions').hidden = false;
+}
+
+async function confirmImport() {
+    const pending = AppState.pendingImport;
+    if (!pending) return;
+
+    const button = document.getElementById('confirmImportBtn');
+    button.disabled = true;
+    try {
+        const response = await apiFetch(`/customers/imports/${encodeURIComponent(pending.id)}/confirm`, { method: 'POST' });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.message || 'The import could not be stored');
+
+        AppState.pendingImport = null;
+        document.getElementById('importDiffActions').hidden = true;
+        document.getElementById('importDiffSummary').textContent =
+            `Imported: ${result.stored.created} customers added and ${result.stored.updated} updated.`;
+        showToast('Customers Imported', `${result.count} customers stored`, 'success');
+    } catch (error) {
+        button.disabled = false;
+        showToast('Import Failed', error.message, 'error');
+    }
+}
+
+async function discardImport() {
+    const pending = AppState.pendingImport;
+    AppState.pendingImport = null;
+    document.getElementById('importDiff').style.display = 'none';
+    if (!pending) return;
+
+    try {
+        await apiFetch(`/customers/imports/${encodeURIComponent(pending.id)}`, { method: 'DELETE' });
+    } catch (error) {
+        // Unconfirmed imports expire on the server anyway
+        console.warn('Could not discard the import:', error);
+    }
+}
+
+function downloadImportDiff() {
+    if (AppState.pendingImport) downloadBase64File(AppState.pendingImport.diff.report);
+}
+
 // Issue Type Handling
 function handleIssueTypeChange(event) {
     const issueType = event.target.value;
@@ -469,17 +1023,13 @@ function handleIssueTypeChange(event) {
 }
 
 function updateIssueDescription(issueType) {
-    const descriptions = {
-        account_closure: 'Identify accounts with zero or low balance that may need closure notices.',
-        kyc_update: 'Find customers with expired or missing KYC documents requiring updates.',
-        loan_default: 'Locate customers with overdue loan payments for payment reminders.',
-        fee_waiver: 'Identify eligible customers for fee waivers (senior citizens, students).',
-        document_expiry: 'Find customers with expiring identity or address documents.'
-    };
+    const issueTypeInfo = AppState.issueTypes[issueType];
     
     const descElement = document.getElementById('issueDescription');
     if (descElement) {
-        descElement.textContent = descriptions[issueType] || '';
+        descElement.textContent = issueTypeInfo
+            ? `${issueTypeInfo.description}. Criteria: ${issueTypeInfo.criteria}.`
+            : '';
     }
 }
 
@@ -603,8 +1153,18 @@ async function analyzeCustomers() {
         
         console.log(`🔍 Analyzing ${AppState.customers.length} customers for ${AppState.currentIssueType}`);
         
-        // Perform rule-based analysis first
-        const ruleBasedResults = performRuleBasedAnalysis(AppState.customers, AppState.currentIssueType);
+        // Perform rule-based analysis first, with the same rule the server uses
+        const rule = await loadAnalysisRule(AppState.currentIssueType);
+        let ruleBasedResults = performRuleBasedAnalysis(AppState.customers, AppState.currentIssueType, rule);
+        
+        // Only customers the latest confirmed import moved into the issue
+        if (document.getElementById('onlyTransitions')?.checked) {
+            if (AppState.pendingImport) {
+                showToast('Import Not Confirmed', 'This file has not been imported yet, so changes are compared with the previous import.', 'warning');
+            }
+            const moved = await loadTransitionAccounts(AppState.currentIssueType);
+            ruleBasedResults = ruleBasedResults.filter(customer => moved.has(String(customer.ACCOUNT_NO).trim()));
+        }
         
         let finalResults = ruleBasedResults;
         
@@ -649,55 +1209,43 @@ async function analyzeCustomers() {
     }
 }
 
-function performRuleBasedAnalysis(customers, issueType) {
-    const currentDate = new Date();
-    
-    return customers.filter(customer => {
-        switch(issueType) {
-            case 'account_closure':
-                const balance = parseFloat(customer.BALANCE || 0);
-                const lastTransaction = customer.LAST_TRANSACTION ? new Date(customer.LAST_TRANSACTION) : null;
-                const daysSinceLastTransaction = lastTransaction ? 
-                    Math.floor((currentDate - lastTransaction) / (1000 * 60 * 60 * 24)) : 9999;
-                
-                return balance <= 100 || daysSinceLastTransaction > 90;
-            
-            case 'kyc_update':
-                return !customer.EMAIL || 
-                       !customer.MOBILE ||
-                       customer.KYC_STATUS === 'Expired' || 
-                       customer.KYC_STATUS === 'Pending' ||
-                       !customer.KYC_STATUS;
-            
-            case 'loan_default':
-                const outstanding = parseFloat(customer.OUTSTANDING_AMOUNT || 0);
-                return outstanding > 0;
-            
-            case 'fee_waiver':
-                const age = parseInt(customer.AGE || 0);
-                return age > 60 || 
-                       customer.ACCOUNT_TYPE === 'Student' ||
-                       customer.CUSTOMER_CATEGORY === 'Senior Citizen';
-            
-            case 'document_expiry':
-                return customer.DOC_STATUS === 'Expiring' || 
-                       customer.DOC_STATUS === 'Expired' ||
-                       (customer.DOC_EXPIRY_DAYS && customer.DOC_EXPIRY_DAYS <= 60);
-            
-            default:
-                return false;
-        }
-    }).map(customer => ({
+// Fetch an issue type's selection rule (see shared/rule-engine.js)
+async function loadAnalysisRule(issueType) {
+    const response = await apiFetch(`/customers/rules/${encodeURIComponent(issueType)}`);
+    const result = await response.json();
+
+    if (!response.ok) {
+        throw new Error(result.message || `No analysis rule found for ${issueType}`);
+    }
+    return result.rule;
+}
+
+// Accounts the latest confirmed import moved into an issue, as the server selects them
+async function loadTransitionAccounts(issueType) {
+    const response = await apiFetch('/customers/analyze', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ issueType, options: { onlyTransitions: true } })
+    });
+    const result = await response.json();
+
+    if (!response.ok) {
+        throw new Error(result.message || 'Could not compare with the latest import');
+    }
+    return new Set(result.analysis.customers.map(customer => String(customer.ACCOUNT_NO).trim()));
+}
+
+function performRuleBasedAnalysis(customers, issueType, rule) {
+    return window.ruleEngine.apply(rule, customers).map(customer => ({
         ...customer,
         confidence: 0.85,
-        priority: determinePriority(customer, issueType),
-        reason: getAnalysisReason(customer, issueType)
+        priority: determinePriority(customer, issueType)
     }));
 }
 
 async function performAIAnalysis(customers, issueType, options) {
     try {
-        const response = await fetch(`${AppConfig.apiBaseUrl}/customers/analyze`, {
+        const response = await apiFetch('/customers/analyze', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -730,57 +1278,14 @@ async function performAIAnalysis(customers, issueType, options) {
     }
 }
 
+// High, medium or low from the issue type's customerPriority conditions (GET /api/issue-types)
 function determinePriority(customer, issueType) {
-    switch(issueType) {
-        case 'loan_default':
-            const outstanding = parseFloat(customer.OUTSTANDING_AMOUNT || 0);
-            if (outstanding > 100000) return 'high';
-            if (outstanding > 10000) return 'medium';
-            return 'low';
-            
-        case 'account_closure':
-            const balance = parseFloat(customer.BALANCE || 0);
-            if (balance === 0) return 'high';
-            if (balance < 50) return 'medium';
-            return 'low';
-            
-        case 'kyc_update':
-            if (!customer.EMAIL && !customer.MOBILE) return 'high';
-            if (customer.KYC_STATUS === 'Expired') return 'medium';
-            return 'low';
-            
-        default:
-            return 'medium';
-    }
-}
+    const issueTypeInfo = AppState.issueTypes[issueType];
+    if (!issueTypeInfo) return 'medium';
 
-function getAnalysisReason(customer, issueType) {
-    switch(issueType) {
-        case 'account_closure':
-            if (parseFloat(customer.BALANCE || 0) === 0) return 'Zero balance account';
-            return 'Low balance account';
-            
-        case 'kyc_update':
-            const issues = [];
-            if (!customer.EMAIL) issues.push('missing email');
-            if (!customer.MOBILE) issues.push('missing mobile');
-            if (customer.KYC_STATUS === 'Expired') issues.push('expired KYC');
-            return issues.length > 0 ? issues.join(', ') : 'KYC update required';
-            
-        case 'loan_default':
-            return `Outstanding amount: ₹${customer.OUTSTANDING_AMOUNT || 0}`;
-            
-        case 'fee_waiver':
-            if (parseInt(customer.AGE || 0) > 60) return 'Senior citizen';
-            if (customer.ACCOUNT_TYPE === 'Student') return 'Student account';
-            return 'Eligible for fee waiver';
-            
-        case 'document_expiry':
-            return `Document expires in ${customer.DOC_EXPIRY_DAYS || 'few'} days`;
-            
-        default:
-            return 'Matches criteria';
-    }
+    const conditions = issueTypeInfo.customerPriority;
+    const level = ['high', 'medium'].find(l => conditions[l] && window.ruleEngine.evaluate(conditions[l], customer).matched);
+    return level || conditions.otherwise;
 }
 
 // Customer Display and Management
@@ -992,7 +1497,7 @@ async function previewLetters() {
         const customer = selectedCustomers[0];
         const customMessage = document.getElementById('customMessage').value;
         
-        const response = await fetch(`${AppConfig.apiBaseUrl}/letters/preview`, {
+        const response = await apiFetch('/letters/preview', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -1000,7 +1505,8 @@ async function previewLetters() {
             body: JSON.stringify({
                 customer,
                 issueType: AppState.currentIssueType,
-                customMessage
+                customMessage,
+                language: getLetterLanguage()
             })
         });
         
@@ -1036,6 +1542,7 @@ function showLetterPreview(letter, customer) {
         <div class="mb-2"><strong>Account:</strong> ${customer.ACCOUNT_NO}</div>
         <div class="mb-2"><strong>Issue:</strong> ${AppState.currentIssueType}</div>
         <div class="mb-2"><strong>Subject:</strong> ${letter.subject}</div>
+        <div class="mb-2"><strong>Language:</strong> ${letter.language || 'en'}${letter.languageFallback ? ' (translation not available)' : ''}</div>
         <div class="mb-2"><strong>Priority:</strong> ${letter.urgency || 'Medium'}</div>
     `;
     
@@ -1055,30 +1562,66 @@ async function generatePDFs() {
         showProgressModal('Generating PDFs', `Processing ${selectedCustomers.length} letters...`);
         
         const customMessage = document.getElementById('customMessage').value;
+        const customersByAccount = new Map(selectedCustomers.map(c => [String(c.ACCOUNT_NO), c]));
+        const failures = [];
         let completedCount = 0;
+        let summary = null;
         
-        // Process in batches to avoid overwhelming the browser
-        const batchSize = 5;
-        for (let i = 0; i < selectedCustomers.length; i += batchSize) {
-            const batch = selectedCustomers.slice(i, i + batchSize);
-            
-            // Generate PDFs for this batch
-            for (const customer of batch) {
-                try {
-                    await generateSinglePDF(customer, AppState.currentIssueType, customMessage);
-                    completedCount++;
+        // The server streams each batch of letters as soon as it is ready
+        const response = await apiFetch('/letters/bulk-generate', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                customers: selectedCustomers,
+                issueType: AppState.currentIssueType,
+                customMessage,
+                // Letters for PDF come back in English where the language cannot be printed
+                options: { language: getLetterLanguage(), generatePDF: true }
+            })
+        });
+        
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            throw new Error(result.message || 'Letter generation failed');
+        }
+        
+        await readNdjsonStream(response, async event => {
+            switch (event.type) {
+                case 'error':
+                    failures.push(event);
+                    console.error(`Letter generation failed for ${event.customer}:`, event.error);
+                    break;
                     
-                    // Update progress
-                    const progress = Math.round((completedCount / selectedCustomers.length) * 100);
-                    updateProgressModal(progress, `Generated ${completedCount}/${selectedCustomers.length} letters`);
+                case 'progress':
+                    for (const letter of event.letters) {
+                        const customer = customersByAccount.get(String(letter.customerId)) ||
+                            { NAME: letter.customerName, ACCOUNT_NO: letter.customerId };
+                        try {
+                            const doc = await window.pdfGenerator.generateLetterPDF(letter, customer);
+                            window.pdfGenerator.downloadPDF(doc, window.pdfGenerator.generateFilename(customer, AppState.currentIssueType));
+                            completedCount++;
+                        } catch (error) {
+                            failures.push({ customer: customer.ACCOUNT_NO, error: error.message });
+                            console.error(`PDF generation failed for ${customer.NAME}:`, error);
+                        }
+                    }
+                    updateProgressModal(
+                        event.progressPercentage,
+                        `Generated ${completedCount}/${event.totalCount} letters`,
+                        `Batch ${event.batchIndex} of ${event.totalBatches}${failures.length ? ` · ${failures.length} failed` : ''}`
+                    );
+                    break;
                     
-                } catch (error) {
-                    console.error(`PDF generation failed for ${customer.NAME}:`, error);
-                }
+                case 'summary':
+                    summary = event;
+                    break;
             }
-            
-            // Small delay between batches
-            await new Promise(resolve => setTimeout(resolve, 500));
+        });
+        
+        if (!summary || !summary.success) {
+            throw new Error(summary ? summary.message : 'Letter generation stopped before it finished');
         }
         
         // Update statistics
@@ -1086,7 +1629,11 @@ async function generatePDFs() {
         updateStatistics();
         
         hideProgressModal();
-        showToast('PDFs Generated', `Successfully generated ${completedCount} letters`, 'success');
+        if (failures.length > 0) {
+            showToast('PDFs Generated', `Generated ${completedCount} letters, ${failures.length} failed (see console)`, 'warning');
+        } else {
+            showToast('PDFs Generated', `Successfully generated ${completedCount} letters`, 'success');
+        }
         
     } catch (error) {
         console.error('PDF generation error:', error);
@@ -1097,198 +1644,66 @@ async function generatePDFs() {
     }
 }
 
-async function generateSinglePDF(customer, issueType, customMessage) {
-    return new Promise((resolve, reject) => {
-        try {
-            // Generate letter content using the template
-            const letterContent = generateLetterTemplate(customer, issueType, customMessage);
-            
-            // Create PDF using jsPDF
-            const { jsPDF } = window.jspdf;
-            const doc = new jsPDF();
-            
-            // Set font
-            doc.setFont('helvetica');
-            
-            // Add header
-            doc.setFontSize(16);
-            doc.setTextColor(0, 51, 102);
-            doc.text('STATE BANK OF INDIA', 20, 20);
-            
-            doc.setFontSize(12);
-            doc.setTextColor(0);
-            doc.text('Official Banking Communication', 20, 30);
-            
-            // Add date and reference
-            doc.setFontSize(10);
-            doc.text(`Date: ${new Date().toLocaleDateString('en-IN')}`, 20, 45);
-            doc.text(`Reference: SBI/${customer.ACCOUNT_NO}/${new Date().getFullYear()}`, 20, 52);
-            
-            // Add letter content
-            doc.setFontSize(10);
-            const lines = doc.splitTextToSize(letterContent, 170);
-            doc.text(lines, 20, 70);
-            
-            // Add footer
-            doc.setFontSize(8);
-            doc.setTextColor(128);
-            doc.text('This is a computer-generated letter from State Bank of India', 20, 280);
-            doc.text('For queries: 1800-SBI-1234 | www.sbi.co.in', 20, 287);
-            
-            // Save PDF
-            doc.save(`SBI_Letter_${customer.NAME.replace(/\s+/g, '_')}_${customer.ACCOUNT_NO}.pdf`);
-            
-            resolve();
-            
-        } catch (error) {
-            reject(error);
+// Postal print batch for customers without email or mobile: merged letters PDF,
+// mailing labels and a dispatch register, downloaded as three files
+async function generatePrintBatch() {
+    const selectedCustomers = getSelectedCustomers();
+    
+    if (selectedCustomers.length === 0) {
+        showToast('No Selection', 'Please select customers to print letters for.', 'warning');
+        return;
+    }
+    
+    const postalOnly = confirm('Only include customers with neither email nor mobile number?\n\nOK = postal-only customers, Cancel = all selected customers');
+    
+    try {
+        showProgressModal('Preparing Print Batch', `Processing ${selectedCustomers.length} letters...`);
+        
+        const response = await apiFetch('/letters/print-batch', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                customers: selectedCustomers,
+                issueType: AppState.currentIssueType,
+                customMessage: document.getElementById('customMessage').value,
+                options: { language: getLetterLanguage(), postalOnly }
+            })
+        });
+        
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.message || 'Print batch failed');
         }
-    });
+        
+        hideProgressModal();
+        
+        if (result.summary.letters === 0) {
+            showToast('Nothing to Print', `None of the selected customers could be included (${result.excluded.length} left out).`, 'warning');
+            return;
+        }
+        
+        Object.values(result.files).filter(Boolean).forEach(downloadBase64File);
+        
+        AppState.analytics.lettersGenerated += result.summary.letters;
+        updateStatistics();
+        
+        const leftOut = result.excluded.length ? `, ${result.excluded.length} left out (see cover sheet)` : '';
+        showToast('Print Batch Ready', `${result.batchId}: ${result.summary.letters} letters, ${result.summary.pages} pages${leftOut}`,
+            result.excluded.length ? 'warning' : 'success');
+        
+    } catch (error) {
+        console.error('Print batch error:', error);
+        hideProgressModal();
+        showToast('Print Batch Failed', error.message, 'error');
+    }
 }
 
-function generateLetterTemplate(customer, issueType, customMessage) {
-    const templates = {
-        account_closure: `Dear ${customer.NAME},
-
-Subject: Account Inactivity Notice - Account No: ${customer.ACCOUNT_NO}
-
-We hope this letter finds you in good health. We are writing to inform you about the inactive status of your Savings Account.
-
-Account Details:
-- Account Number: ${customer.ACCOUNT_NO}
-- Current Balance: ₹${customer.BALANCE || 0}
-- Last Transaction: ${customer.LAST_TRANSACTION || 'Not Available'}
-
-As per RBI guidelines, accounts with minimal activity may be converted to dormant status. To keep your account active:
-
-• Make any deposit or withdrawal transaction
-• Update your contact information
-• Visit the branch to confirm account continuation
-
-${customMessage ? `\nSpecial Instructions:\n${customMessage}\n` : ''}
-
-Please visit our branch within 30 days. For assistance, contact 1800-SBI-1234.
-
-Thank you for banking with State Bank of India.
-
-Yours sincerely,
-Branch Manager
-State Bank of India`,
-
-        kyc_update: `Dear ${customer.NAME},
-
-Subject: KYC Update Required - Account No: ${customer.ACCOUNT_NO}
-
-This is to inform you about the KYC (Know Your Customer) update requirement for your account.
-
-Account Information:
-- Account Number: ${customer.ACCOUNT_NO}
-- Mobile: ${customer.MOBILE || 'Not Available'}
-- Email: ${customer.EMAIL || 'Not Available'}
-
-Required Documents:
-• Recent passport-size photograph
-• Valid identity proof (Aadhaar/PAN/Passport)
-• Current address proof (not older than 3 months)
-
-${customMessage ? `\nAdditional Information:\n${customMessage}\n` : ''}
-
-You can update KYC by:
-• Visiting our branch during business hours
-• Using SBI YONO mobile app
-• Video KYC facility
-
-Contact: 1800-SBI-1234 | kyc@sbi.co.in
-
-Best regards,
-Branch Manager
-State Bank of India`,
-
-        loan_default: `Dear ${customer.NAME},
-
-Subject: Payment Reminder - Loan Account: ${customer.LOAN_ACCOUNT_NO || customer.ACCOUNT_NO}
-
-This is regarding your loan account with overdue payment.
-
-Loan Details:
-- Outstanding Amount: ₹${customer.OUTSTANDING_AMOUNT || 'Contact branch'}
-- Due Date: ${customer.DUE_DATE || 'Overdue'}
-
-To avoid additional charges and maintain your credit score, please clear the outstanding amount immediately.
-
-Payment Options:
-• Visit branch with cash or cheque
-• Online payment through SBI net banking
-• NEFT/RTGS transfer
-• UPI payment
-
-${customMessage ? `\nImportant Notice:\n${customMessage}\n` : ''}
-
-Contact: 1800-SBI-1234 for payment assistance.
-
-Yours faithfully,
-Branch Manager
-State Bank of India`,
-
-        fee_waiver: `Dear ${customer.NAME},
-
-Subject: Fee Waiver Information - Account No: ${customer.ACCOUNT_NO}
-
-We are pleased to inform you about the fee waiver approval for your account.
-
-Waiver Details:
-- Account Number: ${customer.ACCOUNT_NO}
-- Customer Category: ${customer.CUSTOMER_CATEGORY || 'Valued Customer'}
-- Effective Date: ${new Date().toLocaleDateString('en-IN')}
-
-Fees Covered:
-• Monthly maintenance charges
-• SMS alert charges
-• Cheque book issuance
-• Online transaction fees
-
-${customMessage ? `\nSpecial Conditions:\n${customMessage}\n` : ''}
-
-For queries, contact: 1800-SBI-1234
-
-Warm regards,
-Branch Manager
-State Bank of India`,
-
-        document_expiry: `Dear ${customer.NAME},
-
-Subject: Document Renewal Required - Account No: ${customer.ACCOUNT_NO}
-
-Your important documents linked to the account are approaching expiry.
-
-Document Information:
-- Document Type: ${customer.DOC_TYPE || 'Identity/Address proof'}
-- Days to Expiry: ${customer.DOC_EXPIRY_DAYS || 'Limited time'}
-
-Required Actions:
-Please update documents before expiry to ensure uninterrupted banking services.
-
-Acceptable Documents:
-• Aadhaar Card (preferred)
-• PAN Card
-• Passport
-• Utility bills (for address proof)
-
-${customMessage ? `\nAdditional Requirements:\n${customMessage}\n` : ''}
-
-Update Options:
-• Visit branch during business hours
-• SBI YONO app document upload
-• Video KYC service
-
-Contact: 1800-SBI-1234
-
-Sincerely,
-Branch Manager
-State Bank of India`
-    };
-    
-    return templates[issueType] || templates.account_closure;
+// Batch language override from the letter options ('' = each customer's preference)
+function getLetterLanguage() {
+    const select = document.getElementById('letterLanguage');
+    return select && select.value ? select.value : undefined;
 }
 
 // Continue with more JavaScript functions in next response...
@@ -1301,41 +1716,40 @@ async function sendEmails() {
         return;
     }
     
-    // Check if customers have email addresses
-    const customersWithEmail = selectedCustomers.filter(customer => customer.EMAIL);
-    if (customersWithEmail.length === 0) {
-        showToast('No Email Addresses', 'None of the selected customers have email addresses.', 'warning');
+    // Customers without email can still be reached by SMS when that option is on
+    const smsFallback = document.getElementById('smsFallback')?.checked || false;
+    const reachableCustomers = selectedCustomers.filter(customer => customer.EMAIL || (smsFallback && customer.MOBILE));
+    if (reachableCustomers.length === 0) {
+        showToast('No Email Addresses', smsFallback
+            ? 'None of the selected customers have an email address or mobile number.'
+            : 'None of the selected customers have email addresses.', 'warning');
         return;
     }
     
     try {
         setEmailButtonLoading(true);
-        showProgressModal('Sending Emails', `Preparing to send ${customersWithEmail.length} emails...`);
+        showProgressModal('Sending Emails', `Preparing to send ${reachableCustomers.length} messages...`);
         
         const customMessage = document.getElementById('customMessage').value;
         const includeAttachment = document.getElementById('includeAttachment')?.checked || false;
+        const protectAttachment = includeAttachment && (document.getElementById('protectAttachment')?.checked || false);
         const sendCopy = document.getElementById('sendCopyToManager')?.checked || false;
         
-        // Generate letter content for each customer
-        const emailData = customersWithEmail.map(customer => ({
-            customer,
-            subject: getEmailSubject(customer, AppState.currentIssueType),
-            content: generateLetterTemplate(customer, AppState.currentIssueType, customMessage)
-        }));
-        
-        // Send emails via API
-        const response = await fetch(`${AppConfig.apiBaseUrl}/email/send`, {
+        // Send emails via API; the server renders each customer's letter from the approved template
+        const response = await apiFetch('/email/send', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
-                customers: customersWithEmail,
-                subject: emailData[0].subject,
-                content: emailData[0].content,
+                customers: reachableCustomers,
                 issueType: AppState.currentIssueType,
                 options: {
                     includeAttachment,
+                    protectAttachment,
+                    customMessage,
+                    language: getLetterLanguage(),
+                    smsFallback,
                     sendCopy,
                     delayMs: 1000,
                     batchSize: 3
@@ -1347,18 +1761,23 @@ async function sendEmails() {
             throw new Error(`Email sending failed: ${response.status}`);
         }
         
-        const result = await response.json();
+        const queued = await response.json();
         
-        if (result.success) {
-            const stats = result.statistics;
-            AppState.analytics.emailsSent += stats.sent;
-            updateStatistics();
-            
-            hideProgressModal();
-            showEmailResults(result);
-        } else {
-            throw new Error('Email sending failed');
-        }
+        // Emails are sent by a server-side queue; follow the job until it finishes
+        const job = await waitForEmailJob(queued.job.id, progress => {
+            const stats = progress.statistics;
+            updateProgressModal(
+                progress.progressPercentage,
+                `Sent ${stats.sent} of ${stats.total - stats.skipped} messages`,
+                stats.failed ? `${stats.failed} failed` : ''
+            );
+        });
+        
+        AppState.analytics.emailsSent += job.statistics.sent;
+        updateStatistics();
+        
+        hideProgressModal();
+        showEmailResults(job);
         
     } catch (error) {
         console.error('Email sending error:', error);
@@ -1369,21 +1788,53 @@ async function sendEmails() {
     }
 }
 
-function getEmailSubject(customer, issueType) {
-    const subjectMap = {
-        account_closure: `Important Notice - Account Status - ${customer.ACCOUNT_NO}`,
-        kyc_update: `Action Required - KYC Update - ${customer.ACCOUNT_NO}`,
-        loan_default: `Payment Reminder - ${customer.ACCOUNT_NO}`,
-        fee_waiver: `Fee Waiver Information - ${customer.ACCOUNT_NO}`,
-        document_expiry: `Document Renewal Required - ${customer.ACCOUNT_NO}`
-    };
+// Poll an email job until the queue has finished it, reporting progress along the way.
+// The interval grows while the job runs; polling stops when the job leaves the
+// queued/running states, after repeated errors, or after timeoutMs.
+async function waitForEmailJob(jobId, onProgress, { intervalMs = 2000, maxIntervalMs = 15000, timeoutMs = 30 * 60 * 1000, maxErrors = 3 } = {}) {
+    const giveUpAt = Date.now() + timeoutMs;
+    let errors = 0;
     
-    return subjectMap[issueType] || `Important Banking Notice - ${customer.ACCOUNT_NO}`;
+    while (true) {
+        try {
+            const response = await apiFetch(`/email/jobs/${encodeURIComponent(jobId)}`);
+            if (!response.ok) {
+                throw new Error(`Unable to check email progress: ${response.status}`);
+            }
+            
+            const { job } = await response.json();
+            errors = 0;
+            onProgress(job);
+            if (job.status === 'completed') return job;
+            if (job.status !== 'queued' && job.status !== 'running') {
+                throw Object.assign(new Error(`Email job ${job.status}`), { final: true });
+            }
+        } catch (error) {
+            errors++;
+            if (error.final || errors >= maxErrors) throw error;
+        }
+        
+        if (Date.now() + intervalMs > giveUpAt) {
+            throw new Error('Emails are still being sent. Check the email job again later.');
+        }
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+        intervalMs = Math.min(Math.round(intervalMs * 1.5), maxIntervalMs);
+    }
 }
 
 function showEmailResults(result) {
     const stats = result.statistics;
     const successRate = Math.round((stats.sent / stats.total) * 100);
+    const channels = stats.channels;
+    const channelHtml = channels && channels.sms.total > 0 ? `
+        <div class="row mt-3">
+            <div class="col-12 text-center text-muted">
+                <small>Email: ${channels.email.sent} sent, ${channels.email.failed} failed &middot;
+                SMS: ${channels.sms.sent} sent, ${channels.sms.failed} failed &middot;
+                ${stats.reachPercentage}% of customers reached</small>
+            </div>
+        </div>
+    ` : '';
     
     const resultHtml = `
         <div class="row">
@@ -1412,6 +1863,7 @@ function showEmailResults(result) {
                 </div>
             </div>
         </div>
+        ${channelHtml}
     `;
     
     showResults('Email Sending Complete!', resultHtml);
@@ -1426,7 +1878,7 @@ async function testEmailConfig() {
         const testEmail = prompt('Enter email address to test configuration:');
         if (!testEmail) return;
         
-        const response = await fetch(`${AppConfig.apiBaseUrl}/email/test`, {
+        const response = await apiFetch('/email/test', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -1460,6 +1912,19 @@ function formatFileSize(bytes) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
+// Save a { filename, contentType, base64 } file from an API response
+function downloadBase64File(file) {
+    const bytes = Uint8Array.from(atob(file.base64), c => c.charCodeAt(0));
+    const url = URL.createObjectURL(new Blob([bytes], { type: file.contentType }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = file.filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
 function formatCurrency(amount) {
     return new Intl.NumberFormat('en-IN', {
         style: 'currency',
@@ -1678,6 +2143,39 @@ async function checkSystemStatus() {
     }
 }
 
+// Issue types, with their selector entries and the customer fields they read, come from the server catalog
+async function loadIssueTypes() {
+    try {
+        const response = await fetch(`${AppConfig.apiBaseUrl}/issue-types`);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.message || 'Issue types unavailable');
+
+        AppState.issueTypes = result.issueTypes;
+
+        Object.values(result.issueTypes).forEach(issueTypeInfo => {
+            Object.keys(issueTypeInfo.fields || {}).forEach(field => {
+                window.columnMapping.addField(field, issueTypeInfo.fields[field]);
+            });
+        });
+
+        const select = document.getElementById('issueType');
+        if (!select) return;
+        select.querySelectorAll('option[value]:not([value=""])').forEach(option => option.remove());
+        Object.keys(result.issueTypes).forEach(id => {
+            const { icon, name } = result.issueTypes[id];
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = icon ? `${icon} ${name}` : name;
+            option.selected = id === AppState.currentIssueType;
+            select.appendChild(option);
+        });
+        if (AppState.currentIssueType) updateIssueDescription(AppState.currentIssueType);
+    } catch (error) {
+        console.warn('⚠️ Issue types could not be loaded:', error);
+        showToast('System Warning', 'Issue types could not be loaded from the server', 'warning');
+    }
+}
+
 // User Preferences
 function loadUserPreferences() {
     try {
@@ -2183,8 +2681,68 @@ function editCustomerInfo(index) {
 }
 
 // Action Functions
-function scheduleEmails() {
-    showToast('Schedule', 'Email scheduling feature - Coming soon!', 'info');
+// Schedule the current letter as an email run the server performs later, optionally repeating
+async function scheduleEmails() {
+    if (!AppState.currentIssueType) {
+        showToast('Schedule', 'Please select an issue type first.', 'warning');
+        return;
+    }
+    
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const defaultTime = `${tomorrow.toISOString().split('T')[0]} 10:00`;
+    const when = prompt('Send on (YYYY-MM-DD HH:MM, local time):', defaultTime);
+    if (!when) return;
+    
+    const runAt = new Date(when.trim().replace(' ', 'T'));
+    if (isNaN(runAt.getTime()) || runAt <= new Date()) {
+        showToast('Schedule', 'Please enter a future date and time as YYYY-MM-DD HH:MM.', 'warning');
+        return;
+    }
+    
+    const frequency = (prompt('Repeat: none, daily, weekly or monthly', 'none') || 'none').trim().toLowerCase();
+    if (!['none', 'daily', 'weekly', 'monthly'].includes(frequency)) {
+        showToast('Schedule', `Unknown repeat option "${frequency}".`, 'warning');
+        return;
+    }
+    
+    // Selected customers are fixed; with no selection the server picks customers by rule at each run
+    const selectedCustomers = getSelectedCustomers();
+    
+    try {
+        const response = await apiFetch('/email/schedules', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                issueType: AppState.currentIssueType,
+                customMessage: document.getElementById('customMessage')?.value || '',
+                accountNos: selectedCustomers.length > 0 ? selectedCustomers.map(c => String(c.ACCOUNT_NO)) : undefined,
+                runAt: runAt.toISOString(),
+                recurrence: frequency === 'none' ? undefined : { frequency },
+                options: {
+                    language: getLetterLanguage(),
+                    includeAttachment: document.getElementById('includeAttachment')?.checked || false,
+                    protectAttachment: document.getElementById('protectAttachment')?.checked || false
+                }
+            })
+        });
+        
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.message || 'Unable to schedule emails');
+        }
+        
+        const audience = selectedCustomers.length > 0
+            ? `${selectedCustomers.length} selected customers`
+            : 'all customers matching the rule';
+        const repeat = frequency === 'none' ? '' : `, repeating ${frequency}`;
+        showToast('Emails Scheduled', `Emails to ${audience} will be sent on ${runAt.toLocaleString('en-IN')}${repeat}.`, 'success');
+        
+    } catch (error) {
+        console.error('Email scheduling error:', error);
+        showToast('Scheduling Failed', error.message, 'error');
+    }
 }
 
 function downloadAllPDFs() {
@@ -117,7 +117,8 @@ class SBIChatbot {
             const response = await fetch(`${this.apiUrl}/chat`, {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    ...(typeof getAuthHeaders === 'function' ? getAuthHeaders() : {})
                 },
                 body: JSON.stringify({
                     message,
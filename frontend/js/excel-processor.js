@@ -3,13 +3,64 @@
 
 class ExcelProcessor {
     constructor() {
-        this.supportedFormats = ['.xlsx', '.xls'];
+        this.spreadsheetFormats = ['.xlsx', '.xls'];
+        this.textFormats = ['.csv', '.tsv', '.psv', '.txt', '.dat'];
+        this.supportedFormats = [...this.spreadsheetFormats, ...this.textFormats];
         this.maxFileSize = 10 * 1024 * 1024; // 10MB
         this.requiredColumns = ['NAME', 'ACCOUNT_NO', 'BALANCE'];
         this.optionalColumns = ['EMAIL', 'MOBILE', 'LAST_TRANSACTION', 'ACCOUNT_TYPE', 'KYC_STATUS', 'OUTSTANDING_AMOUNT'];
+        // Column layout for fixed-width files, from GET /api/customers/import-formats
+        this.fixedWidthLayout = null;
     }
 
-    // Validate Excel file before processing
+    isTextFile(file) {
+        const extension = '.' + file.name.split('.').pop().toLowerCase();
+        return this.textFormats.includes(extension);
+    }
+
+    // Read an Excel or text file into a workbook; text files become a single "Customers" sheet.
+    // options: { format, encoding, layout } as accepted by textImport.parse()
+    async readWorkbook(file, options = {}) {
+        const buffer = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (event) => resolve(event.target.result);
+            reader.onerror = () => reject(new Error('Failed to read file'));
+            reader.readAsArrayBuffer(file);
+        });
+        const data = new Uint8Array(buffer);
+
+        if (!this.isTextFile(file)) {
+            return {
+                workbook: XLSX.read(data, {
+                    type: 'array',
+                    cellDates: true,
+                    cellNF: false,
+                    cellText: false
+                }),
+                format: 'excel',
+                delimiter: null,
+                encoding: null
+            };
+        }
+
+        const parsed = window.textImport.parse(data, file.name, {
+            ...options,
+            fallbackLayout: this.fixedWidthLayout
+        });
+        // Empty cells are left out of the sheet, like blank cells in an Excel file
+        const rows = parsed.rows.map(cells => cells.map(cell => (cell === '' ? null : cell)));
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Customers');
+
+        return {
+            workbook,
+            format: parsed.format,
+            delimiter: parsed.delimiter,
+            encoding: parsed.encoding
+        };
+    }
+
+    // Validate the selected file before processing
     validateFile(file) {
         const errors = [];
 
@@ -47,61 +98,51 @@ class ExcelProcessor {
         };
     }
 
-    // Process Excel file and extract data
-    async processFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
+    // Process an Excel or text file and extract data
+    async processFile(file, options = {}) {
+        try {
+            const result = await this.readWorkbook(file, options);
+            const { workbook } = result;
 
-            reader.onload = (event) => {
-                try {
-                    const data = new Uint8Array(event.target.result);
-                    const workbook = XLSX.read(data, { 
-                        type: 'array',
-                        cellDates: true,
-                        cellNF: false,
-                        cellText: false
-                    });
-
-                    // Process all sheets and find the best one
-                    const sheetAnalysis = this.analyzeSheets(workbook);
-                    const bestSheet = this.selectBestSheet(sheetAnalysis);
-
-                    if (!bestSheet) {
-                        throw new Error('No valid data sheet found in the Excel file');
-                    }
+            // Give every sheet a role; the customers sheet is read and the loan and KYC sheets joined onto it
+            const sheetAnalysis = this.analyzeSheets(workbook);
+            const roles = this.assignSheetRoles(sheetAnalysis, options.sheetRoles);
+            const bestSheet = sheetAnalysis.find(sheet => roles[sheet.name] === 'customers') || this.selectBestSheet(sheetAnalysis);
 
-                    // Extract data from the selected sheet
-                    const rawData = this.extractSheetData(workbook, bestSheet.name);
-                    
-                    // Validate and clean data
-                    const processedData = this.validateAndCleanData(rawData);
-
-                    resolve({
-                        success: true,
-                        data: processedData.data,
-                        metadata: {
-                            fileName: file.name,
-                            fileSize: file.size,
-                            totalRows: processedData.data.length,
-                            selectedSheet: bestSheet.name,
-                            availableSheets: workbook.SheetNames,
-                            columns: processedData.columns,
-                            warnings: processedData.warnings,
-                            processedAt: new Date().toISOString()
-                        }
-                    });
-
-                } catch (error) {
-                    reject(new Error(`Excel processing failed: ${error.message}`));
-                }
-            };
+            if (!bestSheet) {
+                throw new Error('No valid data sheet found in the file');
+            }
 
-            reader.onerror = () => {
-                reject(new Error('Failed to read Excel file'));
+            // Extract data from the selected sheet
+            const rawData = this.extractSheetData(workbook, bestSheet.name);
+            
+            // Validate and clean data
+            const processedData = this.validateAndCleanData(rawData);
+            const joined = window.sheetRoles.join(processedData.data, this.readRelatedSheets(workbook, roles));
+
+            return {
+                success: true,
+                data: joined.customers,
+                metadata: {
+                    fileName: file.name,
+                    fileSize: file.size,
+                    totalRows: processedData.data.length,
+                    selectedSheet: bestSheet.name,
+                    availableSheets: workbook.SheetNames,
+                    sheetRoles: roles,
+                    joinedSheets: joined.joined,
+                    unmatchedAccounts: joined.unmatched,
+                    format: result.format,
+                    delimiter: result.delimiter,
+                    encoding: result.encoding,
+                    columns: processedData.columns,
+                    warnings: processedData.warnings,
+                    processedAt: new Date().toISOString()
+                }
             };
-
-            reader.readAsArrayBuffer(file);
-        });
+        } catch (error) {
+            throw new Error(`File processing failed: ${error.message}`);
+        }
     }
 
     // Analyze all sheets in the workbook
@@ -123,7 +164,8 @@ class ExcelProcessor {
                     blankrows: false
                 });
 
-                const columns = sampleData.length > 0 ? Object.keys(sampleData[0]) : [];
+                const columns = sampleData.length > 0 ? sampleData[0].map(String) : [];
+                const fields = Object.values(window.columnMapping.toMapping(window.columnMapping.propose(columns)));
                 const hasRequiredColumns = this.checkRequiredColumns(columns);
                 const dataQuality = this.assessDataQuality(sampleData.slice(0, 10));
 
@@ -132,6 +174,8 @@ class ExcelProcessor {
                     rowCount,
                     colCount,
                     columns,
+                    fields,
+                    role: window.sheetRoles.detectRole(sheetName, fields),
                     hasRequiredColumns,
                     dataQuality,
                     sampleRowCount: sampleData.length,
@@ -151,6 +195,35 @@ class ExcelProcessor {
         return analysis;
     }
 
+    // Role of every sheet with data rows (see sheetRoles.assignRoles); overrides = { sheetName: role }
+    assignSheetRoles(analysis, overrides = {}) {
+        const usable = analysis.filter(sheet => !sheet.error && sheet.sampleRowCount > 1);
+        return window.sheetRoles.assignRoles(usable.map(sheet => ({ name: sheet.name, fields: sheet.fields })), overrides);
+    }
+
+    // Loan and KYC sheets with their columns mapped onto customer fields, ready for sheetRoles.join().
+    // A saved mapping profile that fits a sheet's headers is used, else the proposed mapping.
+    readRelatedSheets(workbook, roles, profiles = []) {
+        return Object.keys(roles)
+            .filter(name => roles[name] !== 'customers' && roles[name] !== 'ignore')
+            .map(name => {
+                const worksheet = workbook.Sheets[name];
+                const headers = (XLSX.utils.sheet_to_json(worksheet, { header: 1 })[0] || []).map(String);
+                const profile = window.columnMapping.findProfile(profiles, headers);
+                const mapping = profile
+                    ? window.columnMapping.profileMapping(profile, headers)
+                    : window.columnMapping.toMapping(window.columnMapping.propose(headers));
+                return {
+                    name,
+                    role: roles[name],
+                    mapping,
+                    rows: window.columnMapping.applyMapping(XLSX.utils.sheet_to_json(worksheet), mapping)
+                };
+            })
+            // A sheet without an account number column cannot be joined
+            .filter(sheet => sheet.rows.some(row => 'ACCOUNT_NO' in row));
+    }
+
     // Select the best sheet based on analysis
     selectBestSheet(analysis) {
         const validSheets = analysis.filter(sheet => !sheet.error && sheet.score > 0);
@@ -27,6 +27,7 @@ class PDFGenerator {
 
             // Set up document
             this.setupDocument(doc);
+            this.checkPrintable(letterData, customer);
             
             // Add letterhead
             this.addLetterhead(doc);
@@ -97,6 +98,14 @@ class PDFGenerator {
         });
     }
 
+    // jsPDF cannot shape Devanagari (conjuncts, reph, half forms); refuse rather than print it garbled
+    checkPrintable(letterData, customer) {
+        const text = `${letterData.subject || ''}${letterData.content || ''}${customer.NAME || ''}`;
+        if (/[\u0900-\u097F]/.test(text)) {
+            throw new Error('Hindi and Marathi letters cannot be printed as PDF yet');
+        }
+    }
+
     // Add SBI letterhead
     addLetterhead(doc) {
         const startY = this.margins.top;
@@ -147,11 +156,17 @@ class PDFGenerator {
     addLetterContent(doc, letterData, customer) {
         let currentY = this.margins.top + 30;
         
-        // Date and reference
         doc.setFont(this.defaultFont, 'normal');
         doc.setFontSize(10);
         doc.setTextColor(...this.sbiColors.text);
+
+        // Letters rendered from server templates already carry the date,
+        // salutation and signature
+        if (letterData.templateVersion) {
+            return this.addCompleteLetter(doc, letterData, currentY);
+        }
         
+        // Date and reference
         const date = new Date().toLocaleDateString('en-IN', {
             day: '2-digit',
             month: 'long',
@@ -222,6 +237,35 @@ class PDFGenerator {
         return currentY + this.lineHeight * 2;
     }
 
+    // Print a complete letter line by line, starting new pages as needed
+    addCompleteLetter(doc, letterData, currentY) {
+        const contentWidth = this.pageWidth - this.margins.left - this.margins.right;
+        const content = letterData.content.replace(
+            /^\s*STATE BANK OF INDIA\s*\n(?:Branch Office\s*\n)?/i, ''
+        );
+
+        content.split('\n').forEach(rawLine => {
+            const line = rawLine.trimEnd();
+            if (!line.trim()) {
+                currentY += this.lineHeight * 0.6;
+                return;
+            }
+
+            doc.setFont(this.defaultFont, /^\s*Subject:/.test(line) ? 'bold' : 'normal');
+            doc.splitTextToSize(line, contentWidth).forEach(part => {
+                if (currentY > this.pageHeight - this.margins.bottom - 40) {
+                    doc.addPage();
+                    currentY = this.margins.top;
+                }
+                doc.text(part, this.margins.left, currentY);
+                currentY += this.lineHeight;
+            });
+        });
+
+        doc.setFont(this.defaultFont, 'normal');
+        return currentY;
+    }
+
     // Add footer
     addFooter(doc, contentEndY) {
         const footerY = this.pageHeight - this.margins.bottom - 10;
@@ -260,15 +304,9 @@ class PDFGenerator {
         const customerName = customer.NAME.replace(/[^a-zA-Z0-9]/g, '_');
         const accountNo = customer.ACCOUNT_NO;
         
-        const typeMap = {
-            account_closure: 'AC_CLOSURE',
-            kyc_update: 'KYC_UPDATE',
-            loan_default: 'LOAN_REMINDER',
-            fee_waiver: 'FEE_WAIVER',
-            document_expiry: 'DOC_EXPIRY'
-        };
-        
-        const typeCode = typeMap[issueType] || 'LETTER';
+        // File codes come from the issue type catalog (GET /api/issue-types)
+        const issueTypeInfo = window.SBIApp?.AppState?.issueTypes?.[issueType];
+        const typeCode = issueTypeInfo?.fileCode || 'LETTER';
         
         return `SBI_${typeCode}_${customerName}_${accountNo}_${date}.pdf`;
     }
@@ -0,0 +1,267 @@
+// SBI Letter Automation - Column Mapping
+// Maps the headers of an uploaded file onto the canonical customer fields.
+// Shared by the browser (mapping step after a file is read) and the server
+// (backend/services/customer-import.js), so both propose the same mapping.
+'use strict';
+
+// Canonical customer fields, with the header names other source systems use for them.
+// Fields only one issue type needs are added from the issue type catalog (addField)
+const CUSTOMER_FIELDS = {
+    NAME: { label: 'Customer name', required: true, aliases: ['CUSTOMER NAME', 'CUST NAME', 'NAME OF CUSTOMER', 'ACCOUNT HOLDER', 'HOLDER NAME', 'FULL NAME', 'ACCOUNT NAME'] },
+    ACCOUNT_NO: { label: 'Account number', required: true, aliases: ['ACCOUNT NUMBER', 'A/C NO', 'ACCT NO', 'ACCOUNT', 'ACCOUNT ID'] },
+    BALANCE: { label: 'Balance', aliases: ['BAL', 'CURRENT BALANCE', 'AVAILABLE BALANCE', 'CLEAR BALANCE', 'CLR BAL', 'BALANCE AMOUNT', 'LEDGER BALANCE'] },
+    EMAIL: { label: 'Email', aliases: ['EMAIL ID', 'E-MAIL', 'MAIL ID', 'EMAIL ADDRESS'] },
+    MOBILE: { label: 'Mobile', aliases: ['MOBILE NO', 'MOBILE NUMBER', 'PHONE', 'PHONE NO', 'CONTACT NO', 'CELL NO', 'REGISTERED MOBILE'] },
+    LAST_TRANSACTION: { label: 'Last transaction date', aliases: ['LAST TXN DATE', 'LAST TRANSACTION DATE', 'LAST TXN DT', 'LAST ACTIVITY DATE', 'LAST CUSTOMER INDUCED TXN'] },
+    ACCOUNT_TYPE: { label: 'Account type', aliases: ['A/C TYPE', 'PRODUCT TYPE', 'PRODUCT', 'SCHEME TYPE'] },
+    KYC_STATUS: { label: 'KYC status', aliases: ['KYC', 'KYC FLAG', 'KYC COMPLIANCE'] },
+    LAST_KYC_UPDATE: { label: 'Last KYC update', aliases: ['KYC DATE', 'KYC UPDATED ON', 'LAST KYC DATE', 'KYC UPDATE DATE'] },
+    OUTSTANDING_AMOUNT: { label: 'Outstanding amount', aliases: ['OUTSTANDING', 'O/S AMOUNT', 'O/S BALANCE', 'LOAN OUTSTANDING', 'OUTSTANDING BALANCE', 'PRINCIPAL OUTSTANDING'] },
+    OVERDUE_AMOUNT: { label: 'Overdue amount', aliases: ['OVERDUE', 'OVERDUE AMT', 'ARREARS', 'IRREGULAR AMOUNT'] },
+    OVERDUE_DAYS: { label: 'Days overdue', aliases: ['DPD', 'DAYS PAST DUE', 'OVERDUE DAYS', 'NO OF DAYS OVERDUE'] },
+    EMI_AMOUNT: { label: 'EMI amount', aliases: ['EMI', 'INSTALMENT AMOUNT', 'INSTALLMENT AMOUNT', 'EMI AMT'] },
+    DUE_DATE: { label: 'Due date', aliases: ['EMI DUE DATE', 'NEXT DUE DATE', 'INSTALMENT DUE DATE'] },
+    LOAN_ACCOUNT_NO: { label: 'Loan account number', aliases: ['LOAN ACCOUNT NUMBER', 'LOAN A/C NO', 'LOAN ACCOUNT'] },
+    BRANCH_CODE: { label: 'Branch code', aliases: ['BRANCH', 'BR CODE', 'SOL ID', 'HOME BRANCH'] },
+    AGE: { label: 'Age', aliases: ['CUSTOMER AGE', 'AGE IN YEARS'] },
+    DOB: { label: 'Date of birth', aliases: ['DATE OF BIRTH', 'BIRTH DATE', 'DT OF BIRTH'] },
+    CUSTOMER_CATEGORY: { label: 'Customer category', aliases: ['CATEGORY', 'CUST CATEGORY', 'SEGMENT', 'CUSTOMER SEGMENT'] },
+    DOC_TYPE: { label: 'Document type', aliases: ['DOCUMENT TYPE', 'ID TYPE', 'ID PROOF TYPE'] },
+    DOC_NUMBER: { label: 'Document number', aliases: ['DOCUMENT NUMBER', 'ID NUMBER', 'ID PROOF NO'] },
+    DOC_STATUS: { label: 'Document status', aliases: ['DOCUMENT STATUS', 'ID STATUS'] },
+    DOC_EXPIRY: { label: 'Document expiry', aliases: ['DOCUMENT EXPIRY', 'EXPIRY DATE', 'VALID TILL', 'VALID UPTO', 'DOCUMENT EXPIRY DATE'] },
+    DAYS_TO_EXPIRY: { label: 'Days to expiry', aliases: ['DAYS LEFT', 'DAYS UNTIL EXPIRY'] },
+    PREFERRED_LANGUAGE: { label: 'Preferred language', aliases: ['LANGUAGE', 'COMMUNICATION LANGUAGE', 'LANG'] },
+    ADDRESS: { label: 'Address', aliases: ['POSTAL ADDRESS', 'COMMUNICATION ADDRESS', 'MAILING ADDRESS'] },
+    ADDRESS_LINE1: { label: 'Address line 1', aliases: ['ADDRESS 1', 'ADDR1', 'ADDRESS LINE 1'] },
+    ADDRESS_LINE2: { label: 'Address line 2', aliases: ['ADDRESS 2', 'ADDR2', 'ADDRESS LINE 2'] },
+    ADDRESS_LINE3: { label: 'Address line 3', aliases: ['ADDRESS 3', 'ADDR3', 'ADDRESS LINE 3'] },
+    CITY: { label: 'City', aliases: ['TOWN', 'CITY NAME'] },
+    DISTRICT: { label: 'District', aliases: ['DIST'] },
+    STATE: { label: 'State', aliases: ['STATE NAME'] },
+    PINCODE: { label: 'PIN code', aliases: ['PIN', 'PIN CODE', 'POSTAL CODE', 'ZIP', 'ZIP CODE'] }
+};
+
+// Short forms common in core banking headers, expanded before comparing
+const ABBREVIATIONS = {
+    AC: 'ACCOUNT', ACC: 'ACCOUNT', ACCT: 'ACCOUNT', ACNT: 'ACCOUNT',
+    NUM: 'NO', NUMBER: 'NO', NBR: 'NO', NUMB: 'NO',
+    BAL: 'BALANCE', CUST: 'CUSTOMER', CUS: 'CUSTOMER', NM: 'NAME',
+    MOB: 'MOBILE', MOBL: 'MOBILE', PH: 'PHONE', TEL: 'PHONE',
+    DT: 'DATE', ADDR: 'ADDRESS', ADD: 'ADDRESS', AMT: 'AMOUNT',
+    TXN: 'TRANSACTION', TRAN: 'TRANSACTION', TRN: 'TRANSACTION',
+    OS: 'OUTSTANDING', DOC: 'DOCUMENT', EXP: 'EXPIRY', BR: 'BRANCH',
+    CAT: 'CATEGORY', TYP: 'TYPE', STS: 'STATUS', STAT: 'STATUS',
+    CHQ: 'CHEQUE', NOM: 'NOMINEE'
+};
+
+const FILLER_WORDS = ['OF', 'THE'];
+
+// Lowest score at which a header is proposed for a field, and at which two words count as the same
+const MATCH_THRESHOLD = 0.75;
+const WORD_MATCH_THRESHOLD = 0.8;
+
+class ColumnMapping {
+    // Register a field an issue type reads; a field that is already known keeps its definition
+    addField(field, { label, aliases = [] }) {
+        if (this.isField(field)) return false;
+        CUSTOMER_FIELDS[field] = { label, aliases };
+        return true;
+    }
+
+    getFields() {
+        return Object.keys(CUSTOMER_FIELDS).map(field => ({ field, ...CUSTOMER_FIELDS[field] }));
+    }
+
+    getRequiredFields() {
+        return Object.keys(CUSTOMER_FIELDS).filter(field => CUSTOMER_FIELDS[field].required);
+    }
+
+    isField(field) {
+        return Object.prototype.hasOwnProperty.call(CUSTOMER_FIELDS, field);
+    }
+
+    // Header words, upper-cased with abbreviations expanded: "Cust A/c No." -> CUSTOMER ACCOUNT NO
+    tokenize(header) {
+        return String(header || '')
+            .toUpperCase()
+            .replace(/A\/C/g, ' AC ')
+            .replace(/O\/S/g, ' OS ')
+            .replace(/([A-Z])(\d)/g, '$1 $2')
+            .split(/[^A-Z0-9]+/)
+            .filter(word => word && !FILLER_WORDS.includes(word))
+            .map(word => ABBREVIATIONS[word] || word);
+    }
+
+    // 0..1: 1 for the same words, otherwise the share of words that match, where a
+    // misspelt word ("Custmer", "Balence") counts by how close its spelling is
+    similarity(headerWords, candidateWords) {
+        if (headerWords.length === 0 || candidateWords.length === 0) return 0;
+        if (headerWords.join('') === candidateWords.join('')) return 1;
+
+        const unmatched = candidateWords.slice();
+        let matched = 0;
+        headerWords.forEach(word => {
+            let bestIndex = -1;
+            let bestScore = 0;
+            unmatched.forEach((candidate, index) => {
+                const score = 1 - this.editDistance(word, candidate) / Math.max(word.length, candidate.length);
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestIndex = index;
+                }
+            });
+            if (bestScore >= WORD_MATCH_THRESHOLD) {
+                matched += bestScore;
+                unmatched.splice(bestIndex, 1);
+            }
+        });
+
+        return (2 * matched) / (headerWords.length + candidateWords.length);
+    }
+
+    editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    // Best way a header matches a field: { score, match: 'exact' | 'alias' | 'fuzzy' }
+    scoreHeader(header, field) {
+        const words = this.tokenize(header);
+        const exact = this.similarity(words, this.tokenize(field));
+        if (exact === 1) return { score: 1, match: 'exact' };
+
+        let best = exact;
+        for (const alias of CUSTOMER_FIELDS[field].aliases) {
+            const score = this.similarity(words, this.tokenize(alias));
+            if (score === 1) return { score: 1, match: 'alias' };
+            best = Math.max(best, score);
+        }
+        return { score: Math.round(best * 100) / 100, match: 'fuzzy' };
+    }
+
+    /**
+     * Propose a field for each header. Each field goes to at most one header, best
+     * matches first. Returns [{ header, field, score, match }] in header order;
+     * field is null for headers that match nothing well enough.
+     */
+    propose(headers) {
+        const candidates = [];
+        headers.forEach(header => {
+            Object.keys(CUSTOMER_FIELDS).forEach(field => {
+                const { score, match } = this.scoreHeader(header, field);
+                if (score >= MATCH_THRESHOLD) candidates.push({ header, field, score, match });
+            });
+        });
+
+        // Best score first; on a tie a header spelt exactly like the field wins, then an
+        // exact name, then an alias, then a fuzzy match
+        const rank = candidate => (String(candidate.header).trim().toUpperCase() === candidate.field ? 3
+            : { exact: 2, alias: 1, fuzzy: 0 }[candidate.match]);
+        candidates.sort((a, b) => (b.score - a.score) || (rank(b) - rank(a)));
+
+        const assigned = {};
+        const usedFields = new Set();
+        candidates.forEach(candidate => {
+            if (assigned[candidate.header] || usedFields.has(candidate.field)) return;
+            assigned[candidate.header] = candidate;
+            usedFields.add(candidate.field);
+        });
+
+        return headers.map(header => assigned[header] || { header, field: null, score: 0, match: null });
+    }
+
+    // { header: field } for the headers a proposal maps
+    toMapping(proposal) {
+        const mapping = {};
+        proposal.forEach(column => {
+            if (column.field) mapping[column.header] = column.field;
+        });
+        return mapping;
+    }
+
+    // Problems with a { header: field } mapping, as messages; empty when it is usable
+    validateMapping(mapping) {
+        if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+            return ['mapping must be an object of { header: field }'];
+        }
+
+        const errors = [];
+        const seen = {};
+        Object.keys(mapping).forEach(header => {
+            const field = mapping[header];
+            if (field === null || field === '') return;
+            if (!this.isField(field)) {
+                errors.push(`'${header}' is mapped to unknown field '${field}'`);
+            } else if (seen[field]) {
+                errors.push(`'${header}' and '${seen[field]}' are both mapped to ${field}`);
+            } else {
+                seen[field] = header;
+            }
+        });
+        return errors;
+    }
+
+    // Required fields a mapping leaves without a column
+    missingRequired(headers, mapping) {
+        const mapped = new Set(headers.map(header => mapping[header] || header));
+        return this.getRequiredFields().filter(field => !mapped.has(field));
+    }
+
+    // Rename mapped columns; unmapped columns keep their header
+    applyMapping(rows, mapping) {
+        return rows.map(row => {
+            const mapped = {};
+            Object.keys(row).forEach(header => {
+                const field = mapping[header] || header;
+                // A mapped column wins over an unmapped one that already has the field's name
+                if (!(field in mapped) || mapping[header]) mapped[field] = row[header];
+            });
+            return mapped;
+        });
+    }
+
+    // Saved profile whose mapped headers all appear in the file, preferring the one that maps most
+    findProfile(profiles, headers) {
+        const present = new Set(headers.map(header => String(header).trim().toUpperCase()));
+        const matches = (profiles || []).filter(profile => {
+            const mapped = Object.keys(profile.mapping || {});
+            return mapped.length > 0 && mapped.every(header => present.has(header.trim().toUpperCase()));
+        });
+        matches.sort((a, b) => Object.keys(b.mapping).length - Object.keys(a.mapping).length);
+        return matches[0] || null;
+    }
+
+    // A profile's mapping keyed by the file's own spelling of each header
+    profileMapping(profile, headers) {
+        const byKey = {};
+        headers.forEach(header => {
+            byKey[String(header).trim().toUpperCase()] = header;
+        });
+
+        const mapping = {};
+        Object.keys(profile.mapping).forEach(header => {
+            const fileHeader = byKey[header.trim().toUpperCase()];
+            if (fileHeader !== undefined && profile.mapping[header]) mapping[fileHeader] = profile.mapping[header];
+        });
+        return mapping;
+    }
+}
+
+// required by the server, loaded as a <script> tag by the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = new ColumnMapping();
+} else {
+    self.columnMapping = new ColumnMapping();
+}
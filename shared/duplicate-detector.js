@@ -0,0 +1,246 @@
+// SBI Letter Automation - Duplicate Detection
+// Finds accounts repeated in an import and accounts that probably belong to the same customer.
+// Shared by the browser (after a file is read) and the server (backend/routes/customers.js),
+// so a file is de-duplicated the same way whichever side imports it.
+'use strict';
+
+// How rows repeating an account with different data are handled:
+//   merge       combine them into one record; later rows' values win
+//   keep-first  keep the first row and drop the rest
+//   reject      leave the account out of the import
+const DUPLICATE_STRATEGIES = ['merge', 'keep-first', 'reject'];
+
+// Honorifics ignored when comparing names
+const NAME_TITLES = ['MR', 'MRS', 'MS', 'MISS', 'SHRI', 'SRI', 'SMT', 'KUM', 'KUMARI', 'DR'];
+
+class DuplicateDetector {
+    getStrategies() {
+        return DUPLICATE_STRATEGIES.slice();
+    }
+
+    isEmpty(value) {
+        return value === undefined || value === null || String(value).trim() === '';
+    }
+
+    // Comparable form of a cell: "  Pending" and "PENDING" are the same value
+    normalizeValue(value) {
+        if (value instanceof Date) return value.toISOString();
+        // Rows joined from loan and KYC sheets are lists
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value).trim().toUpperCase();
+    }
+
+    accountKey(customer) {
+        return this.isEmpty(customer.ACCOUNT_NO) ? null : String(customer.ACCOUNT_NO).replace(/\s/g, '');
+    }
+
+    // "Mr. Ramesh  Kumar" and "KUMAR RAMESH" compare equal
+    normalizeName(name) {
+        if (this.isEmpty(name)) return null;
+        const words = String(name).toUpperCase().split(/[^A-Z]+/)
+            .filter(word => word && !NAME_TITLES.includes(word));
+        return words.length ? words.sort().join(' ') : null;
+    }
+
+    // Last 10 digits, so +91 and leading-zero forms match
+    normalizeMobile(mobile) {
+        const digits = String(mobile || '').replace(/\D/g, '');
+        return digits.length >= 10 ? digits.slice(-10) : null;
+    }
+
+    normalizeEmail(email) {
+        return this.isEmpty(email) ? null : String(email).trim().toLowerCase();
+    }
+
+    /**
+     * Find repeated accounts and probable repeat customers. rowNumbers gives each
+     * customer's row in the file (defaults to index + 2, the header being row 1).
+     * Returns {
+     *   duplicateAccounts:   [{ accountNo, rows }]           same account, no conflicting values
+     *   conflictingAccounts: [{ accountNo, rows, fields }]   fields: { FIELD: [value per row] }
+     *   probableMatches:     [{ accountNos, names, rows, reasons }]  different accounts, same person
+     * }
+     */
+    detect(customers, rowNumbers) {
+        const rowOf = index => (rowNumbers ? rowNumbers[index] : index + 2);
+        const byAccount = new Map();
+        customers.forEach((customer, index) => {
+            const key = this.accountKey(customer);
+            if (!key) return;
+            if (!byAccount.has(key)) byAccount.set(key, []);
+            byAccount.get(key).push(index);
+        });
+
+        const duplicateAccounts = [];
+        const conflictingAccounts = [];
+        byAccount.forEach((indexes, accountNo) => {
+            if (indexes.length < 2) return;
+
+            const rows = indexes.map(rowOf);
+            const fields = this.conflictingFields(indexes.map(i => customers[i]));
+            if (Object.keys(fields).length === 0) {
+                duplicateAccounts.push({ accountNo, rows });
+            } else {
+                conflictingAccounts.push({ accountNo, rows, fields });
+            }
+        });
+
+        return {
+            duplicateAccounts,
+            conflictingAccounts,
+            probableMatches: this.findProbableMatches(customers, byAccount, rowOf)
+        };
+    }
+
+    // Fields holding two or more different non-empty values across the rows
+    conflictingFields(rows) {
+        const fields = {};
+        const keys = new Set();
+        rows.forEach(row => Object.keys(row).forEach(key => keys.add(key)));
+
+        keys.forEach(key => {
+            const values = rows.map(row => row[key]);
+            const distinct = new Set(values.filter(v => !this.isEmpty(v)).map(v => this.normalizeValue(v)));
+            if (distinct.size > 1) fields[key] = values;
+        });
+        return fields;
+    }
+
+    // Why two accounts look like the same customer, or null when they do not
+    matchReasons(a, b) {
+        const reasons = [];
+        if (a.mobile && a.mobile === b.mobile) reasons.push('mobile');
+        if (a.email && a.email === b.email) reasons.push('email');
+        if (a.name && a.name === b.name) reasons.push('name');
+        if (a.dob && a.dob === b.dob) reasons.push('date of birth');
+
+        // A shared phone or email alone may be a relative's; it needs the name or the other contact too
+        const sameName = reasons.includes('name');
+        const contacts = reasons.filter(r => r === 'mobile' || r === 'email').length;
+        const probable = (sameName && (contacts > 0 || reasons.includes('date of birth'))) || contacts === 2;
+        return probable ? reasons : null;
+    }
+
+    findProbableMatches(customers, byAccount, rowOf) {
+        // One record per account: its first row
+        const people = [];
+        byAccount.forEach((indexes, accountNo) => {
+            const customer = customers[indexes[0]];
+            people.push({
+                accountNo,
+                row: rowOf(indexes[0]),
+                displayName: customer.NAME,
+                name: this.normalizeName(customer.NAME),
+                mobile: this.normalizeMobile(customer.MOBILE),
+                email: this.normalizeEmail(customer.EMAIL),
+                dob: this.isEmpty(customer.DOB) ? null : this.normalizeValue(customer.DOB)
+            });
+        });
+
+        // Only people sharing a mobile, email or name are compared
+        const buckets = new Map();
+        people.forEach((person, index) => {
+            ['mobile', 'email', 'name'].forEach(key => {
+                if (!person[key]) return;
+                const bucket = `${key}:${person[key]}`;
+                if (!buckets.has(bucket)) buckets.set(bucket, []);
+                buckets.get(bucket).push(index);
+            });
+        });
+
+        const parent = people.map((_, index) => index);
+        const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+        const reasonsByRoot = new Map();
+        const compared = new Set();
+
+        buckets.forEach(indexes => {
+            for (let i = 0; i < indexes.length; i++) {
+                for (let j = i + 1; j < indexes.length; j++) {
+                    const pair = `${indexes[i]}|${indexes[j]}`;
+                    if (compared.has(pair)) continue;
+                    compared.add(pair);
+
+                    const reasons = this.matchReasons(people[indexes[i]], people[indexes[j]]);
+                    if (!reasons) continue;
+
+                    const rootA = find(indexes[i]);
+                    const rootB = find(indexes[j]);
+                    const merged = new Set([...(reasonsByRoot.get(rootA) || []), ...(reasonsByRoot.get(rootB) || []), ...reasons]);
+                    parent[rootB] = rootA;
+                    reasonsByRoot.set(rootA, merged);
+                }
+            }
+        });
+
+        const groups = new Map();
+        people.forEach((person, index) => {
+            const root = find(index);
+            if (!reasonsByRoot.has(root)) return;
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(person);
+        });
+
+        return Array.from(groups.entries()).map(([root, members]) => ({
+            accountNos: members.map(m => m.accountNo),
+            names: members.map(m => m.displayName),
+            rows: members.map(m => m.row),
+            reasons: Array.from(reasonsByRoot.get(root))
+        }));
+    }
+
+    /**
+     * Collapse repeated accounts. Rows that repeat an account without conflicting values are
+     * always merged; conflicting ones are handled by strategy. Returns { customers, removedRows,
+     * rejectedAccounts }, keeping each account where it first appeared.
+     */
+    resolve(customers, report, strategy, rowNumbers) {
+        if (!DUPLICATE_STRATEGIES.includes(strategy)) {
+            throw new Error(`Unknown duplicate strategy '${strategy}'. Use one of: ${DUPLICATE_STRATEGIES.join(', ')}`);
+        }
+
+        const rowOf = index => (rowNumbers ? rowNumbers[index] : index + 2);
+        const conflicting = new Set(report.conflictingAccounts.map(c => c.accountNo));
+        const result = [];
+        const seen = new Map(); // account -> position in result
+        const removedRows = [];
+
+        customers.forEach((customer, index) => {
+            const key = this.accountKey(customer);
+            const isConflict = key && conflicting.has(key);
+
+            if (isConflict && strategy === 'reject') {
+                removedRows.push(rowOf(index));
+                return;
+            }
+            if (!key || !seen.has(key)) {
+                if (key) seen.set(key, result.length);
+                result.push(customer);
+                return;
+            }
+
+            removedRows.push(rowOf(index));
+            if (isConflict && strategy === 'keep-first') return;
+
+            // Merge: later non-empty values fill in or replace earlier ones
+            const position = seen.get(key);
+            const merged = { ...result[position] };
+            Object.keys(customer).forEach(field => {
+                if (!this.isEmpty(customer[field])) merged[field] = customer[field];
+            });
+            result[position] = merged;
+        });
+
+        return {
+            customers: result,
+            removedRows,
+            rejectedAccounts: strategy === 'reject' ? Array.from(conflicting) : []
+        };
+    }
+}
+
+// required by the server, loaded as a <script> tag by the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = new DuplicateDetector();
+} else {
+    self.duplicateDetector = new DuplicateDetector();
+}
@@ -0,0 +1,314 @@
+// SBI Letter Automation - Customer Rule Engine
+// Shared by the browser and the server (backend/services/rule-store.js), so both
+// select the same customers for an issue type.
+'use strict';
+
+const RULE_OPERATORS = {
+    eq: 'is',
+    neq: 'is not',
+    gt: 'is more than',
+    gte: 'is at least',
+    lt: 'is less than',
+    lte: 'is at most',
+    in: 'is one of',
+    contains: 'contains',
+    matches: 'matches',
+    empty: 'is missing',
+    notEmpty: 'is present'
+};
+
+const NUMERIC_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+const VALUELESS_OPERATORS = ['empty', 'notEmpty'];
+
+// Transforms applied to a field before it is compared
+const RULE_TRANSFORMS = {
+    daysSince: 'days since',
+    daysUntil: 'days until'
+};
+
+const MAX_RULE_DEPTH = 10;
+const DAY_MS = 1000 * 60 * 60 * 24;
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+    'august', 'september', 'october', 'november', 'december'];
+
+class RuleEngine {
+    constructor() {
+        this.operators = Object.keys(RULE_OPERATORS);
+        this.transforms = Object.keys(RULE_TRANSFORMS);
+    }
+
+    // Customers matching the rule, each with the conditions that matched it
+    apply(rule, customers, now = new Date()) {
+        const matches = [];
+
+        (customers || []).forEach(customer => {
+            const result = this.evaluate(rule.conditions, customer, now);
+            if (!result.matched) return;
+
+            matches.push({
+                ...customer,
+                matchedConditions: result.conditions,
+                reason: result.conditions.map(c => c.description).join('; ')
+            });
+        });
+
+        return matches;
+    }
+
+    /**
+     * Evaluate a condition tree against one record.
+     * Returns { matched, conditions } where conditions lists the leaves that
+     * made the tree match (every leaf of an "all" group, the true ones of an "any").
+     */
+    evaluate(condition, record, now = new Date()) {
+        if (Array.isArray(condition.all)) {
+            const results = condition.all.map(c => this.evaluate(c, record, now));
+            const matched = results.every(r => r.matched);
+            return { matched, conditions: matched ? this.collect(results) : [] };
+        }
+
+        if (Array.isArray(condition.any)) {
+            const results = condition.any.map(c => this.evaluate(c, record, now));
+            const matched = results.some(r => r.matched);
+            return { matched, conditions: matched ? this.collect(results) : [] };
+        }
+
+        return this.evaluateLeaf(condition, record, now);
+    }
+
+    collect(results) {
+        return results
+            .filter(r => r.matched)
+            .reduce((all, r) => all.concat(r.conditions), []);
+    }
+
+    evaluateLeaf(condition, record, now) {
+        const { field, operator, value } = condition;
+        const actual = this.resolveValue(condition, record, now);
+        // A value that is present but cannot be read as a date or number never matches
+        const unreadable = actual === undefined && !this.isEmpty(this.getField(record, field));
+        const matched = !unreadable && this.compare(operator, actual, value);
+
+        return {
+            matched,
+            conditions: matched ? [{
+                field,
+                operator,
+                value,
+                actual,
+                description: condition.label || this.describe(condition)
+            }] : []
+        };
+    }
+
+    // Field value after the optional transform; `default` fills in empty values only
+    resolveValue(condition, record, now) {
+        const raw = this.getField(record, condition.field);
+        let actual = raw;
+
+        if (condition.transform === 'daysSince' || condition.transform === 'daysUntil') {
+            const date = this.parseDate(actual);
+            const elapsed = date ? (now - date) / DAY_MS : NaN;
+            // Today's date is 0 days until, tomorrow's is 1; past dates go negative
+            if (isNaN(elapsed)) {
+                actual = undefined;
+            } else {
+                actual = condition.transform === 'daysSince' ? Math.floor(elapsed) : Math.ceil(-elapsed) || 0;
+            }
+        } else if (NUMERIC_OPERATORS.includes(condition.operator)) {
+            const number = this.isEmpty(actual) ? NaN : parseFloat(actual);
+            actual = isNaN(number) ? undefined : number;
+        }
+
+        if (this.isEmpty(raw) && condition.default !== undefined) {
+            actual = condition.default;
+        }
+        return actual;
+    }
+
+    // Dates in core banking extracts are ISO (2026-11-05), Indian DD/MM/YYYY (05/11/2026) or
+    // spreadsheet text with a month name (15-Jan-2026, 15 Jan 26, Jan 15, 2026); anything
+    // else, or a day that does not exist, is null rather than a guess
+    parseDate(value) {
+        if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+        if (this.isEmpty(value)) return null;
+
+        const text = String(value).trim();
+        const isoDate = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T ]|$)/);
+        const indianDate = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+        const namedDate = text.match(/^(\d{1,2})[- ]([a-z]{3,9})\.?[- ](\d{2}|\d{4})$/i);
+        const namedFirst = text.match(/^([a-z]{3,9})\.? (\d{1,2}),? (\d{4})$/i);
+
+        let day, month, year;
+        if (isoDate) {
+            // A timestamp keeps its time of day and zone
+            if (text.length > isoDate[0].length) {
+                const timestamp = new Date(text);
+                return isNaN(timestamp.getTime()) ? null : timestamp;
+            }
+            [, year, month, day] = isoDate.map(Number);
+        } else if (indianDate) {
+            [, day, month, year] = indianDate.map(Number);
+        } else if (namedDate || namedFirst) {
+            const [name, dayText, yearText] = namedDate ? [namedDate[2], namedDate[1], namedDate[3]] : namedFirst.slice(1);
+            const lower = name.toLowerCase();
+            month = MONTH_NAMES.findIndex(full => full.startsWith(lower)) + 1;
+            day = Number(dayText);
+            year = Number(yearText);
+            // Two-digit years as Excel reads them: 00-29 are 20xx, 30-99 are 19xx
+            if (yearText.length === 2) year += year < 30 ? 2000 : 1900;
+            if (!month) return null;
+        } else {
+            return null;
+        }
+
+        const date = new Date(year, month - 1, day);
+        return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+    }
+
+    // Look a field up by exact key, then ignoring case and separators (LAST_TRANSACTION = lastTransaction)
+    getField(record, field) {
+        if (!record) return undefined;
+        if (record[field] !== undefined) return record[field];
+
+        const wanted = this.normalizeKey(field);
+        const key = Object.keys(record).find(k => this.normalizeKey(k) === wanted);
+        return key === undefined ? undefined : record[key];
+    }
+
+    normalizeKey(key) {
+        return String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    isEmpty(value) {
+        return value === undefined || value === null || String(value).trim() === '';
+    }
+
+    compare(operator, actual, expected) {
+        const text = value => String(value).trim().toLowerCase();
+
+        switch (operator) {
+            case 'empty':
+                return this.isEmpty(actual);
+            case 'notEmpty':
+                return !this.isEmpty(actual);
+        }
+
+        if (this.isEmpty(actual)) return false;
+
+        switch (operator) {
+            case 'eq':
+                return text(actual) === text(expected);
+            case 'neq':
+                return text(actual) !== text(expected);
+            case 'gt':
+                return Number(actual) > Number(expected);
+            case 'gte':
+                return Number(actual) >= Number(expected);
+            case 'lt':
+                return Number(actual) < Number(expected);
+            case 'lte':
+                return Number(actual) <= Number(expected);
+            case 'in':
+                return expected.some(v => text(v) === text(actual));
+            case 'contains':
+                return text(actual).includes(text(expected));
+            case 'matches':
+                return new RegExp(expected, 'i').test(String(actual));
+            default:
+                return false;
+        }
+    }
+
+    // Plain-English text for conditions without a label, e.g. "BALANCE is at most 100"
+    describe(condition) {
+        const subject = condition.transform
+            ? `${RULE_TRANSFORMS[condition.transform]} ${condition.field}`
+            : condition.field;
+        const verb = RULE_OPERATORS[condition.operator] || condition.operator;
+
+        if (VALUELESS_OPERATORS.includes(condition.operator)) return `${subject} ${verb}`;
+        const value = Array.isArray(condition.value) ? condition.value.join(', ') : condition.value;
+        return `${subject} ${verb} ${value}`;
+    }
+
+    // Problems with a condition tree, as messages naming the offending path; empty when valid
+    validate(condition, path = 'conditions', depth = 0) {
+        if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+            return [`${path} must be an object`];
+        }
+        if (depth > MAX_RULE_DEPTH) {
+            return [`${path} is nested more than ${MAX_RULE_DEPTH} levels deep`];
+        }
+
+        const group = ['all', 'any'].filter(key => condition[key] !== undefined);
+        if (group.length > 1) return [`${path} cannot have both "all" and "any"`];
+
+        if (group.length === 1) {
+            const key = group[0];
+            const children = condition[key];
+            const extra = Object.keys(condition).filter(k => k !== key);
+            if (extra.length) return [`${path} has unexpected keys: ${extra.join(', ')}`];
+            if (!Array.isArray(children) || children.length === 0) {
+                return [`${path}.${key} must be a non-empty array`];
+            }
+            return children.reduce((errors, child, index) =>
+                errors.concat(this.validate(child, `${path}.${key}[${index}]`, depth + 1)), []);
+        }
+
+        return this.validateLeaf(condition, path);
+    }
+
+    validateLeaf(condition, path) {
+        const allowed = ['field', 'operator', 'value', 'transform', 'default', 'label'];
+        const extra = Object.keys(condition).filter(k => !allowed.includes(k));
+        if (extra.length) return [`${path} has unexpected keys: ${extra.join(', ')}`];
+
+        const { field, operator, value } = condition;
+        if (typeof field !== 'string' || !field.trim()) {
+            return [`${path}.field must be a non-empty string`];
+        }
+        if (!this.operators.includes(operator)) {
+            return [`${path}.operator must be one of: ${this.operators.join(', ')}`];
+        }
+        if (condition.transform !== undefined && !this.transforms.includes(condition.transform)) {
+            return [`${path}.transform must be one of: ${this.transforms.join(', ')}`];
+        }
+        if (condition.label !== undefined && typeof condition.label !== 'string') {
+            return [`${path}.label must be a string`];
+        }
+
+        if (VALUELESS_OPERATORS.includes(operator)) {
+            return value === undefined ? [] : [`${path}.value is not used with "${operator}"`];
+        }
+        if (NUMERIC_OPERATORS.includes(operator) && (typeof value !== 'number' || !isFinite(value))) {
+            return [`${path}.value must be a number for "${operator}"`];
+        }
+        if (operator === 'in' && (!Array.isArray(value) || value.length === 0)) {
+            return [`${path}.value must be a non-empty array for "in"`];
+        }
+        if (['eq', 'neq', 'contains', 'matches'].includes(operator) &&
+            !['string', 'number', 'boolean'].includes(typeof value)) {
+            return [`${path}.value must be a string, number or boolean for "${operator}"`];
+        }
+        if (operator === 'matches') {
+            try {
+                new RegExp(value, 'i');
+            } catch (error) {
+                return [`${path}.value is not a valid regular expression`];
+            }
+        }
+        if (condition.default !== undefined && typeof condition.default !== 'number') {
+            return [`${path}.default must be a number`];
+        }
+
+        return [];
+    }
+}
+
+// required by the server, loaded as a <script> tag by the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = new RuleEngine();
+} else {
+    self.ruleEngine = new RuleEngine();
+}
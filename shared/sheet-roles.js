@@ -0,0 +1,226 @@
+// SBI Letter Automation - Workbook Sheet Roles
+// Gives each sheet of a workbook a role (customers, loans, KYC documents) and joins the
+// loan and KYC sheets onto the customer sheet by ACCOUNT_NO.
+// Shared by the browser (ExcelProcessor) and the server (backend/services/customer-import.js),
+// so a workbook is joined the same way whichever side reads it.
+'use strict';
+
+// Roles a sheet can have. Sheets are recognised by name first, then by the customer
+// fields their columns map to; `list` is where a joined customer keeps the sheet's rows.
+const SHEET_ROLES = {
+    customers: {
+        label: 'Customers',
+        names: [/customer/i, /\bcust/i, /master/i],
+        fields: ['NAME', 'BALANCE', 'EMAIL', 'MOBILE', 'ACCOUNT_TYPE']
+    },
+    loans: {
+        label: 'Loans',
+        names: [/loan/i, /advance/i, /\bemi\b/i, /credit/i],
+        fields: ['OUTSTANDING_AMOUNT', 'OVERDUE_AMOUNT', 'OVERDUE_DAYS', 'EMI_AMOUNT', 'DUE_DATE', 'LOAN_ACCOUNT_NO'],
+        list: 'LOANS'
+    },
+    kyc: {
+        label: 'KYC documents',
+        names: [/kyc/i, /doc/i],
+        fields: ['DOC_TYPE', 'DOC_NUMBER', 'DOC_STATUS', 'DOC_EXPIRY', 'DAYS_TO_EXPIRY', 'LAST_KYC_UPDATE'],
+        list: 'KYC_DOCUMENTS'
+    },
+    ignore: {
+        label: 'Not imported',
+        names: [],
+        fields: []
+    }
+};
+
+// Loan amounts a customer with several loans is selected on, totalled across the loans
+const LOAN_TOTAL_FIELDS = ['OUTSTANDING_AMOUNT', 'OVERDUE_AMOUNT', 'EMI_AMOUNT'];
+
+class SheetRoles {
+    getRoles() {
+        return Object.keys(SHEET_ROLES);
+    }
+
+    getLabel(role) {
+        return SHEET_ROLES[role] ? SHEET_ROLES[role].label : role;
+    }
+
+    isEmpty(value) {
+        return value === undefined || value === null || String(value).trim() === '';
+    }
+
+    // Role suggested by a sheet's name, then by the fields its columns map to; null when unclear
+    detectRole(sheetName, fields) {
+        // "Loan customers" is a loan sheet, so the narrower roles are tried first
+        const byName = ['loans', 'kyc', 'customers'].find(role => SHEET_ROLES[role].names.some(pattern => pattern.test(sheetName)));
+        if (byName) return byName;
+
+        const present = new Set(fields || []);
+        let best = null;
+        let bestCount = 0;
+        ['loans', 'kyc', 'customers'].forEach(role => {
+            const count = SHEET_ROLES[role].fields.filter(field => present.has(field)).length;
+            if (count > bestCount) {
+                best = role;
+                bestCount = count;
+            }
+        });
+        // A customer sheet needs NAME; loan and KYC sheets two of their own fields
+        if (best === 'customers') return present.has('NAME') ? best : null;
+        return bestCount >= 2 ? best : null;
+    }
+
+    /**
+     * Roles for every sheet. sheets = [{ name, fields }], overrides = { sheetName: role } chosen
+     * by the user. At most one sheet gets the customers role: the chosen or detected one, else
+     * the first sheet without a role. Sheets left without a role are ignored.
+     * Returns { sheetName: role }.
+     */
+    assignRoles(sheets, overrides = {}) {
+        const roles = {};
+        // A single sheet (and every text file) holds the customers unless the user says otherwise
+        if (sheets.length === 1 && !overrides[sheets[0].name]) {
+            roles[sheets[0].name] = 'customers';
+            return roles;
+        }
+
+        sheets.forEach(sheet => {
+            roles[sheet.name] = overrides[sheet.name] || this.detectRole(sheet.name, sheet.fields);
+        });
+
+        const customerSheets = sheets.filter(sheet => roles[sheet.name] === 'customers');
+        if (customerSheets.length === 0) {
+            const first = sheets.find(sheet => !roles[sheet.name]);
+            if (first) roles[first.name] = 'customers';
+        } else {
+            // Other sheets that only look like customer sheets are left out rather than imported twice
+            const kept = customerSheets.find(sheet => overrides[sheet.name]) || customerSheets[0];
+            customerSheets
+                .filter(sheet => sheet !== kept)
+                .forEach(sheet => { roles[sheet.name] = 'ignore'; });
+        }
+
+        sheets.forEach(sheet => {
+            if (!roles[sheet.name]) roles[sheet.name] = 'ignore';
+        });
+        return roles;
+    }
+
+    // Problems with roles chosen by the user, as messages; empty when they are usable
+    validateRoles(roles, sheetNames) {
+        const errors = [];
+        Object.keys(roles || {}).forEach(sheet => {
+            if (!sheetNames.includes(sheet)) errors.push(`'${sheet}' is not a sheet in the workbook`);
+            if (!SHEET_ROLES[roles[sheet]]) {
+                errors.push(`'${roles[sheet]}' is not a sheet role. Use one of: ${this.getRoles().join(', ')}`);
+            }
+        });
+
+        const customerSheets = Object.keys(roles || {}).filter(sheet => roles[sheet] === 'customers');
+        if (customerSheets.length > 1) {
+            errors.push(`Only one sheet can hold customers; ${customerSheets.join(', ')} are all marked as customers`);
+        }
+        return errors;
+    }
+
+    accountKey(row) {
+        return this.isEmpty(row.ACCOUNT_NO) ? null : String(row.ACCOUNT_NO).trim();
+    }
+
+    /**
+     * Join loan and KYC rows onto the customers with the same ACCOUNT_NO. related = [{ name, role,
+     * rows }] with rows already mapped to customer fields. Each customer keeps the joined rows
+     * (LOANS, KYC_DOCUMENTS), and blank customer fields are filled from them: loan amounts totalled,
+     * the most overdue days and earliest due date, and the document that expires first.
+     * Returns { customers, joined: [{ sheet, role, rows, matched }], unmatched: [{ sheet, role, accounts }] }.
+     */
+    join(customers, related) {
+        const byAccount = new Map();
+        const enriched = customers.map(customer => {
+            const record = { ...customer };
+            const key = this.accountKey(record);
+            if (key && !byAccount.has(key)) byAccount.set(key, record);
+            return record;
+        });
+
+        const joined = [];
+        const unmatched = [];
+        related.forEach(sheet => {
+            const role = SHEET_ROLES[sheet.role];
+            if (!role || !role.list) return;
+
+            const rowsByAccount = new Map();
+            const missing = new Set();
+            sheet.rows.forEach(row => {
+                const key = this.accountKey(row);
+                if (!key) return;
+                if (!byAccount.has(key)) {
+                    missing.add(key);
+                    return;
+                }
+                if (!rowsByAccount.has(key)) rowsByAccount.set(key, []);
+                rowsByAccount.get(key).push(row);
+            });
+
+            rowsByAccount.forEach((rows, key) => {
+                const record = byAccount.get(key);
+                record[role.list] = (record[role.list] || []).concat(rows.map(({ ACCOUNT_NO, ...rest }) => rest));
+                this.fillBlanks(record, sheet.role === 'loans' ? this.summarizeLoans(record[role.list]) : this.summarizeDocuments(record[role.list]));
+                record[role.list].forEach(row => this.fillBlanks(record, row));
+            });
+
+            joined.push({ sheet: sheet.name, role: sheet.role, rows: sheet.rows.length, matched: rowsByAccount.size });
+            if (missing.size > 0) {
+                unmatched.push({ sheet: sheet.name, role: sheet.role, accounts: Array.from(missing) });
+            }
+        });
+
+        return { customers: enriched, joined, unmatched };
+    }
+
+    fillBlanks(record, values) {
+        Object.keys(values).forEach(field => {
+            if (this.isEmpty(record[field]) && !this.isEmpty(values[field])) record[field] = values[field];
+        });
+    }
+
+    summarizeLoans(loans) {
+        const summary = {};
+        LOAN_TOTAL_FIELDS.forEach(field => {
+            const amounts = loans.map(loan => parseFloat(loan[field])).filter(amount => !isNaN(amount));
+            if (amounts.length) summary[field] = amounts.reduce((sum, amount) => sum + amount, 0);
+        });
+
+        const overdueDays = loans.map(loan => parseInt(loan.OVERDUE_DAYS, 10)).filter(days => !isNaN(days));
+        if (overdueDays.length) summary.OVERDUE_DAYS = Math.max(...overdueDays);
+
+        const nextDue = this.earliest(loans, 'DUE_DATE');
+        if (nextDue) summary.DUE_DATE = nextDue.DUE_DATE;
+        return summary;
+    }
+
+    // The document expiring first speaks for the customer
+    summarizeDocuments(documents) {
+        return this.earliest(documents, 'DOC_EXPIRY') || documents[0] || {};
+    }
+
+    // Row with the earliest date in field, or null when none has a readable date
+    earliest(rows, field) {
+        let best = null;
+        let bestTime = Infinity;
+        rows.forEach(row => {
+            const time = this.isEmpty(row[field]) ? NaN : new Date(row[field]).getTime();
+            if (!isNaN(time) && time < bestTime) {
+                best = row;
+                bestTime = time;
+            }
+        });
+        return best;
+    }
+}
+
+// required by the server, loaded as a <script> tag by the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = new SheetRoles();
+} else {
+    self.sheetRoles = new SheetRoles();
+}
@@ -0,0 +1,275 @@
+// SBI Letter Automation - Text File Import
+// Reads CSV, TSV, pipe-delimited and fixed-width customer exports into rows.
+// Shared by the browser (ExcelProcessor) and the server (backend/services/customer-import.js),
+// so a file parses the same way whichever side reads it.
+'use strict';
+
+const TEXT_FORMATS = {
+    csv: ',',
+    tsv: '\t',
+    pipe: '|',
+    semicolon: ';',
+    fixed: null
+};
+
+// Delimiter expected for an extension; .txt and .dat files are sniffed
+const EXTENSION_FORMATS = {
+    '.csv': 'csv',
+    '.tsv': 'tsv',
+    '.psv': 'pipe'
+};
+
+const SNIFF_LINES = 20;
+
+class TextImport {
+    // Decode file bytes: a byte-order mark wins, then strict UTF-8, then
+    // Windows-1252 (what most core banking exports on Windows are written in)
+    decode(bytes, encoding) {
+        if (encoding) {
+            let decoder;
+            try {
+                decoder = new TextDecoder(encoding);
+            } catch (error) {
+                throw new Error(`Unsupported encoding '${encoding}'`);
+            }
+            return { text: decoder.decode(bytes), encoding: decoder.encoding };
+        }
+
+        const detected = this.detectEncoding(bytes);
+        if (detected) {
+            return { text: new TextDecoder(detected).decode(bytes), encoding: detected };
+        }
+
+        try {
+            return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8' };
+        } catch (error) {
+            return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'windows-1252' };
+        }
+    }
+
+    // Encoding given by a BOM, or UTF-16 recognised by its zero bytes; null otherwise
+    detectEncoding(bytes) {
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+
+        const sample = Math.min(bytes.length - (bytes.length % 2), 200);
+        if (sample < 4) return null;
+
+        let evenZeros = 0;
+        let oddZeros = 0;
+        for (let i = 0; i < sample; i += 2) {
+            if (bytes[i] === 0) evenZeros++;
+            if (bytes[i + 1] === 0) oddZeros++;
+        }
+        // ASCII text in UTF-16 has a zero in every other byte
+        if (oddZeros > sample / 4 && evenZeros === 0) return 'utf-16le';
+        if (evenZeros > sample / 4 && oddZeros === 0) return 'utf-16be';
+        return null;
+    }
+
+    // Format implied by a file name, or null when the content has to be sniffed
+    formatForFile(fileName) {
+        const match = /\.[^.]+$/.exec(String(fileName || '').toLowerCase());
+        return match ? EXTENSION_FORMATS[match[0]] || null : null;
+    }
+
+    // Delimiter that splits the first lines into the same number of columns
+    sniffDelimiter(text, preferred) {
+        const lines = this.sampleRecords(text);
+        if (lines.length === 0) return null;
+
+        const ranked = Object.values(TEXT_FORMATS).filter(Boolean)
+            .map(delimiter => {
+                const counts = lines.map(line => this.countDelimiters(line, delimiter));
+                return {
+                    delimiter,
+                    columns: counts[0],
+                    score: counts.filter(count => count === counts[0]).length / counts.length,
+                    preferred: delimiter === preferred ? 1 : 0
+                };
+            })
+            // A delimiter that appears in only a few lines is data, not structure
+            .filter(candidate => candidate.columns > 0 && candidate.score >= 0.8)
+            .sort((a, b) => (b.score - a.score) || (b.preferred - a.preferred) || (b.columns - a.columns));
+
+        return ranked.length > 0 ? ranked[0].delimiter : null;
+    }
+
+    // First non-empty records, keeping line breaks inside quoted fields in their record
+    sampleRecords(text) {
+        const records = [];
+        let start = 0;
+        let quoted = false;
+
+        for (let i = 0; i <= text.length && records.length < SNIFF_LINES; i++) {
+            const ch = text[i];
+            if (ch === '"') {
+                quoted = !quoted;
+            } else if (i === text.length || (!quoted && (ch === '\n' || ch === '\r'))) {
+                const record = text.slice(start, i);
+                if (record.trim()) records.push(record);
+                start = i + 1;
+            }
+        }
+
+        return records;
+    }
+
+    countDelimiters(line, delimiter) {
+        let count = 0;
+        let quoted = false;
+        for (const ch of line) {
+            if (ch === '"') quoted = !quoted;
+            else if (ch === delimiter && !quoted) count++;
+        }
+        return count;
+    }
+
+    // RFC 4180 parsing: quoted fields may hold delimiters, doubled quotes and line breaks
+    parseDelimited(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"' && field.trim() === '') {
+                quoted = true;
+                field = '';
+            } else if (ch === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    }
+
+    /**
+     * Fixed-width records. layout = { columns: [{ name, start, width }], skipLines, skipTrailingLines }
+     * where start is the 1-based character position; skipLines drops header records and
+     * skipTrailingLines drops trailer records. Returns rows with the column names first.
+     */
+    parseFixedWidth(text, layout) {
+        const errors = this.validateLayout(layout);
+        if (errors.length > 0) {
+            throw new Error(`Invalid fixed-width layout: ${errors.join('; ')}`);
+        }
+
+        const lines = text.split(/\r\n|\n|\r/);
+        while (lines.length > 0 && !lines[lines.length - 1].trim()) lines.pop();
+
+        const records = lines
+            .slice(layout.skipLines || 0, lines.length - (layout.skipTrailingLines || 0))
+            .filter(line => line.trim());
+
+        return [
+            layout.columns.map(column => column.name),
+            ...records.map(line => layout.columns.map(column => line.substr(column.start - 1, column.width)))
+        ];
+    }
+
+    // Problems with a fixed-width layout, as messages; empty when it is usable
+    validateLayout(layout) {
+        if (!layout || typeof layout !== 'object' || !Array.isArray(layout.columns) || layout.columns.length === 0) {
+            return ['layout.columns must be a non-empty array'];
+        }
+
+        const errors = [];
+        const names = new Set();
+        layout.columns.forEach((column, index) => {
+            const path = `layout.columns[${index}]`;
+            if (!column || typeof column.name !== 'string' || !column.name.trim()) {
+                errors.push(`${path}.name is required`);
+            } else if (names.has(column.name)) {
+                errors.push(`${path}.name '${column.name}' is used twice`);
+            } else {
+                names.add(column.name);
+            }
+            if (!column || !Number.isInteger(column.start) || column.start < 1) {
+                errors.push(`${path}.start must be a whole number from 1`);
+            }
+            if (!column || !Number.isInteger(column.width) || column.width < 1) {
+                errors.push(`${path}.width must be a whole number from 1`);
+            }
+        });
+
+        ['skipLines', 'skipTrailingLines'].forEach(key => {
+            if (layout[key] !== undefined && (!Number.isInteger(layout[key]) || layout[key] < 0)) {
+                errors.push(`layout.${key} must be a whole number from 0`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Parse a text export into rows of trimmed cells, header row first.
+     * options: { format: 'auto' | 'csv' | 'tsv' | 'pipe' | 'semicolon' | 'fixed', encoding, layout }.
+     * With format 'auto' a layout means fixed-width; otherwise the delimiter is sniffed,
+     * falling back to options.fallbackLayout when no delimiter is found.
+     */
+    parse(bytes, fileName, options = {}) {
+        const { text, encoding } = this.decode(bytes, options.encoding);
+        const requested = options.format && options.format !== 'auto' ? options.format : null;
+
+        if (requested && !(requested in TEXT_FORMATS)) {
+            throw new Error(`Unsupported format '${requested}'. Use one of: auto, ${Object.keys(TEXT_FORMATS).join(', ')}`);
+        }
+
+        let format = requested || (options.layout ? 'fixed' : null);
+        const delimiter = format ? TEXT_FORMATS[format] : this.sniffDelimiter(text, TEXT_FORMATS[this.formatForFile(fileName)]);
+        if (!format) {
+            format = delimiter ? Object.keys(TEXT_FORMATS).find(key => TEXT_FORMATS[key] === delimiter) : 'fixed';
+        }
+
+        const layout = options.layout || options.fallbackLayout;
+        if (format === 'fixed' && !layout) {
+            throw new Error(requested
+                ? 'A column layout is required for fixed-width files'
+                : 'Could not detect the column delimiter. For fixed-width files, provide a column layout.');
+        }
+
+        const rows = format === 'fixed'
+            ? this.parseFixedWidth(text, layout)
+            : this.parseDelimited(text, delimiter);
+
+        return {
+            rows: rows.map(cells => cells.map(cell => cell.trim())),
+            format,
+            delimiter: format === 'fixed' ? null : delimiter,
+            encoding
+        };
+    }
+}
+
+// required by the server, loaded as a <script> tag by the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = new TextImport();
+} else {
+    self.textImport = new TextImport();
+}
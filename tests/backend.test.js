@@ -0,0 +1,44 @@
+const request = require('supertest');
+const app = require('../backend/server');
+
+describe('public API', () => {
+  test('reports health', async () => {
+    const res = await request(app).get('/api/health');
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('OK');
+  });
+
+  test('lists the endpoints', async () => {
+    const res = await request(app).get('/api/info');
+
+    expect(res.status).toBe(200);
+    expect(res.body.endpoints.customers.list).toBe('GET /api/customers');
+  });
+
+  test('serves the front end', async () => {
+    const res = await request(app).get('/');
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('<html');
+  });
+
+  test('serves the modules shared with the server', async () => {
+    const res = await request(app).get('/shared/rule-engine.js');
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('class RuleEngine');
+  });
+
+  test('answers unknown routes with 404', async () => {
+    const res = await request(app).get('/api/no-such-route');
+
+    expect(res.status).toBe(404);
+  });
+
+  test.each(['/api/customers', '/api/letters/templates', '/api/logs', '/api/email/config-status'])('%s requires a login', async path => {
+    const res = await request(app).get(path);
+
+    expect(res.status).toBe(401);
+  });
+});
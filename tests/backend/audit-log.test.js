@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+const auditLog = require('../../backend/services/audit-log');
+
+const AuditLog = auditLog.constructor;
+let dir;
+let counter = 0;
+
+// A log of its own per test, in the test file's data folder
+function freshLog() {
+  dir = path.join(process.env.DATABASE_DIR, `audit-${++counter}`);
+  fs.mkdirSync(dir);
+  return new AuditLog(path.join(dir, 'logs.jsonl'), path.join(dir, 'logs-head.json'));
+}
+
+function dispatch(accountNo) {
+  return { actor: 'clerk1', accountNo, issueType: 'kyc_update', channel: 'email', outcome: 'sent' };
+}
+
+function lines(log) {
+  return fs.readFileSync(log.filePath, 'utf8').split('\n').filter(Boolean);
+}
+
+describe('auditLog', () => {
+  test('appends one line per entry and chains their hashes', () => {
+    const log = freshLog();
+    const [first] = log.recordMany([dispatch('A1')]);
+    const [second, third] = log.recordMany([dispatch('A2'), dispatch('A3')]);
+
+    expect(lines(log)).toHaveLength(3);
+    expect(second.prevHash).toBe(first.hash);
+    expect(third.prevHash).toBe(second.hash);
+    expect(log.readHead()).toMatchObject({ count: 3, hash: third.hash });
+    expect(log.verify()).toEqual({ valid: true, checked: 3 });
+  });
+
+  test('finds an edited entry', () => {
+    const log = freshLog();
+    log.recordMany([dispatch('A1'), dispatch('A2'), dispatch('A3')]);
+
+    const edited = lines(log);
+    edited[1] = edited[1].replace('"sent"', '"failed"');
+    fs.writeFileSync(log.filePath, edited.join('\n') + '\n');
+
+    expect(log.verify()).toMatchObject({ valid: false, brokenAt: 2 });
+  });
+
+  test('finds entries cut from the end', () => {
+    const log = freshLog();
+    log.recordMany([dispatch('A1'), dispatch('A2'), dispatch('A3')]);
+
+    fs.writeFileSync(log.filePath, lines(log).slice(0, 2).join('\n') + '\n');
+
+    expect(log.verify()).toEqual({ valid: false, checked: 2, brokenAt: 3, expected: 3 });
+  });
+
+  test('moves entries from the old logs.json', () => {
+    const legacy = freshLog();
+    const entries = legacy.recordMany([dispatch('A1'), dispatch('A2')]);
+    fs.writeFileSync(path.join(dir, 'logs.json'), JSON.stringify({ entries }));
+    fs.rmSync(legacy.filePath);
+    fs.rmSync(legacy.headPath);
+
+    const log = new AuditLog(legacy.filePath, legacy.headPath);
+
+    expect(log.query().total).toBe(2);
+    expect(log.verify()).toEqual({ valid: true, checked: 2 });
+    expect(fs.existsSync(path.join(dir, 'logs.json'))).toBe(false);
+  });
+});
@@ -0,0 +1,57 @@
+const request = require('supertest');
+const app = require('../../backend/server');
+const { issueToken, verifyToken } = require('../../backend/middleware/auth');
+const { login, authAs } = require('../helpers');
+
+describe('auth tokens', () => {
+  test('a token verifies until it is tampered with', () => {
+    const { token } = issueToken({ id: 'u1', username: 'asha', role: 'clerk' });
+    expect(verifyToken(token)).toMatchObject({ sub: 'u1', role: 'clerk' });
+
+    const [header, , signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'u1', role: 'admin', exp: 9999999999 })).toString('base64url');
+    expect(verifyToken(`${header}.${forged}.${signature}`)).toBeNull();
+    expect(verifyToken('not-a-token')).toBeNull();
+  });
+});
+
+describe('/api/auth', () => {
+  test('rejects a wrong password', async () => {
+    const res = await request(app).post('/api/auth/login').send({ username: 'admin', password: 'wrong-password' });
+    expect(res.status).toBe(401);
+  });
+
+  test('returns the signed-in user without the password hash', async () => {
+    const token = await login(app);
+    const res = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toMatchObject({ username: 'admin', role: 'admin' });
+    expect(JSON.stringify(res.body.user)).not.toMatch(/hash/i);
+  });
+
+  test('only admins manage users', async () => {
+    const clerk = await authAs(app, 'clerk');
+    const res = await request(app).get('/api/auth/users').set(clerk);
+    expect(res.status).toBe(403);
+  });
+
+  test('a deactivated user is logged out straight away', async () => {
+    const admin = await authAs(app, 'admin');
+    const created = await request(app).post('/api/auth/users').set(admin)
+      .send({ username: 'leaving1', password: 'test-password-1', role: 'clerk' });
+    const token = await login(app, 'leaving1', 'test-password-1');
+
+    await request(app).patch(`/api/auth/users/${created.body.user.id}`).set(admin).send({ active: false });
+
+    const res = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+    expect(res.status).toBe(401);
+  });
+
+  test('an admin cannot demote themselves', async () => {
+    const admin = await authAs(app, 'admin');
+    const me = await request(app).get('/api/auth/me').set(admin);
+    const res = await request(app).patch(`/api/auth/users/${me.body.user.id}`).set(admin).send({ role: 'clerk' });
+    expect(res.status).toBe(400);
+  });
+});
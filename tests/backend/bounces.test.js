@@ -0,0 +1,97 @@
+const request = require('supertest');
+const app = require('../../backend/server');
+const bounceParser = require('../../backend/services/bounce-parser');
+const deliveryStore = require('../../backend/services/delivery-store');
+const emailQueue = require('../../backend/services/email-queue');
+const { authAs } = require('../helpers');
+
+// A delivery status notification for one recipient
+function dsn({ email, action = 'failed', status = '5.1.1', messageId = '<sent-1@sbi>', reportId = '<dsn-1@mx>' }) {
+  return [
+    'From: MAILER-DAEMON@mx.example.com',
+    `Message-ID: ${reportId}`,
+    'Subject: Undelivered Mail Returned to Sender',
+    'Content-Type: multipart/report; report-type=delivery-status; boundary="b"',
+    '',
+    '--b',
+    'Content-Type: message/delivery-status',
+    '',
+    'Reporting-MTA: dns; mx.example.com',
+    '',
+    `Final-Recipient: rfc822; <${email}>`,
+    `Action: ${action}`,
+    `Status: ${status}`,
+    'Diagnostic-Code: smtp; 550 5.1.1 User unknown',
+    '',
+    '--b',
+    'Content-Type: text/rfc822-headers',
+    '',
+    `Message-ID: ${messageId}`,
+    'X-SBI-Customer-ID: BN1',
+    '--b--'
+  ].join('\r\n');
+}
+
+describe('bounceParser', () => {
+  test('reads the recipient, status and original message from a DSN', () => {
+    expect(bounceParser.parse(dsn({ email: 'Gone@Example.com' }))).toMatchObject({
+      reportId: '<dsn-1@mx>',
+      messageId: '<sent-1@sbi>',
+      accountNo: 'BN1',
+      recipients: [{ email: 'gone@example.com', action: 'failed', status: '5.1.1', type: 'hard' }]
+    });
+  });
+
+  test.each([
+    ['failed', '5.2.2', 'hard'],
+    ['delayed', '4.4.1', 'soft'],
+    ['delivered', '2.0.0', 'delivered']
+  ])('%s with %s is %s', (action, status, type) => {
+    expect(bounceParser.classify(action, status)).toBe(type);
+  });
+
+  test('ignores messages that are not bounce reports', () => {
+    expect(bounceParser.parse('Subject: Hello\r\n\r\nJust a reply')).toBeNull();
+  });
+});
+
+describe('POST /api/email/bounces', () => {
+  let manager;
+
+  beforeAll(async () => {
+    manager = await authAs(app, 'branch_manager');
+    deliveryStore.recordSent({
+      messageId: '<sent-1@sbi>', email: 'gone@example.com', accountNo: 'BN1', customerName: 'Asha', issueType: 'kyc_update'
+    });
+  });
+
+  test('marks the delivery bounced and suppresses the address once', async () => {
+    const first = await request(app).post('/api/email/bounces').set(manager).send({ messages: [dsn({ email: 'gone@example.com' })] });
+    expect(first.body.summary).toMatchObject({ received: 1, hard: 1, suppressed: ['gone@example.com'] });
+
+    const again = await request(app).post('/api/email/bounces').set(manager).send({ messages: [dsn({ email: 'gone@example.com' })] });
+    expect(again.body.summary).toMatchObject({ duplicates: 1, hard: 0 });
+
+    const delivery = await request(app).get(`/api/email/deliveries/${encodeURIComponent('<sent-1@sbi>')}`).set(manager);
+    expect(delivery.body.delivery.status).toBe('bounced');
+  });
+
+  test('a soft bounce defers the delivery without suppressing', async () => {
+    deliveryStore.recordSent({ messageId: '<sent-2@sbi>', email: 'full@example.com', accountNo: 'BN2' });
+    await request(app).post('/api/email/bounces').set(manager)
+      .send({ events: [{ email: 'full@example.com', type: 'soft', messageId: '<sent-2@sbi>' }] });
+
+    expect(deliveryStore.get('<sent-2@sbi>').status).toBe('deferred');
+    expect(deliveryStore.isSuppressed('full@example.com')).toBe(false);
+  });
+
+  test('suppressed addresses are skipped by later sends until the suppression is lifted', async () => {
+    const customer = { ACCOUNT_NO: 'BN1', NAME: 'Asha', EMAIL: 'gone@example.com' };
+    const job = emailQueue.enqueue({ type: 'send', customers: [customer], issueType: 'kyc_update' }, 'test');
+    expect(job.items[0]).toMatchObject({ status: 'skipped', reason: 'Address suppressed after hard bounce' });
+
+    const lifted = await request(app).delete('/api/email/suppressions/gone@example.com').set(manager);
+    expect(lifted.status).toBe(200);
+    expect(deliveryStore.isSuppressed('gone@example.com')).toBe(false);
+  });
+});
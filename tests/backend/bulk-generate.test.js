@@ -0,0 +1,48 @@
+const request = require('supertest');
+const app = require('../../backend/server');
+const { authAs } = require('../helpers');
+
+const customers = [1, 2, 3, 4, 5].map(n => ({ ACCOUNT_NO: `BG${n}`, NAME: `Customer ${n}` }));
+
+// The streamed body as a list of events
+function events(res) {
+  return res.text.trim().split('\n').map(line => JSON.parse(line));
+}
+
+describe('POST /api/letters/bulk-generate', () => {
+  let manager;
+
+  beforeAll(async () => {
+    manager = await authAs(app, 'branch_manager');
+  });
+
+  test('streams a start event, one progress event per batch and a summary', async () => {
+    const res = await request(app).post('/api/letters/bulk-generate').set(manager)
+      .send({ customers, issueType: 'kyc_update', options: { batchSize: 2 } });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/application\/x-ndjson/);
+
+    const stream = events(res);
+    expect(stream.map(e => e.type)).toEqual(['start', 'progress', 'progress', 'progress', 'summary']);
+    expect(stream[0]).toMatchObject({ totalCount: 5, totalBatches: 3, batchSize: 2 });
+    expect(stream[3]).toMatchObject({ batchIndex: 3, processedCount: 5, progressPercentage: 100 });
+    expect(stream[3].letters.map(l => l.customerId)).toEqual(['BG5']);
+    expect(stream[4].summary).toMatchObject({ totalRequested: 5, totalGenerated: 5, totalErrors: 0 });
+  });
+
+  test('records every generated letter in the audit log', async () => {
+    const res = await request(app).get('/api/logs').set(manager).query({ accountNo: 'BG3' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.entries[0]).toMatchObject({ issueType: 'kyc_update', channel: 'letter', outcome: 'generated' });
+  });
+
+  test('validates the request before streaming', async () => {
+    const res = await request(app).post('/api/letters/bulk-generate').set(manager)
+      .send({ customers: [], issueType: 'kyc_update' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.field).toBe('customers');
+  });
+});
@@ -0,0 +1,85 @@
+const request = require('supertest');
+const app = require('../../backend/server');
+const aiService = require('../../backend/services/ai-service');
+const { login } = require('../helpers');
+
+// Stands in for the Gemini model: records prompts and answers with canned text
+function stubModel(reply = 'Stubbed answer') {
+  const prompts = [];
+  return {
+    prompts,
+    generateContent: jest.fn(async prompt => {
+      prompts.push(prompt);
+      return { response: Promise.resolve({ text: () => reply }) };
+    })
+  };
+}
+
+describe('POST /api/chat', () => {
+  let auth;
+
+  beforeAll(async () => {
+    auth = { Authorization: `Bearer ${await login(app)}` };
+  });
+
+  afterEach(() => aiService.setModel(null));
+
+  test('requires a login', async () => {
+    const res = await request(app).post('/api/chat').send({ message: 'help' });
+    expect(res.status).toBe(401);
+  });
+
+  test('answers from the model with the recent conversation in the prompt', async () => {
+    const model = stubModel('Upload an .xlsx file with NAME and ACCOUNT_NO.');
+    aiService.setModel(model);
+
+    const conversationHistory = Array.from({ length: 8 }, (_, i) => ({ user: `question ${i}`, bot: `answer ${i}` }));
+    const res = await request(app).post('/api/chat').set(auth).send({
+      message: 'How do I upload customers?',
+      context: { totalCustomers: 12 },
+      conversationHistory
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      success: true,
+      response: 'Upload an .xlsx file with NAME and ACCOUNT_NO.',
+      source: 'gemini',
+      historyUsed: 5
+    });
+
+    const prompt = model.prompts[0];
+    expect(prompt).toContain('How do I upload customers?');
+    expect(prompt).toContain('"totalCustomers": 12');
+    // Only the last five exchanges are passed on
+    expect(prompt).not.toContain('question 2');
+    expect(prompt).toContain('Staff: question 3\nAssistant: answer 3');
+    expect(prompt).toContain('Staff: question 7\nAssistant: answer 7');
+  });
+
+  test('falls back to the static answers when the model fails', async () => {
+    aiService.setModel({ generateContent: jest.fn().mockRejectedValue(new Error('quota exceeded')) });
+    jest.spyOn(console, 'error').mockImplementationOnce(() => {});
+
+    const res = await request(app).post('/api/chat').set(auth).send({ message: 'help' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.source).toBe('static');
+    expect(res.body.response).toMatch(/Excel upload/);
+  });
+
+  test('uses the static answers when no model is configured', async () => {
+    const res = await request(app).post('/api/chat').set(auth).send({ message: 'kyc' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.source).toBe('static');
+    expect(res.body.historyUsed).toBe(0);
+  });
+
+  test('rejects an empty message', async () => {
+    const res = await request(app).post('/api/chat').set(auth).send({ message: '   ' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.field).toBe('message');
+  });
+});
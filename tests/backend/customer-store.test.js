@@ -0,0 +1,32 @@
+const fs = require('fs');
+const customerStore = require('../../backend/services/customer-store');
+
+describe('customerStore.upsertMany', () => {
+  test('creates new accounts and merges changes into existing ones', () => {
+    customerStore.create({ ACCOUNT_NO: 'A100', NAME: 'Asha', BALANCE: 50 });
+
+    const result = customerStore.upsertMany([
+      { ACCOUNT_NO: 'a100', BALANCE: 75 },
+      { ACCOUNT_NO: 'A200', NAME: 'Ravi' }
+    ]);
+
+    expect(result).toEqual({ created: 1, updated: 1, total: 2 });
+    expect(customerStore.findByAccount('A100')).toMatchObject({ ACCOUNT_NO: 'A100', NAME: 'Asha', BALANCE: 75 });
+    expect(customerStore.findByAccount('A200')).toMatchObject({ NAME: 'Ravi' });
+  });
+
+  test('leaves the store and its file untouched when any record is invalid', () => {
+    const before = customerStore.getAll();
+    const onDisk = fs.readFileSync(customerStore.filePath, 'utf8');
+
+    expect(() => customerStore.upsertMany([
+      { ACCOUNT_NO: 'A100', BALANCE: 0 },
+      { ACCOUNT_NO: 'A300', NAME: 'Meera' },
+      { NAME: 'No account number' }
+    ])).toThrow('ACCOUNT_NO is required');
+
+    expect(customerStore.getAll()).toEqual(before);
+    expect(customerStore.findByAccount('A300')).toBeNull();
+    expect(fs.readFileSync(customerStore.filePath, 'utf8')).toBe(onDisk);
+  });
+});
@@ -0,0 +1,71 @@
+const emailQueue = require('../../backend/services/email-queue');
+const emailService = require('../../backend/services/email-service');
+
+const withDob = { ACCOUNT_NO: '11112222', NAME: 'Asha Patil', EMAIL: 'asha@example.com', DOB: '15/08/1985' };
+const withoutDob = { ACCOUNT_NO: '33334444', NAME: 'Ravi Kumar', EMAIL: 'ravi@example.com' };
+
+async function sendAll(job) {
+  for (const item of job.items.filter(i => i.status === 'pending')) {
+    await emailQueue.send(job, item);
+  }
+  return emailQueue.get(job.id);
+}
+
+describe('letter attachments', () => {
+  let sendLetter;
+
+  beforeEach(() => {
+    sendLetter = jest.spyOn(emailService, 'sendLetter')
+      .mockImplementation(async customer => ({ messageId: `<${customer.ACCOUNT_NO}@test>`, transport: 'test' }));
+  });
+
+  afterEach(() => {
+    sendLetter.mockRestore();
+  });
+
+  test('attach the customer\'s letter as a PDF', async () => {
+    const job = emailQueue.enqueue({
+      type: 'send', customers: [withDob], issueType: 'kyc_update', options: { includeAttachment: true }
+    }, 'test');
+    await sendAll(job);
+
+    const options = sendLetter.mock.calls[0][4];
+    expect(options.pdfBuffer.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(options.attachmentProtected).toBeUndefined();
+  });
+
+  test('are locked with the customer\'s password, or the customer is failed', async () => {
+    const job = emailQueue.enqueue({
+      type: 'send',
+      customers: [withDob, withoutDob],
+      issueType: 'kyc_update',
+      options: { includeAttachment: true, protectAttachment: true }
+    }, 'test');
+    const finished = await sendAll(job);
+
+    expect(sendLetter).toHaveBeenCalledTimes(1);
+    const options = sendLetter.mock.calls[0][4];
+    expect(options.attachmentProtected).toBe(true);
+    expect(options.pdfBuffer.toString('latin1')).toContain('/Encrypt');
+
+    expect(finished.items[1]).toMatchObject({ status: 'failed', attempts: 1 });
+    expect(finished.items[1].lastError).toMatch(/no valid date of birth/);
+  });
+
+  test('are sent with an English letter to a customer who prefers Hindi', async () => {
+    const job = emailQueue.enqueue({
+      type: 'send', customers: [{ ...withDob, PREFERRED_LANGUAGE: 'hi' }], issueType: 'kyc_update', options: { includeAttachment: true }
+    }, 'test');
+    const finished = await sendAll(job);
+
+    expect(finished.items[0]).toMatchObject({ status: 'sent', language: 'en' });
+    expect(sendLetter.mock.calls[0][4].pdfBuffer.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  test('are left out unless asked for', async () => {
+    const job = emailQueue.enqueue({ type: 'send', customers: [withDob], issueType: 'kyc_update' }, 'test');
+    await sendAll(job);
+
+    expect(sendLetter.mock.calls[0][4].pdfBuffer).toBeUndefined();
+  });
+});
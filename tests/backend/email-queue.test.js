@@ -0,0 +1,163 @@
+const fs = require('fs');
+const request = require('supertest');
+const app = require('../../backend/server');
+const emailQueue = require('../../backend/services/email-queue');
+const emailService = require('../../backend/services/email-service');
+const { authAs } = require('../helpers');
+
+const customers = [
+  { ACCOUNT_NO: 'EQ1', NAME: 'Asha Patil', EMAIL: 'asha@example.com' },
+  { ACCOUNT_NO: 'EQ2', NAME: 'Ravi Kumar', EMAIL: 'ravi@example.com' },
+  { ACCOUNT_NO: 'EQ3', NAME: 'No Email' }
+];
+
+function smtpError(responseCode) {
+  return Object.assign(new Error(`SMTP ${responseCode}`), { responseCode });
+}
+
+// Send whatever is due now, without the worker's timers
+async function sendDue() {
+  let next;
+  while ((next = emailQueue.nextDue())) {
+    await emailQueue.send(next.job, next.item);
+  }
+}
+
+describe('email queue', () => {
+  let manager;
+  let sendLetter;
+
+  beforeAll(async () => {
+    manager = await authAs(app, 'branch_manager');
+  });
+
+  beforeEach(() => {
+    sendLetter = jest.spyOn(emailService, 'sendLetter')
+      .mockImplementation(async customer => ({ messageId: `<${customer.ACCOUNT_NO}@test>`, transport: 'test' }));
+  });
+
+  afterEach(() => {
+    sendLetter.mockRestore();
+  });
+
+  async function queue(body = {}) {
+    const res = await request(app).post('/api/email/send').set(manager)
+      .send({ customers, issueType: 'kyc_update', ...body });
+    expect(res.status).toBe(202);
+    return emailQueue.get(res.body.job.id);
+  }
+
+  test('sends each customer their own letter from the approved template', async () => {
+    const job = await queue({ options: { customMessage: 'Branch closes early on Friday.' } });
+    await sendDue();
+
+    expect(sendLetter).toHaveBeenCalledTimes(2);
+    const [[first, subject1, content1], [second, , content2]] = sendLetter.mock.calls;
+    expect(first.ACCOUNT_NO).toBe('EQ1');
+    expect(subject1).toContain('EQ1');
+    expect(content1).toContain('Asha Patil');
+    expect(content1).toContain('Branch closes early on Friday.');
+    expect(second.ACCOUNT_NO).toBe('EQ2');
+    expect(content2).toContain('Ravi Kumar');
+    expect(content2).not.toContain('Asha Patil');
+
+    const described = emailQueue.describe(emailQueue.get(job.id));
+    expect(described.statistics).toMatchObject({ total: 3, sent: 2, skipped: 1 });
+    expect(emailQueue.get(job.id).items[0].templateVersion).toBe('kyc_update@v1');
+  });
+
+  test('a shared subject or content is no longer accepted', async () => {
+    const res = await request(app).post('/api/email/send').set(manager)
+      .send({ customers, issueType: 'kyc_update', content: 'Same text for everyone' });
+    expect(res.status).toBe(400);
+    expect(res.body.field).toBe('content');
+  });
+
+  test('stores only account numbers and outcomes for finished messages', async () => {
+    const job = await queue();
+    await sendDue();
+    emailQueue.save();
+
+    const stored = JSON.parse(fs.readFileSync(emailQueue.filePath, 'utf8')).jobs.find(j => j.id === job.id);
+    expect(stored.subject).toBeUndefined();
+    expect(stored.content).toBeUndefined();
+    stored.items.forEach(item => {
+      expect(item.customer).toBeUndefined();
+      expect(item.email).toBeUndefined();
+      expect(item.content).toBeUndefined();
+    });
+    expect(stored.items.map(item => [item.accountNo, item.status])).toEqual([
+      ['EQ1', 'sent'], ['EQ2', 'sent'], ['EQ3', 'skipped']
+    ]);
+  });
+
+  test('flush writes results still waiting for the next save', async () => {
+    const stored = id => JSON.parse(fs.readFileSync(emailQueue.filePath, 'utf8')).jobs.find(j => j.id === id);
+    const job = await queue({ customers: [customers[0]] });
+    await sendDue();
+    expect(emailQueue.saveTimer).not.toBeNull();
+    expect(stored(job.id).items[0].status).toBe('pending');
+
+    emailQueue.flush();
+
+    expect(emailQueue.saveTimer).toBeNull();
+    expect(stored(job.id).items[0]).toMatchObject({ accountNo: 'EQ1', status: 'sent' });
+  });
+
+  test('retries temporary SMTP failures with exponential backoff', async () => {
+    sendLetter.mockRejectedValueOnce(smtpError(421)).mockRejectedValueOnce(smtpError(451));
+    const job = await queue({ customers: [customers[0]] });
+    const item = () => emailQueue.get(job.id).items[0];
+
+    let before = Date.now();
+    await sendDue();
+    expect(item()).toMatchObject({ status: 'pending', attempts: 1, errorCode: 421 });
+    expect(new Date(item().nextAttemptAt).getTime() - before).toBeGreaterThanOrEqual(emailQueue.retryBaseMs);
+
+    item().nextAttemptAt = new Date().toISOString();
+    before = Date.now();
+    await sendDue();
+    expect(item()).toMatchObject({ status: 'pending', attempts: 2 });
+    expect(new Date(item().nextAttemptAt).getTime() - before).toBeGreaterThanOrEqual(emailQueue.retryBaseMs * 2);
+
+    item().nextAttemptAt = new Date().toISOString();
+    await sendDue();
+    expect(item()).toMatchObject({ status: 'sent', attempts: 3 });
+    expect(emailQueue.get(job.id).status).toBe('completed');
+  });
+
+  test('fails permanent errors at once and gives up after the last attempt', async () => {
+    sendLetter.mockRejectedValueOnce(smtpError(550));
+    const permanent = await queue({ customers: [customers[0]] });
+    await sendDue();
+    expect(emailQueue.get(permanent.id).items[0]).toMatchObject({ status: 'failed', attempts: 1 });
+
+    sendLetter.mockRejectedValue(smtpError(421));
+    const transient = await queue({ customers: [customers[1]] });
+    for (let attempt = 0; attempt < emailQueue.maxAttempts; attempt++) {
+      const pending = emailQueue.get(transient.id).items[0];
+      if (pending.nextAttemptAt) pending.nextAttemptAt = new Date().toISOString();
+      await sendDue();
+    }
+    expect(emailQueue.get(transient.id).items[0]).toMatchObject({ status: 'failed', attempts: emailQueue.maxAttempts });
+  });
+
+  test('drops completed jobs after the retention period', async () => {
+    const job = await queue({ customers: [customers[2]] });
+    expect(emailQueue.get(job.id).status).toBe('completed');
+
+    emailQueue.get(job.id).completedAt = new Date(Date.now() - emailQueue.retentionMs - 1000).toISOString();
+    emailQueue.save();
+
+    expect(emailQueue.get(job.id)).toBeNull();
+  });
+
+  test('job progress is not rate limited', async () => {
+    const progress = await request(app).get('/api/email/jobs/unknown').set(manager);
+    const other = await request(app).get('/api/email/config-status').set(manager);
+
+    expect(progress.status).toBe(404);
+    expect(progress.headers['x-ratelimit-limit']).toBeUndefined();
+    expect(other.headers['x-ratelimit-limit']).toBe('100');
+  });
+});
@@ -0,0 +1,84 @@
+const request = require('supertest');
+const app = require('../../backend/server');
+const emailScheduler = require('../../backend/services/email-scheduler');
+const emailQueue = require('../../backend/services/email-queue');
+const customerStore = require('../../backend/services/customer-store');
+const { authAs } = require('../helpers');
+
+const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+describe('email schedules', () => {
+  let manager;
+
+  beforeAll(async () => {
+    manager = await authAs(app, 'branch_manager');
+    customerStore.upsertMany([
+      { ACCOUNT_NO: 'SC1', NAME: 'Asha Patil', EMAIL: 'asha@example.com' },
+      { ACCOUNT_NO: 'SC2', NAME: 'Ravi Kumar', EMAIL: 'ravi@example.com' }
+    ]);
+  });
+
+  test('queues the campaign when it is due and moves on to the next run', async () => {
+    const runAt = inOneHour();
+    const created = await request(app).post('/api/email/schedules').set(manager).send({
+      issueType: 'kyc_update',
+      customMessage: 'Bring your PAN card.',
+      accountNos: ['SC1', 'SC2', 'SC9'],
+      runAt,
+      recurrence: { frequency: 'weekly' }
+    });
+    expect(created.status).toBe(201);
+    const id = created.body.schedule.id;
+
+    emailScheduler.runDue(new Date(Date.parse(runAt) + 1000));
+
+    const schedule = emailScheduler.get(id);
+    const [run] = schedule.runs;
+    expect(run).toMatchObject({ customers: 2, missingAccounts: ['SC9'] });
+    expect(schedule.nextRunAt).toBe(new Date(Date.parse(runAt) + 7 * 24 * 60 * 60 * 1000).toISOString());
+
+    const job = emailQueue.get(run.jobId);
+    expect(job).toMatchObject({ type: 'scheduled', scheduleId: id, issueType: 'kyc_update' });
+    expect(job.options.customMessage).toBe('Bring your PAN card.');
+  });
+
+  test('a one-off schedule completes after its run', () => {
+    const schedule = emailScheduler.create({ issueType: 'kyc_update', accountNos: ['SC1'], runAt: inOneHour() }, 'test');
+
+    emailScheduler.runDue(new Date(Date.parse(schedule.runAt) + 1000));
+
+    expect(emailScheduler.get(schedule.id)).toMatchObject({ status: 'completed', nextRunAt: null });
+  });
+
+  test('monthly runs keep their day, clamped to short months', () => {
+    const schedule = { runAt: new Date(2026, 0, 31, 9, 0).toISOString(), recurrence: { frequency: 'monthly' } };
+
+    const next = emailScheduler.nextOccurrence(schedule, new Date(2026, 0, 31, 10, 0));
+    const after = emailScheduler.nextOccurrence(schedule, next);
+
+    expect([next.getMonth(), next.getDate()]).toEqual([1, 28]);
+    expect([after.getMonth(), after.getDate()]).toEqual([2, 31]);
+  });
+
+  test('records a failed run when the template has no approved version', () => {
+    jest.spyOn(console, 'error').mockImplementationOnce(() => {});
+    const schedule = emailScheduler.create({ issueType: 'no_such_template', accountNos: ['SC1'], runAt: inOneHour() }, 'test');
+
+    emailScheduler.runDue(new Date(Date.parse(schedule.runAt) + 1000));
+
+    expect(emailScheduler.get(schedule.id).runs[0].error).toMatch(/no approved version/);
+  });
+
+  test('rejects a run time in the past and cancels once', async () => {
+    const past = await request(app).post('/api/email/schedules').set(manager)
+      .send({ issueType: 'kyc_update', runAt: new Date(Date.now() - 1000).toISOString() });
+    expect(past.status).toBe(400);
+
+    const created = await request(app).post('/api/email/schedules').set(manager)
+      .send({ issueType: 'kyc_update', runAt: inOneHour() });
+    const cancel = () => request(app).delete(`/api/email/schedules/${created.body.schedule.id}`).set(manager);
+
+    expect((await cancel()).status).toBe(200);
+    expect((await cancel()).status).toBe(409);
+  });
+});
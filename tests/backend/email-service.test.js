@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+const emailService = require('../../backend/services/email-service');
+
+const customer = { ACCOUNT_NO: 'ES1', NAME: 'Asha Patil', EMAIL: 'asha@example.com' };
+
+// A transport whose sendMail is a jest mock
+function fakeTransport(name, sendMail) {
+  return { name, type: 'smtp', verified: true, transporter: { sendMail: jest.fn(sendMail) } };
+}
+
+function smtpError(responseCode) {
+  return Object.assign(new Error(`SMTP ${responseCode}`), { responseCode });
+}
+
+describe('emailService transports', () => {
+  const configured = emailService.transports;
+
+  afterEach(() => {
+    emailService.transports = configured;
+  });
+
+  test('reads a named transport from its EMAIL_<NAME>_ variables', () => {
+    Object.assign(process.env, {
+      EMAIL_RELAY_HOST: 'smtp.branch.local',
+      EMAIL_RELAY_PORT: '2525',
+      EMAIL_RELAY_TLS_REJECT_UNAUTHORIZED: 'false',
+      EMAIL_RELAY_USER: 'relay-user'
+    });
+
+    expect(emailService.readTransportConfig('relay')).toMatchObject({
+      name: 'relay',
+      type: 'smtp',
+      host: 'smtp.branch.local',
+      port: 2525,
+      secure: false,
+      rejectUnauthorized: false,
+      user: 'relay-user'
+    });
+  });
+
+  test('refuses an smtp transport without a host', () => {
+    expect(() => emailService.createTransporter({ type: 'smtp' })).toThrow('host is required');
+    expect(() => emailService.createTransporter({ type: 'pigeon' })).toThrow("unknown transport type 'pigeon'");
+  });
+
+  test('the file transport writes each email to the outbox', async () => {
+    const result = await emailService.sendLetter(customer, 'Test subject', 'Letter body', 'kyc_update');
+
+    expect(result.transport).toBe('default');
+    const file = fs.readdirSync(process.env.EMAIL_FILE_DIR).find(name => name.endsWith('.eml'));
+    const message = fs.readFileSync(path.join(process.env.EMAIL_FILE_DIR, file), 'utf8');
+    expect(message).toContain('Subject: Test subject');
+    expect(message).toContain('asha@example.com');
+  });
+
+  test('falls back to the next transport when one fails', async () => {
+    const primary = fakeTransport('primary', () => Promise.reject(Object.assign(new Error('down'), { code: 'ECONNECTION' })));
+    const backup = fakeTransport('backup', () => Promise.resolve({ messageId: '<1@backup>' }));
+    emailService.transports = [primary, backup];
+
+    const result = await emailService.sendLetter(customer, 'Subject', 'Body', 'kyc_update');
+
+    expect(result).toMatchObject({ transport: 'backup', messageId: '<1@backup>' });
+    expect(primary.transporter.sendMail).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not try other transports for a rejected mailbox', async () => {
+    const primary = fakeTransport('primary', () => Promise.reject(smtpError(550)));
+    const backup = fakeTransport('backup', () => Promise.resolve({ messageId: '<1@backup>' }));
+    emailService.transports = [primary, backup];
+    jest.spyOn(console, 'error').mockImplementationOnce(() => {});
+
+    await expect(emailService.sendLetter(customer, 'Subject', 'Body', 'kyc_update'))
+      .rejects.toMatchObject({ responseCode: 550 });
+    expect(backup.transporter.sendMail).not.toHaveBeenCalled();
+  });
+});
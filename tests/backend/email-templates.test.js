@@ -0,0 +1,63 @@
+const { renderEmail, escapeHtml } = require('../../backend/templates/email-templates');
+const { generateLetterContent } = require('../../backend/templates/letter-templates');
+
+const customer = {
+  ACCOUNT_NO: 'ET1',
+  NAME: 'Asha <b>Patil</b>',
+  LOAN_ACCOUNT_NO: 'LN77',
+  OUTSTANDING_AMOUNT: '125000.5',
+  EMI_AMOUNT: ''
+};
+
+describe('renderEmail', () => {
+  test('escapes customer values and letter text', () => {
+    const { html } = renderEmail(customer, 'kyc_update', 'Dear Asha,\n\nPlease visit <script>alert(1)</script>');
+
+    expect(html).toContain('Dear Asha &lt;b&gt;Patil&lt;/b&gt;');
+    expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(html).not.toContain('<script>');
+  });
+
+  test('summarises the issue type\'s fields, leaving out empty ones', () => {
+    const { html, text } = renderEmail(customer, 'loan_default', 'Letter');
+
+    expect(text).toContain('Loan Account: LN77');
+    expect(text).toContain('Outstanding Amount: ₹1,25,000.5');
+    expect(text).not.toContain('EMI Amount');
+    expect(html).toContain('Action required: please respond promptly.');
+  });
+
+  test('shows only the last five characters of a PAN, in the summary and the letter', () => {
+    const panCustomer = { ACCOUNT_NO: 'ET2', NAME: 'Ravi Kumar', PAN_NO: 'abcde1234f', PAN_AADHAAR_LINKED: 'No' };
+    const letter = generateLetterContent(panCustomer, 'pan_aadhaar_linkage');
+    const { html, text } = renderEmail(panCustomer, 'pan_aadhaar_linkage', letter.content);
+
+    expect(text).toContain('PAN: XXXXX1234F');
+    expect(letter.content).toContain('PAN: XXXXX1234F');
+    expect(`${html}${text}`).not.toMatch(/abcde/i);
+  });
+
+  test('keeps the letter paragraphs in the plain-text alternative', () => {
+    const { text } = renderEmail(customer, 'account_closure', 'First paragraph.\n\nSecond paragraph.');
+
+    expect(text).toMatch(/^STATE BANK OF INDIA - Account Status Update/);
+    expect(text).toContain('First paragraph.\n\nSecond paragraph.');
+  });
+
+  test('explains the password of a protected attachment', () => {
+    expect(renderEmail(customer, 'kyc_update', 'Letter', { attachmentProtected: true }).text)
+      .toContain('The attached letter is password protected');
+    expect(renderEmail(customer, 'kyc_update', 'Letter').text).not.toContain('password protected');
+  });
+
+  test('issue types without their own layout get the neutral one', () => {
+    expect(renderEmail(customer, 'locker_rent', 'Letter').text).toMatch(/^STATE BANK OF INDIA - Important Banking Notice/);
+  });
+});
+
+describe('escapeHtml', () => {
+  test('escapes markup and quotes, and prints nothing for missing values', () => {
+    expect(escapeHtml(`<a href="x">'&'</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+    expect(escapeHtml(null)).toBe('');
+  });
+});
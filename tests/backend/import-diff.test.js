@@ -0,0 +1,113 @@
+const request = require('supertest');
+const app = require('../../backend/server');
+const importDiff = require('../../backend/services/import-diff');
+const customerStore = require('../../backend/services/customer-store');
+const { buildCsv } = require('../../backend/utils/helpers');
+const { authAs } = require('../helpers');
+
+const stored = [
+  { ACCOUNT_NO: 'ID10000001', NAME: 'Asha Patil', BALANCE: 1500, KYC_STATUS: 'Complete', EMAIL: 'asha@example.com', BRANCH_CODE: 'PUN01' },
+  { ACCOUNT_NO: 'ID10000002', NAME: 'Ravi Kumar', BALANCE: 200, KYC_STATUS: 'Complete', EMAIL: 'ravi@example.com', MOBILE: '9876543210', BRANCH_CODE: 'PUN01' },
+  { ACCOUNT_NO: 'ID10000003', NAME: 'Meena Shah', BALANCE: 90, BRANCH_CODE: 'PUN01' },
+  { ACCOUNT_NO: 'ID10000009', NAME: 'Other Branch', BALANCE: 10, BRANCH_CODE: 'MUM02' }
+];
+
+function csv(rows) {
+  const columns = ['NAME', 'ACCOUNT_NO', 'BALANCE', 'KYC_STATUS', 'EMAIL', 'MOBILE', 'BRANCH_CODE'];
+  return Buffer.from([columns.join(','), ...rows.map(row => columns.map(c => row[c] ?? '').join(','))].join('\n'));
+}
+
+describe('importDiff.diff', () => {
+  const incoming = [
+    { ...stored[0], BALANCE: '1500.00', EMAIL: 'asha.patil@example.com' },
+    { ...stored[1], BALANCE: -250, KYC_STATUS: 'Expired' },
+    { ACCOUNT_NO: 'ID10000004', NAME: 'Kiran Rao', BALANCE: 0, BRANCH_CODE: 'PUN01' }
+  ];
+
+  test('sorts the changes and closes only accounts of the file\'s branches', () => {
+    const diff = importDiff.diff(incoming, stored);
+
+    expect(diff.summary).toMatchObject({
+      incoming: 3, newAccounts: 1, closedAccounts: 1, changedAccounts: 2, unchangedAccounts: 0,
+      balanceChanges: 1, kycTransitions: 1, contactChanges: 1
+    });
+    expect(diff.newAccounts).toEqual([{ accountNo: 'ID10000004', name: 'Kiran Rao' }]);
+    expect(diff.closedAccounts).toEqual([{ accountNo: 'ID10000003', name: 'Meena Shah' }]);
+    expect(diff.balanceChanges[0]).toMatchObject({ accountNo: 'ID10000002', from: 200, to: -250, change: -450 });
+    expect(diff.kycTransitions[0]).toMatchObject({ from: 'Complete', to: 'Expired' });
+    expect(diff.contactChanges[0]).toMatchObject({ accountNo: 'ID10000001', field: 'EMAIL', to: 'asha.patil@example.com' });
+  });
+
+  test('the report keeps negative amounts as numbers', () => {
+    const report = importDiff.buildReport(importDiff.diff(incoming, stored)).toString('utf8').trim().split('\r\n');
+
+    expect(report).toContain('ID10000002,Ravi Kumar,Balance,BALANCE,200,-250');
+  });
+});
+
+describe('buildCsv', () => {
+  test('neutralises formulas but not negative numbers', () => {
+    const text = buildCsv([['-250', '-12.5', '=SUM(A1)', '-2+3', '+91 98765', '@cmd', 'a,"b"']]).toString('utf8').trim();
+
+    expect(text).toBe(`-250,-12.5,'=SUM(A1),'-2+3,'+91 98765,'@cmd,"a,""b"""`);
+  });
+});
+
+describe('customer upload preview and confirmation', () => {
+  let clerk;
+  let manager;
+
+  beforeAll(async () => {
+    clerk = await authAs(app, 'clerk');
+    manager = await authAs(app, 'branch_manager');
+    customerStore.upsertMany(stored);
+  });
+
+  const upload = rows => request(app).post('/api/customers/upload').set(clerk)
+    .attach('excelFile', csv(rows), 'extract.csv');
+
+  test('an upload only previews its changes until it is confirmed', async () => {
+    const preview = await upload([{ ...stored[1], KYC_STATUS: 'Expired' }, { ...stored[0] }]);
+
+    expect(preview.status).toBe(200);
+    expect(preview.body.importId).toEqual(expect.any(String));
+    expect(preview.body.stored).toBeUndefined();
+    expect(preview.body.diff.summary).toMatchObject({ kycTransitions: 1, closedAccounts: 1 });
+    expect(customerStore.findByAccount('ID10000002').KYC_STATUS).toBe('Complete');
+
+    const refused = await request(app).post(`/api/customers/imports/${preview.body.importId}/confirm`).set(clerk);
+    expect(refused.status).toBe(403);
+    expect(customerStore.findByAccount('ID10000002').KYC_STATUS).toBe('Complete');
+
+    const confirmed = await request(app).post(`/api/customers/imports/${preview.body.importId}/confirm`).set(manager);
+    expect(confirmed.status).toBe(200);
+    expect(confirmed.body).toMatchObject({ importId: preview.body.importId, count: 2, stored: { created: 0, updated: 2 } });
+    expect(customerStore.findByAccount('ID10000002').KYC_STATUS).toBe('Expired');
+
+    const history = await request(app).get('/api/customers/imports').set(clerk);
+    expect(history.body.imports[0]).toMatchObject({ id: preview.body.importId, fileName: 'extract.csv' });
+
+    const again = await request(app).post(`/api/customers/imports/${preview.body.importId}/confirm`).set(manager);
+    expect(again.status).toBe(404);
+  });
+
+  test('onlyTransitions selects the customers the confirmed import moved into the issue', async () => {
+    const res = await request(app).post('/api/customers/analyze').set(clerk)
+      .send({ issueType: 'kyc_update', options: { onlyTransitions: true } });
+
+    expect(res.status).toBe(200);
+    // Meena Shah has no email or mobile, but already had none before the import
+    expect(res.body.analysis.customers.map(customer => customer.ACCOUNT_NO)).toEqual(['ID10000002']);
+  });
+
+  test('a discarded upload cannot be confirmed', async () => {
+    const preview = await upload([{ ...stored[0], BALANCE: 1 }]);
+
+    const discarded = await request(app).delete(`/api/customers/imports/${preview.body.importId}`).set(clerk);
+    expect(discarded.status).toBe(200);
+
+    const confirmed = await request(app).post(`/api/customers/imports/${preview.body.importId}/confirm`).set(manager);
+    expect(confirmed.status).toBe(404);
+    expect(String(customerStore.findByAccount('ID10000001').BALANCE)).toBe('1500');
+  });
+});
@@ -0,0 +1,192 @@
+const request = require('supertest');
+const app = require('../../backend/server');
+const issueTypeCatalog = require('../../backend/services/issue-types');
+const columnMapping = require('../../shared/column-mapping');
+const { renderEmail } = require('../../backend/templates/email-templates');
+const { renderSms } = require('../../backend/templates/sms-templates');
+const { authAs } = require('../helpers');
+
+const customer = { ACCOUNT_NO: '30012345678', NAME: 'Asha Patil', EMAIL: 'asha@example.com' };
+const lockerRent = {
+  name: 'Locker Rent Due',
+  subject: 'Locker rent due - {{ACCOUNT_NO}}',
+  fields: { LOCKER_NO: { label: 'Locker number', aliases: ['LOCKER', 'LOCKER ID'] } },
+  sms: 'Dear {{SHORT_NAME}}, rent for SBI locker {{LOCKER_NO}} is due. -SBI'
+};
+
+describe('issueTypeCatalog.register', () => {
+  const catalog = () => new issueTypeCatalog.constructor({});
+
+  test.each([
+    ['Locker', "Issue type 'Locker' must be 3-50 lowercase letters", lockerRent],
+    ['locker_rent', 'needs a name and a subject', { name: 'Locker Rent Due' }],
+    ['locker_rent', "unknown priority 'urgent'", { ...lockerRent, priority: 'urgent' }],
+    ['locker_rent', 'positive whole number of follow-up days', { ...lockerRent, followUpDays: 0 }],
+    ['locker_rent', 'needs a file code', { ...lockerRent, fileCode: 'locker' }],
+    ['locker_rent', 'needs an email heading, summary and action', { ...lockerRent, email: { heading: 'Locker Rent' } }],
+    ['locker_rent', "field 'locker_no' must be capital letters", { ...lockerRent, fields: { locker_no: { label: 'Locker' } } }],
+    ['locker_rent', 'needs a label and a list of aliases', { ...lockerRent, fields: { LOCKER_NO: { aliases: [] } } }],
+    ['locker_rent', "unknown type 'date'", { ...lockerRent, fields: { LOCKER_NO: { label: 'Locker', type: 'date' } } }],
+    ['locker_rent', 'conditions for high and/or medium', { ...lockerRent, customerPriority: { urgent: { field: 'LOCKER_NO', operator: 'empty' } } }],
+    ['locker_rent', 'customerPriority.high.operator must be one of', { ...lockerRent, customerPriority: { high: { field: 'LOCKER_NO', operator: 'is' } } }],
+    ['locker_rent', "insight 'rent' needs one of count, sum or average", { ...lockerRent, insights: { rent: { total: 'RENT' } } }],
+    ['locker_rent', 'recommendations as a non-empty list', { ...lockerRent, recommendations: 'Call them' }]
+  ])('refuses %s: %s', (id, message, definition) => {
+    expect(() => catalog().register(id, definition)).toThrow(message);
+  });
+
+  test('fills in defaults and adds the type\'s fields to column mapping', () => {
+    const type = catalog().register('locker_rent', lockerRent);
+
+    expect(type).toMatchObject({ id: 'locker_rent', priority: 'normal', followUpDays: 30, fileCode: 'LOCKER_RENT', email: null });
+    expect(type.fields.LOCKER_NO.type).toBe('text');
+    expect(columnMapping.isField('LOCKER_NO')).toBe(true);
+  });
+
+  test('a field keeps the definition of the first type that adds it', () => {
+    const types = catalog();
+    types.register('locker_rent', lockerRent);
+    types.register('locker_renewal', { ...lockerRent, fields: { LOCKER_NO: { label: 'Locker', aliases: [], type: 'integer' } } });
+
+    expect(types.getFields().LOCKER_NO).toMatchObject({ label: 'Locker number', type: 'text' });
+  });
+});
+
+describe('issueTypeCatalog', () => {
+  test('describes a type with its rule and approved template', () => {
+    expect(issueTypeCatalog.has('fd_maturity')).toBe(true);
+    expect(issueTypeCatalog.has('toString')).toBe(false);
+    expect(issueTypeCatalog.describe('fd_maturity')).toMatchObject({
+      name: 'Fixed Deposit Maturity Reminder',
+      fileCode: 'FD_MATURITY',
+      followUpDays: 7,
+      fields: { FD_AMOUNT: { type: 'number' } },
+      rule: { version: 1 },
+      template: { version: 1 }
+    });
+  });
+
+  test('the type\'s fields are mapped from upload headers', () => {
+    expect(columnMapping.toMapping(columnMapping.propose(['Maturity Date', 'Chq Leaves Left']))).toEqual({
+      'Maturity Date': 'FD_MATURITY_DATE',
+      'Chq Leaves Left': 'CHEQUE_LEAVES_LEFT'
+    });
+  });
+
+  test('email layouts and SMS text come from the catalog', () => {
+    expect(renderEmail(customer, 'cheque_book', 'Letter').text).toMatch(/^STATE BANK OF INDIA - Cheque Book Reissue/);
+    expect(renderSms({ ...customer, FD_MATURITY_DATE: '05/11/2026' }, 'fd_maturity').text)
+      .toBe('Dear Asha, your SBI FD XX5678 matures on 05/11/2026. Please give your renewal or payout instruction. -SBI');
+    expect(renderSms(customer, 'fee_waiver').text)
+      .toBe('Dear Asha, your SBI a/c XX5678 may be eligible for a waiver of service charges. Please contact your branch to apply. -SBI');
+  });
+});
+
+describe('analysis reporting', () => {
+  test('customer priority follows the type\'s conditions, or the type\'s own priority', () => {
+    expect(issueTypeCatalog.getCustomerPriority('loan_default', { OUTSTANDING_AMOUNT: '250000' })).toBe('high');
+    expect(issueTypeCatalog.getCustomerPriority('loan_default', { OUTSTANDING_AMOUNT: '25000' })).toBe('medium');
+    expect(issueTypeCatalog.getCustomerPriority('loan_default', { OUTSTANDING_AMOUNT: '500' })).toBe('low');
+    expect(issueTypeCatalog.getCustomerPriority('pan_aadhaar_linkage', {})).toBe('high');
+    expect(issueTypeCatalog.getCustomerPriority('cheque_book', {})).toBe('low');
+  });
+
+  test('insights are counted, summed and averaged from the catalog', () => {
+    const customers = [{ BALANCE: '0' }, { balance: 60 }, { BALANCE: 500 }];
+    expect(issueTypeCatalog.getInsights('account_closure', customers)).toEqual({ zeroBalance: 1, lowBalance: 1 });
+    expect(issueTypeCatalog.getInsights('loan_default', [{ OUTSTANDING_AMOUNT: 1000 }, { OUTSTANDING_AMOUNT: '3000' }]))
+      .toEqual({ totalOutstanding: 4000, averageOutstanding: 2000 });
+    expect(issueTypeCatalog.getInsights('fd_maturity', [{ FD_AMOUNT: 50000 }, { FD_AMOUNT: 25000 }])).toEqual({ totalMaturing: 75000 });
+  });
+
+  test('recommendations name the number of customers and the follow-up period', () => {
+    expect(issueTypeCatalog.getRecommendations('pan_aadhaar_linkage', 12)).toEqual([
+      'Send PAN–Aadhaar linkage reminders to 12 customers',
+      'Collect PAN from customers who have none on record',
+      'Schedule follow-up within 15 days'
+    ]);
+    expect(issueTypeCatalog.getRecommendations('cheque_book', 3)).toEqual([
+      'Send Cheque Book Reissue letters to 3 customers',
+      'Schedule follow-up within 15 days'
+    ]);
+    expect(issueTypeCatalog.getRecommendations('cheque_book', 0)).toEqual(['No immediate action required for this issue type.']);
+  });
+
+  test('are returned with each analysis', async () => {
+    const clerk = await authAs(app, 'clerk');
+    const res = await request(app).post('/api/customers/analyze').set(clerk).send({
+      issueType: 'loan_default',
+      customers: [
+        { ...customer, OUTSTANDING_AMOUNT: 250000 },
+        { ...customer, ACCOUNT_NO: '30012345679', OUTSTANDING_AMOUNT: 5000 }
+      ]
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.analysis.customers.map(c => c.priority)).toEqual(['high', 'low']);
+    expect(res.body.analysis.insights).toEqual({ totalOutstanding: 255000, averageOutstanding: 127500 });
+    expect(res.body.recommendations[0]).toBe('Contact 2 customers for payment collection');
+  });
+});
+
+describe('GET /api/issue-types', () => {
+  test('lists every registered type for the browser', async () => {
+    const res = await request(app).get('/api/issue-types');
+
+    expect(res.status).toBe(200);
+    expect(Object.keys(res.body.issueTypes)).toEqual(issueTypeCatalog.getIds());
+    expect(res.body.issueTypes.cheque_book).toMatchObject({
+      icon: '📒',
+      fileCode: 'CHEQUE_BOOK',
+      fields: { CHEQUE_LEAVES_LEFT: { label: 'Cheque leaves left', type: 'integer' } },
+      customerPriority: { otherwise: 'low' }
+    });
+    expect(res.body.issueTypes.kyc_update.customerPriority).toMatchObject({
+      medium: { field: 'KYC_STATUS', operator: 'eq', value: 'Expired' },
+      otherwise: 'low'
+    });
+  });
+});
+
+describe('requests naming an issue type', () => {
+  let manager;
+
+  beforeAll(async () => {
+    manager = await authAs(app, 'branch_manager');
+  });
+
+  test('are refused for a type that is not registered, even with a rule', async () => {
+    const rule = await request(app).put('/api/customers/rules/locker_rent').set(manager).send({
+      name: 'Locker rent due',
+      conditions: { field: 'LOCKER_NO', operator: 'notEmpty' }
+    });
+    expect(rule.status).toBeLessThan(300);
+    const registered = /must be a registered issue type/;
+
+    const analysis = await request(app).post('/api/customers/analyze').set(manager)
+      .send({ customers: [customer], issueType: 'locker_rent' });
+    const letters = await request(app).post('/api/letters/generate').set(manager)
+      .send({ customers: [customer], issueType: 'locker_rent' });
+    const email = await request(app).post('/api/email/send').set(manager)
+      .send({ customers: [customer], issueType: 'locker_rent' });
+
+    [analysis, letters, email].forEach(res => {
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({ field: 'issueType', message: expect.stringMatching(registered) });
+    });
+  });
+
+  test('are accepted once the type is registered', async () => {
+    issueTypeCatalog.register('locker_rent', lockerRent);
+
+    const analysis = await request(app).post('/api/customers/analyze').set(manager)
+      .send({ customers: [{ ...customer, LOCKER_NO: 'L-17' }], issueType: 'locker_rent' });
+    expect(analysis.status).toBe(200);
+
+    // Letters still need an approved template
+    const letters = await request(app).post('/api/letters/generate').set(manager)
+      .send({ customers: [customer], issueType: 'locker_rent' });
+    expect(letters.status).toBe(422);
+    expect(letters.body.message).toBe("No letter template exists for issue type 'locker_rent'");
+  });
+});
@@ -0,0 +1,79 @@
+const request = require('supertest');
+const app = require('../../backend/server');
+const { renderTemplate, resolveLanguage } = require('../../backend/templates/letter-templates');
+const { authAs } = require('../helpers');
+
+describe('renderTemplate', () => {
+  test('fills customer fields and leaves unknown ones empty', () => {
+    expect(renderTemplate('Dear {{NAME}}, {{MISSING}}account {{ ACCOUNT_NO }}', { NAME: 'Asha', ACCOUNT_NO: 'A1' }))
+      .toBe('Dear Asha, account A1');
+  });
+
+  test('uses the first non-empty alternative, including quoted text', () => {
+    const template = 'Loan {{LOAN_ACCOUNT_NO|ACCOUNT_NO}} at {{BRANCH|"your branch"}}';
+    expect(renderTemplate(template, { ACCOUNT_NO: 'A1' })).toBe('Loan A1 at your branch');
+    expect(renderTemplate(template, { LOAN_ACCOUNT_NO: 'L9', BRANCH: 'Pune' })).toBe('Loan L9 at Pune');
+  });
+
+  test('keeps {{#if}} sections only for non-empty fields', () => {
+    const template = 'Hello{{#if EMAIL}}, we wrote to {{EMAIL}}{{/if}}.';
+    expect(renderTemplate(template, { EMAIL: 'a@b.in' })).toBe('Hello, we wrote to a@b.in.');
+    expect(renderTemplate(template, {})).toBe('Hello.');
+  });
+});
+
+describe('resolveLanguage', () => {
+  test.each([['hi', 'hi'], ['Marathi', 'mr'], ['हिंदी', 'hi'], ['French', null], ['', null]])('%p is %p', (value, code) => {
+    expect(resolveLanguage(value)).toBe(code);
+  });
+});
+
+describe('/api/letters/templates', () => {
+  let manager;
+
+  beforeAll(async () => {
+    manager = await authAs(app, 'branch_manager');
+  });
+
+  test('lists the shipped templates', async () => {
+    const res = await request(app).get('/api/letters/templates').set(manager);
+    expect(res.status).toBe(200);
+    expect(Object.keys(res.body.templates)).toEqual(expect.arrayContaining(['account_closure', 'kyc_update']));
+  });
+
+  test('creates a template and keeps wording changes as new versions', async () => {
+    const created = await request(app).post('/api/letters/templates').set(manager).send({
+      id: 'kyc_update_reminder',
+      name: 'KYC Reminder',
+      subject: 'KYC reminder - {{ACCOUNT_NO}}',
+      body: 'Dear {{NAME}}, please update your KYC.'
+    });
+    expect(created.status).toBe(201);
+    expect(created.body.draft).toMatchObject({ version: 1, status: 'draft', urgency: 'medium' });
+
+    const renamed = await request(app).put('/api/letters/templates/kyc_update_reminder').set(manager)
+      .send({ name: 'KYC Reminder (second)' });
+    expect(renamed.body.draft).toBeNull();
+
+    const reworded = await request(app).put('/api/letters/templates/kyc_update_reminder').set(manager)
+      .send({ body: 'Dear {{NAME}}, your KYC is due.' });
+    expect(reworded.body.draft).toMatchObject({ version: 2, subject: 'KYC reminder - {{ACCOUNT_NO}}' });
+  });
+
+  test('rejects a body whose {{#if}} blocks are not closed', async () => {
+    const res = await request(app).post('/api/letters/templates').set(manager).send({
+      id: 'broken_notice',
+      name: 'Broken',
+      subject: 'Notice',
+      body: '{{#if EMAIL}}Email on file'
+    });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/1 {{#if}} block\(s\) but 0 {{\/if}}/);
+  });
+
+  test('clerks cannot edit templates', async () => {
+    const clerk = await authAs(app, 'clerk');
+    const res = await request(app).put('/api/letters/templates/kyc_update').set(clerk).send({ name: 'x' });
+    expect(res.status).toBe(403);
+  });
+});
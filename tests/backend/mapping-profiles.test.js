@@ -0,0 +1,51 @@
+const request = require('supertest');
+const app = require('../../backend/server');
+const { authAs } = require('../helpers');
+
+const csv = Buffer.from('Cust Name,A/c No\nAsha Patil,MP1\n');
+
+describe('mapping profiles', () => {
+  let clerk;
+  let manager;
+
+  beforeAll(async () => {
+    clerk = await authAs(app, 'clerk');
+    manager = await authAs(app, 'branch_manager');
+  });
+
+  test('only branch managers save profiles', async () => {
+    const mapping = { 'Cust Name': 'NAME', 'A/c No': 'ACCOUNT_NO' };
+
+    const denied = await request(app).put('/api/customers/mapping-profiles/Finacle').set(clerk).send({ mapping });
+    expect(denied.status).toBe(403);
+
+    const saved = await request(app).put('/api/customers/mapping-profiles/Finacle').set(manager).send({ mapping });
+    expect(saved.status).toBe(201);
+    expect(saved.body.profile).toMatchObject({ name: 'Finacle', mapping });
+
+    const list = await request(app).get('/api/customers/mapping-profiles').set(clerk);
+    expect(list.body.profiles.map(profile => profile.name)).toContain('Finacle');
+  });
+
+  test('clerks cannot save a profile through an upload either', async () => {
+    const res = await request(app).post('/api/customers/upload').set(clerk)
+      .field('saveProfile', 'Clerk profile')
+      .attach('excelFile', csv, 'customers.csv');
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toMatch(/branch manager/);
+  });
+
+  test('rejects mappings onto unknown fields', async () => {
+    const res = await request(app).put('/api/customers/mapping-profiles/Bad').set(manager)
+      .send({ mapping: { Colour: 'FAVOURITE_COLOUR' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/unknown field/);
+  });
+
+  test('only branch managers delete profiles', async () => {
+    expect((await request(app).delete('/api/customers/mapping-profiles/finacle').set(clerk)).status).toBe(403);
+    expect((await request(app).delete('/api/customers/mapping-profiles/finacle').set(manager)).status).toBe(200);
+  });
+});
@@ -0,0 +1,66 @@
+const request = require('supertest');
+const XLSX = require('xlsx');
+const app = require('../../backend/server');
+const { authAs } = require('../helpers');
+
+function workbook(sheets) {
+  const book = XLSX.utils.book_new();
+  Object.entries(sheets).forEach(([name, rows]) => XLSX.utils.book_append_sheet(book, XLSX.utils.json_to_sheet(rows), name));
+  return XLSX.write(book, { type: 'buffer', bookType: 'xlsx' });
+}
+
+const file = workbook({
+  Customers: [
+    { NAME: 'Asha Patil', ACCOUNT_NO: 'MS10000001', BALANCE: 1500 },
+    { NAME: 'Ravi Kumar', ACCOUNT_NO: 'MS10000002', BALANCE: 200 }
+  ],
+  Loans: [
+    { ACCOUNT_NO: 'MS10000001', LOAN_ACCOUNT_NO: 'LN1', OUTSTANDING_AMOUNT: 1000, OVERDUE_DAYS: 30 },
+    { ACCOUNT_NO: 'MS10000001', LOAN_ACCOUNT_NO: 'LN2', OUTSTANDING_AMOUNT: 250, OVERDUE_DAYS: 95 },
+    { ACCOUNT_NO: 'MS10000099', LOAN_ACCOUNT_NO: 'LN9', OUTSTANDING_AMOUNT: 5 }
+  ],
+  Notes: [{ TEXT: 'prepared by branch' }]
+});
+
+describe('POST /api/customers/upload with several sheets', () => {
+  let clerk;
+
+  beforeAll(async () => {
+    clerk = await authAs(app, 'clerk');
+  });
+
+  const upload = fields => {
+    const req = request(app).post('/api/customers/upload').set(clerk);
+    Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+    return req.attach('excelFile', file, 'branch.xlsx');
+  };
+
+  test('joins the loan sheet onto the customers and reports unmatched accounts', async () => {
+    const res = await upload({});
+
+    expect(res.status).toBe(200);
+    expect(res.body.sheetName).toBe('Customers');
+    const [asha, ravi] = res.body.customers;
+    expect(asha).toMatchObject({ OUTSTANDING_AMOUNT: 1250, OVERDUE_DAYS: 95 });
+    expect(asha.LOANS).toHaveLength(2);
+    expect(ravi).not.toHaveProperty('LOANS');
+
+    const loans = res.body.sheets.find(sheet => sheet.name === 'Loans');
+    expect(loans).toMatchObject({ role: 'loans', rows: 3, matchedAccounts: 1, unmatchedAccounts: ['MS10000099'] });
+    expect(res.body.sheets.find(sheet => sheet.name === 'Notes').role).toBe('ignore');
+  });
+
+  test('sheetRoles can leave a sheet out', async () => {
+    const res = await upload({ sheetRoles: JSON.stringify({ Loans: 'ignore' }) });
+
+    expect(res.status).toBe(200);
+    expect(res.body.customers[0]).not.toHaveProperty('LOANS');
+  });
+
+  test('rejects two customer sheets', async () => {
+    const res = await upload({ sheetRoles: JSON.stringify({ Customers: 'customers', Loans: 'customers' }) });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/Only one sheet can hold customers/);
+  });
+});
@@ -0,0 +1,106 @@
+const { execFileSync } = require('child_process');
+const request = require('supertest');
+const app = require('../../backend/server');
+const pdfService = require('../../backend/services/pdf-service');
+const { generateLetterContent } = require('../../backend/templates/letter-templates');
+const { authAs } = require('../helpers');
+
+const customer = { ACCOUNT_NO: '12345678901', NAME: 'Asha Patil', BALANCE: 50, DOB: '15/08/1985' };
+
+describe('pdfService', () => {
+  test('renders a letter as a PDF document', async () => {
+    const pdf = await pdfService.generateLetterPDF({ subject: 'Notice', content: 'Balance due: ₹500' }, customer);
+
+    expect(Buffer.isBuffer(pdf)).toBe(true);
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(pdf.toString('latin1')).not.toContain('/Encrypt');
+  });
+
+  test('encrypts the letter when given a password', async () => {
+    const pdf = await pdfService.generateLetterPDF('Letter text', customer, { password: '150819858901' });
+    expect(pdf.toString('latin1')).toContain('/Encrypt');
+  });
+
+  test.each([
+    ['15/08/1985', '150819858901'],
+    ['1985-08-15', '150819858901'],
+    ['5.8.1985', '050819858901'],
+    // Local midnight from an XLSX date cell; on an IST server this is "1985-08-14T18:30:00.000Z"
+    [new Date(1985, 7, 15).toISOString(), '150819858901'],
+    [new Date(1985, 7, 15), '150819858901'],
+    ['15/13/1985', null],
+    ['', null]
+  ])('password for date of birth %p is %p', (dob, expected) => {
+    expect(pdfService.getDocumentPassword({ ...customer, DOB: dob })).toBe(expected);
+  });
+
+  test('password uses the server\'s local date for a date of birth imported as a timestamp', () => {
+    // The time zone is fixed when a process starts, so check from a process running in IST
+    const script = `console.log(require(${JSON.stringify(require.resolve('../../backend/services/pdf-service'))})
+      .getDocumentPassword({ ACCOUNT_NO: '12345678901', DOB: '1985-08-14T18:30:00.000Z' }))`;
+    const password = execFileSync(process.execPath, ['-e', script], { env: { ...process.env, TZ: 'Asia/Kolkata' } });
+
+    expect(password.toString().trim()).toBe('150819858901');
+  });
+
+  test('prints the rupee sign as Rs. with the built-in font', () => {
+    const doc = { getFont: () => ({}) };
+    expect(pdfService.prepareText(doc, 'Pay ₹ 500', { unicode: false })).toBe('Pay Rs. 500');
+  });
+});
+
+describe('POST /api/letters/generate with generatePDF', () => {
+  test('returns each letter with its PDF', async () => {
+    const auth = await authAs(app, 'clerk');
+    const res = await request(app).post('/api/letters/generate').set(auth).send({
+      customers: [customer],
+      issueType: 'account_closure',
+      options: { generatePDF: true }
+    });
+
+    expect(res.status).toBe(200);
+    const [letter] = res.body.letters;
+    expect(Buffer.from(letter.pdfBase64, 'base64').subarray(0, 5).toString()).toBe('%PDF-');
+    expect(letter.pdfSize).toBeGreaterThan(0);
+  });
+});
+
+describe('Devanagari letters', () => {
+  test('are refused rather than printed unshaped', async () => {
+    await expect(pdfService.generateLetterPDF({ subject: 'सूचना', content: 'प्रिय ग्राहक' }, customer))
+      .rejects.toThrow('Hindi and Marathi letters cannot be printed as PDF');
+
+    expect(pdfService.getCapabilities().features.devanagari).toBe(false);
+  });
+
+  test('are generated in English when a PDF is requested', async () => {
+    const hindi = { ...customer, PREFERRED_LANGUAGE: 'Hindi' };
+    expect(generateLetterContent(hindi, 'kyc_update', '', { pdf: true })).toMatchObject({ language: 'en', languageFallback: true });
+
+    const auth = await authAs(app, 'clerk');
+    const res = await request(app).post('/api/letters/generate').set(auth).send({
+      customers: [hindi],
+      issueType: 'kyc_update',
+      options: { generatePDF: true }
+    });
+
+    expect(res.status).toBe(200);
+    const [letter] = res.body.letters;
+    expect(letter).toMatchObject({ language: 'en', languageFallback: true });
+    expect(letter.pdfError).toBeUndefined();
+    expect(letter.pdfSize).toBeGreaterThan(0);
+  });
+});
+
+describe('letter language', () => {
+  test('follows the customer\'s preferred language, unless the batch overrides it', () => {
+    const hindi = { ...customer, PREFERRED_LANGUAGE: 'Hindi' };
+    expect(generateLetterContent(hindi, 'kyc_update')).toMatchObject({ language: 'hi', languageFallback: false });
+    expect(generateLetterContent(hindi, 'kyc_update', '', { language: 'en' }).language).toBe('en');
+  });
+
+  test('falls back to English when the template has no translation', () => {
+    const letter = generateLetterContent({ ...customer, PREFERRED_LANGUAGE: 'mr' }, 'cheque_book');
+    expect(letter).toMatchObject({ language: 'en', languageFallback: true });
+  });
+});
@@ -0,0 +1,92 @@
+const request = require('supertest');
+const app = require('../../backend/server');
+const printBatch = require('../../backend/services/print-batch');
+const { authAs } = require('../helpers');
+
+const posted = {
+  ACCOUNT_NO: 'PB1',
+  NAME: 'Asha Patil',
+  ADDRESS: '12 MG Road, Near Bus Stand',
+  CITY: 'Pune',
+  PINCODE: '411 001',
+  STATE: 'Maharashtra'
+};
+const withEmail = { ...posted, ACCOUNT_NO: 'PB2', NAME: 'Ravi Kumar', EMAIL: 'ravi@example.com' };
+const noPin = { ...posted, ACCOUNT_NO: 'PB3', NAME: 'Meena Shah', PINCODE: '01234' };
+
+describe('printBatch', () => {
+  test('prints the name, street lines, city with PIN code and state', () => {
+    expect(printBatch.getPostalAddress(posted)).toEqual([
+      'Asha Patil', '12 MG Road', 'Near Bus Stand', 'Pune - 411001', 'Maharashtra'
+    ]);
+  });
+
+  test('has no address without a valid PIN code or any street and city', () => {
+    expect(printBatch.getPostalAddress(noPin)).toBeNull();
+    expect(printBatch.getPostalAddress({ NAME: 'X', PINCODE: '411001' })).toBeNull();
+  });
+
+  test('builds the letters, labels and a dispatch register for reachable customers', async () => {
+    const batch = await printBatch.create([posted, noPin], 'kyc_update', '', {}, 'clerk1');
+
+    expect(batch.batchId).toMatch(/^PB-\d{8}-[0-9A-F]{6}$/);
+    expect(batch.summary).toMatchObject({ selected: 2, letters: 1, excluded: 1 });
+    expect(batch.summary.pages).toBeGreaterThan(1);
+    expect(batch.excluded).toEqual([{ accountNo: 'PB3', name: 'Meena Shah', reason: 'No postal address with a valid PIN code' }]);
+    expect(batch.files.letters.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(batch.files.labels.subarray(0, 5).toString()).toBe('%PDF-');
+
+    const [header, row] = batch.files.register.toString('utf8').trim().split('\r\n');
+    expect(header).toMatch(/^Serial No,Account No,Name,Address,PIN Code/);
+    expect(row).toMatch(/^1,PB1,Asha Patil,"12 MG Road, Near Bus Stand, Pune - 411001, Maharashtra",411001,kyc_update,/);
+  });
+
+  test('postalOnly leaves out customers reachable by email or SMS', async () => {
+    const batch = await printBatch.create([posted, withEmail], 'kyc_update', '', { postalOnly: true }, 'clerk1');
+
+    expect(batch.included.map(entry => entry.customer.ACCOUNT_NO)).toEqual(['PB1']);
+    expect(batch.excluded[0]).toMatchObject({ accountNo: 'PB2', reason: 'Reachable by email or SMS' });
+  });
+
+  test('prints Hindi letters in English and leaves out Devanagari addresses', async () => {
+    const hindi = { ...posted, PREFERRED_LANGUAGE: 'hi' };
+    const devanagari = { ...posted, ACCOUNT_NO: 'PB4', NAME: 'आशा पाटील' };
+    const batch = await printBatch.create([hindi, devanagari], 'kyc_update', '', {}, 'clerk1');
+
+    expect(batch.included[0].letterData).toMatchObject({ language: 'en', languageFallback: true });
+    expect(batch.excluded).toEqual([
+      { accountNo: 'PB4', name: 'आशा पाटील', reason: 'Name or address is in Devanagari, which cannot be printed yet' }
+    ]);
+    expect(batch.files.letters.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  test('an empty batch has no PDFs', async () => {
+    const batch = await printBatch.create([noPin], 'kyc_update', '', {}, 'clerk1');
+
+    expect(batch.files).toMatchObject({ letters: null, labels: null });
+    expect(batch.summary.pages).toBe(0);
+  });
+});
+
+describe('POST /api/letters/print-batch', () => {
+  let clerk;
+
+  beforeAll(async () => {
+    clerk = await authAs(app, 'clerk');
+  });
+
+  test('returns the batch files and audits every customer', async () => {
+    const res = await request(app).post('/api/letters/print-batch').set(clerk)
+      .send({ customers: [posted, noPin], issueType: 'kyc_update' });
+
+    expect(res.status).toBe(200);
+    const { batchId, files } = res.body;
+    expect(files.letters.filename).toBe(`${batchId}-letters.pdf`);
+    expect(files.register).toMatchObject({ filename: `${batchId}-dispatch-register.csv`, contentType: 'text/csv' });
+    expect(Buffer.from(files.labels.base64, 'base64').subarray(0, 5).toString()).toBe('%PDF-');
+
+    const logs = await request(app).get('/api/logs').set(await authAs(app, 'branch_manager')).query({ channel: 'post' });
+    const outcomes = Object.fromEntries(logs.body.entries.map(entry => [entry.accountNo, entry.outcome]));
+    expect(outcomes).toMatchObject({ PB1: 'generated', PB3: 'skipped' });
+  });
+});
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const smsService = require('../../backend/services/sms-service');
+const emailQueue = require('../../backend/services/email-queue');
+const { renderSms, maskAccount, getDltTemplateId } = require('../../backend/templates/sms-templates');
+
+const customer = { ACCOUNT_NO: '30012345678', NAME: 'Asha Patil', MOBILE: '098765 43210' };
+
+function readOutbox() {
+  return fs.readdirSync(process.env.SMS_FILE_DIR)
+    .flatMap(name => fs.readFileSync(path.join(process.env.SMS_FILE_DIR, name), 'utf8').trim().split('\n'))
+    .map(line => JSON.parse(line));
+}
+
+describe('SMS templates', () => {
+  test('mask the account and shorten the name', () => {
+    const { text } = renderSms({ ...customer, NAME: 'Venkatanarasimharajuvaripeta Rao' }, 'kyc_update');
+
+    expect(text).toBe('Dear Venkatanarasimharaju, KYC for your SBI a/c XX5678 is due. ' +
+      'Please update it at your branch or via YONO/OnlineSBI to avoid restrictions. -SBI');
+    expect(maskAccount('1234')).toBe('1234');
+  });
+
+  test('use the loan account and defaults for loan reminders', () => {
+    const { text } = renderSms({ ...customer, LOAN_ACCOUNT_NO: 'LN99887766' }, 'loan_default');
+
+    expect(text).toContain('EMI of Rs.- on SBI loan a/c XX7766');
+  });
+
+  test('read the DLT template ID for the issue type', () => {
+    process.env.SMS_DLT_TEMPLATE_KYC_UPDATE = '1107160000000012345';
+
+    expect(renderSms(customer, 'kyc_update').dltTemplateId).toBe('1107160000000012345');
+    expect(getDltTemplateId('fee_waiver')).toBeNull();
+    delete process.env.SMS_DLT_TEMPLATE_KYC_UPDATE;
+  });
+});
+
+describe('smsService', () => {
+  test.each([
+    ['9876543210', '919876543210'],
+    ['+91 98765-43210', '919876543210'],
+    ['09876543210', '919876543210'],
+    ['5876543210', null],
+    ['12345', null]
+  ])('normalizes %s to %s', (mobile, expected) => {
+    expect(smsService.normalizeMobile(mobile)).toBe(expected);
+  });
+
+  test('the file provider writes each message to the outbox', async () => {
+    const result = await smsService.sendMessage(customer, 'fee_waiver');
+
+    expect(result).toMatchObject({ provider: 'file', recipient: '919876543210' });
+    expect(readOutbox()).toContainEqual(expect.objectContaining({
+      messageId: result.messageId, to: '919876543210', sender: 'SBIBNK', issueType: 'fee_waiver'
+    }));
+  });
+
+  test('refuses an invalid mobile number', async () => {
+    await expect(smsService.sendMessage({ ...customer, MOBILE: '12345' }, 'kyc_update'))
+      .rejects.toThrow("Invalid mobile number '12345'");
+  });
+
+  describe('http provider', () => {
+    let gateway;
+    let fetchMock;
+
+    beforeEach(() => {
+      Object.assign(process.env, {
+        SMS_PROVIDER: 'http',
+        SMS_HTTP_URL: 'https://sms.example.com/send',
+        SMS_DLT_ENTITY_ID: '1101000000000001',
+        SMS_DLT_TEMPLATE_KYC_UPDATE: '1107160000000012345'
+      });
+      gateway = new smsService.constructor();
+      fetchMock = jest.spyOn(global, 'fetch');
+    });
+
+    afterEach(() => {
+      fetchMock.mockRestore();
+      process.env.SMS_PROVIDER = 'file';
+      delete process.env.SMS_HTTP_URL;
+      delete process.env.SMS_DLT_ENTITY_ID;
+      delete process.env.SMS_DLT_TEMPLATE_KYC_UPDATE;
+    });
+
+    test('sends the registered template to the gateway', async () => {
+      fetchMock.mockResolvedValue(new Response(JSON.stringify({ messageId: 'gw-1' }), { status: 200 }));
+
+      const result = await gateway.sendMessage(customer, 'kyc_update');
+
+      expect(result.messageId).toBe('gw-1');
+      const body = JSON.parse(fetchMock.mock.calls[0][1].body);
+      expect(body).toMatchObject({ to: '919876543210', dltEntityId: '1101000000000001', dltTemplateId: '1107160000000012345' });
+    });
+
+    test('refuses issue types without a DLT template', async () => {
+      await expect(gateway.sendMessage(customer, 'fee_waiver')).rejects.toThrow('SMS_DLT_TEMPLATE_FEE_WAIVER');
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    test('marks throttling and server errors as transient', async () => {
+      fetchMock.mockResolvedValueOnce(new Response('{}', { status: 503 }));
+      await expect(gateway.sendMessage(customer, 'kyc_update')).rejects.toMatchObject({ code: 'HTTP_503', transient: true });
+
+      fetchMock.mockResolvedValueOnce(new Response(JSON.stringify({ error: 'bad sender' }), { status: 400 }));
+      await expect(gateway.sendMessage(customer, 'kyc_update')).rejects.toMatchObject({ code: 'HTTP_400', transient: false });
+    });
+  });
+});
+
+describe('SMS fallback in the email queue', () => {
+  test('customers without an email get an SMS when asked for, and are skipped otherwise', async () => {
+    const noEmail = { ...customer, ACCOUNT_NO: 'SM1' };
+    const noContact = { ACCOUNT_NO: 'SM2', NAME: 'Ravi Kumar' };
+
+    const plain = emailQueue.enqueue({ type: 'send', customers: [noEmail], issueType: 'kyc_update' }, 'test');
+    expect(plain.items[0].status).toBe('skipped');
+
+    const job = emailQueue.enqueue({
+      type: 'send', customers: [noEmail, noContact], issueType: 'kyc_update', options: { smsFallback: true }
+    }, 'test');
+    expect(job.items[0]).toMatchObject({ channel: 'sms', status: 'pending' });
+    expect(job.items[1]).toMatchObject({ status: 'skipped' });
+    expect(job.items[1].reason).toMatch(/no mobile number for SMS/);
+
+    await emailQueue.send(job, job.items[0]);
+
+    const finished = emailQueue.get(job.id);
+    expect(finished.items[0]).toMatchObject({ channel: 'sms', status: 'sent', transport: 'file' });
+    expect(readOutbox()).toContainEqual(expect.objectContaining({ messageId: finished.items[0].messageId, accountNo: 'SM1' }));
+  });
+});
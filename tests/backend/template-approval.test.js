@@ -0,0 +1,76 @@
+const request = require('supertest');
+const app = require('../../backend/server');
+const { generateLetterContent } = require('../../backend/templates/letter-templates');
+const issueTypeCatalog = require('../../backend/services/issue-types');
+const { authAs } = require('../helpers');
+
+const customer = { ACCOUNT_NO: 'A100', NAME: 'Asha Patil' };
+
+describe('template approval', () => {
+  let author;
+  let reviewer;
+
+  beforeAll(async () => {
+    // Registered, so letter requests get as far as the approval check
+    issueTypeCatalog.register('locker_rent', { name: 'Locker Rent Due', subject: 'Locker rent due - {{ACCOUNT_NO}}' });
+    author = await authAs(app, 'branch_manager');
+    reviewer = await authAs(app, 'branch_manager');
+    await request(app).post('/api/letters/templates').set(author).send({
+      id: 'locker_rent',
+      name: 'Locker Rent Due',
+      subject: 'Locker rent due - {{ACCOUNT_NO}}',
+      body: 'Dear {{NAME}}, your locker rent is due.'
+    });
+  });
+
+  test('an unapproved template cannot be previewed or used', async () => {
+    const preview = await request(app).post('/api/letters/preview').set(author)
+      .send({ customer, issueType: 'locker_rent' });
+    expect(preview.status).toBe(409);
+    expect(preview.body.message).toMatch(/no approved version/);
+
+    const generate = await request(app).post('/api/letters/generate').set(author)
+      .send({ customers: [customer], issueType: 'locker_rent' });
+    expect(generate.status).toBe(409);
+    expect(generate.body).toMatchObject({ field: 'issueType', message: "Template 'locker_rent' has no approved version yet" });
+    expect(() => generateLetterContent(customer, 'locker_rent')).toThrow(expect.objectContaining({ status: 409 }));
+  });
+
+  test('the author of a draft cannot approve it', async () => {
+    const res = await request(app).post('/api/letters/templates/locker_rent/versions/1/approve').set(author).send({});
+    expect(res.status).toBe(403);
+  });
+
+  test('another manager approves it and letters record the version', async () => {
+    const approved = await request(app).post('/api/letters/templates/locker_rent/versions/1/approve').set(reviewer).send({});
+    expect(approved.status).toBe(200);
+
+    const preview = await request(app).post('/api/letters/preview').set(author)
+      .send({ customer, issueType: 'locker_rent' });
+    expect(preview.status).toBe(200);
+    expect(preview.body.preview.letter).toMatchObject({
+      subject: 'Locker rent due - A100',
+      templateVersion: 'locker_rent@v1'
+    });
+
+    const generate = await request(app).post('/api/letters/generate').set(author)
+      .send({ customers: [customer], issueType: 'locker_rent' });
+    expect(generate.status).toBe(200);
+    expect(generate.body.letters[0].templateVersion).toBe('locker_rent@v1');
+  });
+
+  test('a new draft leaves the approved version in use', async () => {
+    await request(app).put('/api/letters/templates/locker_rent').set(author)
+      .send({ subject: 'Reworded - {{ACCOUNT_NO}}' });
+
+    expect(generateLetterContent(customer, 'locker_rent').templateVersion).toBe('locker_rent@v1');
+  });
+});
+
+describe('generateLetterContent', () => {
+  test('never falls back to another issue type\'s letter', () => {
+    expect(() => generateLetterContent(customer, 'no_such_type')).toThrow(
+      expect.objectContaining({ status: 422, message: "No letter template exists for issue type 'no_such_type'" })
+    );
+  });
+});
@@ -0,0 +1,71 @@
+const request = require('supertest');
+const app = require('../../backend/server');
+const { validateCustomerData } = require('../../backend/middleware/validation');
+const { authAs } = require('../helpers');
+
+const csv = [
+  'NAME,ACCOUNT_NO,EMAIL,MOBILE,BALANCE',
+  'Asha Patil,UV10000001,asha@example.com,9876543210,1500',
+  'Ravi Kumar,UV10000002,ravi@,12,-5',
+  'Meena Shah,UV10000003,meena@example.com,9876543211,200',
+  'X,UV10000004,,,'
+].join('\n');
+
+describe('validateCustomerData', () => {
+  test('reports every problem with its file row and counts rows per rule', () => {
+    const result = validateCustomerData([
+      { NAME: 'Asha Patil', ACCOUNT_NO: 'UV10000001' },
+      { NAME: 'Ravi Kumar', ACCOUNT_NO: 'UV10000002', EMAIL: 'ravi@', BALANCE: -5 },
+      { NAME: 'Meena Shah', ACCOUNT_NO: 'UV10000003', BALANCE: -1 }
+    ]);
+
+    expect(result).toMatchObject({ isValid: false, totalRows: 3, validRows: 1, invalidRows: 2, validRowNumbers: [2] });
+    expect(result.rowErrors).toEqual([
+      { row: 3, accountNo: 'UV10000002', column: 'BALANCE', value: -5, problem: 'must be greater than or equal to 0', rule: 'number.min' },
+      { row: 3, accountNo: 'UV10000002', column: 'EMAIL', value: 'ravi@', problem: 'must be a valid email', rule: 'string.email' },
+      { row: 4, accountNo: 'UV10000003', column: 'BALANCE', value: -1, problem: 'must be greater than or equal to 0', rule: 'number.min' }
+    ]);
+    expect(result.rules[0]).toMatchObject({ column: 'BALANCE', rule: 'number.min', rows: 2 });
+  });
+
+  test('stops at missing required columns', () => {
+    expect(validateCustomerData([{ NAME: 'Asha Patil' }])).toEqual({ isValid: false, errors: ['Missing required column: ACCOUNT_NO'] });
+  });
+});
+
+describe('POST /api/customers/upload validation', () => {
+  let clerk;
+
+  beforeAll(async () => {
+    clerk = await authAs(app, 'clerk');
+  });
+
+  const upload = fields => {
+    const req = request(app).post('/api/customers/upload').set(clerk);
+    Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+    return req.attach('excelFile', Buffer.from(csv), 'branch-extract.csv');
+  };
+
+  test('refuses a file with invalid rows and returns the error report', async () => {
+    const res = await upload({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('2 of 4 rows have problems. Fix them or import only the valid rows.');
+    expect(res.body.validation).toMatchObject({ totalRows: 4, validRows: 2, invalidRows: 2 });
+    expect(res.body.validation.report.filename).toBe('branch-extract-errors.csv');
+
+    const report = Buffer.from(res.body.validation.report.base64, 'base64').toString('utf8').trim().split('\r\n');
+    expect(report[0]).toBe('Row,Account No,Column,Value,Problem,Rule');
+    expect(report).toContain('3,UV10000002,EMAIL,ravi@,must be a valid email,string.email');
+    expect(report).toContain('5,UV10000004,NAME,X,length must be at least 2 characters long,string.min');
+  });
+
+  test('validOnly loads the valid rows and reports the rest', async () => {
+    const res = await upload({ validOnly: 'true' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.customers.map(customer => customer.ACCOUNT_NO)).toEqual(['UV10000001', 'UV10000003']);
+    expect(res.body.message).toBe('Loaded 2 valid customer records; 2 rows with problems were skipped');
+    expect(res.body.validation.sampleErrors.map(error => error.row)).toEqual([3, 3, 3, 5]);
+  });
+});
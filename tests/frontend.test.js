@@ -0,0 +1,24 @@
+// The modules the browser shares with the server must still load as plain
+// <script> tags, where there is no `module` and they publish on `self` (the window)
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// file: [global, a method the pages call on it]
+const BROWSER_GLOBALS = {
+  'shared/rule-engine.js': ['ruleEngine', 'apply'],
+  'shared/text-import.js': ['textImport', 'parse'],
+  'shared/column-mapping.js': ['columnMapping', 'propose'],
+  'shared/duplicate-detector.js': ['duplicateDetector', 'detect'],
+  'shared/sheet-roles.js': ['sheetRoles', 'join']
+};
+
+describe('shared browser modules', () => {
+  test.each(Object.entries(BROWSER_GLOBALS))('%s publishes its global', (file, [name, method]) => {
+    const window = {};
+    const code = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+    vm.runInNewContext(code, { window, self: window, TextDecoder, console });
+
+    expect(typeof window[name][method]).toBe('function');
+  });
+});
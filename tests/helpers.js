@@ -0,0 +1,25 @@
+// Shared by the API tests: log in and create users through the real auth routes
+const request = require('supertest');
+
+async function login(app, username = process.env.ADMIN_USERNAME, password = process.env.ADMIN_PASSWORD) {
+  const res = await request(app).post('/api/auth/login').send({ username, password });
+  if (res.status !== 200) throw new Error(`Login as ${username} failed: ${res.status} ${res.body.message}`);
+  return res.body.token;
+}
+
+// Bearer header for a new user with the given role
+async function authAs(app, role) {
+  const admin = await login(app);
+  if (role === 'admin') return { Authorization: `Bearer ${admin}` };
+
+  const username = `${role.replace(/_/g, '')}${Math.random().toString(36).slice(2, 8)}`;
+  const password = 'test-password-1';
+  const res = await request(app)
+    .post('/api/auth/users')
+    .set('Authorization', `Bearer ${admin}`)
+    .send({ username, password, role });
+  if (res.status !== 201) throw new Error(`Creating ${role} failed: ${res.status} ${res.body.message}`);
+  return { Authorization: `Bearer ${await login(app, username, password)}` };
+}
+
+module.exports = { login, authAs };
@@ -0,0 +1,29 @@
+// Runs before every test file: each file gets its own database/ folder, seeded with
+// the shipped rules and templates, so tests never touch the real data files.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SEED_FILES = ['rules.json', 'templates.json'];
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sbi-test-'));
+SEED_FILES.forEach(file => {
+  fs.copyFileSync(path.join(__dirname, '../database', file), path.join(dataDir, file));
+});
+
+process.env.DATABASE_DIR = dataDir;
+process.env.AUTH_SECRET = 'test-secret';
+process.env.ADMIN_USERNAME = 'admin';
+process.env.ADMIN_PASSWORD = 'admin-pass-123';
+process.env.EMAIL_PROVIDER = 'file';
+process.env.EMAIL_FILE_DIR = path.join(dataDir, 'mail-outbox');
+process.env.SMS_PROVIDER = 'file';
+process.env.SMS_FILE_DIR = path.join(dataDir, 'sms-outbox');
+delete process.env.GEMINI_API_KEY;
+
+// Request logging and progress messages would drown the test report
+['log', 'info', 'warn'].forEach(level => jest.spyOn(console, level).mockImplementation(() => {}));
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
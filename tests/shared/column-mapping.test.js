@@ -0,0 +1,54 @@
+const columnMapping = require('../../shared/column-mapping');
+
+describe('columnMapping.propose', () => {
+  test('matches names, abbreviations and aliases, leaving unknown headers unmapped', () => {
+    expect(columnMapping.propose(['Cust Name', 'A/c No.', 'Clr Bal', 'Mobile', 'Remarks'])).toEqual([
+      { header: 'Cust Name', field: 'NAME', score: 1, match: 'alias' },
+      { header: 'A/c No.', field: 'ACCOUNT_NO', score: 1, match: 'exact' },
+      { header: 'Clr Bal', field: 'BALANCE', score: 1, match: 'alias' },
+      { header: 'Mobile', field: 'MOBILE', score: 1, match: 'exact' },
+      { header: 'Remarks', field: null, score: 0, match: null }
+    ]);
+  });
+
+  test('scores misspelt headers as fuzzy matches', () => {
+    expect(columnMapping.scoreHeader('Balence', 'BALANCE')).toEqual({ score: 0.86, match: 'fuzzy' });
+  });
+
+  test('gives each field to one header, preferring the header spelt like the field', () => {
+    const proposal = columnMapping.propose(['Account Name', 'NAME']);
+
+    expect(columnMapping.toMapping(proposal)).toEqual({ NAME: 'NAME' });
+  });
+});
+
+describe('columnMapping mappings', () => {
+  test('reports unknown and doubly mapped fields, and missing required ones', () => {
+    const mapping = { 'Cust Name': 'NAME', Holder: 'NAME', Colour: 'FAVOURITE_COLOUR', Notes: '' };
+
+    expect(columnMapping.validateMapping(mapping)).toEqual([
+      "'Holder' and 'Cust Name' are both mapped to NAME",
+      "'Colour' is mapped to unknown field 'FAVOURITE_COLOUR'"
+    ]);
+    expect(columnMapping.missingRequired(['Cust Name'], mapping)).toEqual(['ACCOUNT_NO']);
+  });
+
+  test('renames mapped columns, a mapped column winning over one already named like the field', () => {
+    const rows = [{ NAME: 'old', 'Cust Name': 'Asha Patil', Remarks: 'vip' }];
+
+    expect(columnMapping.applyMapping(rows, { 'Cust Name': 'NAME' })).toEqual([{ NAME: 'Asha Patil', Remarks: 'vip' }]);
+  });
+
+  test('finds the saved profile that fits the headers best, whatever their case', () => {
+    const profiles = [
+      { name: 'small', mapping: { 'CUST NAME': 'NAME' } },
+      { name: 'finacle', mapping: { 'CUST NAME': 'NAME', 'A/C NO': 'ACCOUNT_NO' } },
+      { name: 'other', mapping: { Holder: 'NAME' } }
+    ];
+    const headers = ['Cust Name', 'A/c No', 'Bal'];
+
+    const profile = columnMapping.findProfile(profiles, headers);
+    expect(profile.name).toBe('finacle');
+    expect(columnMapping.profileMapping(profile, headers)).toEqual({ 'Cust Name': 'NAME', 'A/c No': 'ACCOUNT_NO' });
+  });
+});
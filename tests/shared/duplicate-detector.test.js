@@ -0,0 +1,79 @@
+const duplicateDetector = require('../../shared/duplicate-detector');
+
+const rows = [
+  { ACCOUNT_NO: '1001', NAME: 'Asha Patil', KYC_STATUS: 'Pending', EMAIL: '' },
+  { ACCOUNT_NO: '1002', NAME: 'Ravi Kumar', MOBILE: '9876543210' },
+  { ACCOUNT_NO: '1001', NAME: 'Asha Patil', KYC_STATUS: 'Complete', EMAIL: 'asha@example.com' },
+  { ACCOUNT_NO: '1002', NAME: 'ravi kumar ', MOBILE: '' },
+  { ACCOUNT_NO: '1003', NAME: 'Meena Shah' }
+];
+
+describe('duplicateDetector.detect', () => {
+  test('separates repeats that agree from repeats that conflict', () => {
+    const report = duplicateDetector.detect(rows);
+
+    expect(report.duplicateAccounts).toEqual([{ accountNo: '1002', rows: [3, 5] }]);
+    expect(report.conflictingAccounts).toEqual([{
+      accountNo: '1001',
+      rows: [2, 4],
+      fields: { KYC_STATUS: ['Pending', 'Complete'] }
+    }]);
+  });
+
+  test('reports the file rows given for the customers', () => {
+    expect(duplicateDetector.detect(rows, [2, 3, 7, 9, 10]).duplicateAccounts[0].rows).toEqual([3, 9]);
+  });
+
+  test('groups different accounts that look like the same person', () => {
+    const { probableMatches } = duplicateDetector.detect([
+      { ACCOUNT_NO: '2001', NAME: 'Mr. Ramesh Kumar', MOBILE: '+91 98765 43210' },
+      { ACCOUNT_NO: '2002', NAME: 'KUMAR RAMESH', MOBILE: '09876543210' },
+      { ACCOUNT_NO: '2003', NAME: 'Sita Kumar', MOBILE: '9876543210' },
+      { ACCOUNT_NO: '2004', NAME: 'Ramesh Kumar', DOB: '01/01/1970' }
+    ]);
+
+    // A shared mobile alone may be a relative's, and a name alone is not enough
+    expect(probableMatches).toEqual([{
+      accountNos: ['2001', '2002'],
+      names: ['Mr. Ramesh Kumar', 'KUMAR RAMESH'],
+      rows: [2, 3],
+      reasons: ['mobile', 'name']
+    }]);
+  });
+});
+
+describe('duplicateDetector.resolve', () => {
+  const report = duplicateDetector.detect(rows);
+  const resolve = strategy => duplicateDetector.resolve(rows, report, strategy);
+
+  test('merge combines the rows, later non-empty values winning', () => {
+    const { customers, removedRows, rejectedAccounts } = resolve('merge');
+
+    expect(customers).toEqual([
+      { ACCOUNT_NO: '1001', NAME: 'Asha Patil', KYC_STATUS: 'Complete', EMAIL: 'asha@example.com' },
+      { ACCOUNT_NO: '1002', NAME: 'ravi kumar ', MOBILE: '9876543210' },
+      { ACCOUNT_NO: '1003', NAME: 'Meena Shah' }
+    ]);
+    expect(removedRows).toEqual([4, 5]);
+    expect(rejectedAccounts).toEqual([]);
+  });
+
+  test('keep-first keeps the first of conflicting rows, still folding rows that agree', () => {
+    const { customers } = resolve('keep-first');
+
+    expect(customers[0]).toBe(rows[0]);
+    expect(customers[1]).toEqual({ ACCOUNT_NO: '1002', NAME: 'ravi kumar ', MOBILE: '9876543210' });
+  });
+
+  test('reject leaves conflicting accounts out', () => {
+    const { customers, removedRows, rejectedAccounts } = resolve('reject');
+
+    expect(customers.map(customer => customer.ACCOUNT_NO)).toEqual(['1002', '1003']);
+    expect(removedRows).toEqual([2, 4, 5]);
+    expect(rejectedAccounts).toEqual(['1001']);
+  });
+
+  test('refuses an unknown strategy', () => {
+    expect(() => resolve('newest')).toThrow("Unknown duplicate strategy 'newest'");
+  });
+});
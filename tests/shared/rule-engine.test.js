@@ -0,0 +1,140 @@
+const ruleEngine = require('../../shared/rule-engine');
+
+const leaf = (field, operator, value) => ({ field, operator, value });
+const matches = (condition, record) => ruleEngine.evaluate(condition, record).matched;
+
+describe('ruleEngine operators', () => {
+  test.each([
+    ['eq', 'Active', ' active ', true],
+    ['neq', 'Active', 'Closed', true],
+    ['gt', '150.5', 100, true],
+    ['gte', 100, 100, true],
+    ['lt', '99', 100, true],
+    ['lte', 101, 100, false],
+    ['in', 'student', ['Senior', 'Student'], true],
+    ['contains', 'Savings Account', 'saving', true],
+    ['matches', 'SB-1234', '^sb-\\d+$', true]
+  ])('%s: %p against %p is %p', (operator, actual, value, expected) => {
+    expect(matches(leaf('FIELD', operator, value), { FIELD: actual })).toBe(expected);
+  });
+
+  test('empty and notEmpty treat blank text as missing', () => {
+    expect(matches({ field: 'EMAIL', operator: 'empty' }, { EMAIL: '  ' })).toBe(true);
+    expect(matches({ field: 'EMAIL', operator: 'notEmpty' }, { EMAIL: 'a@b.in' })).toBe(true);
+  });
+
+  test('a missing field never satisfies a comparison', () => {
+    expect(matches(leaf('BALANCE', 'lte', 100), {})).toBe(false);
+    expect(matches(leaf('STATUS', 'neq', 'Closed'), {})).toBe(false);
+  });
+
+  test('default fills in a missing numeric value', () => {
+    expect(matches({ field: 'BALANCE', operator: 'lte', value: 100, default: 0 }, {})).toBe(true);
+  });
+
+  test('fields are found ignoring case and separators', () => {
+    expect(matches(leaf('LAST_TRANSACTION', 'eq', 'x'), { lastTransaction: 'x' })).toBe(true);
+  });
+});
+
+describe('ruleEngine dates', () => {
+  const now = new Date(2026, 9, 19, 10, 30);
+  const daysUntil = value => ruleEngine.resolveValue({ field: 'FD_MATURITY_DATE', transform: 'daysUntil' }, { FD_MATURITY_DATE: value }, now);
+
+  test.each([
+    ['05/11/2026', 17],
+    ['25-10-2026', 6],
+    ['2026-10-25', 6],
+    ['2026/11/05', 17],
+    ['19.10.2026', 0],
+    ['5-Nov-2026', 17],
+    ['05 November 26', 17],
+    ['Nov 5, 2026', 17]
+  ])('reads %s as %p days away', (value, expected) => {
+    expect(daysUntil(value)).toBe(expected);
+  });
+
+  test('daysSince counts whole days back from a DD/MM/YYYY date', () => {
+    const condition = { field: 'LAST_TRANSACTION', operator: 'gte', value: 730, transform: 'daysSince' };
+
+    expect(ruleEngine.evaluate(condition, { LAST_TRANSACTION: '18/10/2024' }, now).matched).toBe(true);
+    expect(ruleEngine.evaluate(condition, { LAST_TRANSACTION: '20/10/2024' }, now).matched).toBe(false);
+  });
+
+  test('dates that do not exist or are in no known format are left empty', () => {
+    expect(daysUntil('31/02/2026')).toBeUndefined();
+    expect(daysUntil('31-Feb-2026')).toBeUndefined();
+    expect(daysUntil('November 2026')).toBeUndefined();
+  });
+
+  test('default fills in a missing date, but an unreadable one never matches', () => {
+    const condition = { field: 'LAST_TRANSACTION', operator: 'gt', value: 90, transform: 'daysSince', default: 9999 };
+
+    expect(ruleEngine.evaluate(condition, {}, now).matched).toBe(true);
+    expect(ruleEngine.evaluate(condition, { LAST_TRANSACTION: '13/13/2026' }, now).matched).toBe(false);
+    expect(ruleEngine.evaluate({ ...condition, operator: 'lte' }, { LAST_TRANSACTION: '13/13/2026' }, now).matched).toBe(false);
+  });
+
+  test('a recent month-name date keeps an active customer out of account_closure', () => {
+    const accountClosure = {
+      conditions: {
+        any: [
+          { field: 'BALANCE', operator: 'lte', value: 100, default: 0 },
+          { field: 'LAST_TRANSACTION', operator: 'gt', value: 90, transform: 'daysSince', default: 9999 }
+        ]
+      }
+    };
+    const customers = [
+      { ACCOUNT_NO: '1', BALANCE: 5000, LAST_TRANSACTION: '15-Jan-2026' },
+      { ACCOUNT_NO: '2', BALANCE: 5000, LAST_TRANSACTION: 'last month' }
+    ];
+
+    expect(ruleEngine.apply(accountClosure, customers, new Date(2026, 1, 1))).toEqual([]);
+  });
+
+  test('an ISO timestamp keeps its time of day', () => {
+    expect(ruleEngine.parseDate('2026-10-19T08:00:00Z')).toEqual(new Date(Date.UTC(2026, 9, 19, 8)));
+  });
+});
+
+describe('ruleEngine groups', () => {
+  const rule = {
+    conditions: {
+      any: [
+        leaf('BALANCE', 'lte', 100),
+        { all: [leaf('AGE', 'gt', 60), leaf('ACCOUNT_TYPE', 'eq', 'Savings')] }
+      ]
+    }
+  };
+
+  test('apply returns matching customers with the conditions that selected them', () => {
+    const customers = [
+      { ACCOUNT_NO: '1', BALANCE: 50, AGE: 30 },
+      { ACCOUNT_NO: '2', BALANCE: 5000, AGE: 65, ACCOUNT_TYPE: 'Savings' },
+      { ACCOUNT_NO: '3', BALANCE: 5000, AGE: 65, ACCOUNT_TYPE: 'Current' }
+    ];
+
+    const result = ruleEngine.apply(rule, customers);
+
+    expect(result.map(c => c.ACCOUNT_NO)).toEqual(['1', '2']);
+    expect(result[0].reason).toBe('BALANCE is at most 100');
+    expect(result[1].matchedConditions.map(c => c.field)).toEqual(['AGE', 'ACCOUNT_TYPE']);
+  });
+});
+
+describe('ruleEngine.validate', () => {
+  test('accepts the shipped rule shape', () => {
+    expect(ruleEngine.validate({ all: [leaf('BALANCE', 'lte', 100), { field: 'EMAIL', operator: 'empty' }] })).toEqual([]);
+  });
+
+  test.each([
+    [{ all: [], any: [] }, 'conditions cannot have both "all" and "any"'],
+    [{ all: [] }, 'conditions.all must be a non-empty array'],
+    [{ any: [leaf('X', 'between', 1)] }, 'conditions.any[0].operator must be one of'],
+    [leaf('BALANCE', 'gt', '100'), 'conditions.value must be a number for "gt"'],
+    [leaf('CODE', 'matches', '('), 'conditions.value is not a valid regular expression'],
+    [{ field: 'EMAIL', operator: 'empty', value: 1 }, 'conditions.value is not used with "empty"']
+  ])('reports %j', (condition, message) => {
+    expect(ruleEngine.validate(condition)[0]).toContain(message);
+  });
+});
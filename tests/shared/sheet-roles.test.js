@@ -0,0 +1,90 @@
+const sheetRoles = require('../../shared/sheet-roles');
+
+describe('sheetRoles.assignRoles', () => {
+  test('recognises sheets by name, then by their fields', () => {
+    expect(sheetRoles.assignRoles([
+      { name: 'Customer Master', fields: ['NAME', 'ACCOUNT_NO'] },
+      { name: 'Loan customers', fields: ['NAME', 'ACCOUNT_NO'] },
+      { name: 'Sheet3', fields: ['ACCOUNT_NO', 'DOC_TYPE', 'DOC_EXPIRY'] },
+      { name: 'Cover', fields: [] }
+    ])).toEqual({ 'Customer Master': 'customers', 'Loan customers': 'loans', Sheet3: 'kyc', Cover: 'ignore' });
+  });
+
+  test('keeps one customer sheet, preferring the one the user chose', () => {
+    const sheets = [
+      { name: 'Customers', fields: ['NAME'] },
+      { name: 'Cust backup', fields: ['NAME'] }
+    ];
+
+    expect(sheetRoles.assignRoles(sheets)).toEqual({ Customers: 'customers', 'Cust backup': 'ignore' });
+    expect(sheetRoles.assignRoles(sheets, { 'Cust backup': 'customers' })).toEqual({ Customers: 'ignore', 'Cust backup': 'customers' });
+  });
+
+  test('a single sheet holds the customers', () => {
+    expect(sheetRoles.assignRoles([{ name: 'Data', fields: ['OUTSTANDING_AMOUNT', 'EMI_AMOUNT'] }])).toEqual({ Data: 'customers' });
+  });
+
+  test('reports unknown sheets and roles, and two customer sheets', () => {
+    expect(sheetRoles.validateRoles({ A: 'customers', B: 'customers', C: 'deposits' }, ['A', 'B'])).toEqual([
+      "'C' is not a sheet in the workbook",
+      "'deposits' is not a sheet role. Use one of: customers, loans, kyc, ignore",
+      'Only one sheet can hold customers; A, B are all marked as customers'
+    ]);
+  });
+});
+
+describe('sheetRoles.join', () => {
+  const customers = [
+    { ACCOUNT_NO: 'SR1', NAME: 'Asha Patil', EMI_AMOUNT: '' },
+    { ACCOUNT_NO: 'SR2', NAME: 'Ravi Kumar', DOC_TYPE: 'Passport' }
+  ];
+  const loans = {
+    name: 'Loans',
+    role: 'loans',
+    rows: [
+      { ACCOUNT_NO: 'SR1', LOAN_ACCOUNT_NO: 'L1', OUTSTANDING_AMOUNT: '1000', EMI_AMOUNT: '100', OVERDUE_DAYS: '10', DUE_DATE: '2026-12-05' },
+      { ACCOUNT_NO: 'SR1', LOAN_ACCOUNT_NO: 'L2', OUTSTANDING_AMOUNT: '500.5', EMI_AMOUNT: '50', OVERDUE_DAYS: '45', DUE_DATE: '2026-11-20' },
+      { ACCOUNT_NO: 'SR9', LOAN_ACCOUNT_NO: 'L9', OUTSTANDING_AMOUNT: '1' }
+    ]
+  };
+  const kyc = {
+    name: 'KYC',
+    role: 'kyc',
+    rows: [
+      { ACCOUNT_NO: 'SR2', DOC_TYPE: 'PAN', DOC_EXPIRY: '2030-01-01' },
+      { ACCOUNT_NO: 'SR2', DOC_TYPE: 'Voter ID', DOC_EXPIRY: '2027-03-31' }
+    ]
+  };
+
+  test('totals loan amounts and keeps the worst arrears and the next due date', () => {
+    const { customers: [asha] } = sheetRoles.join(customers, [loans]);
+
+    expect(asha).toMatchObject({
+      OUTSTANDING_AMOUNT: 1500.5,
+      EMI_AMOUNT: 150,
+      OVERDUE_DAYS: 45,
+      DUE_DATE: '2026-11-20',
+      LOAN_ACCOUNT_NO: 'L1'
+    });
+    expect(asha.LOANS.map(loan => loan.LOAN_ACCOUNT_NO)).toEqual(['L1', 'L2']);
+    expect(asha.LOANS[0]).not.toHaveProperty('ACCOUNT_NO');
+  });
+
+  test('fills blanks from the document expiring first, without overwriting customer values', () => {
+    const { customers: [, ravi] } = sheetRoles.join(customers, [kyc]);
+
+    expect(ravi).toMatchObject({ DOC_TYPE: 'Passport', DOC_EXPIRY: '2027-03-31' });
+    expect(ravi.KYC_DOCUMENTS).toHaveLength(2);
+  });
+
+  test('reports what each sheet matched and the accounts without a customer', () => {
+    const result = sheetRoles.join(customers, [loans, kyc]);
+
+    expect(result.joined).toEqual([
+      { sheet: 'Loans', role: 'loans', rows: 3, matched: 1 },
+      { sheet: 'KYC', role: 'kyc', rows: 2, matched: 1 }
+    ]);
+    expect(result.unmatched).toEqual([{ sheet: 'Loans', role: 'loans', accounts: ['SR9'] }]);
+    expect(customers[0]).not.toHaveProperty('LOANS');
+  });
+});
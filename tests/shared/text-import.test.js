@@ -0,0 +1,77 @@
+const textImport = require('../../shared/text-import');
+
+const bytes = text => Buffer.from(text, 'utf8');
+
+describe('textImport.decode', () => {
+  test('falls back to Windows-1252 for bytes that are not UTF-8', () => {
+    expect(textImport.decode(Buffer.from([0x52, 0xE9, 0x73, 0x75, 0x6D, 0xE9]))).toEqual({ text: 'Résumé', encoding: 'windows-1252' });
+  });
+
+  test('recognises UTF-16 with or without a byte-order mark', () => {
+    const utf16 = Buffer.from('NAME,ACCOUNT_NO\n', 'utf16le');
+
+    expect(textImport.decode(Buffer.concat([Buffer.from([0xFF, 0xFE]), utf16])).encoding).toBe('utf-16le');
+    expect(textImport.decode(utf16)).toMatchObject({ text: 'NAME,ACCOUNT_NO\n', encoding: 'utf-16le' });
+  });
+
+  test('rejects an unknown encoding', () => {
+    expect(() => textImport.decode(bytes('x'), 'klingon')).toThrow("Unsupported encoding 'klingon'");
+  });
+});
+
+describe('textImport.parse', () => {
+  test('sniffs the delimiter and keeps quoted delimiters, quotes and line breaks', () => {
+    const file = 'NAME|ADDRESS|ACCOUNT_NO\r\n"Patil, Asha"|"12 ""A"" Wing\nPune"|1001\r\nRavi Kumar|Delhi|1002\r\n';
+
+    expect(textImport.parse(bytes(file), 'export.txt')).toEqual({
+      rows: [
+        ['NAME', 'ADDRESS', 'ACCOUNT_NO'],
+        ['Patil, Asha', '12 "A" Wing\nPune', '1001'],
+        ['Ravi Kumar', 'Delhi', '1002']
+      ],
+      format: 'pipe',
+      delimiter: '|',
+      encoding: 'utf-8'
+    });
+  });
+
+  test('prefers the extension\'s delimiter when several fit', () => {
+    const file = 'A;B,C\n1;2,3\n';
+
+    expect(textImport.parse(bytes(file), 'data.csv').format).toBe('csv');
+    expect(textImport.parse(bytes(file), 'data.txt', { format: 'semicolon' }).rows[1]).toEqual(['1', '2,3']);
+  });
+
+  test('reads fixed-width records with a layout, dropping header and trailer lines', () => {
+    const layout = {
+      columns: [{ name: 'ACCOUNT_NO', start: 1, width: 6 }, { name: 'NAME', start: 7, width: 12 }],
+      skipLines: 1,
+      skipTrailingLines: 1
+    };
+    const file = 'HDR20260101\n100001Asha Patil  \n100002Ravi Kumar  \nTRL0002\n\n';
+
+    expect(textImport.parse(bytes(file), 'export.dat', { layout }).rows).toEqual([
+      ['ACCOUNT_NO', 'NAME'],
+      ['100001', 'Asha Patil'],
+      ['100002', 'Ravi Kumar']
+    ]);
+  });
+
+  test('asks for a layout when no delimiter can be found', () => {
+    expect(() => textImport.parse(bytes('100001Asha Patil\n100002Ravi Kumar\n'), 'export.dat'))
+      .toThrow('Could not detect the column delimiter');
+    expect(() => textImport.parse(bytes('a,b'), 'x.csv', { format: 'xml' })).toThrow("Unsupported format 'xml'");
+  });
+
+  test('lists every problem with a fixed-width layout', () => {
+    expect(textImport.validateLayout({
+      columns: [{ name: 'A', start: 0, width: 2 }, { name: 'A', start: 3, width: 1.5 }],
+      skipLines: -1
+    })).toEqual([
+      'layout.columns[0].start must be a whole number from 1',
+      "layout.columns[1].name 'A' is used twice",
+      'layout.columns[1].width must be a whole number from 1',
+      'layout.skipLines must be a whole number from 0'
+    ]);
+  });
+});